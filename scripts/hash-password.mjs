@@ -0,0 +1,29 @@
+// Password hash generator
+// Prints a user entry for a local provider in server/auth.json:
+//   npm run hash-password -- <username> [display name]
+// The password is read from stdin so it stays out of the shell history:
+//   echo -n 'secret' | npm run hash-password -- admin "Portal Admin"
+// Hashes are PBKDF2-SHA256 with a random salt, matching server/auth.mjs.
+
+import { pbkdf2Sync, randomBytes } from 'node:crypto';
+
+const ITERATIONS = 600000;
+
+const [username, name] = process.argv.slice(2);
+if (!username) {
+  console.error('Usage: npm run hash-password -- <username> [display name] < password');
+  process.exit(1);
+}
+
+let password = '';
+for await (const chunk of process.stdin) password += chunk;
+password = password.replace(/\r?\n$/, '');
+if (!password) {
+  console.error('No password on stdin');
+  process.exit(1);
+}
+
+const salt = randomBytes(16).toString('base64url');
+const hash = pbkdf2Sync(password, Buffer.from(salt, 'base64url'), ITERATIONS, 32, 'sha256').toString('base64url');
+
+console.log(JSON.stringify({ username, ...(name ? { name } : {}), salt, hash, iterations: ITERATIONS }, null, 2));
@@ -0,0 +1,175 @@
+// Mock OpenID Connect provider
+// A throwaway IdP for trying the portal's OIDC sign-in locally. It serves
+// discovery, an authorize page where any username can sign in, a token
+// endpoint that enforces PKCE (S256) and an end-session endpoint:
+//   npm run mock-idp            (http://localhost:9400, client id elera-portal)
+//   PORT=9500 CLIENT_ID=my-app npm run mock-idp
+// Nothing is persisted. ID tokens are signed (RS256) with a key pair made when
+// it starts, whose public half is published at jwks_uri for the portal
+// service to check them against. Never expose it outside a development machine.
+
+import { createHash, generateKeyPairSync, randomBytes, sign } from 'node:crypto';
+import { createServer } from 'node:http';
+
+const PORT = Number(process.env.PORT) || 9400;
+const CLIENT_ID = process.env.CLIENT_ID || 'elera-portal';
+const ISSUER = `http://localhost:${PORT}`;
+const CODE_SECONDS = 60;
+const TOKEN_SECONDS = 3600;
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = randomBytes(8).toString('hex');
+const codes = new Map();
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const signJwt = (claims) => {
+  const body = `${base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }))}.${base64url(JSON.stringify(claims))}`;
+  return `${body}.${sign('sha256', Buffer.from(body), privateKey).toString('base64url')}`;
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const send = (res, status, body, headers = {}) => {
+  const json = typeof body !== 'string';
+  res.writeHead(status, {
+    'Content-Type': json ? 'application/json' : 'text/html; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(json ? JSON.stringify(body) : body);
+};
+
+const redirect = (res, url) => send(res, 302, '', { Location: url });
+
+const readForm = async (req) => {
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  return new URLSearchParams(body);
+};
+
+// Problems with an authorization request, checked on both GET and POST
+const authorizeError = (params) => {
+  if (params.get('client_id') !== CLIENT_ID) return `Unknown client_id "${params.get('client_id')}"`;
+  if (!params.get('redirect_uri')) return 'Missing redirect_uri';
+  if (params.get('response_type') !== 'code') return 'Only response_type=code is supported';
+  if (!params.get('code_challenge') || params.get('code_challenge_method') !== 'S256') return 'PKCE with code_challenge_method=S256 is required';
+  return null;
+};
+
+const authorizePage = (params) => `<!doctype html>
+<html><head><title>Mock IdP</title><style>body{font-family:sans-serif;max-width:24rem;margin:4rem auto}input,button{font-size:1rem;padding:.5rem;width:100%;margin:.25rem 0}</style></head>
+<body>
+<h1>Mock IdP</h1>
+<p>Sign in to <strong>${escapeHtml(CLIENT_ID)}</strong> as any user.</p>
+<form method="post" action="/authorize">
+${[...params].map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('\n')}
+<input name="username" placeholder="Username" value="admin" required autofocus>
+<input name="name" placeholder="Display name (optional)">
+<button name="decision" value="allow">Sign in</button>
+<button name="decision" value="deny">Deny</button>
+</form>
+</body></html>`;
+
+const handlers = {
+  'GET /.well-known/openid-configuration': (req, res) => send(res, 200, {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    end_session_endpoint: `${ISSUER}/logout`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code'],
+    code_challenge_methods_supported: ['S256'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    token_endpoint_auth_methods_supported: ['none']
+  }),
+
+  'GET /jwks': (req, res) => send(res, 200, {
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }]
+  }),
+
+  'GET /authorize': (req, res, url) => {
+    const error = authorizeError(url.searchParams);
+    if (error) return send(res, 400, `<p>${escapeHtml(error)}</p>`);
+    send(res, 200, authorizePage(url.searchParams));
+  },
+
+  'POST /authorize': async (req, res) => {
+    const form = await readForm(req);
+    const error = authorizeError(form);
+    if (error) return send(res, 400, `<p>${escapeHtml(error)}</p>`);
+    const back = new URL(form.get('redirect_uri'));
+    if (form.get('state')) back.searchParams.set('state', form.get('state'));
+    if (form.get('decision') !== 'allow' || !form.get('username')) {
+      back.searchParams.set('error', 'access_denied');
+      back.searchParams.set('error_description', 'The user denied the request');
+      return redirect(res, back.toString());
+    }
+    const code = randomBytes(24).toString('base64url');
+    codes.set(code, {
+      redirectUri: form.get('redirect_uri'),
+      challenge: form.get('code_challenge'),
+      nonce: form.get('nonce'),
+      username: form.get('username').trim(),
+      name: form.get('name')?.trim(),
+      expires: Date.now() + CODE_SECONDS * 1000
+    });
+    back.searchParams.set('code', code);
+    redirect(res, back.toString());
+  },
+
+  'POST /token': async (req, res) => {
+    const form = await readForm(req);
+    const fail = (error, description) => send(res, 400, { error, error_description: description });
+    if (form.get('grant_type') !== 'authorization_code') return fail('unsupported_grant_type', 'Only authorization_code is supported');
+    const grant = codes.get(form.get('code'));
+    // Codes are single use
+    codes.delete(form.get('code'));
+    if (!grant || grant.expires < Date.now()) return fail('invalid_grant', 'Unknown or expired code');
+    if (form.get('client_id') !== CLIENT_ID) return fail('invalid_client', 'client_id does not match');
+    if (form.get('redirect_uri') !== grant.redirectUri) return fail('invalid_grant', 'redirect_uri does not match');
+    const verifier = form.get('code_verifier') || '';
+    if (createHash('sha256').update(verifier).digest('base64url') !== grant.challenge) return fail('invalid_grant', 'PKCE verification failed');
+
+    const now = Math.floor(Date.now() / 1000);
+    send(res, 200, {
+      access_token: randomBytes(24).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: TOKEN_SECONDS,
+      id_token: signJwt({
+        iss: ISSUER,
+        aud: CLIENT_ID,
+        sub: `mock|${grant.username}`,
+        preferred_username: grant.username,
+        name: grant.name || grant.username,
+        nonce: grant.nonce,
+        iat: now,
+        exp: now + TOKEN_SECONDS
+      })
+    });
+  },
+
+  'GET /logout': (req, res, url) => {
+    const target = url.searchParams.get('post_logout_redirect_uri');
+    if (target) return redirect(res, target);
+    send(res, 200, '<p>Signed out of the mock IdP.</p>');
+  }
+};
+
+createServer((req, res) => {
+  const url = new URL(req.url, ISSUER);
+  const handler = handlers[`${req.method} ${url.pathname}`];
+  if (req.method === 'OPTIONS') {
+    return send(res, 204, '', { 'Access-Control-Allow-Methods': 'GET, POST', 'Access-Control-Allow-Headers': 'Content-Type' });
+  }
+  if (!handler) return send(res, 404, { error: 'not_found' });
+  Promise.resolve(handler(req, res, url)).catch((err) => {
+    console.error(err);
+    send(res, 500, { error: 'server_error' });
+  });
+}).listen(PORT, () => {
+  console.log(`Mock IdP at ${ISSUER} (client id ${CLIENT_ID})`);
+});
@@ -0,0 +1,86 @@
+// Thermal print relay
+// Browsers cannot open the raw TCP socket (port 9100) Zebra and Epson
+// printers listen on, so the portal POSTs ZPL / ESC/POS jobs here and this
+// relay writes them to the printer unchanged. Without PRINTER it stands in
+// for one: each job is saved to OUT_DIR and logged, for testing the portal's
+// "Send to printer" without hardware.
+//   npm run print-relay                          (http://localhost:9110, jobs in ./print-jobs)
+//   PRINTER=192.168.1.50 npm run print-relay     (forward to 192.168.1.50:9100)
+//   PORT=9120 PRINTER=zebra.lab:9100 CORS_ORIGIN=https://scanbooks.example.com npm run print-relay
+// Anyone who can reach the relay can print, so keep it on the lab network.
+
+import { createServer } from 'node:http';
+import { connect } from 'node:net';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const PORT = Number(process.env.PORT) || 9110;
+const PRINTER = process.env.PRINTER || '';
+const OUT_DIR = path.resolve(process.env.OUT_DIR || 'print-jobs');
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+const MAX_BODY = 5 * 1024 * 1024;
+const TIMEOUT_MS = 10000;
+
+const [printerHost, printerPort] = PRINTER.split(':');
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      reject(Object.assign(new Error('Job too large'), { status: 413 }));
+      req.destroy();
+    } else chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+// Write a job to the printer's raw port and wait for the connection to close
+const forward = (job) => new Promise((resolve, reject) => {
+  const socket = connect(Number(printerPort) || 9100, printerHost);
+  socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error(`${PRINTER} did not respond`)));
+  socket.on('connect', () => socket.end(job));
+  socket.on('close', hadError => !hadError && resolve());
+  socket.on('error', reject);
+});
+
+const save = async (job, type) => {
+  await mkdir(OUT_DIR, { recursive: true });
+  const file = path.join(OUT_DIR, `job-${new Date().toISOString().replace(/[:.]/g, '-')}.${type.startsWith('text/') ? 'zpl' : 'bin'}`);
+  await writeFile(file, job);
+  return file;
+};
+
+const send = (res, status, text) => {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': CORS_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    ...(text === undefined ? {} : { 'Content-Type': 'text/plain; charset=utf-8' })
+  });
+  res.end(text);
+};
+
+createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (req.method === 'GET') return send(res, 200, PRINTER ? `Print relay to ${PRINTER}\n` : `Print relay saving jobs to ${OUT_DIR}\n`);
+  if (req.method !== 'POST') return send(res, 405, 'Method not allowed');
+  try {
+    const job = await readBody(req);
+    if (job.length === 0) return send(res, 400, 'Empty job');
+    if (PRINTER) {
+      await forward(job);
+      console.log(`${job.length} bytes sent to ${PRINTER}`);
+    } else {
+      console.log(`${job.length} bytes saved to ${await save(job, String(req.headers['content-type'] || ''))}`);
+    }
+    send(res, 204);
+  } catch (err) {
+    console.error(err.message);
+    send(res, err.status || 502, err.message);
+  }
+}).listen(PORT, () => {
+  console.log(`Print relay on http://localhost:${PORT}/ (${PRINTER ? `printer ${PRINTER}` : `saving jobs to ${OUT_DIR}`})`);
+});
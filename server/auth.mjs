@@ -0,0 +1,241 @@
+// Sign-in and sessions for the portal service
+// The sign-in providers and local accounts live in server/auth.json
+// (AUTH_CONFIG), which only the service reads:
+//   { sessionMinutes, defaultRole, providers: [
+//       { id, type: 'local', name, users: [{ username, name?, role?, salt, hash, iterations }] },
+//       { id, type: 'oidc', name, issuer, clientId, scope?, role? } ] }
+// The portal sends a local username and password, or the ID token it got from
+// an OIDC provider, and gets back a session token. Passwords are checked
+// against salted PBKDF2-SHA256 hashes (scripts/hash-password.mjs makes them);
+// ID tokens against the issuer's published keys (JWKS), issuer, audience and
+// expiry. A session token is a JWT signed with HMAC-SHA256 using
+// SESSION_SECRET, or a key generated once and kept in DATA_DIR, so only the
+// service can issue or extend one. The file is re-read when it changes, so
+// accounts change without a restart.
+
+import { createHmac, createPublicKey, pbkdf2, randomBytes, timingSafeEqual, verify } from 'node:crypto';
+import { mkdir, readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { DEFAULT_ROLE, isRole } from '../src/lib/roles.js';
+
+export const DEFAULT_SESSION_MINUTES = 480;
+const DEFAULT_ITERATIONS = 600000;
+
+// Clock skew allowed when checking ID token times, in seconds
+const LEEWAY = 60;
+
+export class AuthError extends Error {}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const decodeJson = (text) => JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+
+const sameBytes = (a, b) => a.length === b.length && timingSafeEqual(a, b);
+
+// Problems with an auth.json document, as readable messages
+export const validateAuthConfig = (data) => {
+  if (!data || !Array.isArray(data.providers) || data.providers.length === 0) return ['auth.json: missing providers list'];
+  const errors = [];
+  const ids = new Set();
+  data.providers.forEach((provider, i) => {
+    const label = provider?.id || `Provider ${i + 1}`;
+    if (!provider?.id) errors.push(`${label}: missing id`);
+    else if (ids.has(provider.id)) errors.push(`${label}: duplicate id`);
+    ids.add(provider?.id);
+    if (provider?.type !== 'local' && provider?.type !== 'oidc') errors.push(`${label}: unknown type "${provider?.type}"`);
+    if (provider?.type === 'local') {
+      if (!Array.isArray(provider.users)) errors.push(`${label}: missing users list`);
+      else if (provider.users.some(user => !user?.username || !user.salt || !user.hash)) errors.push(`${label}: every user needs a username, salt and hash`);
+      else provider.users.filter(user => user.role && !isRole(user.role)).forEach(user => errors.push(`${label}: ${user.username} has unknown role "${user.role}"`));
+    }
+    if (provider?.role && !isRole(provider.role)) errors.push(`${label}: unknown role "${provider.role}"`);
+    if (provider?.type === 'oidc' && (!provider.issuer || !provider.clientId)) errors.push(`${label}: missing issuer or clientId`);
+  });
+  if (data.defaultRole && !isRole(data.defaultRole)) errors.push(`auth.json: unknown defaultRole "${data.defaultRole}"`);
+  if (data.sessionMinutes !== undefined && !(data.sessionMinutes > 0)) errors.push('auth.json: sessionMinutes must be a positive number');
+  return errors;
+};
+
+let loaded = null;
+
+// The auth config, read again whenever the file changes; throws when it is
+// missing or invalid
+export const loadAuthConfig = async (file) => {
+  const { mtimeMs } = await stat(file);
+  if (loaded?.file !== file || loaded.mtimeMs !== mtimeMs) {
+    let data;
+    try {
+      data = JSON.parse(await readFile(file, 'utf8'));
+    } catch {
+      throw new Error(`${file}: not valid JSON`);
+    }
+    const errors = validateAuthConfig(data);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    loaded = {
+      file,
+      mtimeMs,
+      config: {
+        sessionMinutes: data.sessionMinutes || DEFAULT_SESSION_MINUTES,
+        defaultRole: data.defaultRole || DEFAULT_ROLE,
+        providers: data.providers
+      }
+    };
+  }
+  return loaded.config;
+};
+
+// What the login screen needs to know about each provider, without accounts
+export const publicProviders = (config) => config.providers.map(provider => (provider.type === 'local'
+  ? { id: provider.id, type: 'local', name: provider.name || 'Sign in', hasAccounts: provider.users.length > 0 }
+  : { id: provider.id, type: 'oidc', name: provider.name || 'Sign in with SSO', issuer: provider.issuer, clientId: provider.clientId, ...(provider.scope ? { scope: provider.scope } : {}) }));
+
+// The role auth.json gives an account: its own, or its OIDC provider's
+export const configuredRole = (config, providerId, username) => {
+  const provider = config.providers.find(p => p.id === providerId);
+  if (provider?.type === 'local') return provider.users.find(u => u.username === username)?.role || null;
+  return provider?.role || null;
+};
+
+// True while the account behind a session is still configured: removing a
+// local user or a provider from auth.json ends their sessions
+export const accountExists = (config, providerId, username) => {
+  const provider = config.providers.find(p => p.id === providerId);
+  if (provider?.type === 'local') return provider.users.some(u => u.username === username);
+  return Boolean(provider);
+};
+
+const hashPassword = (password, salt, iterations) => new Promise((resolve, reject) => {
+  pbkdf2(String(password ?? ''), Buffer.from(salt, 'base64url'), iterations, 32, 'sha256', (err, hash) => (err ? reject(err) : resolve(hash)));
+});
+
+// Unknown usernames are hashed too, so they take as long as a wrong password
+const decoySalt = randomBytes(16).toString('base64url');
+
+const localSignIn = async (provider, { username, password }) => {
+  const user = provider.users.find(u => u.username === String(username ?? '').trim());
+  const hash = await hashPassword(password, user?.salt || decoySalt, user?.iterations || DEFAULT_ITERATIONS);
+  if (!user || !sameBytes(hash, Buffer.from(user.hash, 'base64url'))) throw new AuthError('Invalid credentials. Please try again.');
+  return { username: user.username, name: user.name || user.username };
+};
+
+// OIDC discovery documents and key sets, by issuer
+const issuers = new Map();
+
+const fetchJson = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+};
+
+const issuerKeys = async (issuer, refresh = false) => {
+  if (refresh || !issuers.has(issuer)) {
+    issuers.set(issuer, (async () => {
+      const metadata = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+      if (!metadata.jwks_uri) throw new Error('no jwks_uri in its discovery document');
+      const { keys } = await fetchJson(metadata.jwks_uri);
+      return { metadata, keys: Array.isArray(keys) ? keys : [] };
+    })().catch((err) => {
+      issuers.delete(issuer);
+      throw new AuthError(`Could not reach the sign-in provider (${err.message})`);
+    }));
+  }
+  return issuers.get(issuer);
+};
+
+// Signature checks for the JWS algorithms ID tokens are signed with
+const ALGORITHMS = {
+  RS256: (data, key, signature) => verify('sha256', data, key, signature),
+  ES256: (data, key, signature) => verify('sha256', data, { key, dsaEncoding: 'ieee-p1363' }, signature)
+};
+
+const oidcSignIn = async (provider, { idToken }) => {
+  const [header, payload, signature] = String(idToken ?? '').split('.');
+  let alg;
+  let kid;
+  let claims;
+  try {
+    ({ alg, kid } = decodeJson(header));
+    claims = decodeJson(payload);
+  } catch {
+    throw new AuthError('Sign-in failed: the ID token cannot be read');
+  }
+  if (!ALGORITHMS[alg]) throw new AuthError(`Sign-in failed: ID tokens signed with ${alg} are not supported`);
+
+  // A key the cached set does not have may have just been rotated in
+  const findKey = ({ keys }) => keys.find(k => (!kid || k.kid === kid) && (!k.use || k.use === 'sig'));
+  let issuer = await issuerKeys(provider.issuer);
+  if (!findKey(issuer)) issuer = await issuerKeys(provider.issuer, true);
+  const jwk = findKey(issuer);
+  if (!jwk) throw new AuthError('Sign-in failed: the ID token was signed with an unknown key');
+  let valid = false;
+  try {
+    valid = ALGORITHMS[alg](Buffer.from(`${header}.${payload}`), createPublicKey({ key: jwk, format: 'jwk' }), Buffer.from(signature || '', 'base64url'));
+  } catch {
+    // A key of the wrong type for the algorithm
+  }
+  if (!valid) throw new AuthError('Sign-in failed: the ID token signature is not valid');
+
+  const now = Math.floor(Date.now() / 1000);
+  const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== issuer.metadata.issuer) throw new AuthError('Sign-in failed: ID token from an unexpected issuer');
+  if (!audience.includes(provider.clientId)) throw new AuthError('Sign-in failed: ID token is for another client');
+  if (!(claims.exp + LEEWAY > now)) throw new AuthError('Sign-in failed: ID token has expired');
+  if (claims.nbf && claims.nbf - LEEWAY > now) throw new AuthError('Sign-in failed: ID token is not valid yet');
+  return {
+    username: claims.preferred_username || claims.email || claims.sub,
+    name: claims.name || claims.preferred_username || claims.email || claims.sub
+  };
+};
+
+// Check a sign-in request ({ provider, username, password } or
+// { provider, idToken }); resolves to the identity { provider, username, name }
+export const signIn = async (config, request) => {
+  const provider = config.providers.find(p => p.id === request?.provider);
+  if (!provider) throw new AuthError(`Unknown sign-in provider "${request?.provider}"`);
+  const identity = provider.type === 'local' ? await localSignIn(provider, request) : await oidcSignIn(provider, request);
+  return { provider: provider.id, ...identity };
+};
+
+// The session signing key: SESSION_SECRET, or a random key kept in
+// DATA_DIR/_session.key so sessions survive a restart
+export const loadSessionKey = async (dataDir) => {
+  if (process.env.SESSION_SECRET) return Buffer.from(process.env.SESSION_SECRET);
+  const file = path.join(dataDir, '_session.key');
+  try {
+    return Buffer.from(await readFile(file, 'utf8'), 'base64url');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const key = randomBytes(32);
+  await mkdir(dataDir, { recursive: true });
+  await writeFile(file, key.toString('base64url'), { mode: 0o600, flag: 'wx' }).catch((err) => {
+    if (err.code !== 'EEXIST') throw err;
+  });
+  return Buffer.from(await readFile(file, 'utf8'), 'base64url');
+};
+
+const SESSION_HEADER = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+
+const sign = (key, body) => createHmac('sha256', key).update(body).digest();
+
+// A session token for an identity: { sub, name, provider, iat, exp }
+export const issueSession = (key, identity, minutes) => {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { sub: identity.username, name: identity.name, provider: identity.provider, iat: now, exp: now + Math.round(minutes * 60) };
+  const body = `${SESSION_HEADER}.${base64url(JSON.stringify(claims))}`;
+  return { token: `${body}.${sign(key, body).toString('base64url')}`, claims };
+};
+
+// The claims of a session token this service signed and that has not
+// expired, or null
+export const verifySession = (key, token) => {
+  const [header, payload, signature] = String(token ?? '').split('.');
+  if (header !== SESSION_HEADER || !payload || !signature) return null;
+  if (!sameBytes(sign(key, `${header}.${payload}`), Buffer.from(signature, 'base64url'))) return null;
+  try {
+    const claims = decodeJson(payload);
+    return claims.sub && claims.exp > Date.now() / 1000 ? claims : null;
+  } catch {
+    return null;
+  }
+};
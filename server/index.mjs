@@ -0,0 +1,384 @@
+// ELERA portal service
+// Signs users in (see ./auth.mjs) and keeps a small REST API so a team shares
+// custom items, catalog overrides, deletions, collections and favorites
+// instead of keeping them in each browser's localStorage (the portal side is
+// src/lib/auth.js and src/lib/storage.js). Plain Node with no dependencies;
+// each retailer profile is one JSON file in DATA_DIR.
+//   PORT=8787 DATA_DIR=./server-data node server/index.mjs
+// Routes:
+//   GET /api/auth                                       sign-in providers for the login screen
+//   POST /api/session                                   sign in: { token, session }
+//   GET /api/session                                    the caller's session, with their role
+//   GET /api/users, PUT /api/users/:username { role }   role assignments (roles.assign)
+// and under /api/:profile/ (profile ids as in public/data/profiles.json, other
+// than the names above):
+//   GET items | overrides | deletions | collections     list
+//   PUT items/:id | overrides/:id | collections/:id     create or replace
+//   POST items                                          add a list of items (import)
+//   DELETE items/:id | overrides/:id | collections/:id  remove
+//   PUT | DELETE deletions/:sku                         hide / restore a catalog item
+//   GET favorites/:user, PUT | DELETE favorites/:user/:sku
+// plus GET /api/health. Sessions are sent as Authorization: Bearer <token>,
+// and every profile route needs one: reads are open to any signed-in user,
+// writes need the permission of the caller's role (see src/lib/roles.js), and
+// the session's user is recorded as updatedBy. Favorites are their owner's
+// alone. Browsers may only call the service from its own origin, or from
+// CORS_ORIGIN when the portal is served from another one.
+// Items, overrides and collections carry a version that goes up with every
+// write. A PUT or DELETE sent with X-Base-Version (the version the caller
+// last saw, 0 for a record it believes is new) is refused with 409 and the
+// current record when someone else wrote it in between.
+
+import { createServer } from 'node:http';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { hasPermission, isRole, resolveRole } from '../src/lib/roles.js';
+import { AuthError, accountExists, configuredRole, issueSession, loadAuthConfig, loadSessionKey, publicProviders, signIn, verifySession } from './auth.mjs';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'server-data');
+const AUTH_CONFIG = path.resolve(process.env.AUTH_CONFIG || fileURLToPath(new URL('auth.json', import.meta.url)));
+const CORS_ORIGIN = process.env.CORS_ORIGIN || null;
+const MAX_BODY = 5 * 1024 * 1024;
+
+const PROFILE_ID = /^[a-z0-9-]+$/;
+
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Records are keyed by ids and user names the caller chooses, so they live in
+// objects without a prototype: "__proto__" or "constructor" is just a key
+const keyed = (entries = {}) => Object.assign(Object.create(null), entries);
+
+const toStore = (data = {}) => ({
+  items: keyed(data.items),
+  overrides: keyed(data.overrides),
+  deletions: data.deletions || [],
+  collections: keyed(data.collections),
+  favorites: keyed(data.favorites)
+});
+
+// The deployment's users ({ [username]: { name, provider, lastSignIn, role? } },
+// role being an admin's assignment) share the store code with the profiles.
+// Profile ids cannot start with "_", so its file never clashes with one.
+const USERS = '_users';
+
+const stores = new Map();
+const queues = new Map();
+
+const storeFile = (name) => path.join(DATA_DIR, `${name}.json`);
+
+const fromFile = (name, data) => (name === USERS ? keyed(data) : toStore(data));
+
+const loadStore = (name) => {
+  if (!stores.has(name)) {
+    stores.set(name, readFile(storeFile(name), 'utf8')
+      .then(text => fromFile(name, JSON.parse(text)))
+      .catch((err) => {
+        if (err.code === 'ENOENT') return fromFile(name);
+        stores.delete(name);
+        throw err;
+      }));
+  }
+  return stores.get(name);
+};
+
+// Apply a change to a profile's (or the users') store and write it out.
+// Changes to one store run one at a time; the file is replaced atomically.
+const update = (name, change) => {
+  const run = (queues.get(name) || Promise.resolve()).then(async () => {
+    const store = await loadStore(name);
+    const result = change(store);
+    try {
+      await mkdir(DATA_DIR, { recursive: true });
+      await writeFile(`${storeFile(name)}.tmp`, JSON.stringify(store));
+      await rename(`${storeFile(name)}.tmp`, storeFile(name));
+    } catch (err) {
+      // Re-read the file next time rather than serve unsaved changes
+      stores.delete(name);
+      throw err;
+    }
+    return result;
+  });
+  queues.set(name, run.catch(() => {}));
+  return run;
+};
+
+const validateItem = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) throw new HttpError(400, 'Item must be an object');
+  if (typeof item.name !== 'string' || !item.name.trim()) throw new HttpError(400, 'Item needs a name');
+  if (typeof item.sku !== 'string' || !item.sku.trim()) throw new HttpError(400, 'Item needs a SKU');
+};
+
+const validateCollection = (collection) => {
+  if (!collection || typeof collection !== 'object' || Array.isArray(collection)) throw new HttpError(400, 'Collection must be an object');
+  if (typeof collection.name !== 'string' || !collection.name.trim()) throw new HttpError(400, 'Collection needs a name');
+  if (!Array.isArray(collection.items) || collection.items.some(sku => typeof sku !== 'string')) throw new HttpError(400, 'Collection items must be a list of SKUs');
+};
+
+// Records kept by id, with the validator for their bodies
+const RECORDS = {
+  items: validateItem,
+  overrides: validateItem,
+  collections: validateCollection
+};
+
+// Permission needed to create, replace or remove each kind of record
+const RECORD_PERMISSIONS = {
+  items: { create: 'items.create', replace: 'items.edit', remove: 'items.delete' },
+  overrides: { create: 'items.edit', replace: 'items.edit', remove: 'items.delete' },
+  collections: { create: 'collections.manage', replace: 'collections.manage', remove: 'collections.manage' }
+};
+
+// Refuse a caller whose role holds none of the permissions
+const authorize = (session, ...permissions) => {
+  if (!permissions.some(permission => hasPermission(session.role, permission))) {
+    throw new HttpError(403, `The ${session.role} role is not allowed to do this (needs ${permissions.join(' or ')})`);
+  }
+};
+
+const readBody = async (req) => {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) throw new HttpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Body is not valid JSON');
+  }
+};
+
+const stamp = (record, id, user, previous) => ({ ...record, id, version: (previous?.version || 0) + 1, updatedBy: user, updatedAt: new Date().toISOString() });
+
+// Refuse a write based on an older version of the record than the stored one
+const checkVersion = (req, current) => {
+  const header = req.headers['x-base-version'];
+  if (header === undefined) return;
+  const base = Number(header);
+  if (!Number.isInteger(base) || base < 0) throw new HttpError(400, 'X-Base-Version must be a version number');
+  if (base !== (current?.version || 0)) throw new HttpError(409, 'Changed by someone else', { current: current || null });
+};
+
+const handleRecords = async (req, profile, resource, id, session) => {
+  const validate = RECORDS[resource];
+  const permissions = RECORD_PERMISSIONS[resource];
+  const user = session.sub;
+  if (req.method === 'GET' && !id) return Object.values((await loadStore(profile))[resource]);
+  if (req.method === 'POST' && !id && resource === 'items') {
+    // Importing a collection with its items imports them too
+    authorize(session, 'items.import', 'collections.share');
+    const items = await readBody(req);
+    if (!Array.isArray(items)) throw new HttpError(400, 'Expected a list of items');
+    items.forEach(validateItem);
+    if (items.some(item => typeof item.id !== 'string' || !item.id)) throw new HttpError(400, 'Every imported item needs an id');
+    return update(profile, (store) => items.map((item) => {
+      store.items[item.id] = stamp(item, item.id, user, store.items[item.id]);
+      return store.items[item.id];
+    }));
+  }
+  if (req.method === 'PUT' && id) {
+    const record = await readBody(req);
+    validate(record);
+    return update(profile, (store) => {
+      authorize(session, store[resource][id] ? permissions.replace : permissions.create);
+      checkVersion(req, store[resource][id]);
+      store[resource][id] = stamp(record, id, user, store[resource][id]);
+      return store[resource][id];
+    });
+  }
+  if (req.method === 'DELETE' && id) {
+    authorize(session, permissions.remove);
+    return update(profile, (store) => {
+      if (!store[resource][id]) throw new HttpError(404, `No ${resource} record "${id}"`);
+      checkVersion(req, store[resource][id]);
+      delete store[resource][id];
+      return null;
+    });
+  }
+  throw new HttpError(405, 'Method not allowed');
+};
+
+const handleDeletions = async (req, profile, sku, session) => {
+  if (req.method === 'GET' && !sku) return (await loadStore(profile)).deletions;
+  if (!sku) throw new HttpError(405, 'Method not allowed');
+  authorize(session, 'items.delete');
+  if (req.method === 'PUT') {
+    return update(profile, (store) => {
+      if (!store.deletions.includes(sku)) store.deletions.push(sku);
+      return null;
+    });
+  }
+  if (req.method === 'DELETE') {
+    return update(profile, (store) => {
+      store.deletions = store.deletions.filter(s => s !== sku);
+      return null;
+    });
+  }
+  throw new HttpError(405, 'Method not allowed');
+};
+
+const handleFavorites = async (req, profile, user, sku, session) => {
+  if (!user) throw new HttpError(404, 'Not found');
+  if (user !== session.sub) throw new HttpError(403, 'Favorites belong to their owner');
+  if (req.method === 'GET' && !sku) return (await loadStore(profile)).favorites[user] || [];
+  if (!sku) throw new HttpError(405, 'Method not allowed');
+  if (req.method !== 'PUT' && req.method !== 'DELETE') throw new HttpError(405, 'Method not allowed');
+  return update(profile, (store) => {
+    const favorites = (store.favorites[user] || []).filter(s => s !== sku);
+    store.favorites[user] = req.method === 'PUT' ? [...favorites, sku] : favorites;
+    return null;
+  });
+};
+
+// A user's role: an admin's assignment, the role auth.json gives their
+// account, or the default
+const userRole = (config, users, username, provider) => resolveRole(users[username]?.role, configuredRole(config, provider, username), config.defaultRole);
+
+// The caller's session claims (with their role) from the bearer token;
+// 401 without a valid one, or once the account is gone from auth.json
+const authenticate = async (req) => {
+  const [, token] = (req.headers.authorization || '').match(/^Bearer (\S+)$/) || [];
+  const claims = verifySession(sessionKey, token);
+  const config = await loadAuthConfig(AUTH_CONFIG);
+  if (!token) throw new HttpError(401, 'Sign in to continue');
+  if (!claims || !accountExists(config, claims.provider, claims.sub)) throw new HttpError(401, 'Your session has expired. Please sign in again.');
+  return { ...claims, role: userRole(config, await loadStore(USERS), claims.sub, claims.provider) };
+};
+
+const handleSession = async (req) => {
+  if (req.method === 'GET') return authenticate(req);
+  if (req.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+  const config = await loadAuthConfig(AUTH_CONFIG);
+  const request = await readBody(req);
+  const identity = await signIn(config, request).catch((err) => {
+    throw err instanceof AuthError ? new HttpError(401, err.message) : err;
+  });
+  const { token, claims } = issueSession(sessionKey, identity, config.sessionMinutes);
+  const users = await update(USERS, (store) => {
+    store[claims.sub] = { ...store[claims.sub], name: claims.name, provider: claims.provider, lastSignIn: new Date(claims.iat * 1000).toISOString() };
+    return store;
+  });
+  return { token, session: { ...claims, role: userRole(config, users, claims.sub, claims.provider) } };
+};
+
+// Every local account and everyone who has signed in, for the User Roles
+// screen: { username, name, provider, lastSignIn, role, configRole, effective }
+// where role is the admin's assignment (or null)
+const directory = (config, users) => {
+  const entries = keyed();
+  config.providers.filter(provider => provider.type === 'local').forEach((provider) => {
+    provider.users.forEach((user) => {
+      entries[user.username] = { name: user.name || user.username, provider: provider.id };
+    });
+  });
+  Object.entries(users).forEach(([username, user]) => {
+    entries[username] = { ...entries[username], ...user };
+  });
+  return Object.entries(entries).map(([username, user]) => ({
+    username,
+    name: user.name || username,
+    provider: user.provider || null,
+    lastSignIn: user.lastSignIn || null,
+    role: user.role || null,
+    configRole: configuredRole(config, user.provider, username),
+    effective: userRole(config, users, username, user.provider)
+  }));
+};
+
+// Role assignments, for holders of roles.assign. Nobody changes their own
+// role, and the last admin cannot be demoted, so someone can always assign roles.
+const handleUsers = async (req, username) => {
+  const session = await authenticate(req);
+  authorize(session, 'roles.assign');
+  const config = await loadAuthConfig(AUTH_CONFIG);
+  if (req.method === 'GET' && !username) return { defaultRole: config.defaultRole, users: directory(config, await loadStore(USERS)) };
+  if (req.method !== 'PUT' || !username) throw new HttpError(405, 'Method not allowed');
+  const body = await readBody(req);
+  const role = body?.role ?? null;
+  if (role !== null && !isRole(role)) throw new HttpError(400, `Unknown role "${role}"`);
+  if (username === session.sub) throw new HttpError(403, 'You cannot change your own role');
+  return update(USERS, (users) => {
+    const entry = directory(config, users).find(user => user.username === username);
+    if (!entry) throw new HttpError(404, `No user "${username}"`);
+    const changed = keyed(users);
+    changed[username] = { ...users[username], name: entry.name, provider: entry.provider, role };
+    if (!role) delete changed[username].role;
+    if (!directory(config, changed).some(user => user.effective === 'admin')) throw new HttpError(409, 'The portal needs at least one admin');
+    users[username] = changed[username];
+    return directory(config, users).find(user => user.username === username);
+  });
+};
+
+const route = async (req, url) => {
+  const parts = url.pathname.split('/').filter(Boolean).map((part) => {
+    try {
+      return decodeURIComponent(part);
+    } catch {
+      throw new HttpError(400, 'Malformed URL');
+    }
+  });
+  if (parts[0] !== 'api') throw new HttpError(404, 'Not found');
+  if (parts[1] === 'health' && parts.length === 2) return { ok: true };
+  if (parts[1] === 'auth' && parts.length === 2 && req.method === 'GET') {
+    const config = await loadAuthConfig(AUTH_CONFIG);
+    return { sessionMinutes: config.sessionMinutes, defaultRole: config.defaultRole, providers: publicProviders(config) };
+  }
+  if (parts[1] === 'session' && parts.length === 2) return handleSession(req);
+  if (parts[1] === 'users' && parts.length <= 3) return handleUsers(req, parts[2]);
+  const [, profile, resource, ...rest] = parts;
+  if (!PROFILE_ID.test(profile || '')) throw new HttpError(404, 'Unknown profile');
+  const session = await authenticate(req);
+  if (Object.hasOwn(RECORDS, resource) && rest.length <= 1) return handleRecords(req, profile, resource, rest[0], session);
+  if (resource === 'deletions' && rest.length <= 1) return handleDeletions(req, profile, rest[0], session);
+  if (resource === 'favorites' && rest.length >= 1 && rest.length <= 2) return handleFavorites(req, profile, rest[0], rest[1], session);
+  throw new HttpError(404, 'Not found');
+};
+
+// Without CORS_ORIGIN no CORS headers are sent, so only pages on the service's
+// own origin (the portal behind the same proxy) can call it
+const CORS_HEADERS = CORS_ORIGIN ? {
+  'Access-Control-Allow-Origin': CORS_ORIGIN,
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Base-Version',
+  Vary: 'Origin'
+} : {};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    ...CORS_HEADERS,
+    'Cache-Control': 'no-store',
+    ...(body === undefined ? {} : { 'Content-Type': 'application/json' })
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+// Refuse to start with a missing or broken auth.json rather than fail every sign-in
+try {
+  await loadAuthConfig(AUTH_CONFIG);
+} catch (err) {
+  console.error(`Cannot load the sign-in settings: ${err.message}`);
+  process.exit(1);
+}
+const sessionKey = await loadSessionKey(DATA_DIR);
+
+createServer((req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  route(req, new URL(req.url, 'http://localhost'))
+    .then(result => (result === null ? send(res, 204) : send(res, 200, result)))
+    .catch((err) => {
+      if (!(err instanceof HttpError)) console.error(err);
+      send(res, err.status || 500, err instanceof HttpError ? { error: err.message, ...err.details } : { error: 'Internal error' });
+    });
+}).listen(PORT, () => {
+  console.log(`Portal service on http://localhost:${PORT}/api/ (data in ${DATA_DIR}, sign-in settings in ${AUTH_CONFIG})`);
+});
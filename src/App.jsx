@@ -1,4 +1,26 @@
-import React, { useState, useEffect, useRef, createContext, useContext } from 'react';
+import React, { useState, useEffect, useMemo, useRef, createContext, useContext } from 'react';
+import { createPortal } from 'react-dom';
+import { encodeLinear } from './lib/linear';
+import { getBwip, loadBwip } from './lib/bwip';
+import { analyzeGtin, isValidGtin, normalizeGtin } from './lib/gtin';
+import { resolveGtin14 } from './lib/upcEan';
+import { formatPromoDate, parseValidity, validityStatus } from './lib/validity';
+import { evaluateEligibility, matchingAccounts } from './lib/eligibility';
+import { computeReceipt, formatMoney } from './lib/promotions';
+import { addTest, cloneTest, createScanbook, deleteTest, exportScanbook, moveTest, parseScanbookJson, scenarioItem, updateScanbook, updateTest } from './lib/scanbooks';
+import { getDatasets, loadDatasets } from './lib/datasets';
+import { loadProfiles, profileKey, setActiveProfile } from './lib/profiles';
+import { assignUserRole, completeRedirect, createSession, endSession, isSessionKey, listUsers, loadAuthConfig, readSession } from './lib/auth';
+import { PERMISSIONS, ROLES, hasPermission, resolveRole, roleName } from './lib/roles';
+import { applyOperation, getStorage, loadStorageConfig, readLocalState, selectStorage } from './lib/storage';
+import { DEFAULT_X_DIMENSION, X_DIMENSIONS, bookletToPdf, bookletToSvg, buildBooklet } from './lib/booklet';
+import { MAX_COPIES, activeBatch, addBatch, addToBatch, batchLabelCount, clearBatch, createPrintQueue, deleteBatch, moveInBatch, removeFromBatch, renameBatch, selectBatch, setCopies } from './lib/printBatches';
+import { DEFAULT_THERMAL_SETTINGS, THERMAL_LANGUAGES, buildThermalJob, describeJob, itemSymbology, mappedSymbology, sendThermalJob } from './lib/thermal';
+import { DEFAULT_LAYOUT, LABEL_FIELDS, LABEL_TEMPLATES, PAGE_SIZES, UNITS, convertLayout, layoutSheets, sheetGeometry, templateLayout, validateLayout } from './lib/labels';
+import { reportFileName, reportSummary, runToCsv, runToJUnit } from './lib/reports';
+import { RESULT_STATUSES, createRun, finishRun, scenarioChecks, scenarioOutcome, summarizeRun, updateCheck, updateScenario } from './lib/runs';
+import { GS, buildElementString, complianceStatus, getAi, parseElementString, resolveElements, toBwipFnc, toGs1Date, weightElement } from './lib/gs1';
+import { createSearchIndex, searchIndex } from './lib/search';
 
 // Print Styles
 const printStyles = `
@@ -21,6 +43,15 @@ const printStyles = `
   .print\\:break-inside-avoid {
     break-inside: avoid;
   }
+  body.printing-labels > :not(.label-print) {
+    display: none !important;
+  }
+  body.printing-labels .label-print, body.printing-labels .label-print * {
+    visibility: visible;
+  }
+  .label-sheet {
+    break-after: page;
+  }
 }
 `;
 
@@ -31,6 +62,9 @@ if (typeof document !== 'undefined') {
   document.head.appendChild(styleEl);
 }
 
+// Prices in the active profile's currency and locale (see lib/datasets)
+const formatPrice = (amount) => formatMoney(amount, getDatasets()?.money);
+
 // Dark Mode Context
 const DarkModeContext = createContext();
 
@@ -105,1270 +139,427 @@ const DarkModeToggle = () => {
   );
 };
 
-// Barcode component using canvas (1D linear barcode)
-const Barcode = ({ value, height = 60 }) => {
+// Barcode component using canvas (UPC-A / EAN-13 / EAN-8 / UPC-E / Code 39 / ITF-14)
+// Values no linear symbology accepts (PLUs, alphanumeric SKUs) fall back to Code 128
+const Barcode = ({ value, type, height = 60 }) => {
   const canvasRef = useRef(null);
-  
+  const symbol = encodeLinear(value, type);
+
   useEffect(() => {
-    if (!canvasRef.current || !value) return;
+    if (!canvasRef.current || !symbol) return;
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
-    
-    const code = String(value).replace(/[^0-9]/g, '');
-    const barWidth = 2;
-    const width = code.length * 11 * barWidth + 40;
+
+    const moduleWidth = 2;
+    const textHeight = 16;
+    const [quietLeft, quietRight] = symbol.quietZone;
+    const width = (quietLeft + symbol.modules.length + quietRight) * moduleWidth;
     canvas.width = width;
-    canvas.height = height + 20;
-    
+    canvas.height = height + textHeight;
+
     ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, width, height + 20);
+    ctx.fillRect(0, 0, width, height + textHeight);
     ctx.fillStyle = '#000000';
-    
-    let x = 20;
-    const patterns = {
-      '0': '1110010', '1': '1100110', '2': '1101100', '3': '1000010',
-      '4': '1011100', '5': '1001110', '6': '1010000', '7': '1000100',
-      '8': '1001000', '9': '1110100'
-    };
-    
-    ctx.fillRect(x, 0, barWidth, height); x += barWidth * 2;
-    ctx.fillRect(x, 0, barWidth, height); x += barWidth * 2;
-    
-    for (const digit of code) {
-      const pattern = patterns[digit] || patterns['0'];
-      for (const bit of pattern) {
-        if (bit === '1') ctx.fillRect(x, 0, barWidth, height);
-        x += barWidth;
-      }
-      x += barWidth;
+
+    // Guard bars extend down into the text row
+    const isGuard = (i) => symbol.guards.some(([start, end]) => i >= start && i < end);
+    for (let i = 0; i < symbol.modules.length; i++) {
+      if (symbol.modules[i] !== '1') continue;
+      const barHeight = isGuard(i) ? height + textHeight / 2 : height;
+      ctx.fillRect((quietLeft + i) * moduleWidth, 0, moduleWidth, barHeight);
     }
-    
-    ctx.fillRect(x, 0, barWidth, height); x += barWidth * 2;
-    ctx.fillRect(x, 0, barWidth, height);
-    
-    ctx.font = '12px monospace';
+
+    // ITF-14 bearer bars frame the symbol
+    if (symbol.bearer) {
+      const bearer = moduleWidth * 2;
+      ctx.fillRect(0, 0, width, bearer);
+      ctx.fillRect(0, height - bearer, width, bearer);
+      ctx.fillRect(0, 0, bearer, height);
+      ctx.fillRect(width - bearer, 0, bearer, height);
+    }
+
+    ctx.font = '14px monospace';
     ctx.textAlign = 'center';
-    ctx.fillText(value, width / 2, height + 15);
-  }, [value, height]);
-  
-  return <canvas ref={canvasRef} style={{ maxWidth: '100%' }} />;
+    ctx.textBaseline = 'bottom';
+    for (const { text, x } of symbol.text) {
+      ctx.fillText(text, (quietLeft + x) * moduleWidth, height + textHeight);
+    }
+  }, [symbol?.symbology, symbol?.digits, height]);
+
+  if (!symbol) return <Code128Barcode value={String(value ?? '')} height={height} />;
+
+  return <canvas ref={canvasRef} style={{ maxWidth: '100%' }} title={`${symbol.symbology} ${symbol.digits}`} />;
 };
 
-// GS1 DataMatrix 2D barcode component using bwip-js
-const DataMatrixBarcode = ({ value, gs1Data, size = 150 }) => {
+// Shared bwip-js canvas renderer
+// Loads the bundled engine once (see lib/bwip) and draws the first option set
+// that encodes; later sets are fallbacks. The canvas stays mounted while
+// loading or after an error so a changed value can still be drawn.
+const useBwipCanvas = (attempts) => {
   const canvasRef = useRef(null);
-  const [loaded, setLoaded] = useState(false);
+  const [bwipjs, setBwipjs] = useState(() => getBwip());
   const [error, setError] = useState(false);
+  const attemptsKey = JSON.stringify(attempts);
 
   useEffect(() => {
-    // Load bwip-js from CDN if not already loaded
-    if (!window.bwipjs) {
-      const script = document.createElement('script');
-      script.src = 'https://cdnjs.cloudflare.com/ajax/libs/bwip-js/4.1.2/bwip-js.min.js';
-      script.onload = () => setLoaded(true);
-      script.onerror = () => setError(true);
-      document.head.appendChild(script);
-    } else {
-      setLoaded(true);
-    }
-  }, []);
+    if (bwipjs) return;
+    let cancelled = false;
+    loadBwip()
+      .then(engine => { if (!cancelled) setBwipjs(engine); })
+      .catch(err => {
+        console.error('Failed to load barcode engine:', err);
+        if (!cancelled) setError(true);
+      });
+    return () => { cancelled = true; };
+  }, [bwipjs]);
 
   useEffect(() => {
-    if (!loaded || !canvasRef.current || !window.bwipjs) return;
-    
-    try {
-      // Format GS1 data - bwip-js expects the data without parentheses for encoding
-      // but with FNC1 separators. The parentheses format works with parse option.
-      const barcodeData = gs1Data || `(01)${value}`;
-      
-      window.bwipjs.toCanvas(canvasRef.current, {
-        bcid: 'datamatrix',
-        text: barcodeData,
-        scale: 4,
-        padding: 5,
-        parsefnc: true,
-      });
-      setError(false);
-    } catch (e) {
-      console.error('Barcode generation error:', e);
-      // Try simpler datamatrix without GS1 formatting
+    if (!bwipjs || !canvasRef.current) return;
+    for (const options of attempts) {
       try {
-        const simpleData = value.replace(/[^0-9]/g, '');
-        window.bwipjs.toCanvas(canvasRef.current, {
-          bcid: 'datamatrix',
-          text: simpleData,
-          scale: 4,
-          padding: 5,
-        });
+        bwipjs.toCanvas(canvasRef.current, options);
         setError(false);
-      } catch (e2) {
-        console.error('Fallback barcode error:', e2);
-        setError(true);
+        return;
+      } catch (e) {
+        console.error(`${options.bcid} barcode error:`, e);
       }
     }
-  }, [loaded, value, gs1Data, size]);
+    setError(true);
+  }, [bwipjs, attemptsKey]);
 
-  if (error) {
-    return (
-      <div className="flex flex-col items-center justify-center p-4 bg-purple-50 dark:bg-purple-900/30 rounded-lg border-2 border-dashed border-purple-300 dark:border-purple-700" style={{ width: 140, minHeight: 140 }}>
-        <span className="text-3xl mb-2">📊</span>
-        <span className="text-xs font-semibold text-purple-700 dark:text-purple-300 text-center">GS1 2D DataMatrix</span>
-        <span className="text-xs font-mono text-purple-600 dark:text-purple-400 mt-1 text-center break-all px-2">{value}</span>
-      </div>
-    );
-  }
+  return { canvasRef, loaded: !!bwipjs, error };
+};
 
-  if (!loaded) {
-    return (
-      <div className="flex items-center justify-center bg-slate-100 dark:bg-slate-700 rounded-lg animate-pulse" style={{ width: 140, height: 140 }}>
+// Canvas plus the loading / fallback placeholders shared by the bwip-js components
+const BwipCanvas = ({ canvasRef, loaded, error, fallback, loadingStyle }) => (
+  <div className="flex flex-col items-center">
+    {error ? fallback : !loaded && (
+      <div className="flex items-center justify-center bg-slate-100 dark:bg-slate-700 rounded-lg animate-pulse" style={loadingStyle}>
         <span className="text-slate-400 dark:text-slate-500 text-sm">Loading...</span>
       </div>
-    );
-  }
+    )}
+    <canvas ref={canvasRef} className={loaded && !error ? '' : 'hidden'} style={{ maxWidth: '100%' }} />
+  </div>
+);
+
+// GS1 DataMatrix 2D barcode component using bwip-js
+// gs1Data is the raw element string (see src/lib/gs1.js); its GS separators
+// become FNC1. Items saved before raw strings existed hold the parenthesized
+// form, which bwip-js parses itself. Without either, a GTIN value is carried in
+// AI (01); anything else (and any encoding failure) falls back to a plain
+// DataMatrix of the digits.
+const DataMatrixBarcode = ({ value, gs1Data, size = 150 }) => {
+  const gtin = resolveGtin14(value);
+  const gs1 = gs1Data || (gtin ? `01${gtin}` : null);
+  const plain = { bcid: 'datamatrix', text: String(value).replace(/[^0-9]/g, ''), scale: 4, padding: 5 };
+  const barcode = useBwipCanvas(!gs1 ? [plain] : [
+    gs1.startsWith('(')
+      ? { bcid: 'gs1datamatrix', text: gs1, scale: 4, padding: 5 }
+      : { bcid: 'datamatrix', text: toBwipFnc(gs1), scale: 4, padding: 5, parsefnc: true },
+    plain
+  ]);
 
   return (
-    <div className="flex flex-col items-center">
-      <canvas ref={canvasRef} style={{ maxWidth: '100%' }} />
-    </div>
+    <BwipCanvas
+      {...barcode}
+      loadingStyle={{ width: 140, height: 140 }}
+      fallback={
+        <div className="flex flex-col items-center justify-center p-4 bg-purple-50 dark:bg-purple-900/30 rounded-lg border-2 border-dashed border-purple-300 dark:border-purple-700" style={{ width: 140, minHeight: 140 }}>
+          <span className="text-3xl mb-2">📊</span>
+          <span className="text-xs font-semibold text-purple-700 dark:text-purple-300 text-center">GS1 2D DataMatrix</span>
+          <span className="text-xs font-mono text-purple-600 dark:text-purple-400 mt-1 text-center break-all px-2">{value}</span>
+        </div>
+      }
+    />
   );
 };
 
 // Code 128 barcode component for alphanumeric codes (like Rx prescriptions)
-const Code128Barcode = ({ value, height = 60 }) => {
-  const canvasRef = useRef(null);
-  const [loaded, setLoaded] = useState(false);
-  const [error, setError] = useState(false);
+// With gs1 set, value is a parenthesized element string encoded as GS1-128
+const Code128Barcode = ({ value, gs1 = false, height = 60 }) => {
+  const barcode = useBwipCanvas([{
+    bcid: gs1 ? 'gs1-128' : 'code128',
+    text: value,
+    scale: 2,
+    height: 12,
+    includetext: true,
+    textxalign: 'center',
+    textsize: 10,
+    padding: 5,
+  }]);
 
-  useEffect(() => {
-    if (!window.bwipjs) {
-      const script = document.createElement('script');
-      script.src = 'https://cdnjs.cloudflare.com/ajax/libs/bwip-js/4.1.2/bwip-js.min.js';
-      script.onload = () => setLoaded(true);
-      script.onerror = () => setError(true);
-      document.head.appendChild(script);
-    } else {
-      setLoaded(true);
-    }
-  }, []);
+  return (
+    <BwipCanvas
+      {...barcode}
+      loadingStyle={{ width: 150, height: 80 }}
+      fallback={
+        <div className="flex flex-col items-center justify-center p-4 bg-indigo-50 dark:bg-indigo-900/30 rounded-lg border-2 border-dashed border-indigo-300 dark:border-indigo-700" style={{ minWidth: 150 }}>
+          <span className="text-2xl mb-1">📋</span>
+          <span className="text-xs font-semibold text-indigo-700 dark:text-indigo-300">{gs1 ? 'GS1-128' : 'Code 128'}</span>
+          <span className="text-xs font-mono text-indigo-600 dark:text-indigo-400 mt-1">{value}</span>
+        </div>
+      }
+    />
+  );
+};
 
-  useEffect(() => {
-    if (!loaded || !canvasRef.current || !window.bwipjs) return;
-    
-    try {
-      window.bwipjs.toCanvas(canvasRef.current, {
-        bcid: 'code128',
-        text: value,
-        scale: 2,
-        height: 12,
-        includetext: true,
-        textxalign: 'center',
-        textsize: 10,
-        padding: 5,
-      });
-      setError(false);
-    } catch (e) {
-      console.error('Code128 barcode error:', e);
-      setError(true);
-    }
-  }, [loaded, value, height]);
+// QR Code component using bwip-js
+// With gs1Data set (parenthesized element string), encodes a GS1 QR Code
+const QRBarcode = ({ value, gs1Data, size = 150 }) => {
+  const barcode = useBwipCanvas([{
+    bcid: gs1Data ? 'gs1qrcode' : 'qrcode',
+    text: gs1Data || value,
+    scale: 3,
+    padding: 4,
+  }]);
 
-  if (error) {
-    return (
-      <div className="flex flex-col items-center justify-center p-4 bg-indigo-50 dark:bg-indigo-900/30 rounded-lg border-2 border-dashed border-indigo-300 dark:border-indigo-700" style={{ minWidth: 150 }}>
-        <span className="text-2xl mb-1">📋</span>
-        <span className="text-xs font-semibold text-indigo-700 dark:text-indigo-300">Code 128</span>
-        <span className="text-xs font-mono text-indigo-600 dark:text-indigo-400 mt-1">{value}</span>
-      </div>
-    );
-  }
+  return (
+    <BwipCanvas
+      {...barcode}
+      loadingStyle={{ width: size, height: size }}
+      fallback={
+        <div className="flex flex-col items-center justify-center p-4 bg-purple-50 dark:bg-purple-900/30 rounded-lg border-2 border-dashed border-purple-300 dark:border-purple-700" style={{ width: size, minHeight: size }}>
+          <span className="text-3xl mb-2">🔳</span>
+          <span className="text-xs font-semibold text-purple-700 dark:text-purple-300 text-center">{gs1Data ? 'GS1 QR Code' : 'QR Code'}</span>
+          <span className="text-xs font-mono text-purple-600 dark:text-purple-400 mt-1 text-center break-all px-2">{gs1Data || value}</span>
+        </div>
+      }
+    />
+  );
+};
 
-  if (!loaded) {
-    return (
-      <div className="flex items-center justify-center bg-slate-100 dark:bg-slate-700 rounded-lg animate-pulse" style={{ width: 150, height: 80 }}>
-        <span className="text-slate-400 dark:text-slate-500 text-sm">Loading...</span>
-      </div>
-    );
-  }
+// PDF417 stacked barcode component using bwip-js
+const PDF417Barcode = ({ value, height = 60 }) => {
+  const barcode = useBwipCanvas([{
+    bcid: 'pdf417',
+    text: value,
+    scale: 2,
+    columns: 2,
+    padding: 5,
+  }]);
 
   return (
-    <div className="flex flex-col items-center">
-      <canvas ref={canvasRef} style={{ maxWidth: '100%' }} />
-    </div>
+    <BwipCanvas
+      {...barcode}
+      loadingStyle={{ width: 150, height: height + 20 }}
+      fallback={
+        <div className="flex flex-col items-center justify-center p-4 bg-indigo-50 dark:bg-indigo-900/30 rounded-lg border-2 border-dashed border-indigo-300 dark:border-indigo-700" style={{ minWidth: 150, minHeight: height }}>
+          <span className="text-2xl mb-1">📋</span>
+          <span className="text-xs font-semibold text-indigo-700 dark:text-indigo-300">PDF417</span>
+          <span className="text-xs font-mono text-indigo-600 dark:text-indigo-400 mt-1">{value}</span>
+        </div>
+      }
+    />
   );
 };
 
-// Grocery Scanbook Data
-const groceryData = {
-  title: "Grocery and General Merchandise POS Test Script",
-  loyaltyAccounts: [
-    { name: "Leo Anders", email: "leo.anders@yemail.com", phone: "(919) 555-2222", address: "1457 Oak Grove Lane, Cary, NC" },
-    { name: "Anna Schmidt", email: "anna.schmidt@myemail.com", phone: "(919) 555-1111", address: "1746 Willow Creek Road" },
-    { name: "Elana Rossi", email: "e.rossi@myemail.com", phone: "(919) 555-3333", address: "3892 Pine Meadow Drive" },
-    { name: "John Smith", email: "laura.hernandez@myemail.com", phone: "(919) 555-4444", address: "3050 Elmwood Drive" }
-  ],
-  tests: [
-    { id: 1, name: "Basic Transaction", type: "AMOUNT_OFF", promotion: "Tiered Promo Fresca", valid: "Jul 23, 2025 - Jul 30, 2099", discount: "Buy 1-4 Save $0.05; Buy 5-9 Save $0.10; Buy 10+ Save $0.15", steps: "Scan Campbell's HR Cream of Mushroom, Spaghetti Sauce, Fresca. Complete cash payment.", notes: null, items: [{ name: "Campbell's HR Cream of Mushroom", sku: "5100006007", barcode: "05100006007" }, { name: "Spaghetti Sauce", sku: "3620001375", barcode: "03620001375" }, { name: "Fresca", sku: "4900005028", barcode: "04900005028" }] },
-    { id: 2, name: "Age Verification", type: "PERCENT_OFF", promotion: "10% Off 4+ Vinos", valid: "Jul 23, 2025 - Jul 30, 2099", discount: "10% OFF when buying 4+ bottles", steps: "Scan Wine bottles, verify ID check prompt appears (21+).", notes: "Age: 21+", items: [{ name: "Casa Donoso Carmenere 2023", sku: "7804309004249", barcode: "7804309004249" }, { name: "Red Wine", sku: "9705400233", barcode: "897054002339" }, { name: "White Wine", sku: "8858600636", barcode: "088586006364" }] },
-    { id: 3, name: "Weight Entry", type: "PERCENT_OFF", promotion: "Promo Frutas y Verduras 30% cliente Diamante", valid: "Jul 23, 2025 - Jul 30, 2099", discount: "30% OFF for Diamond Customers", steps: "Scan Bananas (4011), verify scale prompt for weight entry.", notes: "Days: Tuesday, Wednesday only • Segment: Diamond Customers", items: [{ name: "Bananas / Platanos (PLU)", sku: "4011", barcode: "4011" }] },
-    { id: 4, name: "BOGO Promotion", type: "PERCENT_OFF / FINAL_PRICE", promotion: "BOGO 50% Ibuprofen / BOGO Gratis Chocolate", valid: "Jul 23, 2025 - Jul 30, 2099", discount: "50% OFF second item / Buy One Get One Free", steps: "Scan 2x Pocky Chocolate, verify BOGO discount applies.", notes: null, items: [{ name: "Pocky Chocolate", sku: "7314111081", barcode: "07314111081" }, { name: "Pocky Chocolate", sku: "7314115233", barcode: "073141152334" }, { name: "Ibuprofen tablets 200mg", sku: "5042830876", barcode: "050428308769" }] },
-    { id: 5, name: "Multi-Buy Deal", type: "AMOUNT_OFF", promotion: "Buy 3 Candy Bars, Save $1", valid: "Jul 23, 2025 - Jul 30, 2099", discount: "$1 OFF when buying 3 candy bars", steps: "Scan 3x Candy Bars, verify $1 savings combo price.", notes: null, items: [{ name: "Mounds Bar", sku: "3400000031", barcode: "03403109" }, { name: "Reese's Peanut Butter Cups", sku: "3400000480", barcode: "03448005" }, { name: "PayDay King Size", sku: "1070080727", barcode: "010700807274" }, { name: "Hershey's King Milk Chocolate", sku: "3400000220", barcode: "03422007" }, { name: "Hershey's Milk Chocolate Bar", sku: "3400000240", barcode: "034000002405" }] },
-    { id: 6, name: "Loyalty Points", type: "POINTS", promotion: "Loyalty Points Program", valid: "Jul 23, 2025 - Jul 30, 2099", discount: "Earn 500 Loyalty Points on qualifying purchases", steps: "Scan Coffee with loyalty card, verify 500 points earned.", notes: "Points: 500 points per purchase", items: [{ name: "Coffee Beans", sku: "79849310320", barcode: "79849310320" }, { name: "365 Coffee Pleasant Morning Buzz", sku: "9948243520", barcode: "099482435202" }] },
-    { id: 7, name: "Quantity Entry", type: "QTY_REQUIRED", promotion: "Produce Quantity Item", valid: "Jul 23, 2025 - Jul 30, 2099", discount: "Enter quantity at prompt", steps: "Scan Lemons (4033), verify quantity prompt appears.", notes: "Quantity entry required", items: [{ name: "Lemons / Limon (PLU)", sku: "4033", barcode: "4033" }, { name: "Lime (PLU)", sku: "4048", barcode: "4048" }] },
-    { id: 8, name: "Continuity Promotion", type: "CONTINUITY / FREE_ITEM", promotion: "Continuity: Buy 10, Get 1 Free", valid: "Jul 23, 2025 - Jul 30, 2099", discount: "Buy 10 over multiple visits, get 11th FREE", steps: "Buy 10 coffees over multiple visits, get 1 FREE. Scan Coffee items with loyalty card.", notes: "Loyalty card required to track visits • Progress tracked across transactions", items: [{ name: "365 Coffee Pleasant Morning Buzz", sku: "9948243520", barcode: "099482435202" }, { name: "Coffee Beans", sku: "79849310320", barcode: "79849310320" }, { name: "Frederik's MI Cherry Ground Coffee", sku: "76023614994", barcode: "760236149941" }, { name: "Frederik's Mackinac Island Fudge", sku: "76023615016", barcode: "760236150169" }] }
-  ]
+// Item barcode: renders the symbol named by the item's barcodeType
+const ItemBarcode = ({ item: baseItem, height = 40, size = 80 }) => {
+  const item = withGs1Strings(baseItem);
+  const value = item.barcode || item.sku;
+  const gtin = resolveGtin14(item.gtin || value);
+  const gs1Hri = item.gs1Display || (gtin ? `(01)${gtin}` : null);
+
+  switch (item.barcodeType) {
+    case 'GS1 2D':
+      return <DataMatrixBarcode value={item.gtin || value} gs1Data={item.gs1String} size={size} />;
+    case 'GS1 QR':
+      return <QRBarcode value={value} gs1Data={gs1Hri} size={size} />;
+    case 'GS1-128':
+      return gs1Hri ? <Code128Barcode value={gs1Hri} gs1 height={height} /> : <Code128Barcode value={value} height={height} />;
+    case 'Code 128':
+      return <Code128Barcode value={value} height={height} />;
+    case 'QR':
+      return <QRBarcode value={value} size={size} />;
+    case 'PDF417':
+      return <PDF417Barcode value={value} height={height} />;
+    default:
+      return <Barcode value={value} type={item.barcodeType} height={height} />;
+  }
 };
 
-// Convenience / Fuel Scanbook Data
-const convenienceData = {
-  title: "Convenience and Fuel POS Test Script",
-  loyaltyAccounts: groceryData.loyaltyAccounts,
-  tests: [
-    { id: 1, name: "Bundle Meal Deal", type: "BUNDLE_PRICE", promotion: "Spaghetti Night $5 Meal Deal", valid: "Jul 23, 2025 - Jul 30, 2099", discount: "$5 Bundle Price for all 3 items", steps: "Scan Spaghetti Noodles, Spaghetti Sauce, and Parmesan Cheese. Verify bundle price of $5 applies.", notes: null, items: [{ name: "Spaghetti Noodles", sku: "2920090794", barcode: "02920090794" }, { name: "Spaghetti Sauce", sku: "3620001375", barcode: "03620001375" }, { name: "Parmesan Cheese", sku: "2100061531", barcode: "02100061531" }] },
-    { id: 2, name: "King Size Candy Deal", type: "PERCENT_OFF", promotion: "2KingSizePB", valid: "Sep 12, 2025 - Sep 19, 2099", discount: "20% OFF when buying 2", steps: "Scan 2x King Size Reese's Peanut Butter Cups. Verify 20% discount applies to both items.", notes: null, items: [{ name: "King Size Reese's PB Cups", sku: "3400000480", barcode: "03400000480" }] },
-    { id: 3, name: "Clearance Sale", type: "FINAL_PRICE", promotion: "PayDayKingCloseout", valid: "Sep 12, 2025 - Sep 19, 2099", discount: "Final Price: $0.50", steps: "Scan PayDay King Size candy bar. Verify clearance price of $0.50 applies regardless of original price.", notes: null, items: [{ name: "PayDay King Size", sku: "1070080727", barcode: "01070080727" }] },
-    { id: 4, name: "Cross-Category Deal", type: "PERCENT_OFF", promotion: "Buy 2 Dove Products Get 50% Off Razors", valid: "Jul 31, 2025 - Aug 7, 2099", discount: "50% OFF Razors", steps: "Scan 2 Dove products (Body Wash or Soap), then scan Razor pack. Verify 50% discount on razors.", notes: "Requires 2 Dove products to trigger discount on razors", items: [{ name: "Dove Body Wash", sku: "1111101845", barcode: "01111101845" }, { name: "Dove Soap Bar", sku: "7940061203", barcode: "07940061203" }, { name: "Razor Pack", sku: "88867009863", barcode: "88867009863" }] },
-    { id: 5, name: "S'mores Bundle", type: "AMOUNT_OFF", promotion: "Save $1 On Smores Ingredients", valid: "Jul 31, 2025 - Aug 7, 2099", discount: "$1 OFF when buying all 3 items", steps: "Scan Chocolate Bars, Graham Crackers, and Marshmallows. Verify $1 discount applies to basket.", notes: "All 3 items required to trigger discount", items: [{ name: "Hershey's Chocolate Bars", sku: "3400029005", barcode: "03400029005" }, { name: "Graham Crackers", sku: "4400000463", barcode: "04400000463" }, { name: "Marshmallows", sku: "60069900328", barcode: "60069900328" }] },
-    { id: 6, name: "Toys Threshold Deal", type: "AMOUNT_OFF", promotion: "Spend $50 on Toys Save $15 on Plush", valid: "Oct 23, 2025 - Oct 30, 2025", discount: "$15 OFF Plush toys", steps: "Add $50+ of toy items to cart, then scan Plush toy. Verify $15 discount applies to plush item.", notes: "Must spend $50 on toys before plush discount triggers", items: [{ name: "Toy Item 1", sku: "195464719176", barcode: "195464719176" }, { name: "Toy Item 2", sku: "195464731161", barcode: "195464731161" }, { name: "Plush Toy", sku: "19190845753", barcode: "19190845753" }] },
-    { id: 7, name: "Closeout Sale", type: "PERCENT_OFF", promotion: "MixedNutCloseout", valid: "Oct 22, 2025 - Oct 24, 2025", discount: "50% OFF (Clearance)", steps: "Scan Mixed Nuts can. Verify 50% clearance discount applies automatically.", notes: "Limited time closeout - 3 days only", items: [{ name: "Mixed Nuts Can", sku: "2900001665", barcode: "02900001665" }] },
-    { id: 8, name: "Loyalty Segment Deal", type: "AMOUNT_OFF", promotion: "Customer Segment Promotion", valid: "Dec 1, 2025 - Dec 9, 2042", discount: "$3 OFF per item", steps: "Scan loyalty card (must be in target segment), then scan CeraVe product. Verify $3 discount per item.", notes: "Requires customer to be in specific loyalty segment", items: [{ name: "CeraVe Moisturizing Cream", sku: "3606000537750", barcode: "3606000537750" }] }
-  ]
+// User-authored scanbooks (see src/lib/scanbooks.js)
+const loadScanbooks = () => {
+  const saved = localStorage.getItem(profileKey('scanbooks'));
+  return saved ? JSON.parse(saved) : [];
 };
 
-// Pharmacy Section Data with nested categories and promotions
-const pharmacyData = {
-  title: "Pharmacy",
-  categories: [
-    {
-      id: "pharmacy",
-      name: "Pharmacy",
-      icon: "💊",
-      items: [
-        { name: "Allergy Cetirizine Hydrochloride", sku: "31191716320", uom: "EA" },
-        { name: "Bacitracin", sku: "5042835827", uom: "EA" },
-        { name: "Calcium/D3 600mg", sku: "5042834903", uom: "EA" },
-        { name: "Famotidine Complete Berry 50 ct", sku: "71373364851", uom: "EA" },
-        { name: "Ibuprofen tablets 200mg", sku: "5042830876", uom: "EA" },
-        { name: "NB Hair, Skin, Nails Gummies", sku: "7431253545", uom: "EA" },
-        { name: "Neutrogena Sun SPF 55 3 pack", sku: "88517181403", uom: "EA" },
-        { name: "Sudafed", sku: "90003000000", uom: "EA" }
-      ]
-    },
-    {
-      id: "beauty",
-      name: "Beauty / Personal Care",
-      icon: "✨",
-      items: [
-        { name: "CeraVe Foaming Facial Cleanser", sku: "3606000537750", uom: "EACH" },
-        { name: "Cinnamon Crest", sku: "3700042729", uom: "EA" },
-        { name: "Colgate Optic White Toothpaste", sku: "3500045836", uom: "EA" },
-        { name: "Colgate Optic White Toothpaste Icy Fresh", sku: "3500097159", uom: "EA" },
-        { name: "Crest Gum Detoxify Toothpaste", sku: "3700075421", uom: "EA" },
-        { name: "Dove Mens Bar", sku: "1111101845", uom: "EA" },
-        { name: "Dove Mens Shampoo/Conditioner", sku: "7940061203", uom: "EA" },
-        { name: "GUM Toothbrush", sku: "7094212310", uom: "EA" },
-        { name: "Glowing Vitamin C Sheet Mask", sku: "10266", uom: "EA" },
-        { name: "Rejuv Niacinamide Sheet Mask", sku: "10271", uom: "EA" },
-        { name: "SS 3 piece Nail Files", sku: "71789710131", uom: "EA" },
-        { name: "SS Hand Lotion Peppermint", sku: "71789710033", uom: "EA" },
-        { name: "SS Hand Lotion Winter Berry", sku: "71789710032", uom: "EA" },
-        { name: "SS Lip Balm Sugar Cookie", sku: "71789710037", uom: "EA" },
-        { name: "Speed Stick", sku: "2220000490", uom: "EA" },
-        { name: "Toms Luminous White", sku: "7732647014", uom: "EA" },
-        { name: "Toms Unscented Deoderant", sku: "7732661425", uom: "EA" },
-        { name: "Triple Blade Razors", sku: "88867009863", uom: "EA" }
-      ]
-    }
-  ]
+// Attach the raw and HRI element strings, validation errors and compliance
+// status built from an item's AIs. Relative dates resolve against today, so
+// this runs at render time instead of being cached on the data.
+const withGs1Strings = (item) => {
+  if (!item.gs1Elements) return item;
+  const elements = resolveElements(item.gs1Elements);
+  const { raw, hri, errors } = buildElementString(elements);
+  return { ...item, gs1String: raw, gs1Display: hri, gs1Errors: errors, status: item.status || complianceStatus(elements) || undefined };
 };
 
-// GS1 2D DataMatrix Items
-const gs1DataItems = {
-  title: "GS1-2D DataMatrix Barcodes",
-  subtitle: "Barcodes with embedded GS1 Application Identifiers for compliance validation",
-  categories: [
-    {
-      id: "compliance",
-      name: "Compliance Validation",
-      icon: "✅",
-      description: "Items with AI 01 (GTIN) and AI 16 (Sell-By Date) for demonstrating compliance validation.",
-      items: [
-        { name: "Milk - EXPIRED", sku: "00049000000443", gtin: "00049000000443", gs1String: "0100049000000443162512", gs1Display: "(01)00049000000443(16)251215", barcodeType: "GS1 2D", note: "AI 16: Sell-by 2025-12-15 (PAST) - Will trigger compliance block", status: "expired" },
-        { name: "Milk - FRESH", sku: "00049000000443", gtin: "00049000000443", gs1String: "0100049000000443162603", gs1Display: "(01)00049000000443(16)260315", barcodeType: "GS1 2D", note: "AI 16: Sell-by 2026-03-15 (VALID) - Will pass compliance check", status: "valid" },
-        { name: "Beer", sku: "00018017220018", gtin: "00018017220018", gs1String: "0100018017220018", gs1Display: "(01)00018017220018", barcodeType: "GS1 2D", note: "Age verification required (21+) - Will prompt for ID check", status: "age-verify" }
-      ]
-    },
-    {
-      id: "allergy",
-      name: "Allergy Products",
-      icon: "💊",
-      description: "$5 OFF promotion when 2+ allergy products are purchased together.",
-      items: [
-        { name: "Zyrtec Allergy Relief", sku: "31191716320", gtin: "03119171632008", gs1String: "0103119171632008", gs1Display: "(01)03119171632008", barcodeType: "GS1 2D", note: "Allergy promotion item" },
-        { name: "Sudafed Decongestant", sku: "90003000000", gtin: "09000300000004", gs1String: "0109000300000004", gs1Display: "(01)09000300000004", barcodeType: "GS1 2D", note: "Allergy promotion item" }
-      ]
-    },
-    {
-      id: "loyalty",
-      name: "Loyalty Discount Items",
-      icon: "🎁",
-      description: "Items for demonstrating loyalty card discount application at front-end checkout.",
-      items: [
-        { name: "Winter Gloves", sku: "88888000001", gtin: "08888800000109", gs1String: "0108888800000109", gs1Display: "(01)08888800000109", barcodeType: "GS1 2D", note: "Loyalty discount item" }
-      ]
-    },
-    {
-      id: "pharmacy",
-      name: "Pharmacy / Rx",
-      icon: "💉",
-      description: "Sample prescription barcode for pharmacy pickup demonstration.",
-      items: [
-        { name: "Prescription (Rx)", sku: "RX123456789", barcode: "RX123456789", barcodeType: "Code 128", note: "McKesson integration demo - verify format with ELERA pharmacy team" }
-      ]
-    }
-  ]
+// An item as a search document (see src/lib/search.js); `text` is where it
+// sits, such as its department or scenario
+const itemSearchDocument = (item, text = [], extra = {}) => ({
+  name: item.name,
+  codes: [item.sku, item.barcode, item.gtin, item.gs1Display],
+  text,
+  item,
+  ...extra
+});
+
+// Search index over a list of items. Building it folds every item, so views
+// keep it (useMemo) while the items are unchanged and only search per query.
+const itemSearchIndex = (items, textOf = () => []) => createSearchIndex(items.map((item, position) => itemSearchDocument(item, textOf(item), { position })));
+
+// The items matching a search box, best match first; all of them, in order,
+// when the search is empty. `items` are the ones the index was built from, or
+// fresher copies in the same order.
+const rankItems = (index, items, query) => (query.trim() ? searchIndex(index, query).map(result => items[result.doc.position]) : items);
+
+// Retail Verticals
+// The dashboard cards and the router are generated from this registry, so a
+// new vertical (Fuel, Restaurant, Pharmacy-Rx...) is a data change. `dataset`
+// names a document in public/data/manifest.json (see src/lib/datasets.js) and
+// `view` picks the component (see verticalViews) and the shape it must have:
+//   scanbook   - POS test scenarios { title, loyaltyAccounts, tests }
+//   categories - items grouped by category { title, categories: [{ id, name, icon, items }] }
+//   gs1        - GS1 element-string items, same shape as categories
+//   catalog    - the merged item catalog (the items dataset plus local edits)
+//   editor     - the admin scanbook editor
+// Card counts are computed from the data rather than declared.
+const verticals = [
+  {
+    id: 'grocery',
+    view: 'scanbook',
+    title: 'Grocery and General Merchandise',
+    icon: '🛒',
+    description: 'Full-service grocery POS testing with produce, promotions, and loyalty programs.',
+    subtitle: 'United States Edition 2026 • Version 2.1',
+    gradient: 'from-red-600 to-red-700',
+    dataset: 'grocery'
+  },
+  {
+    id: 'convenience',
+    view: 'scanbook',
+    title: 'Convenience and Fuel',
+    icon: '⛽',
+    description: 'C-store and fuel station POS scenarios including bundles, clearance, and loyalty segments.',
+    subtitle: 'United States Edition 2026 • Version 2.1',
+    gradient: 'from-amber-600 to-orange-700',
+    dataset: 'convenience'
+  },
+  {
+    id: 'items',
+    view: 'catalog',
+    title: 'Items',
+    icon: '📦',
+    description: 'Browse the complete item catalog with SKUs, barcodes, and department groupings.',
+    gradient: 'from-red-600 to-red-700',
+    dataset: 'items'
+  },
+  {
+    id: 'pharmacy',
+    view: 'categories',
+    title: 'Pharmacy',
+    icon: '💊',
+    description: 'Pharmacy and beauty items with OTC medications, skincare, and personal care products.',
+    gradient: 'from-blue-600 to-blue-700',
+    dataset: 'pharmacy'
+  },
+  {
+    id: 'gs1',
+    view: 'gs1',
+    title: 'GS1-2D Barcodes',
+    icon: '📊',
+    description: 'GS1 2D DataMatrix barcodes with embedded Application Identifiers for compliance validation.',
+    gradient: 'from-purple-600 to-purple-700',
+    dataset: 'gs1'
+  },
+  {
+    id: 'editor',
+    view: 'editor',
+    title: 'Scanbook Editor',
+    icon: '✏️',
+    description: 'Create, clone and reorder test scenarios, attach catalog items and share scanbooks as JSON.',
+    permission: 'scanbooks.author'
+  },
+  {
+    id: 'roles',
+    view: 'roles',
+    title: 'User Roles',
+    icon: '👥',
+    description: 'Assign viewer, tester, catalog editor and admin roles to the people using the portal.',
+    permission: 'roles.assign'
+  }
+];
+
+// A user-authored scanbook as a vertical
+const scanbookVertical = (scanbook) => ({
+  id: scanbook.id,
+  view: 'scanbook',
+  title: scanbook.title,
+  icon: '📝',
+  description: scanbook.description || `Custom scanbook${scanbook.createdBy ? ` by ${scanbook.createdBy}` : ''}.`,
+  subtitle: `Custom scanbook • Updated ${new Date(scanbook.updatedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`,
+  gradient: 'from-slate-600 to-slate-700',
+  data: scanbook,
+  custom: true
+});
+
+// Verticals a role can open with their data: built-ins, then custom
+// scanbooks, then tools that need a permission (see lib/roles). Verticals whose
+// dataset is not in the manifest are left out, so a retailer can drop one by
+// removing its file.
+const listVerticals = (role) => {
+  const loaded = getDatasets();
+  const available = verticals
+    .filter(vertical => !vertical.permission || hasPermission(role, vertical.permission))
+    .filter(vertical => !vertical.dataset || loaded[vertical.dataset])
+    .map(vertical => (vertical.dataset ? { ...vertical, data: loaded[vertical.dataset] } : vertical));
+  return [
+    ...available.filter(vertical => !vertical.permission),
+    ...loadScanbooks().map(scanbookVertical),
+    ...available.filter(vertical => vertical.permission)
+  ];
 };
 
-// Items Data - Department catalog
-// Items Data - Department catalog (849 unique items from catalog JSON)
-const itemsData = {
-  title: "Item Catalog Browser",
-  groups: [
-    { id: "CL_Grocery", name: "CL Grocery", items: [
-        { name: "Café Nescafé fina selección rich caramel frasco 95 g", sku: "3", uom: "EACH" }
-      ] },
-    { id: "CL_Produce", name: "CL Produce", items: [
-        { name: "Limon", sku: "4033", uom: "KG" },
-        { name: "Naranja del ombligo", sku: "3107", uom: "KG" },
-        { name: "Naranja Valenciana", sku: "3108", uom: "KG" },
-        { name: "Platanos", sku: "4011", uom: "KG" }
-      ] },
-    { id: "Dept_100_Entree", name: "100 Entree", items: [
-        { name: "Cheeseburger", sku: "917001", uom: "EA" },
-        { name: "Chicken Biscuit", sku: "917101", uom: "EA" },
-        { name: "Chicken Sandwich", sku: "917100", uom: "EA" },
-        { name: "Chicken Tenders", sku: "917102", uom: "EA" },
-        { name: "Hamburger", sku: "917000", uom: "EA" },
-        { name: "Hot Dog", sku: "917002", uom: "EA" },
-        { name: "Pizza Slice", sku: "917200", uom: "EA" }
-      ] },
-    { id: "Dept_101_Sides", name: "101 Sides", items: [
-        { name: "Fries Large", sku: "917502", uom: "EA" },
-        { name: "Fries Medium", sku: "917501", uom: "EA" },
-        { name: "Fries Small ", sku: "917500", uom: "EA" }
-      ] },
-    { id: "Dept_102_Drinks", name: "102 Drinks", items: [
-        { name: "Coca-Cola Classic 20oz", sku: "04900000981", uom: "EACH" },
-        { name: "Coke", sku: "04693406", uom: "EACH" },
-        { name: "Drink Large", sku: "917802", uom: "EA" },
-        { name: "Drink Medium", sku: "917801", uom: "EA" },
-        { name: "Drink Small", sku: "917800", uom: "EA" },
-        { name: "Olipop", sku: "850027702889", uom: "EACH" },
-        { name: "Pepsi 20oz", sku: "01200000162", uom: "EACH" },
-        { name: "Water", sku: "917810", uom: "EA" }
-      ] },
-    { id: "Dept_10_H&B", name: "10 H&B", items: [
-        { name: "Allergy Cetirizine Hydrochloride", sku: "31191716320", uom: "EA" },
-        { name: "Bacitracin", sku: "5042835827", uom: "EA" },
-        { name: "Calcium/D3 600mg", sku: "5042834903", uom: "EA" },
-        { name: "CeraVe Foaming Facial Cleanser", sku: "3606000537750", uom: "EACH" },
-        { name: "Cinnamon Crest", sku: "3700042729", uom: "EA" },
-        { name: "Claritin 24HR", sku: "31254780250", uom: "EACH" },
-        { name: "Colgate Optic White Toothpaste", sku: "3500045836", uom: "EA" },
-        { name: "Colgate Optic White Toothpaste Icy Fresh", sku: "3500097159", uom: "EA" },
-        { name: "Crest Gum Detoxify Toothpaste", sku: "3700075421", uom: "EA" },
-        { name: "Dove Mens Bar", sku: "1111101845", uom: "EA" },
-        { name: "Dove Mens Shampoo/Conditioner", sku: "7940061203", uom: "EA" },
-        { name: "Famotidine Complete Berry 50 ct", sku: "71373364851", uom: "EA" },
-        { name: "Glowing Vitamin C Sheet Mask", sku: "10266", uom: "EA" },
-        { name: "GUM Toothbrush", sku: "7094212310", uom: "EA" },
-        { name: "Ibuprofen tablets 200mg", sku: "5042830876", uom: "EA" },
-        { name: "NB Hair, Skin, Nails Gummies", sku: "7431253545", uom: "EA" },
-        { name: "Neutrogena Sun SPF 55 3 pack", sku: "88517181403", uom: "EA" },
-        { name: "Personal Care Item", sku: "30573070175", uom: "EACH" },
-        { name: "Rejuv Niacinamide Sheet Mask", sku: "10271", uom: "EA" },
-        { name: "Speed Stick", sku: "2220000490", uom: "EA" },
-        { name: "SS 3 piece Nail Files", sku: "71789710131", uom: "EA" },
-        { name: "SS Hand Lotion Peppermint", sku: "71789710033", uom: "EA" },
-        { name: "SS Hand Lotion Winter Berry", sku: "71789710032", uom: "EA" },
-        { name: "SS Lip Balm Sugar Cookie", sku: "71789710037", uom: "EA" },
-        { name: "Sudafed", sku: "90003000000", uom: "EA" },
-        { name: "Toms Luminous White", sku: "7732647014", uom: "EA" },
-        { name: "Toms Unscented Deoderant", sku: "7732661425", uom: "EA" },
-        { name: "Triple Blade Razors", sku: "88867009863", uom: "EA" }
-      ] },
-    { id: "Dept_11_HomeGoods", name: "11 HomeGoods", items: [
-        { name: "100th Anniversary Small Reusable Bag", sku: "77515340242", uom: "EA" },
-        { name: "Adjustable Chair", sku: "710014", uom: "EA" },
-        { name: "Adult Poncho", sku: "8281503100", uom: "EA" },
-        { name: "Bear Storage Basket", sku: "72753202173", uom: "EA" },
-        { name: "Black LED Desk Lamp", sku: "710031", uom: "EA" },
-        { name: "Black Management Chair", sku: "710011", uom: "EA" },
-        { name: "Blue Swivel Armchair", sku: "710002", uom: "EA" },
-        { name: "Blue Tall Back Chair", sku: "710010", uom: "EA" },
-        { name: "Brass Swing Arm LED Lamp", sku: "710032", uom: "EA" },
-        { name: "Chair with Neck Rest", sku: "710013", uom: "EA" },
-        { name: "Desk", sku: "710050", uom: "EA" },
-        { name: "Diffuser", sku: "77777724041", uom: "EA" },
-        { name: "Ergonomic Chair", sku: "710012", uom: "EA" },
-        { name: "Espresso Machine", sku: "72527291991", uom: "EA" },
-        { name: "Filing Cabinet", sku: "710020", uom: "EA" },
-        { name: "Flora Bunda", sku: "710060", uom: "EA" },
-        { name: "Green Swivel Armchair", sku: "710003", uom: "EA" },
-        { name: "Grey Pillow", sku: "19071450319", uom: "EA" },
-        { name: "Grey Swivel Armchair", sku: "710001", uom: "EA" },
-        { name: "Holiday basket", sku: "73116104880", uom: "EA" },
-        { name: "Inflatable Gnome", sku: "19546408628", uom: "EA" },
-        { name: "Julia Gash Tote", sku: "24089133", uom: "EA" },
-        { name: "Kitchen Shears", sku: "7931978010601", uom: "EA" },
-        { name: "LED HDD TV", sku: "84008057050", uom: "EA" },
-        { name: "Low-cost Chair", sku: "710015", uom: "EA" },
-        { name: "Luncheon Napkins 150 ct", sku: "88867012096", uom: "EA" },
-        { name: "Mini Umbrella", sku: "8281580394", uom: "EA" },
-        { name: "Off White Swivel Armchair", sku: "710004", uom: "EA" },
-        { name: "Orange Swivel Armchair", sku: "710005", uom: "EA" },
-        { name: "Party Tub", sku: "4122656061", uom: "EA" },
-        { name: "Pendulum Clock", sku: "75864730645", uom: "EA" },
-        { name: "Red Desk Lamp", sku: "710030", uom: "EA" },
-        { name: "Red Napkins", sku: "430421812841", uom: "EA" },
-        { name: "Reusable Bag", sku: "1111177710", uom: "EA" },
-        { name: "Round Pink Pillow", sku: "19190845753", uom: "EA" },
-        { name: "Sea Salt Candle", sku: "64765811572", uom: "EA" },
-        { name: "Shopping Bag, Reusable", sku: "7789027332", uom: "EA" },
-        { name: "Silver Wire Frame", sku: "82161412314", uom: "EA" },
-        { name: "Sky Blue Swivel Armchair", sku: "710006", uom: "EA" },
-        { name: "Tablecloth Black", sku: "63927770261", uom: "EA" },
-        { name: "Tablecloth Red", sku: "63927768385", uom: "EA" },
-        { name: "Tervis Toronto Maple Leafs 24oz. Tradition Classic Water Bottle", sku: "19335526039", uom: "EACH" },
-        { name: "Toy Box Plush Fox and Unicorn", sku: "195464719176", uom: "EACH" },
-        { name: "Toy Box Plush Fox and Unicorn", sku: "19546471917", uom: "EACH" },
-        { name: "Toy Box Plush Woodland Friend", sku: "19546473116", uom: "EACH" },
-        { name: "Toy Box Plush Woodland Friend", sku: "195464731161", uom: "EACH" },
-        { name: "Turquoise Pillow", sku: "710100", uom: "EA" },
-        { name: "TWinCraft Toronto Maple Leafs 5-Pack Key Ring and Fridge Magnet Set", sku: "19416688259", uom: "EACH" },
-        { name: "Vanilla Birch Candle", sku: "75487041308", uom: "EA" },
-        { name: "Wooden Bookcase", sku: "710040", uom: "EA" },
-        { name: "Yellow Swivel Armchair", sku: "710007", uom: "EA" }
-      ] },
-    { id: "Dept_121_Wine", name: "121 Wine", items: [
-        { name: "19 Crimes Cali Red “Snoop Dog�?", sku: "920631", uom: "EACH" },
-        { name: "19 Crimes Pinot Noir The Punishment", sku: "920632", uom: "EACH" },
-        { name: "19 Crimes Red Blend", sku: "920633", uom: "EACH" },
-        { name: "Casa Donoso Carmenere 2023", sku: "7804309004249", uom: "EACH" }
-      ] },
-    { id: "Dept_12_Alcohol", name: "12 Alcohol", items: [
-        { name: " Dragon Fire Blueberry", sku: "164853", uom: "EACH" },
-        { name: "A to Z Wineworks Oregon Rose 750ml", sku: "168256", uom: "EACH" },
-        { name: "Beer 6-Pack", sku: "00018017220018", uom: "EACH" },
-        { name: "Brut Champagne - 750.0 ml Veuve Clicquot Yellow Label ", sku: "05020", uom: "EA" },
-        { name: "Corona Light", sku: "21", uom: "EA" },
-        { name: "Dragon Fire Grape", sku: "167070", uom: "EACH" },
-        { name: "Dragon Fire Green Apple", sku: "167062", uom: "EACH" },
-        { name: "Dragon Fire Mango", sku: "167069", uom: "EACH" },
-        { name: "Dragon Fire Peach", sku: "167067", uom: "EACH" },
-        { name: "Dragon Fire Pink Lemonade", sku: "167077", uom: "EACH" },
-        { name: "Dragon Fire Strawberry", sku: "167066", uom: "EACH" },
-        { name: "Glen Ellen Chardonnay", sku: "807200000", uom: "EACH" },
-        { name: "Keg Heineken 1/2 Barrel", sku: "keghein12", uom: "EACH" },
-        { name: "Keg Heineken 1/4 Barrel", sku: "keghein14", uom: "EACH" },
-        { name: "Keg Heineken 1/6 Barrel", sku: "keghein16", uom: "EACH" },
-        { name: "Keg Miller Genuine Draft 1/2 Barrel", sku: "kegmgd12", uom: "EACH" },
-        { name: "Keg Miller Genuine Draft 1/4 Barrel", sku: "kegmgd14", uom: "EACH" },
-        { name: "Keg Miller Genuine Draft 1/6 Barrel", sku: "kegmgd16", uom: "EACH" },
-        { name: "Keg Miller High Life 1/2 Barrel", sku: "kegmhl12", uom: "EACH" },
-        { name: "Keg Miller High Life 1/4 Barrel", sku: "kegmhl14", uom: "EACH" },
-        { name: "Keg Miller High Life 1/6 Barrel", sku: "kegmhl16", uom: "EACH" },
-        { name: "Keg Miller Lite 1/2 Barrel", sku: "kegml12", uom: "EACH" },
-        { name: "Keg Miller Lite 1/4 Barrel", sku: "kegml14", uom: "EACH" },
-        { name: "Keg Miller Lite 1/6 Barrel", sku: "kegml16", uom: "EACH" },
-        { name: "Keg Rental Deposit", sku: "kegrental", uom: "EACH" },
-        { name: "Lagunitas A Little Sumpin\\' Sumpin\\'", sku: "723830014190", uom: "EACH" },
-        { name: "Lawson\\'s Little Sip IPA", sku: "5000114711", uom: "EACH" },
-        { name: "Lawson\\'s Sip of Sunshine", sku: "6884800001", uom: "EACH" },
-        { name: "Little Sip IPA", sku: "850001147118", uom: "EACH" },
-        { name: "Long  Cranberry 6PK", sku: "130293", uom: "EACH" },
-        { name: "Long  Peach 6PK", sku: "163513", uom: "EACH" },
-        { name: "Long Midnight Sun 8PK", sku: "167282", uom: "EACH" },
-        { name: "Long Original 6PK", sku: "129028", uom: "EACH" },
-        { name: "Long Strong 6PK", sku: "130295", uom: "EACH" },
-        { name: "Long Variety Pack 8PK", sku: "144822", uom: "EACH" },
-        { name: "Long Zero Sugar 6PK", sku: "130296", uom: "EACH" },
-        { name: "Modelo Can 24 FL OZ", sku: "8066095721", uom: "EA" },
-        { name: "Modelo Chelada Fresa Picante", sku: "033544002315", uom: "EACH" },
-        { name: "Plastic Keg Tub", sku: "kegtub", uom: "EACH" },
-        { name: "Premium Liquor", sku: "72110197003", uom: "EACH" },
-        { name: "Red Wine", sku: "9705400233", uom: "EA" },
-        { name: "Robert Mondavi Winery Cabernet Sauvignon", sku: "920634", uom: "EACH" },
-        { name: "Seagram\\'s Escapes Jamaican Me Happy", sku: "070310012512", uom: "EACH" },
-        { name: "Specialty Keg Tap", sku: "speckegtap", uom: "EACH" },
-        { name: "Standard Keg Tap", sku: "stdkegtap", uom: "EACH" },
-        { name: "Tito’s Vodka 750ml ", sku: "920629", uom: "EACH" },
-        { name: "White Wine", sku: "8858600636", uom: "EA" }
-      ] },
-    { id: "Dept_13_Household", name: "13 Household", items: [
-        { name: "365 Cleaner Citrus Scent", sku: "9948248664", uom: "EA" },
-        { name: "365 Snack Bags", sku: "9948246392", uom: "EA" },
-        { name: "Aluminum Foil", sku: "63927771620", uom: "EA" },
-        { name: "Blender Pro 3000", sku: "63050960124", uom: "EACH" },
-        { name: "Disinfectant", sku: "84960703877", uom: "EA" },
-        { name: "Disinfecting Wipes", sku: "88867018005", uom: "EA" },
-        { name: "Foil Pan", sku: "63927785379", uom: "EA" },
-        { name: "Gain Flings Original Scent, 42 Ct", sku: "3700086749", uom: "EA" },
-        { name: "In-Wash Scent Booster", sku: "88867008082", uom: "EA" },
-        { name: "Lysol Disinfecting Wipes", sku: "1920081145", uom: "EA" },
-        { name: "Tech Wipes Peppermint", sku: "71789710040", uom: "EA" },
-        { name: "Tide Pods", sku: "3700091613", uom: "EA" },
-        { name: "Toilet Paper", sku: "5400010183", uom: "EA" }
-      ] },
-    { id: "Dept_1_Grocery", name: "1 Grocery", items: [
-        { name: "12oz 50 Pack", sku: "12x50Pack", uom: "EACH" },
-        { name: "14oz 50 Pack", sku: "14x50Pack", uom: "EACH" },
-        { name: "16oz 50 Pack", sku: "16x50Pack", uom: "EACH" },
-        { name: "1836 Beef Rub", sku: "85434800629", uom: "EACH" },
-        { name: "20oz 50 Pack", sku: "20x50Pack", uom: "EACH" },
-        { name: "22 lb. bag", sku: "22lbice", uom: "EACH" },
-        { name: "365 Coffee Pleasant Morning Buzz", sku: "9948243520", uom: "EA" },
-        { name: "365 Organic Macaroni and Cheese", sku: "9948249387", uom: "EA" },
-        { name: "Almond Flour Crackers", sku: "85632300512", uom: "EACH" },
-        { name: "Alpen Jodsalz", sku: "10560", uom: "EA" },
-        { name: "Annie\\'s Shells & White Cheddar", sku: "013562000043", uom: "EACH" },
-        { name: "Arizona Green Tea", sku: "61300871526", uom: "EA" },
-        { name: "Barilla Farfalle", sku: "7680850108", uom: "EA" },
-        { name: "Barilla Non-GMO Thin Spaghetti", sku: "7680828009", uom: "EA" },
-        { name: "Bottle Deposit - 6 bottles at 5¢", sku: "1111177790", uom: "EACH" },
-        { name: "Bottled Coke 6-pack", sku: "4900001834", uom: "EA" },
-        { name: "Bread", sku: "7874206797", uom: "EA" },
-        { name: "Bush’s Black Beans", sku: "3940001883", uom: "EA" },
-        { name: "Butter Cookies", sku: "401710011471", uom: "EA" },
-        { name: "Campbell’s HR Cream of Mushroom", sku: "5100006007", uom: "EA" },
-        { name: "Cauliflower Rice", sku: "85003235700", uom: "EACH" },
-        { name: "Celestial Seasonings Chamomile Herbal Tea", sku: "070734000102", uom: "EACH" },
-        { name: "Chessmen Cookies", sku: "1410007952", uom: "EA" },
-        { name: "Coffee Beans", sku: "79849310320", uom: "EA" },
-        { name: "Coke", sku: "04963406", uom: "EACH" },
-        { name: "Coke 10 pack", sku: "4900006721", uom: "EA" },
-        { name: "Cookie Crisp", sku: "1600027296", uom: "EA" },
-        { name: "Corn Flakes", sku: "81200", uom: "EA" },
-        { name: "Del Monte Cut Green Beans", sku: "2400016286", uom: "EA" },
-        { name: "Del Monte Kernel Corn", sku: "2400056669", uom: "EA" },
-        { name: "Del Monte Sliced Peaches", sku: "2400016719", uom: "EA" },
-        { name: "Dog Treats", sku: "7910052004", uom: "EA" },
-        { name: "Eagle Brand Condensed Milk", sku: "65272910113", uom: "EA" },
-        { name: "Frederik’s Mackinac Island Fudge Ground Coffee", sku: "76023615016", uom: "EA" },
-        { name: "Frederik’s MI Cherry Ground Coffee", sku: "76023614994", uom: "EA" },
-        { name: "French\\'s Classic Yellow Mustard", sku: "4150000700", uom: "EA" },
-        { name: "Fresca", sku: "4900005028", uom: "EA" },
-        { name: "Fresca Grapefruit Citrus 12oz", sku: "4900000248", uom: "EA" },
-        { name: "Froot Loops", sku: "3800028186", uom: "EACH" },
-        { name: "Gerber Oatmeal", sku: "1500000702", uom: "EA" },
-        { name: "GM Fiber One", sku: "1600040768", uom: "EA" },
-        { name: "Hallmark Card", sku: "929962627", uom: "EA" },
-        { name: "Healthy Choice Chicken Noodle Soup", sku: "5010040260", uom: "EA" },
-        { name: "Hibiscus Tea", sku: "2070080014", uom: "EA" },
-        { name: "Honey Dew Melon", sku: "3082", uom: "EACH" },
-        { name: "Honey Maid Graham Crackers", sku: "4400000463", uom: "EA" },
-        { name: "Honeydew Melon", sku: "3062", uom: "EACH" },
-        { name: "Hot Dog Buns", sku: "7432300228", uom: "EA" },
-        { name: "Hot Dog/Bun Bundle", sku: "1111177701", uom: "EA" },
-        { name: "Hunt’s Petite Diced Tomatoes", sku: "2700037831", uom: "EA" },
-        { name: "Jet-puffed Mashmallows", sku: "60069900328", uom: "EA" },
-        { name: "Kellogg’s Corn Flakes", sku: "3800000120", uom: "EA" },
-        { name: "Kemps Ittibitz", sku: "4148303426", uom: "EA" },
-        { name: "Kraft Mac & Cheese Dinner", sku: "2100065883", uom: "EA" },
-        { name: "Langers Lemonade", sku: "920630", uom: "EACH" },
-        { name: "Lay\\'s Barbecue Chips", sku: "76970", uom: "EACH" },
-        { name: "Luzianne Tea 48 Family Size", sku: "4790030329", uom: "EA" },
-        { name: "Mahatma Long Grain Rice", sku: "1740010550", uom: "EA" },
-        { name: "Mariani Cherries", sku: "7102231553", uom: "EA" },
-        { name: "McCormick Taco Seasoning", sku: "5210003491", uom: "EA" },
-        { name: "Milk (Fresh)", sku: "00049000000443", uom: "EACH" },
-        { name: "Mini Moon Pies", sku: "7210822101", uom: "EA" },
-        { name: "Nature Valley 6 pack", sku: "1600027855", uom: "EA" },
-        { name: "Nature Valley Wafer", sku: "1600014943", uom: "EA" },
-        { name: "Navel Oranges", sku: "4225", uom: "EACH" },
-        { name: "Oh Puree! Mashed Potatoes", sku: "029700071479", uom: "EACH" },
-        { name: "Olipop", sku: "850027702872", uom: "EACH" },
-        { name: "Orange Gatorade", sku: "5200033876", uom: "EA" },
-        { name: "Oreo Golden Cookies", sku: "4400003324", uom: "EA" },
-        { name: "Organic Bananas", sku: "94011", uom: "EACH" },
-        { name: "Organic Granny Smith Apples", sku: "94065", uom: "EACH" },
-        { name: "Organic Navel Oranges", sku: "94225", uom: "EACH" },
-        { name: "PAM Cooking Spray", sku: "6414403031", uom: "EA" },
-        { name: "Parmesan & Romano Cheese", sku: "2100061541", uom: "EA" },
-        { name: "Parmesan Cheese", sku: "2100061531", uom: "EA" },
-        { name: "Pasta", sku: "2920090794", uom: "EA" },
-        { name: "Pirouline Pumpkin Spice Wafers", sku: "4245610787", uom: "EA" },
-        { name: "Pizza Sauce", sku: "74747900061", uom: "EA" },
-        { name: "Potato Salad", sku: "21707600000", uom: "EA" },
-        { name: "RAWCOLOGY Granola Snack Bites Apple Cinnamon", sku: "628504873168", uom: "EACH" },
-        { name: "RAWCOLOGY Granola Snack Bites Berry Burst", sku: "628504873151", uom: "EACH" },
-        { name: "Recalled Baby Formula", sku: "19200188005", uom: "EACH" },
-        { name: "Reusable Bag", sku: "039010277034", uom: "EACH" },
-        { name: "Ritz Crackers", sku: "4400003111", uom: "EACH" },
-        { name: "Ritz Crackers Fresh Stacks", sku: "4400003113", uom: "EA" },
-        { name: "SF Purified Water 16.9 FL OZ 6 pack", sku: "3225142354", uom: "EA" },
-        { name: "Smucker’s Strawberry Jam", sku: "5150001229", uom: "EA" },
-        { name: "Spaghetti Sauce", sku: "3620001375", uom: "EA" },
-        { name: "Spec’s Maple Pecan Pie", sku: "846160", uom: "EACH" },
-        { name: "Tortilla Chips Restaurant Style", sku: "71373346649", uom: "EA" },
-        { name: "Totinos Party Pizza", sku: "4280010800", uom: "EA" },
-        { name: "WF Spinach Feta Orzo Salad", sku: "wfs", uom: "EA" },
-        { name: "Whole Wheat Ritz", sku: "4400004815", uom: "EA" }
-      ] },
-    { id: "Dept_20_Clothing", name: "20 Clothing", items: [
-        { name: "Accessories L/60 Beige", sku: "0470361", uom: "EA" },
-        { name: "Blazer", sku: "77777724051", uom: "EA" },
-        { name: "Blouse S White", sku: "1060060", uom: "EA" },
-        { name: "Champion Boys Socks 12-pack Ankle Socks", sku: "4529908430", uom: "EA" },
-        { name: "Champion C9 Girls 6-pack Ankle Socks", sku: "3825712836", uom: "EA" },
-        { name: "Champion C9 Womens 4-pack Ankle Socks - Black", sku: "3825712956", uom: "EA" },
-        { name: "Champion C9 Womens Cushion Socks 3-pack", sku: "3825709605", uom: "EA" },
-        { name: "Champion Kids Sock Multipacks", sku: "4529905603", uom: "EA" },
-        { name: "Champion Mens 3-pack Extra Low Cut Socks Black", sku: "69655063303", uom: "EA" },
-        { name: "Champion Mens 6-pack Ankle Socks", sku: "3825710096", uom: "EA" },
-        { name: "Champion Unisex Crew Socks 6-pack", sku: "4529908079", uom: "EA" },
-        { name: "Clearance Swimwear", sku: "85000350102", uom: "EACH" },
-        { name: "Cloud 9 Long Sleeve Girls Nightshirt", sku: "69611428353", uom: "EA" },
-        { name: "Crew Neck", sku: "77777724031", uom: "EA" },
-        { name: "Hair Accessories NOSIZE Red", sku: "0696625", uom: "EA" },
-        { name: "Infant Pinstriped Onesie", sku: "23013037", uom: "EA" },
-        { name: "JF Pocket Square", sku: "4755612134", uom: "EA" },
-        { name: "Joe Boxer Boys Pajama Tank Top & Shorts", sku: "10876", uom: "EA" },
-        { name: "Joe Boxer Mens Black Smiley Face Microfleece Bottoms", sku: "73608083221", uom: "EA" },
-        { name: "Joe Fresh Womens Chemise Nightshirt", sku: "4136061902", uom: "EA" },
-        { name: "Low Cut Navy Socks", sku: "18786390", uom: "EA" },
-        { name: "Luiryare Mens Nightshirt", sku: "77390766752", uom: "EA" },
-        { name: "M Crew Neck Indigo", sku: "700001", uom: "EA" },
-        { name: "M Crew Neck Mountain", sku: "700002", uom: "EA" },
-        { name: "M Crew Neck Red", sku: "700004", uom: "EA" },
-        { name: "M Crew Neck Turquoise", sku: "700003", uom: "EA" },
-        { name: "Men\\'s Crew Neck Black - Large", sku: "19145597925", uom: "EA" },
-        { name: "Men\\'s Crew Neck Black - Medium", sku: "19145597924", uom: "EA" },
-        { name: "Men\\'s Crew Neck Black - Small", sku: "19145597923", uom: "EA" },
-        { name: "Men\\'s Crew Neck Black - XL", sku: "19145597926", uom: "EA" },
-        { name: "Men\\'s Crew Neck Black - XXL", sku: "19145597927", uom: "EA" },
-        { name: "Men\\'s Crew Neck Blue - Large", sku: "19145597930", uom: "EA" },
-        { name: "Men\\'s Crew Neck Blue - Medium", sku: "19145597929", uom: "EA" },
-        { name: "Men\\'s Crew Neck Blue - Small", sku: "19145597928", uom: "EA" },
-        { name: "Men\\'s Crew Neck Blue - XL", sku: "19145597931", uom: "EA" },
-        { name: "Men\\'s Crew Neck Blue - XXL", sku: "19145597932", uom: "EA" },
-        { name: "Men\\'s Crew Neck Boulder - Large", sku: "19145597940", uom: "EA" },
-        { name: "Men\\'s Crew Neck Boulder - Medium", sku: "19145597939", uom: "EA" },
-        { name: "Men\\'s Crew Neck Boulder - Small", sku: "19145597938", uom: "EA" },
-        { name: "Men\\'s Crew Neck Boulder - XL", sku: "19145597941", uom: "EA" },
-        { name: "Men\\'s Crew Neck Boulder - XXL", sku: "19145597942", uom: "EA" },
-        { name: "Men\\'s Crew Neck Grey - Large", sku: "19145597920", uom: "EA" },
-        { name: "Men\\'s Crew Neck Grey - Medium", sku: "19145597919", uom: "EA" },
-        { name: "Men\\'s Crew Neck Grey - Small", sku: "19145597918", uom: "EA" },
-        { name: "Men\\'s Crew Neck Grey - XL", sku: "19145597921", uom: "EA" },
-        { name: "Men\\'s Crew Neck Grey - XXL", sku: "19145597922", uom: "EA" },
-        { name: "Men\\'s Crew Neck Iceberg - Large", sku: "19145597943", uom: "EA" },
-        { name: "Men\\'s Crew Neck Iceberg - Medium", sku: "19145597944", uom: "EA" },
-        { name: "Men\\'s Crew Neck Iceberg - XL", sku: "19145597946", uom: "EA" },
-        { name: "Men\\'s Crew Neck Iceberg - XXL", sku: "19145597947", uom: "EA" },
-        { name: "Men\\'s Crew Neck Red - Large", sku: "19145597935", uom: "EA" },
-        { name: "Men\\'s Crew Neck Red - Medium", sku: "19145597934", uom: "EA" },
-        { name: "Men\\'s Crew Neck Red - Small", sku: "19145597933", uom: "EA" },
-        { name: "Men\\'s Crew Neck Red - XL", sku: "19145597936", uom: "EA" },
-        { name: "Men\\'s Crew Neck Red - XXL", sku: "19145597937", uom: "EA" },
-        { name: "Mens Winter Warm Gloves", sku: "1796265426", uom: "EACH" },
-        { name: "Muk Luks Womens Floral Nightshirt", sku: "88983518201", uom: "EA" },
-        { name: "NCAA Navy T-shirt", sku: "27145033", uom: "EA" },
-        { name: "Nike WM Court Legacy Black/White-Platinum", sku: "19450224201", uom: "EA" },
-        { name: "Noble Mount Mens Flannel Nightshirt", sku: "71580289038", uom: "EA" },
-        { name: "Outerwear M Black", sku: "0995203", uom: "EA" },
-        { name: "Pacific End on End Cotton Nightshirt", sku: "06609", uom: "EA" },
-        { name: "Ron Jon Black Trucker Cap", sku: "cap", uom: "EA" },
-        { name: "Satin Skirt", sku: "77777724071", uom: "EA" },
-        { name: "Selvedge Denim", sku: "77777724021", uom: "EA" },
-        { name: "Socks Bin 10-11 Red", sku: "1037466", uom: "EA" },
-        { name: "Suede Blazer", sku: "77777724011", uom: "EA" },
-        { name: "Toshiba ELERA Socks", sku: "77777723012", uom: "EA" },
-        { name: "Toshiba Golf Polo (Large)", sku: "66600314286", uom: "EA" },
-        { name: "Toshiba Golf Polo (XXL)", sku: "66600314288", uom: "EA" },
-        { name: "Toshiba Men Polo Red - Large", sku: "77777723003", uom: "EA" },
-        { name: "Toshiba Men Polo Red - Medium", sku: "77777723002", uom: "EA" },
-        { name: "Toshiba Men Polo Red - Small", sku: "77777723001", uom: "EA" },
-        { name: "Toshiba Men Polo Red - XL", sku: "77777723004", uom: "EA" },
-        { name: "Toshiba Men Polo Red - XXL", sku: "77777723005", uom: "EA" },
-        { name: "Toshiba Men Polo Tidal Blue - Large", sku: "19523801563", uom: "EA" },
-        { name: "Toshiba Men Polo Tidal Blue - Medium", sku: "19523801562", uom: "EA" },
-        { name: "Toshiba Men Polo Tidal Blue - Small", sku: "19523801561", uom: "EA" },
-        { name: "Toshiba Men Polo Tidal Blue - XL", sku: "19523801564", uom: "EA" },
-        { name: "Toshiba Men Polo Tidal Blue - XXL", sku: "19523801565", uom: "EA" },
-        { name: "Toshiba Red Socks", sku: "77777723015", uom: "EA" },
-        { name: "Toshiba Retail Socks", sku: "77777723014", uom: "EA" },
-        { name: "Toshiba Tools Socks", sku: "77777723011", uom: "EA" },
-        { name: "Toshiba Women Polo Red - Large", sku: "77777723008", uom: "EA" },
-        { name: "Toshiba Women Polo Red - Medium", sku: "77777723007", uom: "EA" },
-        { name: "Toshiba Women Polo Red - Small", sku: "77777723006", uom: "EA" },
-        { name: "Toshiba Women Polo Red - XL", sku: "77777723009", uom: "EA" },
-        { name: "Toshiba Women Polo Red - XXL", sku: "77777723010", uom: "EA" },
-        { name: "Toshiba Women Polo Tidal Blue - Large", sku: "19523801617", uom: "EA" },
-        { name: "Toshiba Women Polo Tidal Blue - Medium", sku: "19523801616", uom: "EA" },
-        { name: "Toshiba Women Polo Tidal Blue - Small", sku: "19523801615", uom: "EA" },
-        { name: "Toshiba Women Polo Tidal Blue - XL", sku: "19523801618", uom: "EA" },
-        { name: "Toshiba Women Polo Tidal Blue - XXL", sku: "19523801619", uom: "EA" },
-        { name: "Toshiba XCS Socks", sku: "77777723013", uom: "EA" },
-        { name: "Unisex Starter Toronto Maple Leafs Team Color Two-Stripe Crew Socks", sku: "19608237272", uom: "EACH" },
-        { name: "Winter Gloves", sku: "88888000001", uom: "EACH" },
-        { name: "Women\\'s Polo Blue - Large", sku: "88653515764", uom: "EA" },
-        { name: "Women\\'s Polo Blue - Medium", sku: "88653515763", uom: "EA" },
-        { name: "Women\\'s Polo Blue - Small", sku: "88653515762", uom: "EA" },
-        { name: "Women\\'s Polo Blue - XL", sku: "88653515765", uom: "EA" },
-        { name: "Women\\'s Polo Blue - XXL", sku: "88653515766", uom: "EA" },
-        { name: "Women\\'s Polo Green - Large", sku: "88653515759", uom: "EA" },
-        { name: "Women\\'s Polo Green - Medium", sku: "88653515758", uom: "EA" },
-        { name: "Women\\'s Polo Green - Small", sku: "88653515757", uom: "EA" },
-        { name: "Women\\'s Polo Green - XL", sku: "88653515760", uom: "EA" },
-        { name: "Women\\'s Polo Green - XXL", sku: "88653515761", uom: "EA" },
-        { name: "Women\\'s Polo Orange - Large", sku: "88653515769", uom: "EA" },
-        { name: "Women\\'s Polo Orange - Medium", sku: "88653515768", uom: "EA" },
-        { name: "Women\\'s Polo Orange - Small", sku: "88653515767", uom: "EA" },
-        { name: "Women\\'s Polo Orange - XL", sku: "88653515770", uom: "EA" },
-        { name: "Women\\'s Polo Orange - XXL", sku: "88653515771", uom: "EA" },
-        { name: "Womens Bermuda Shorts Black", sku: "700051", uom: "EA" },
-        { name: "Womens Bermuda Shorts Navy", sku: "700054", uom: "EA" },
-        { name: "Womens Bermuda Shorts Red", sku: "700052", uom: "EA" },
-        { name: "Womens Bermuda Shorts White", sku: "700053", uom: "EA" },
-        { name: "Womens Long Henley Nightshirt - Green", sku: "873395273", uom: "EA" }
-      ] },
-    { id: "Dept_21_Sport", name: "21 Sport", items: [
-        { name: "Backpacker Small Compression Sack", sku: "43702", uom: "EA" },
-        { name: "Bicycle LED Light Set", sku: "66349300326", uom: "EA" },
-        { name: "Wilson A1010 HS1 Baseball", sku: "2638828770", uom: "EA" }
-      ] },
-    { id: "Dept_22_Tools", name: "22 Tools", items: [
-        { name: "Basic Stud Finder", sku: "70535", uom: "EA" },
-        { name: "Magnetic Pocket Level", sku: "64882475629", uom: "EA" },
-        { name: "Pigskin Leather Work Gloves", sku: "30026", uom: "EA" },
-        { name: "Pistol-grip Blow Gun", sku: "82009", uom: "EA" }
-      ] },
-    { id: "Dept_23_Toys", name: "23 Toys", items: [
-        { name: "RC Drone Toy", sku: "88796194433", uom: "EACH" },
-        { name: "Unknown", sku: "62755519833", uom: "EA" }
-      ] },
-    { id: "Dept_24_Yard", name: "24 Yard", items: [
-        { name: "Bale of Hay", sku: "6421", uom: "EA" },
-        { name: "Charcoal", sku: "6456", uom: "EA" },
-        { name: "Gravel", sku: "6585", uom: "EA" },
-        { name: "Grill", sku: "6085", uom: "EA" },
-        { name: "Ladder", sku: "6473", uom: "EA" },
-        { name: "Leaf Bags", sku: "6797", uom: "EA" },
-        { name: "Mulch", sku: "6711", uom: "EA" },
-        { name: "Penn Smart Patch 10lb Tall Fescue", sku: "2149602410", uom: "EACH" },
-        { name: "Pine Straw", sku: "6422", uom: "EA" },
-        { name: "Propane Refill", sku: "6985", uom: "EA" },
-        { name: "Propane Tank", sku: "6498", uom: "EA" },
-        { name: "Stone", sku: "6614", uom: "EA" },
-        { name: "Wheel Barrow", sku: "6013", uom: "EA" },
-        { name: "Wood Chips", sku: "6955", uom: "EA" }
-      ] },
-    { id: "Dept_25_Electronics", name: "25 Electronics", items: [
-        { name: "7ft Ethernet Cat6 Purple", sku: "3722971587", uom: "EA" },
-        { name: "AirPods Max", sku: "19425224503", uom: "EA" },
-        { name: "APC Surge Protector", sku: "73130433602", uom: "EA" },
-        { name: "Bluetooth Speaker", sku: "77777724001", uom: "EA" },
-        { name: "Boltune Earbuds", sku: "eb", uom: "EA" },
-        { name: "High-Value Electronics", sku: "85001792000", uom: "EACH" },
-        { name: "HS1 Bone Conduction Headphones", sku: "bc", uom: "EA" },
-        { name: "OREI 4X4 HDMI Matrix Switch/Splitter", sku: "85000895673", uom: "EA" },
-        { name: "Roku Streaming Stick", sku: "88796175920", uom: "EACH" },
-        { name: "Samsung Galaxy Watch", sku: "19425224505", uom: "EACH" },
-        { name: "Soundcore Earbuds", sku: "eb2", uom: "EA" },
-        { name: "USB 2.0 8GB Flash Drive", sku: "2226534740", uom: "EA" },
-        { name: "Youth Whisper Bone Conduction Headphones", sku: "bc2", uom: "EA" }
-      ] },
-    { id: "Dept_26_Automotive", name: "26 Automotive", items: [
-        { name: "Antifreeze/Coolant Tester", sku: "81739901498", uom: "EA" },
-        { name: "Battery Hydrometer", sku: "30369", uom: "EA" },
-        { name: "Marine Lower Pump Unit", sku: "64882483050", uom: "EA" },
-        { name: "Windshield Washer Fluid", sku: "07089312055", uom: "EACH" }
-      ] },
-    { id: "Dept_2A_QtyRequired", name: "2A QtyRequired", items: [
-        { name: "Blood Orange", sku: "4381", uom: "EA" },
-        { name: "Cara Cara Orange", sku: "3110", uom: "EA" },
-        { name: "Garlic", sku: "4608", uom: "EA" },
-        { name: "Hass Avocado", sku: "4046", uom: "EA" },
-        { name: "Lemons", sku: "4033", uom: "EACH" },
-        { name: "Lime", sku: "4048", uom: "EA" },
-        { name: "Midknight Orange", sku: "3036", uom: "EA" },
-        { name: "Minneola Tangelo", sku: "4383", uom: "EA" },
-        { name: "Navel Orange", sku: "3107", uom: "EA" },
-        { name: "Red Grapefruit", sku: "4289", uom: "EA" },
-        { name: "Valencia Orange", sku: "3108", uom: "EA" },
-        { name: "White GrapeFruit", sku: "4294", uom: "EA" }
-      ] },
-    { id: "Dept_2B_Weighed", name: "2B Weighed", items: [
-        { name: "Acorn Squash", sku: "4750", uom: "LB" },
-        { name: "Armenian Cucumber", sku: "4592", uom: "LB" },
-        { name: "Baby Eggplant", sku: "4599", uom: "LB" },
-        { name: "Baby Summer Squash", sku: "4755", uom: "LB" },
-        { name: "Baby Zucchini Squash", sku: "4756", uom: "LB" },
-        { name: "Banana", sku: "4011", uom: "LB" },
-        { name: "Banana Pepper", sku: "4678", uom: "LB" },
-        { name: "Beefsteak Tomato", sku: "3061", uom: "LB" },
-        { name: "Broccoli", sku: "4060", uom: "LB" },
-        { name: "Brussel Sprouts", sku: "4550", uom: "LB" },
-        { name: "Butternut Squash", sku: "4759", uom: "LB" },
-        { name: "Cauliflower", sku: "4079", uom: "LB" },
-        { name: "Cortland Apple", sku: "4106", uom: "LB" },
-        { name: "Cucumber", sku: "4062", uom: "LB" },
-        { name: "Delicata Squash", sku: "4763", uom: "LB" },
-        { name: "Eggplant", sku: "4081", uom: "LB" },
-        { name: "Empire Apple", sku: "4126", uom: "LB" },
-        { name: "English Cucumber", sku: "4593", uom: "LB" },
-        { name: "Fennel", sku: "4515", uom: "LB" },
-        { name: "Fuji Apple", sku: "4131", uom: "LB" },
-        { name: "Gala Apple", sku: "4134", uom: "LB" },
-        { name: "Golden Delicious Apple", sku: "4137", uom: "LB" },
-        { name: "Granny Smith Apple", sku: "4018", uom: "LB" },
-        { name: "Green Asparagus", sku: "4080", uom: "LB" },
-        { name: "Green Beans", sku: "4066", uom: "LB" },
-        { name: "Green Bell Pepper", sku: "4065", uom: "LB" },
-        { name: "Home Grown Tomato", sku: "4800", uom: "LB" },
-        { name: "Honeycrisp Apple", sku: "3283", uom: "LB" },
-        { name: "Jalapeno Pepper", sku: "4693", uom: "LB" },
-        { name: "Kale", sku: "4627", uom: "LB" },
-        { name: "Leeks", sku: "4629", uom: "LB" },
-        { name: "Minneiska Apple", sku: "3603", uom: "LB" },
-        { name: "Napa Cabbage", sku: "4552", uom: "LB" },
-        { name: "Orange Bell Pepper", sku: "4682", uom: "LB" },
-        { name: "Pasilla Pepper", sku: "4702", uom: "LB" },
-        { name: "Pinklady Apple", sku: "4130", uom: "LB" },
-        { name: "Plum Tomato", sku: "4087", uom: "LB" },
-        { name: "Poblano Pepper", sku: "4705", uom: "LB" },
-        { name: "Purple Top Turnip", sku: "4811", uom: "LB" },
-        { name: "Radishes", sku: "4089", uom: "LB" },
-        { name: "Red Bell Pepper", sku: "4088", uom: "LB" },
-        { name: "Red Cabbage", sku: "4554", uom: "LB" },
-        { name: "Red Delicious Apple", sku: "4167", uom: "LB" },
-        { name: "Red Jalapeno Pepper", sku: "4694", uom: "LB" },
-        { name: "Red Tomato", sku: "4063", uom: "LB" },
-        { name: "Serrano Pepper", sku: "4709", uom: "LB" },
-        { name: "Snapdragon Apple", sku: "3442", uom: "LB" },
-        { name: "Spaghetti Squash", sku: "4776", uom: "LB" },
-        { name: "Spartan Apple", sku: "4179", uom: "LB" },
-        { name: "Sugar Bee Apple", sku: "3486", uom: "LB" },
-        { name: "Sweet Potato", sku: "4074", uom: "LB" },
-        { name: "Sweet Potatoes", sku: "4816", uom: "LB" },
-        { name: "Test_Weighted_Organic", sku: "99999", uom: "LB" },
-        { name: "Tets Weighted Item", sku: "9999", uom: "LB" },
-        { name: "Tomatoes on the Vine", sku: "4664", uom: "LB" },
-        { name: "Yellow Bell Pepper", sku: "4680", uom: "LB" },
-        { name: "Yellow Squash", sku: "4766", uom: "LB" },
-        { name: "Yukon Gold Potato", sku: "4727", uom: "LB" },
-        { name: "Zucchini Squash", sku: "4067", uom: "LB" }
-      ] },
-    { id: "Dept_2_Produce", name: "2 Produce", items: [
-        { name: "Banana", sku: "4011", uom: "LB" },
-        { name: "Cantaloupe", sku: "4050", uom: "EA" },
-        { name: "Celery", sku: "4070", uom: "EA" },
-        { name: "Cilantro", sku: "4889", uom: "EA" },
-        { name: "Dill Weed", sku: "4891", uom: "EA" },
-        { name: "Green Avocado", sku: "4221", uom: "EA" },
-        { name: "Green Cabbage", sku: "4069", uom: "EA" },
-        { name: "Green Scallion", sku: "4068", uom: "EA" },
-        { name: "Honeydew Melon", sku: "4034", uom: "EA" },
-        { name: "Italian Parsley", sku: "4901", uom: "EA" },
-        { name: "Parsley", sku: "4899", uom: "EA" },
-        { name: "Pineapple", sku: "4431", uom: "EA" },
-        { name: "Pomegranate", sku: "3127", uom: "EA" },
-        { name: "Watermelon", sku: "4031", uom: "EA" }
-      ] },
-    { id: "Dept_30_Deposit", name: "30 Deposit", items: [
-        { name: "Bottle Deposit Return", sku: "1111177791", uom: "EACH" }
-      ] },
-    { id: "Dept_31_USPS", name: "31 USPS", items: [
-        { name: "Book of stamps", sku: "720005", uom: "EA" },
-        { name: "USPS Large box", sku: "720004", uom: "EA" },
-        { name: "USPS Medium box", sku: "720003", uom: "EA" },
-        { name: "USPS Priority Mail", sku: "720000", uom: "EA" },
-        { name: "USPS Priority Mail Express", sku: "720001", uom: "EA" },
-        { name: "USPS Small box", sku: "720002", uom: "EA" }
-      ] },
-    { id: "Dept_32_Misc", name: "32 Misc", items: [
-        { name: "$25 Gift Card", sku: "07675004690", uom: "EA" },
-        { name: "10 LB Bag Ice", sku: "6185", uom: "EA" },
-        { name: "20 LB Bag Ice", sku: "6657", uom: "EA" },
-        { name: "5 LB Bag Ice", sku: "6138", uom: "EA" },
-        { name: "Charity Donation", sku: "9991", uom: "EA" },
-        { name: "Christmas Tree", sku: "6457", uom: "EA" },
-        { name: "Christmas Tree", sku: "72001", uom: "EA" },
-        { name: "Default Template Item", sku: "DEFAULT_TEMPLATE_ITEM", uom: "EA" },
-        { name: "Food Donation", sku: "1111177702", uom: "EACH" },
-        { name: "Freshman Starter Loyalty Program", sku: "8883", uom: "EA" },
-        { name: "Fuel Can 1 Gallon", sku: "02840002040", uom: "EACH" },
-        { name: "Gorilla Clear Glue", sku: "5242700546", uom: "EACH" },
-        { name: "GS1 Digital Link Item", sku: "12340123456789", uom: "EACH" },
-        { name: "Helium Balloons", sku: "1111177700", uom: "EA" },
-        { name: "Inner Circle Membership", sku: "8881", uom: "EA" },
-        { name: "Perks Rewards Membership", sku: "8882", uom: "EA" },
-        { name: "Poinsettias", sku: "6004", uom: "EA" },
-        { name: "TSC Reusable Bag", sku: "84898403343", uom: "EACH" }
-      ] },
-    { id: "Dept_3_Dairy", name: "3 Dairy", items: [
-        { name: "Borden Milk", sku: "1400000104", uom: "EA" },
-        { name: "Free Range Eggs", sku: "1", uom: "EA" },
-        { name: "Milk 3,5% - Non returnable", sku: "026400410348", uom: "EACH" }
-      ] },
-    { id: "Dept_40_Jewelry", name: "40 Jewelry", items: [
-        { name: "18\\\" Freshwater Cultured Pearl Strand with 14K Yellow Gold Clasp", sku: "72521307545", uom: "EA" },
-        { name: "3-Piece Created Opal Stud Earring Set in Sterling Silver", sku: "72522287688", uom: "EA" },
-        { name: "40mm Ladies\\' Bulova Rubaiyat Watch with a White Dial and Silver-tone Bracelet", sku: "72522489359", uom: "EA" },
-        { name: "8-in Adjustable Fashion Bangle Bracelet by Rembrandt in Sterling Silver", sku: "72521976463", uom: "EA" },
-        { name: "Gold Chain", sku: "77777724003", uom: "EA" },
-        { name: "Rose Gold Earrings", sku: "77777724043", uom: "EA" }
-      ] },
-    { id: "Dept_41_Fragrance", name: "41 Fragrance", items: [
-        { name: "Cologne", sku: "77777724002", uom: "EA" }
-      ] },
-    { id: "Dept_42_Handbags", name: "42 Handbags", items: [
-        { name: "Leather Bag", sku: "77777724042", uom: "EA" },
-        { name: "Postina Small Leather Bag", sku: "50370", uom: "EA" }
-      ] },
-    { id: "Dept_43_Shoes", name: "43 Shoes", items: [
-        { name: "Suede Flats", sku: "77777724061", uom: "EA" }
-      ] },
-    { id: "Dept_4_Meat", name: "4 Meat", items: [
-        { name: "Hot Dogs", sku: "78391908512", uom: "EA" },
-        { name: "Whole Turkey", sku: "85240900736", uom: "EA" }
-      ] },
-    { id: "Dept_50_Pharmacy", name: "50 Pharmacy", items: [
-        { name: "Pharmacy Item", sku: "rx", uom: "EACH" },
-        { name: "Prescription (Rx)", sku: "RX123456789", uom: "EACH" },
-        { name: "Recalled Medication", sku: "37000867890", uom: "EACH" },
-        { name: "rx Item mock", sku: "4700000020000062000125", uom: "EACH" },
-        { name: "Tylenol Extra Strength", sku: "30041660020", uom: "EACH" }
-      ] },
-    { id: "Dept_5_Candy", name: "5 Candy", items: [
-        { name: "Almond Joy", sku: "3400000320", uom: "EA" },
-        { name: "Almond Joy King Size", sku: "3400000522", uom: "EA" },
-        { name: "BreathSavers Peppermint", sku: "44810", uom: "EA" },
-        { name: "BreathSavers Spearmint", sku: "3400000337", uom: "EA" },
-        { name: "Feastables MrBeast Dark Chocolate", sku: "85002788000", uom: "EA" },
-        { name: "Heath Bar", sku: "1070006080", uom: "EA" },
-        { name: "Hershey’s Chocolate Almond", sku: "42410", uom: "EA" },
-        { name: "Hershey’s Cookies ‘n’ Cream", sku: "42390", uom: "EA" },
-        { name: "Hershey’s King Milk Chocolate", sku: "3400000220", uom: "EA" },
-        { name: "Hershey’s King Size Chocolate Almond Bar", sku: "3400000241", uom: "EA" },
-        { name: "Hershey’s Milk Chocolate Bar", sku: "3400000240", uom: "EA" },
-        { name: "Hershey\\'s Almond Chocolate Bar 6 pack", sku: "3400029105", uom: "EA" },
-        { name: "Hershey\\'s Milk Chocolate Bar 6 pack", sku: "3400029005", uom: "EA" },
-        { name: "Ice Breakers Cool Mint", sku: "3400000007", uom: "EA" },
-        { name: "Ice Breakers Duo Raspberry", sku: "46660", uom: "EA" },
-        { name: "Ice Breakers Duo Strawberry", sku: "3400000665", uom: "EA" },
-        { name: "Ice Breakers Sours", sku: "3400000098", uom: "EA" },
-        { name: "Ice Breakers Spearmint", sku: "3400000006", uom: "EA" },
-        { name: "Ice Breakers Wintergreen", sku: "3400000009", uom: "EA" },
-        { name: "Ice Cubes Artic Grape", sku: "3400000545", uom: "EA" },
-        { name: "Ice Cubes Cinnamon", sku: "3400000811", uom: "EA" },
-        { name: "Ice Cubes Peppermint Gum", sku: "3400000843", uom: "EA" },
-        { name: "Ice Cubes Raspberry Sorbet", sku: "3400000848", uom: "EA" },
-        { name: "Ice Cubes Spearmint Gum", sku: "3400000847", uom: "EA" },
-        { name: "Ice Cubes Wintergreen", sku: "3400000529", uom: "EA" },
-        { name: "KitKat", sku: "3400000246", uom: "EA" },
-        { name: "KitKat Duos", sku: "3400031828", uom: "EA" },
-        { name: "KitKat King Size", sku: "3400000229", uom: "EA" },
-        { name: "M&Ms", sku: "4000000031", uom: "EACH" },
-        { name: "Mounds Bar", sku: "3400000031", uom: "EA" },
-        { name: "PayDay Bar", sku: "1070080722", uom: "EA" },
-        { name: "PayDay King Size", sku: "1070080727", uom: "EA" },
-        { name: "PayDayDataMatrix", sku: "00010700807229", uom: "EACH" },
-        { name: "Peanut M&Ms", sku: "4000000032", uom: "EACH" },
-        { name: "Peppermint Altoids", sku: "2200015933", uom: "EA" },
-        { name: "Pocky Chocolate", sku: "7314111081", uom: "EA" },
-        { name: "Pocky Chocolate", sku: "7314115233", uom: "EA" },
-        { name: "Reese’s Peanut Butter Cups - 4", sku: "3400000480", uom: "EA" },
-        { name: "Reese’s Sticks", sku: "340000014", uom: "EA" },
-        { name: "Reese\\'s Peanut Butter Cups - 2", sku: "3400000440", uom: "EA" },
-        { name: "Rolo", sku: "3400000244", uom: "EA" },
-        { name: "Sour Patch Kids", sku: "UG20252", uom: "EACH" },
-        { name: "Trident Island Berry Lime", sku: "07339005525", uom: "EACH" },
-        { name: "Trident Tropical Twist", sku: "UG20253", uom: "EACH" },
-        { name: "Trident Watermelon Twist", sku: "07339005518", uom: "EACH" },
-        { name: "Twix", sku: "UG20251", uom: "EACH" },
-        { name: "Twizzlers", sku: "3400053104", uom: "EA" },
-        { name: "Whitman\\'s Sampler", sku: "7674007012", uom: "EA" },
-        { name: "York Peppermint Patty", sku: "3400000330", uom: "EA" }
-      ] },
-    { id: "Dept_60_Tobacco", name: "60 Tobacco", items: [
-        { name: "Nicorette Gum", sku: "30766776054", uom: "EACH" }
-      ] },
-    { id: "Dept_6_Snacks", name: "6 Snacks", items: [
-        { name: "Almonds", sku: "4902204244", uom: "EA" },
-        { name: "Cheetos", sku: "28400040112", uom: "EACH" },
-        { name: "Cherry Slices", sku: "9843724507", uom: "EACH" },
-        { name: "Doritos", sku: "2840009089", uom: "EACH" },
-        { name: "Honey Roasted Cashews", sku: "9843724196", uom: "EACH" },
-        { name: "Jack Links Beef Jerky Sweet & Hot", sku: "1708287633", uom: "EA" },
-        { name: "Jack Links Beef Jerky Teriyaki", sku: "1708287635", uom: "EA" },
-        { name: "Jalapeno Peanuts", sku: "9843721025", uom: "EACH" },
-        { name: "Orville Redenbacher’s Mini Bags", sku: "2700062317", uom: "EA" },
-        { name: "Planters Mixed Nuts", sku: "2900001665", uom: "EA" },
-        { name: "Pringles Lightly Salted", sku: "3800013881", uom: "EA" },
-        { name: "Pringles Original", sku: "3800013841", uom: "EA" },
-        { name: "Protein Trail Mix", sku: "4902265916", uom: "EA" },
-        { name: "Quaker Chewy Chocolate Chip", sku: "0307750", uom: "EACH" },
-        { name: "Quaker ChewyPB Chip", sku: "0307760", uom: "EACH" },
-        { name: "Sahale ", sku: "89386900032", uom: "EA" },
-        { name: "Sahale Maple Pecans", sku: "89386900033", uom: "EA" },
-        { name: "Smartfood Popcorn", sku: "2840001423", uom: "EACH" },
-        { name: "SmartFood Popcorn", sku: "2840031413", uom: "EA" },
-        { name: "Stax Buffalo Wings", sku: "2840009251", uom: "EA" },
-        { name: "Stax Flaming Hot", sku: "2840059670", uom: "EA" },
-        { name: "Sun Chips Minis Garden Salsa", sku: "2840070014", uom: "EA" },
-        { name: "Sunflower Kernels", sku: "4902204239", uom: "EA" },
-        { name: "Unsalted Mixed Nuts", sku: "88867012670", uom: "EA" },
-        { name: "Watermelon Rings", sku: "9843724511", uom: "EACH" },
-        { name: "Whole Cashews", sku: "4902204260", uom: "EA" }
-      ] },
-    { id: "Dept_7_Deli", name: "7 Deli", items: [
-        { name: "1 lb Deli Ham", sku: "905001", uom: "EA" },
-        { name: "1 lb Deli Roast Beef", sku: "905002", uom: "EA" },
-        { name: "1 lb Deli Swiss Cheese", sku: "905003", uom: "EA" },
-        { name: "1 lb Deli Turkey", sku: "905000", uom: "EA" },
-        { name: "1 lb Deli White Cheddar Cheese", sku: "905005", uom: "EA" },
-        { name: "Apple Slices", sku: "7015", uom: "EACH" },
-        { name: "Baby Carrots", sku: "7012", uom: "EACH" },
-        { name: "Caesar Salad", sku: "7014", uom: "EACH" },
-        { name: "California Bowl", sku: "7013", uom: "EACH" },
-        { name: "Chicken Panini", sku: "7004", uom: "EACH" },
-        { name: "Chips", sku: "7011", uom: "EACH" },
-        { name: "Deli Cheddar Cheese", sku: "905004", uom: "LB" },
-        { name: "French Bread", sku: "906000", uom: "EA" },
-        { name: "Fries", sku: "7010", uom: "EACH" },
-        { name: "Greek Salad", sku: "7008", uom: "EACH" },
-        { name: "Grilled Cheese", sku: "7009", uom: "EACH" },
-        { name: "Ham Sandwich", sku: "7007", uom: "EACH" },
-        { name: "Ham Sandwich - Eat In", sku: "907001", uom: "EA" },
-        { name: "Ham Sandwich - Optional", sku: "907002", uom: "EA" },
-        { name: "Ham Sandwich - Take Out", sku: "907000", uom: "EA" },
-        { name: "Kale Salad", sku: "7006", uom: "EACH" },
-        { name: "Onion Rings", sku: "7005", uom: "EACH" },
-        { name: "PB&J", sku: "7003", uom: "EACH" },
-        { name: "Power Bowl", sku: "7002", uom: "EACH" },
-        { name: "Turkey on Wheat", sku: "7001", uom: "EACH" }
-      ] },
-    { id: "Dept_8_Floral", name: "8 Floral", items: [
-        { name: "Daisy Bunch", sku: "7948784013", uom: "EA" },
-        { name: "Green Mini Pumpkin", sku: "70801685047", uom: "EA" },
-        { name: "Medium Orange Pumpkin", sku: "19151827369", uom: "EA" },
-        { name: "Medium White Pumpkin", sku: "19151827370", uom: "EA" },
-        { name: "Mini Galvanized French Bucket", sku: "19515852666", uom: "EA" },
-        { name: "Orange Speckle Mini Pumpkin", sku: "70801685251", uom: "EA" },
-        { name: "Orange Sunflowers", sku: "19515891472", uom: "EA" },
-        { name: "Small Black Pumpkin", sku: "19151827367", uom: "EA" },
-        { name: "Sunflowers", sku: "19515891362", uom: "EA" },
-        { name: "Yellow Daisies", sku: "19515891573", uom: "EA" }
-      ] },
-    { id: "FOOD_COURT", name: "FOOD COURT", items: [
-        { name: "Apple Juice", sku: "apple_juice", uom: "EACH" },
-        { name: "Bacon Cheeseburger", sku: "bacon_cheeseburger", uom: "EACH" },
-        { name: "Bag of Chips", sku: "bag_of_chips", uom: "EACH" },
-        { name: "Bean & Cheese Burrito", sku: "bean_and_cheese_burrito", uom: "EACH" },
-        { name: "Beef & Broccoli with White Rice", sku: "beef_broccoli_white_rice", uom: "EACH" },
-        { name: "Bottled Water", sku: "bottled_water", uom: "EACH" },
-        { name: "Caramel Sundae", sku: "caramel_sundae", uom: "EACH" },
-        { name: "Carne Asada Taco", sku: "carne_asada_taco", uom: "EACH" },
-        { name: "Cheese Fries", sku: "cheese_fries", uom: "EACH" },
-        { name: "Cheese Quesadilla", sku: "cheese_quesadilla", uom: "EACH" },
-        { name: "Cheese Slice", sku: "cheese_slice", uom: "EACH" },
-        { name: "Cheeseburger", sku: "cheeseburger", uom: "EACH" },
-        { name: "Chicken Burrito", sku: "chicken_burrito", uom: "EACH" },
-        { name: "Chicken Nuggets (4 piece)", sku: "chicken_nuggets_4pc", uom: "EACH" },
-        { name: "Chicken Quesadilla", sku: "chicken_quesadilla", uom: "EACH" },
-        { name: "Chili Cheese Dog", sku: "chili_cheese_dog", uom: "EACH" },
-        { name: "Chocolate Chip Cookie", sku: "chocolate_chip_cookie", uom: "EACH" },
-        { name: "Churros", sku: "churros", uom: "EACH" },
-        { name: "Classic Burger", sku: "classic_burger", uom: "EACH" },
-        { name: "Classic Cheese Pizza", sku: "classic_cheese_pizza", uom: "EACH" },
-        { name: "Classic Pepperoni Pizza", sku: "classic_pepperoni_pizza", uom: "EACH" },
-        { name: "Coffee", sku: "coffee", uom: "EACH" },
-        { name: "Coleslaw", sku: "coleslaw", uom: "EACH" },
-        { name: "Crab Rangoon", sku: "crab_rangoon", uom: "EACH" },
-        { name: "Crispy Chicken Sandwich", sku: "crispy_chicken_sandwich", uom: "EACH" },
-        { name: "Double Bacon Cheeseburger", sku: "double_bacon_cheeseburger", uom: "EACH" },
-        { name: "Egg Roll", sku: "egg_roll", uom: "EACH" },
-        { name: "Fish Taco", sku: "fish_taco", uom: "EACH" },
-        { name: "Fountain Drink (Large)", sku: "fountain_drink_large", uom: "EACH" },
-        { name: "Fountain Drink (Medium)", sku: "fountain_drink_medium", uom: "EACH" },
-        { name: "Fountain Drink (Small)", sku: "fountain_drink_small", uom: "EACH" },
-        { name: "French Fries (Small)", sku: "french_fries_large", uom: "EACH" },
-        { name: "Fruit Cup", sku: "fruit_cup", uom: "EACH" },
-        { name: "Fudge Brownie", sku: "fudge_brownie", uom: "EACH" },
-        { name: "Gatorade", sku: "gatorade", uom: "EACH" },
-        { name: "General Tso\\'s Chicken with Fried Rice", sku: "general_tsos_chicken_fried_rice", uom: "EACH" },
-        { name: "Grilled Chicken Sandwich", sku: "grilled_chicken_sandwich", uom: "EACH" },
-        { name: "Ground Beef Taco", sku: "ground_beef_taco", uom: "EACH" },
-        { name: "Hot Dog", sku: "hot_dog", uom: "EACH" },
-        { name: "Hot Fudge Sundae", sku: "hot_fudge_sundae", uom: "EACH" },
-        { name: "Ice Cream Cone", sku: "ice_cream_cone", uom: "EACH" },
-        { name: "Iced Coffee", sku: "iced_coffee", uom: "EACH" },
-        { name: "Iced Tea", sku: "iced_tea", uom: "EACH" },
-        { name: "Kids Cheeseburger", sku: "kids_cheeseburger", uom: "EACH" },
-        { name: "Lemonade", sku: "lemonade", uom: "EACH" },
-        { name: "Meat Lovers Pizza", sku: "meat_lovers_pizza", uom: "EACH" },
-        { name: "Meat Lovers Slice", sku: "meat_lovers_slice", uom: "EACH" },
-        { name: "Milk (White or Chocolate)", sku: "milk", uom: "EACH" },
-        { name: "Milkshake", sku: "milkshake", uom: "EACH" },
-        { name: "Mini Corn Dogs (5 piece)", sku: "mini_corn_dogs_5pc", uom: "EACH" },
-        { name: "Mozzarella Sticks", sku: "mozzarella_sticks", uom: "EACH" },
-        { name: "Mushroom Swiss Burger", sku: "mushroom_swiss_burger", uom: "EACH" },
-        { name: "Nachos Supreme", sku: "nachos_supreme", uom: "EACH" },
-        { name: "Nachos with Cheese", sku: "nachos_with_cheese", uom: "EACH" },
-        { name: "Oatmeal Raisin Cookie", sku: "oatmeal_raisin_cookie", uom: "EACH" },
-        { name: "Onion Rings", sku: "onion_rings", uom: "EACH" },
-        { name: "Orange Chicken with Fried Rice", sku: "orange_chicken_fried_rice", uom: "EACH" },
-        { name: "Orange Juice", sku: "orange_juice", uom: "EACH" },
-        { name: "Pepperoni Slice", sku: "pepperoni_slice", uom: "EACH" },
-        { name: "Popcorn (Large)", sku: "popcorn_large", uom: "EACH" },
-        { name: "Popcorn (Small)", sku: "popcorn_small", uom: "EACH" },
-        { name: "Pretzel with Cheese Cup", sku: "pretzel_with_cheese", uom: "EACH" },
-        { name: "Shredded Chicken Taco", sku: "shredded_chicken_taco", uom: "EACH" },
-        { name: "Side Salad", sku: "side_salad", uom: "EACH" },
-        { name: "Slice of Cheesecake", sku: "slice_of_cheesecake", uom: "EACH" },
-        { name: "Soft Pretzel", sku: "soft_pretzel", uom: "EACH" },
-        { name: "Sparkling Water", sku: "sparkling_water", uom: "EACH" },
-        { name: "Spring Roll", sku: "spring_rolls", uom: "EACH" },
-        { name: "Steak Burrito", sku: "steak_burrito", uom: "EACH" },
-        { name: "Supreme Pizza", sku: "supreme_pizza", uom: "EACH" },
-        { name: "Supreme Slice", sku: "supreme_slice", uom: "EACH" },
-        { name: "Taco Salad", sku: "taco_salad", uom: "EACH" },
-        { name: "Vegetable Lo Mein", sku: "vegetable_lo_mein", uom: "EACH" },
-        { name: "Veggie Burger", sku: "veggie_burger", uom: "EACH" },
-        { name: "Veggie Delight Pizza", sku: "veggie_delight_pizza", uom: "EACH" },
-        { name: "Veggie Delight Slice", sku: "veggie_delight_slice", uom: "EACH" }
-      ] },
-    { id: "FOOD_COURT_MENU", name: "FOOD COURT MENU", items: [
-        { name: "Apple Juice", sku: "FC_APPLE_JUICE", uom: "EACH" },
-        { name: "Bacon Cheeseburger", sku: "FC_BACON_CHEESEBURGER", uom: "EACH" },
-        { name: "Bag of Chips", sku: "FC_BAG_OF_CHIPS", uom: "EACH" },
-        { name: "Bean & Cheese Burrito", sku: "FC_BEAN_CHEESE_BURRITO", uom: "EACH" },
-        { name: "Bottled Water", sku: "FC_BOTTLED_WATER", uom: "EACH" },
-        { name: "Caramel Sundae", sku: "FC_CARAMEL_SUNDAE", uom: "EACH" },
-        { name: "Carne Asada Taco", sku: "FC_CARNE_ASADA_TACO", uom: "EACH" },
-        { name: "Cheese Fries", sku: "FC_CHEESE_FRIES", uom: "EACH" },
-        { name: "Cheese Quesadilla", sku: "FC_CHEESE_QUESADILLA", uom: "EACH" },
-        { name: "Cheese Slice", sku: "FC_CHEESE_SLICE", uom: "EACH" },
-        { name: "Cheeseburger", sku: "FC_CHEESEBURGER", uom: "EACH" },
-        { name: "Chicken Burrito", sku: "FC_CHICKEN_BURRITO", uom: "EACH" },
-        { name: "Chicken Nuggets (4 piece)", sku: "FC_CHICKEN_NUGGETS_4_PIECE", uom: "EACH" },
-        { name: "Chicken Quesadilla", sku: "FC_CHICKEN_QUESADILLA", uom: "EACH" },
-        { name: "Chili Cheese Dog", sku: "FC_CHILI_CHEESE_DOG", uom: "EACH" },
-        { name: "Chocolate Chip Cookie", sku: "FC_CHOCOLATE_CHIP_COOKIE", uom: "EACH" },
-        { name: "Churros", sku: "FC_CHURROS", uom: "EACH" },
-        { name: "Classic Burger", sku: "FC_CLASSIC_BURGER", uom: "EACH" },
-        { name: "Classic Cheese Pizza", sku: "FC_CLASSIC_CHEESE_PIZZA", uom: "EACH" },
-        { name: "Classic Pepperoni Pizza", sku: "FC_CLASSIC_PEPPERONI_PIZZA", uom: "EACH" },
-        { name: "Coffee", sku: "FC_COFFEE", uom: "EACH" },
-        { name: "Coleslaw", sku: "FC_COLESLAW", uom: "EACH" },
-        { name: "Crab Rangoon", sku: "FC_CRAB_RANGOON", uom: "EACH" },
-        { name: "Crispy Chicken Sandwich", sku: "FC_CRISPY_CHICKEN_SANDWICH", uom: "EACH" },
-        { name: "Double Bacon Cheeseburger", sku: "FC_DOUBLE_BACON_CHEESEBURGER", uom: "EACH" },
-        { name: "Egg Roll", sku: "FC_EGG_ROLL", uom: "EACH" },
-        { name: "Fish Taco", sku: "FC_FISH_TACO", uom: "EACH" },
-        { name: "Fountain Drink (Large)", sku: "FC_FOUNTAIN_DRINK_LARGE", uom: "EACH" },
-        { name: "Fountain Drink (Medium)", sku: "FC_FOUNTAIN_DRINK_MEDIUM", uom: "EACH" },
-        { name: "Fountain Drink (Small)", sku: "FC_FOUNTAIN_DRINK_SMALL", uom: "EACH" },
-        { name: "French Fries (Large)", sku: "FC_FRENCH_FRIES_LARGE", uom: "EACH" },
-        { name: "French Fries (Small)", sku: "FC_FRENCH_FRIES_SMALL", uom: "EACH" },
-        { name: "Fruit Cup", sku: "FC_FRUIT_CUP", uom: "EACH" },
-        { name: "Fudge Brownie", sku: "FC_FUDGE_BROWNIE", uom: "EACH" },
-        { name: "Gatorade", sku: "FC_GATORADE", uom: "EACH" },
-        { name: "Grilled Chicken Sandwich", sku: "FC_GRILLED_CHICKEN_SANDWICH", uom: "EACH" },
-        { name: "Ground Beef Taco", sku: "FC_GROUND_BEEF_TACO", uom: "EACH" },
-        { name: "Hot Dog", sku: "FC_HOT_DOG", uom: "EACH" },
-        { name: "Hot Fudge Sundae", sku: "FC_HOT_FUDGE_SUNDAE", uom: "EACH" },
-        { name: "Ice Cream Cone", sku: "FC_ICE_CREAM_CONE", uom: "EACH" },
-        { name: "Iced Coffee", sku: "FC_ICED_COFFEE", uom: "EACH" },
-        { name: "Iced Tea", sku: "FC_ICED_TEA", uom: "EACH" },
-        { name: "Kids Cheeseburger", sku: "FC_KIDS_CHEESEBURGER", uom: "EACH" },
-        { name: "Lemonade", sku: "FC_LEMONADE", uom: "EACH" },
-        { name: "Mac & Cheese", sku: "FC_MAC_CHEESE", uom: "EACH" },
-        { name: "Meat Lovers Pizza", sku: "FC_MEAT_LOVERS_PIZZA", uom: "EACH" },
-        { name: "Meat Lovers Slice", sku: "FC_MEAT_LOVERS_SLICE", uom: "EACH" },
-        { name: "Milk (White or Chocolate)", sku: "FC_MILK_WHITE_OR_CHOCOLATE", uom: "EACH" },
-        { name: "Milkshake", sku: "FC_MILKSHAKE", uom: "EACH" },
-        { name: "Mini Corn Dogs (5 piece)", sku: "FC_MINI_CORN_DOGS_5_PIECE", uom: "EACH" },
-        { name: "Mozzarella Sticks", sku: "FC_MOZZARELLA_STICKS", uom: "EACH" },
-        { name: "Mushroom Swiss Burger", sku: "FC_MUSHROOM_SWISS_BURGER", uom: "EACH" },
-        { name: "Nachos Supreme", sku: "FC_NACHOS_SUPREME", uom: "EACH" },
-        { name: "Nachos with Cheese", sku: "FC_NACHOS_WITH_CHEESE", uom: "EACH" },
-        { name: "Oatmeal Raisin Cookie", sku: "FC_OATMEAL_RAISIN_COOKIE", uom: "EACH" },
-        { name: "Onion Rings", sku: "FC_ONION_RINGS", uom: "EACH" },
-        { name: "Orange Juice", sku: "FC_ORANGE_JUICE", uom: "EACH" },
-        { name: "Pepperoni Slice", sku: "FC_PEPPERONI_SLICE", uom: "EACH" },
-        { name: "Pizza & Soda Combo", sku: "FC_PIZZA_SODA_COMBO", uom: "EACH" },
-        { name: "Popcorn (Large)", sku: "FC_POPCORN_LARGE", uom: "EACH" },
-        { name: "Popcorn (Small)", sku: "FC_POPCORN_SMALL", uom: "EACH" },
-        { name: "Pretzel with Cheese Cup", sku: "FC_PRETZEL_WITH_CHEESE_CUP", uom: "EACH" },
-        { name: "Shredded Chicken Taco", sku: "FC_SHREDDED_CHICKEN_TACO", uom: "EACH" },
-        { name: "Side Salad", sku: "FC_SIDE_SALAD", uom: "EACH" },
-        { name: "Slice of Cheesecake", sku: "FC_SLICE_OF_CHEESECAKE", uom: "EACH" },
-        { name: "Soft Pretzel", sku: "FC_SOFT_PRETZEL", uom: "EACH" },
-        { name: "Sparkling Water", sku: "FC_SPARKLING_WATER", uom: "EACH" },
-        { name: "Spring Roll", sku: "FC_SPRING_ROLL", uom: "EACH" },
-        { name: "Steak Burrito", sku: "FC_STEAK_BURRITO", uom: "EACH" },
-        { name: "Supreme Pizza", sku: "FC_SUPREME_PIZZA", uom: "EACH" },
-        { name: "Supreme Slice", sku: "FC_SUPREME_SLICE", uom: "EACH" },
-        { name: "Taco Salad", sku: "FC_TACO_SALAD", uom: "EACH" },
-        { name: "Veggie Burger", sku: "FC_VEGGIE_BURGER", uom: "EACH" },
-        { name: "Veggie Delight Pizza", sku: "FC_VEGGIE_DELIGHT_PIZZA", uom: "EACH" },
-        { name: "Veggie Delight Slice", sku: "FC_VEGGIE_DELIGHT_SLICE", uom: "EACH" }
-      ] },
-    { id: "FUEL_QLU_GROUP", name: "FUEL QLU GROUP", items: [
-        { name: "Donut", sku: "SKU-DONUT-01", uom: "EACH" },
-        { name: "Firewood", sku: "SKU-FIREWOOD-02", uom: "EACH" },
-        { name: "Firewood", sku: "SKU-FIREWOOD-01", uom: "EACH" },
-        { name: "Hot Dog", sku: "SKU-HOTDOG-01", uom: "EACH" },
-        { name: "Large Coffee", sku: "SKU-COFFEE-LG", uom: "EACH" },
-        { name: "Large Fountain", sku: "SKU-FOUNTAIN-LG", uom: "EACH" },
-        { name: "Large Ice (7 lbs)", sku: "SKU-ICE-LG", uom: "EACH" },
-        { name: "Large Slushy", sku: "SKU-SLUSHY-LG", uom: "EACH" },
-        { name: "Medium Coffee", sku: "SKU-COFFEE-MD", uom: "EACH" },
-        { name: "Medium Fountain", sku: "SKU-FOUNTAIN-MD", uom: "EACH" },
-        { name: "Medium Slushy", sku: "SKU-SLUSHY-MD", uom: "EACH" },
-        { name: "New Propane", sku: "SKU-PROPANE-NEW", uom: "EACH" },
-        { name: "Pizza", sku: "SKU-PIZZA-01", uom: "EACH" },
-        { name: "Pizza", sku: "SKU-PIZZA-02", uom: "EACH" },
-        { name: "Propane Exchange", sku: "SKU-PROPANE-EX", uom: "EACH" },
-        { name: "Propane Refill", sku: "SKU-PROPANE-REF-02", uom: "EACH" },
-        { name: "Propane Refill", sku: "SKU-PROPANE-REF-01", uom: "EACH" },
-        { name: "Small Coffee", sku: "SKU-COFFEE-SM", uom: "EACH" },
-        { name: "Small Fountain", sku: "SKU-FOUNTAIN-SM", uom: "EACH" },
-        { name: "Small Ice (2 lbs)", sku: "SKU-ICE-SM", uom: "EACH" },
-        { name: "Small Slushy", sku: "SKU-SLUSHY-SM", uom: "EACH" }
-      ] },
-    { id: "MEIJER_ITEMS", name: "MEIJER ITEMS", items: [
-        { name: "Frederik\\'s Bronze Cut Cavatelli", sku: "70882017012", uom: "EACH" },
-        { name: "Frederik\\'s Bronze Cut Orzo", sku: "71373313109", uom: "EACH" },
-        { name: "Frederik\\'s Bronze Cut Penne Rigate", sku: "70882016993", uom: "EACH" },
-        { name: "Frederik\\'s Four Cheese Risotto", sku: "70882002009", uom: "EACH" },
-        { name: "Frederik\\'s Roasted Garlic Risotto", sku: "70882002010", uom: "EACH" },
-        { name: "Frederik\\'s Tomato Risotto", sku: "70882002011", uom: "EACH" },
-        { name: "FT Ultra LT Rain Poncho", sku: "64748404010", uom: "EACH" },
-        { name: "Lamb Chop Cat Toy", sku: "71373358709", uom: "EACH" },
-        { name: "LS Crew Tee Snow Htr", sku: "71928322063", uom: "EACH" },
-        { name: "Meijer Original Potato Chips", sku: "71373346708", uom: "EACH" },
-        { name: "Meijer Peanut Butter Trail Mix", sku: "71373353871", uom: "EACH" },
-        { name: "Meijer Sweet & Salty Trail Mix", sku: "70882000506", uom: "EACH" },
-        { name: "Meijer Whole Roasted Almonds", sku: "71373353850", uom: "EACH" },
-        { name: "Moisturizing Sunscreen", sku: "70882036833", uom: "EACH" },
-        { name: "Peanut, Drk Choco Almond Protien Bars", sku: "71373312016", uom: "EACH" },
-        { name: "True Goodness Dlx Mixed Nuts", sku: "71928380896", uom: "EACH" },
-        { name: "Umbrella", sku: "95486321785", uom: "EACH" }
-      ] },
-    { id: "NO_TAX", name: "NO TAX", items: [
-        { name: "Water", sku: "082657500690", uom: "EACH" }
-      ] },
-    { id: "VAT_TAX", name: "VAT TAX", items: [
-        { name: "Kong HandiPOD Mini Starter Kit", sku: "035585800219", uom: "EACH" },
-        { name: "McVities Digestives ChocTopsMilkChoc100g", sku: "5000168010311", uom: "EACH" },
-        { name: "Oscar Orsen Elastic Thin Lrge Brown 30pk", sku: "1845678901001", uom: "EACH" }
-      ] }
-  ]
+// Live item count for a vertical's dashboard card
+const countVerticalItems = (vertical) => {
+  switch (vertical.view) {
+    case 'scanbook':
+      return vertical.data.tests.length;
+    case 'categories':
+    case 'gs1':
+      return vertical.data.categories.reduce((sum, c) => sum + c.items.length, 0);
+    case 'catalog': {
+      const { customItems, deletedItems } = readLocalState();
+      return mergeCatalog(customItems, deletedItems).reduce((sum, g) => sum + g.items.length, 0);
+    }
+    case 'editor':
+      return loadScanbooks().length;
+    case 'roles':
+      return ROLES.length;
+    default:
+      return 0;
+  }
 };
 
+// Every item a role can open, as search documents tagged with their vertical:
+// the merged catalog, category and GS1 items and scanbook scenario items
+const searchDocuments = (role) => listVerticals(role).flatMap((vertical) => {
+  const source = vertical.id;
+  switch (vertical.view) {
+    case 'catalog': {
+      const { customItems, deletedItems } = readLocalState();
+      return mergeCatalog(customItems, deletedItems).flatMap(group => group.items.map(item => itemSearchDocument(item, [group.name], { source, context: group.name })));
+    }
+    case 'categories':
+    case 'gs1':
+      return vertical.data.categories.flatMap(category => category.items.map(item => itemSearchDocument(withGs1Strings(item), [category.name], { source, context: category.name })));
+    case 'scanbook':
+      return vertical.data.tests.flatMap(test => (test.items || []).map(item => itemSearchDocument(item, [test.name, test.promotion], { source, context: test.name, testId: test.id })));
+    default:
+      return [];
+  }
+});
+
 const typeColors = {
   'AMOUNT_OFF': 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
   'PERCENT_OFF': 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
@@ -1380,11 +571,64 @@ const typeColors = {
   'FINAL_PRICE': 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300'
 };
 
+// Promotion validity badge, from the test's free-text `valid` range
+const validityBadges = {
+  active: { label: 'Active', className: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300' },
+  upcoming: { label: 'Upcoming', className: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300' },
+  expired: { label: 'Expired', className: 'bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-300' }
+};
+
+const ValidityBadge = ({ valid, className = 'text-xs px-2 py-1' }) => {
+  const badge = validityBadges[validityStatus(valid)];
+  if (!badge) return null;
+  return <span className={`rounded-full font-semibold ${className} ${badge.className}`}>{badge.label}</span>;
+};
+
+// Tests in a scanbook whose promotion window has already ended
+const expiredTests = (data) => data.tests.filter(test => validityStatus(test.valid) === 'expired');
+
+// GTIN check-digit badge for SKUs that are truncated or carry a wrong check digit
+const GtinStatusBadge = ({ sku }) => {
+  const result = analyzeGtin(sku);
+  if (result.status === 'missing-check') {
+    return <span className="text-xs bg-amber-100 dark:bg-amber-900/50 text-amber-700 dark:text-amber-300 px-2 py-0.5 rounded" title={result.message}>⚠️ No check digit</span>;
+  }
+  if (result.status === 'bad-check') {
+    return <span className="text-xs bg-red-100 dark:bg-red-900/50 text-red-700 dark:text-red-300 px-2 py-0.5 rounded" title={result.message}>⚠️ Bad check digit</span>;
+  }
+  return null;
+};
+
+// One-click repair that stores the normalized UPC-A / GTIN-14 barcode next to the SKU
+const GtinRepairButton = ({ sku, onRepair }) => {
+  const fix = normalizeGtin(sku);
+  if (!fix) return null;
+  return (
+    <button
+      type="button"
+      onClick={onRepair}
+      className="text-xs px-2 py-1 rounded bg-amber-100 hover:bg-amber-200 text-amber-700 dark:bg-amber-900 dark:hover:bg-amber-800 dark:text-amber-300 transition cursor-pointer"
+      title={`Store ${fix.barcode} as the barcode (GTIN-14 ${fix.gtin})`}
+    >
+      Normalize to UPC-A / GTIN-14
+    </button>
+  );
+};
+
+// GS1 date fields in AddItemModal; each takes a calendar date or an offset from today
+const GS1_DATE_FIELDS = [
+  { field: 'productionDate', ai: '11', label: 'Production Date' },
+  { field: 'bestBeforeDate', ai: '15', label: 'Best Before' },
+  { field: 'sellByDate', ai: '16', label: 'Sell By Date' },
+  { field: 'expirationDate', ai: '17', label: 'Expiration Date' }
+];
+
 // Add Item Modal Component
 const AddItemModal = ({ isOpen, onClose, onSave, editItem, departments, existingItems = [] }) => {
   const [formData, setFormData] = useState({
     name: '',
     sku: '',
+    barcode: '',
     uom: 'EA',
     department: 'Custom_Items',
     barcodeType: '1D',
@@ -1395,6 +639,7 @@ const AddItemModal = ({ isOpen, onClose, onSave, editItem, departments, existing
     sellByDate: '',
     bestBeforeDate: '',
     productionDate: '',
+    dateOffsets: {},
     weight: '',
     weightUnit: 'kg'
   });
@@ -1406,6 +651,7 @@ const AddItemModal = ({ isOpen, onClose, onSave, editItem, departments, existing
       setFormData({
         name: editItem.name,
         sku: editItem.sku,
+        barcode: editItem.barcode || '',
         uom: editItem.uom,
         department: editItem.department || 'Custom_Items',
         barcodeType: editItem.barcodeType || '1D',
@@ -1416,11 +662,12 @@ const AddItemModal = ({ isOpen, onClose, onSave, editItem, departments, existing
         sellByDate: editItem.sellByDate || '',
         bestBeforeDate: editItem.bestBeforeDate || '',
         productionDate: editItem.productionDate || '',
+        dateOffsets: editItem.dateOffsets || {},
         weight: editItem.weight || '',
         weightUnit: editItem.weightUnit || 'kg'
       });
     } else {
-      setFormData({ name: '', sku: '', uom: 'EA', department: 'Custom_Items', barcodeType: '1D', gtin: '', batchLot: '', expirationDate: '', serialNumber: '', sellByDate: '', bestBeforeDate: '', productionDate: '', weight: '', weightUnit: 'kg' });
+      setFormData({ name: '', sku: '', barcode: '', uom: 'EA', department: 'Custom_Items', barcodeType: '1D', gtin: '', batchLot: '', expirationDate: '', serialNumber: '', sellByDate: '', bestBeforeDate: '', productionDate: '', dateOffsets: {}, weight: '', weightUnit: 'kg' });
     }
     setErrors({});
     setDuplicateItem(null);
@@ -1436,35 +683,29 @@ const AddItemModal = ({ isOpen, onClose, onSave, editItem, departments, existing
     return found || null;
   };
 
-  // Build GS1 string from form data
-  const buildGs1String = () => {
-    let gs1 = '';
-    const gtin = formData.gtin || formData.sku.padStart(14, '0');
-    gs1 = `(01)${gtin}`;
-    if (formData.productionDate) {
-      const dateStr = formData.productionDate.replace(/-/g, '').substring(2); // YYMMDD
-      gs1 += `(11)${dateStr}`;
-    }
-    if (formData.bestBeforeDate) {
-      const dateStr = formData.bestBeforeDate.replace(/-/g, '').substring(2);
-      gs1 += `(15)${dateStr}`;
-    }
-    if (formData.sellByDate) {
-      const dateStr = formData.sellByDate.replace(/-/g, '').substring(2);
-      gs1 += `(16)${dateStr}`;
-    }
-    if (formData.expirationDate) {
-      const dateStr = formData.expirationDate.replace(/-/g, '').substring(2);
-      gs1 += `(17)${dateStr}`;
-    }
-    if (formData.batchLot) gs1 += `(10)${formData.batchLot}`;
-    if (formData.serialNumber) gs1 += `(21)${formData.serialNumber}`;
-    if (formData.weight) {
-      const weightAI = formData.weightUnit === 'kg' ? '310' : '320';
-      const weightVal = (parseFloat(formData.weight) * 1000).toFixed(0).padStart(6, '0');
-      gs1 += `(${weightAI}3)${weightVal}`;
-    }
-    return gs1;
+  // GS1 elements from form data. Relative dates stay as { ai, offsetDays }
+  // so the saved item keeps rolling forward.
+  const gs1FormElements = () => {
+    const gtin = formData.gtin || (formData.barcode || formData.sku).padStart(14, '0');
+    return [
+      { ai: '01', value: gtin },
+      ...GS1_DATE_FIELDS.map(({ field, ai }) => {
+        const offset = formData.dateOffsets[field];
+        if (offset !== undefined) return /^-?\d+$/.test(offset) && { ai, offsetDays: Number(offset) };
+        return formData[field] && { ai, value: toGs1Date(formData[field]) };
+      }),
+      formData.weight && weightElement(formData.weight, formData.weightUnit),
+      { ai: '10', value: formData.batchLot },
+      { ai: '21', value: formData.serialNumber }
+    ].filter(Boolean);
+  };
+
+  // Build the GS1 element string from form data (raw for encoding, HRI for display)
+  const buildGs1 = () => buildElementString(resolveElements(gs1FormElements()));
+
+  const toggleRelativeDate = (field) => {
+    const { [field]: offset, ...rest } = formData.dateOffsets;
+    setFormData({ ...formData, dateOffsets: offset === undefined ? { ...formData.dateOffsets, [field]: '' } : rest });
   };
 
   const validate = () => {
@@ -1473,6 +714,14 @@ const AddItemModal = ({ isOpen, onClose, onSave, editItem, departments, existing
     if (!formData.sku.trim()) newErrors.sku = 'SKU is required';
     if (formData.sku.length > 50) newErrors.sku = 'SKU must be 50 characters or less';
     
+    if (isGs1Type) {
+      const { errors: gs1Errors } = buildGs1();
+      if (gs1Errors.length > 0) newErrors.gs1 = gs1Errors[0].message;
+      // A blank offset is an error too: gs1FormElements would drop that date
+      const badOffset = GS1_DATE_FIELDS.find(({ field }) => formData.dateOffsets[field] !== undefined && !/^-?\d+$/.test(formData.dateOffsets[field]));
+      if (badOffset) newErrors.gs1 = `${badOffset.label} offset must be a whole number of days`;
+    }
+    
     // Check for duplicate SKU
     const duplicate = checkDuplicate(formData.sku);
     if (duplicate) {
@@ -1488,7 +737,8 @@ const AddItemModal = ({ isOpen, onClose, onSave, editItem, departments, existing
 
   // Real-time duplicate check on SKU change
   const handleSkuChange = (value) => {
-    setFormData({ ...formData, sku: value });
+    // A normalized barcode belongs to the old SKU
+    setFormData({ ...formData, sku: value, barcode: '' });
     const duplicate = checkDuplicate(value);
     setDuplicateItem(duplicate);
     if (duplicate) {
@@ -1506,14 +756,18 @@ const AddItemModal = ({ isOpen, onClose, onSave, editItem, departments, existing
   const handleSubmit = (e) => {
     e.preventDefault();
     if (validate()) {
+      // Catalog items have no id: their override is keyed by SKU, so everyone
+      // editing one item writes the same versioned record
       const itemData = {
         ...formData,
-        id: editItem?.id || Date.now().toString()
+        id: editItem ? editItem.id || editItem.sku : Date.now().toString()
       };
       // Add GS1 string if GS1 barcode type
       if (isGs1Type) {
-        itemData.gs1String = buildGs1String();
-        itemData.gs1Display = buildGs1String();
+        const gs1 = buildGs1();
+        itemData.gs1Elements = gs1FormElements();
+        itemData.gs1String = gs1.raw;
+        itemData.gs1Display = gs1.hri;
       }
       onSave(itemData);
       onClose();
@@ -1522,6 +776,8 @@ const AddItemModal = ({ isOpen, onClose, onSave, editItem, departments, existing
 
   if (!isOpen) return null;
 
+  const gs1Preview = isGs1Type && formData.sku ? buildGs1() : null;
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
       <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-md max-h-[90vh] overflow-y-auto">
@@ -1560,6 +816,17 @@ const AddItemModal = ({ isOpen, onClose, onSave, editItem, departments, existing
                 <p className="text-xs text-amber-600 dark:text-amber-400 mt-1">Use a different SKU or edit the existing item.</p>
               </div>
             )}
+            {formData.sku && !duplicateItem && (formData.barcode ? (
+              <p className="text-xs text-green-700 dark:text-green-400 mt-1">
+                ✓ Barcode normalized to <span className="font-mono">{formData.barcode}</span>{formData.gtin && <> (GTIN-14 <span className="font-mono">{formData.gtin}</span>)</>}
+              </p>
+            ) : normalizeGtin(formData.sku) && (
+              <div className="mt-2 flex flex-wrap items-center gap-2">
+                <GtinStatusBadge sku={formData.sku} />
+                <span className="text-xs text-slate-500 dark:text-slate-400">{analyzeGtin(formData.sku).message}</span>
+                <GtinRepairButton sku={formData.sku} onRepair={() => setFormData({ ...formData, ...normalizeGtin(formData.sku) })} />
+              </div>
+            ))}
           </div>
           <div className="grid grid-cols-2 gap-4">
             <div>
@@ -1623,48 +890,51 @@ const AddItemModal = ({ isOpen, onClose, onSave, editItem, departments, existing
                     placeholder="Leave blank to use SKU"
                     maxLength={14}
                   />
+                  {formData.gtin && !isValidGtin(formData.gtin) && (
+                    <p className="text-red-500 text-xs mt-1">{analyzeGtin(formData.gtin).message}</p>
+                  )}
                 </div>
                 
                 <div className="grid grid-cols-2 gap-3">
-                  <div>
-                    <label className="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Production Date (AI 11)</label>
-                    <input
-                      type="date"
-                      value={formData.productionDate}
-                      onChange={(e) => setFormData({ ...formData, productionDate: e.target.value })}
-                      className="w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm"
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Best Before (AI 15)</label>
-                    <input
-                      type="date"
-                      value={formData.bestBeforeDate}
-                      onChange={(e) => setFormData({ ...formData, bestBeforeDate: e.target.value })}
-                      className="w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm"
-                    />
-                  </div>
-                </div>
-
-                <div className="grid grid-cols-2 gap-3">
-                  <div>
-                    <label className="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Sell By Date (AI 16)</label>
-                    <input
-                      type="date"
-                      value={formData.sellByDate}
-                      onChange={(e) => setFormData({ ...formData, sellByDate: e.target.value })}
-                      className="w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm"
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Expiration Date (AI 17)</label>
-                    <input
-                      type="date"
-                      value={formData.expirationDate}
-                      onChange={(e) => setFormData({ ...formData, expirationDate: e.target.value })}
-                      className="w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm"
-                    />
-                  </div>
+                  {GS1_DATE_FIELDS.map(({ field, ai, label }) => {
+                    const relative = formData.dateOffsets[field] !== undefined;
+                    return (
+                      <div key={field}>
+                        <div className="flex items-center justify-between gap-1 mb-1">
+                          <label className="block text-xs font-medium text-slate-600 dark:text-slate-400">{label} (AI {ai})</label>
+                          <button
+                            type="button"
+                            onClick={() => toggleRelativeDate(field)}
+                            className="text-xs text-purple-600 dark:text-purple-400 hover:underline cursor-pointer"
+                            title={relative ? 'Use a fixed calendar date' : 'Use a date relative to today, recalculated every time the barcode is shown'}
+                          >
+                            {relative ? 'Fixed' : 'Relative'}
+                          </button>
+                        </div>
+                        {relative ? (
+                          <div className="flex items-center gap-1">
+                            <span className="text-xs text-slate-500 dark:text-slate-400 whitespace-nowrap">Today ±</span>
+                            <input
+                              type="number"
+                              step="1"
+                              value={formData.dateOffsets[field]}
+                              onChange={(e) => setFormData({ ...formData, dateOffsets: { ...formData.dateOffsets, [field]: e.target.value } })}
+                              className="w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-white dark:bg-slate-700 text-slate-900 dark:text-white font-mono text-sm"
+                              placeholder="-3"
+                            />
+                            <span className="text-xs text-slate-500 dark:text-slate-400">days</span>
+                          </div>
+                        ) : (
+                          <input
+                            type="date"
+                            value={formData[field]}
+                            onChange={(e) => setFormData({ ...formData, [field]: e.target.value })}
+                            className="w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm"
+                          />
+                        )}
+                      </div>
+                    );
+                  })}
                 </div>
 
                 <div className="grid grid-cols-2 gap-3">
@@ -1715,12 +985,18 @@ const AddItemModal = ({ isOpen, onClose, onSave, editItem, departments, existing
                   </div>
                 </div>
 
-                {formData.sku && (
+                {gs1Preview && (
                   <div className="mt-2 p-2 bg-white dark:bg-slate-800 rounded border border-purple-200 dark:border-purple-700">
                     <p className="text-xs text-slate-500 dark:text-slate-400">Preview GS1 String:</p>
-                    <p className="text-xs font-mono text-purple-700 dark:text-purple-300 break-all">{buildGs1String()}</p>
+                    <p className="text-xs font-mono text-purple-700 dark:text-purple-300 break-all">{gs1Preview.hri}</p>
+                    <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">Encoded as:</p>
+                    <p className="text-xs font-mono text-slate-600 dark:text-slate-300 break-all">{gs1Preview.raw.split(GS).join('<GS>')}</p>
+                    {gs1Preview.errors.map(err => (
+                      <p key={err.ai} className="text-red-500 text-xs mt-1">{err.message}</p>
+                    ))}
                   </div>
                 )}
+                {errors.gs1 && <p className="text-red-500 text-xs font-semibold">{errors.gs1}</p>}
               </div>
             </div>
           )}
@@ -1792,83 +1068,582 @@ const DeleteConfirmModal = ({ isOpen, onClose, onConfirm, itemName }) => {
   );
 };
 
+// Label Sheet Component
+// One sheet of label stock drawn at true size in CSS mm. Each label holds the
+// barcode, scaled to the room the chosen fields leave, with the name above
+// and the other fields below; showSlots outlines every label position.
+const LABEL_PADDING_MM = 1.5;
+const LABEL_NAME_MM = 3.6;
+const LABEL_DETAILS_MM = 3;
+
+const labelDetails = (item, fields) => fields
+  .filter(field => field !== 'name')
+  .map(field => (field === 'price' ? (item.price !== undefined ? formatPrice(item.price) : '') : item[field]))
+  .filter(Boolean)
+  .join(' · ');
+
+const LabelSheet = ({ geometry, labels, fields, showSlots = false }) => (
+  <div className="label-sheet relative bg-white text-black overflow-hidden" style={{ width: `${geometry.width}mm`, height: `${geometry.height}mm` }}>
+    {showSlots && geometry.slots.map((slot, i) => (
+      <div key={i} className="absolute border border-dashed border-slate-300 rounded-sm" style={{ left: `${slot.x}mm`, top: `${slot.y}mm`, width: `${slot.width}mm`, height: `${slot.height}mm` }} />
+    ))}
+    {labels.map(({ item, slot, x, y, width, height }) => {
+      const details = labelDetails(item, fields);
+      const barcodeMm = Math.max(4, height - 2 * LABEL_PADDING_MM - (fields.includes('name') ? LABEL_NAME_MM : 0) - (details ? LABEL_DETAILS_MM : 0));
+      return (
+        <div
+          key={slot}
+          className="absolute flex flex-col items-center justify-center overflow-hidden text-center"
+          style={{ left: `${x}mm`, top: `${y}mm`, width: `${width}mm`, height: `${height}mm`, padding: `${LABEL_PADDING_MM}mm` }}
+        >
+          {fields.includes('name') && <div className="w-full truncate font-semibold" style={{ fontSize: '8pt', lineHeight: `${LABEL_NAME_MM}mm` }}>{item.name}</div>}
+          <div className="w-full flex justify-center overflow-hidden [&_canvas]:max-h-[var(--barcode-height)]" style={{ '--barcode-height': `${barcodeMm}mm`, maxHeight: `${barcodeMm}mm` }}>
+            <ItemBarcode item={item} height={Math.max(20, Math.round(barcodeMm * 3.78) - 16)} size={Math.round(barcodeMm * 3.78)} />
+          </div>
+          {details && <div className="w-full truncate font-mono" style={{ fontSize: '6.5pt', lineHeight: `${LABEL_DETAILS_MM}mm` }}>{details}</div>}
+        </div>
+      );
+    })}
+  </div>
+);
+
 // Print Modal Component
-const PrintModal = ({ isOpen, onClose, items, onRemove, onClearAll }) => {
-  if (!isOpen) return null;
+const PrintModal = ({ isOpen, onClose, queue, onUpdate, onBooklet, onThermal }) => {
+  const [settings, setSettings] = useState(() => {
+    const saved = localStorage.getItem('elera_labelSettings');
+    return saved ? JSON.parse(saved) : { layout: DEFAULT_LAYOUT, fields: ['name', 'sku'] };
+  });
+  const [startAt, setStartAt] = useState(1);
+  const [zoom, setZoom] = useState(0.5);
+  const [printing, setPrinting] = useState(false);
+
+  // Label stock and fields belong to the printer at hand, so they are kept per device
+  useEffect(() => {
+    localStorage.setItem('elera_labelSettings', JSON.stringify(settings));
+  }, [settings]);
 
-  const handlePrint = () => {
+  // Print once the sheets are mounted; everything but the sheets is hidden
+  // while the print dialog is open (see printStyles)
+  useEffect(() => {
+    if (!printing) return;
+    const done = () => {
+      document.body.classList.remove('printing-labels');
+      setPrinting(false);
+    };
+    document.body.classList.add('printing-labels');
+    window.addEventListener('afterprint', done, { once: true });
     window.print();
+  }, [printing]);
+
+  if (!isOpen) return null;
+
+  const batch = activeBatch(queue);
+  const { entries } = batch;
+  const { layout, fields } = settings;
+  const errors = validateLayout(layout);
+  const geometry = errors.length === 0 ? sheetGeometry(layout) : null;
+  const perSheet = geometry ? geometry.slots.length : 0;
+  const offset = Math.min(Math.max(1, startAt), Math.max(1, perSheet)) - 1;
+  const sheets = geometry ? layoutSheets(layout, entries, offset) : [];
+  const labelCount = sheets.reduce((sum, sheet) => sum + sheet.length, 0);
+  const step = UNITS[layout.unit].step;
+
+  const setLayout = (changes) => setSettings(prev => ({ ...prev, layout: { ...prev.layout, template: 'custom', ...changes } }));
+  const setNumber = (key, value, parse = parseFloat) => setLayout({ [key]: value === '' ? NaN : parse(value) });
+  const toggleField = (id) => setSettings(prev => ({
+    ...prev,
+    fields: prev.fields.includes(id) ? prev.fields.filter(f => f !== id) : LABEL_FIELDS.map(f => f.id).filter(f => f === id || prev.fields.includes(f))
+  }));
+
+  const newBatch = () => {
+    const name = prompt('Batch name:');
+    if (name?.trim()) onUpdate(addBatch, name);
   };
+  const renameActive = () => {
+    const name = prompt('Batch name:', batch.name);
+    if (name?.trim()) onUpdate(renameBatch, batch.id, name);
+  };
+  const deleteActive = () => {
+    if (entries.length > 0 && !window.confirm(`Delete "${batch.name}" and its ${entries.length} queued items?`)) return;
+    onUpdate(deleteBatch, batch.id);
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm';
+  const lengthInput = (key, label) => (
+    <label className="block text-xs text-slate-500 dark:text-slate-400">
+      {label} ({layout.unit})
+      <input type="number" min="0" step={step} value={Number.isNaN(layout[key]) ? '' : layout[key]} onChange={(e) => setNumber(key, e.target.value)} className={inputClass} />
+    </label>
+  );
 
   return (
-    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-hidden">
-        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-slate-700">
-          <h2 className="text-lg font-bold text-slate-800 dark:text-white flex items-center gap-2">
-            🖨️ Print Queue ({items.length} items)
-          </h2>
-          <div className="flex items-center gap-2">
-            <button onClick={onClearAll} className="text-sm text-red-600 hover:text-red-700 dark:text-red-400 cursor-pointer">Clear All</button>
-            <button onClick={onClose} className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-200 cursor-pointer text-xl">×</button>
+    <>
+      <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+        <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-6xl max-h-[90vh] overflow-hidden flex flex-col">
+          <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-slate-700">
+            <h2 className="text-lg font-bold text-slate-800 dark:text-white flex items-center gap-2">
+              🖨️ Print Queue
+            </h2>
+            <div className="flex flex-wrap items-center gap-2">
+              <select
+                value={batch.id}
+                onChange={(e) => onUpdate(selectBatch, e.target.value)}
+                className="px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm"
+                title="Print batch"
+              >
+                {queue.batches.map(b => <option key={b.id} value={b.id}>{b.name} ({b.entries.length})</option>)}
+              </select>
+              <button onClick={newBatch} className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400 cursor-pointer">New Batch</button>
+              <button onClick={renameActive} className="text-sm text-slate-600 hover:text-slate-800 dark:text-slate-300 cursor-pointer">Rename</button>
+              <button onClick={deleteActive} className="text-sm text-slate-600 hover:text-slate-800 dark:text-slate-300 cursor-pointer">Delete</button>
+              {entries.length > 0 && (
+                <button onClick={() => onUpdate(clearBatch, batch.id)} className="text-sm text-red-600 hover:text-red-700 dark:text-red-400 cursor-pointer">Clear All</button>
+              )}
+              <button onClick={onClose} className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-200 cursor-pointer text-xl">×</button>
+            </div>
           </div>
-        </div>
-        <div className="p-4 overflow-y-auto max-h-[60vh]">
-          {items.length === 0 ? (
-            <p className="text-center text-slate-500 dark:text-slate-400 py-8">No items in print queue. Click the 🖨️ Print button on items to add them.</p>
+          {entries.length === 0 ? (
+            <p className="text-center text-slate-500 dark:text-slate-400 py-8">"{batch.name}" is empty. Click Print on items, or queue a whole department, collection or scanbook scenario.</p>
           ) : (
-            <div className="grid grid-cols-2 md:grid-cols-3 gap-4 print:grid-cols-3">
-              {items.map((item, i) => (
-                <div key={i} className="border border-slate-200 dark:border-slate-600 rounded-lg p-4 text-center relative print:break-inside-avoid">
-                  <button
-                    onClick={() => onRemove(item.sku)}
-                    className="absolute top-2 right-2 text-slate-400 hover:text-red-500 cursor-pointer print:hidden"
+            <div className="flex flex-col lg:flex-row min-h-0 flex-1 overflow-hidden">
+              <div className="lg:w-80 flex-shrink-0 p-4 space-y-4 overflow-y-auto border-b lg:border-b-0 lg:border-r border-slate-200 dark:border-slate-700">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Label Sheet</label>
+                  <select
+                    value={layout.template}
+                    onChange={(e) => e.target.value !== 'custom' && setSettings(prev => ({ ...prev, layout: templateLayout(e.target.value) }))}
+                    className={inputClass}
                   >
-                    ✕
-                  </button>
-                  <h4 className="font-semibold text-slate-800 dark:text-white text-sm mb-1 truncate">{item.name}</h4>
-                  <p className="text-xs text-slate-500 dark:text-slate-400 font-mono mb-3">{item.sku}</p>
-                  <div className="flex justify-center">
-                    <Barcode value={item.sku} height={50} />
+                    {LABEL_TEMPLATES.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                    <option value="custom">Custom layout</option>
+                  </select>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <label className="block text-xs text-slate-500 dark:text-slate-400">
+                    Page
+                    <select value={layout.page} onChange={(e) => setLayout({ page: e.target.value })} className={inputClass}>
+                      {Object.entries(PAGE_SIZES).map(([id, page]) => <option key={id} value={id}>{page.name}</option>)}
+                    </select>
+                  </label>
+                  <label className="block text-xs text-slate-500 dark:text-slate-400">
+                    Unit
+                    <select value={layout.unit} onChange={(e) => setSettings(prev => ({ ...prev, layout: convertLayout(prev.layout, e.target.value) }))} className={inputClass}>
+                      {Object.entries(UNITS).map(([id, unit]) => <option key={id} value={id}>{unit.name}</option>)}
+                    </select>
+                  </label>
+                  <label className="block text-xs text-slate-500 dark:text-slate-400">
+                    Columns
+                    <input type="number" min="1" value={Number.isNaN(layout.columns) ? '' : layout.columns} onChange={(e) => setNumber('columns', e.target.value, Number)} className={inputClass} />
+                  </label>
+                  <label className="block text-xs text-slate-500 dark:text-slate-400">
+                    Rows
+                    <input type="number" min="1" value={Number.isNaN(layout.rows) ? '' : layout.rows} onChange={(e) => setNumber('rows', e.target.value, Number)} className={inputClass} />
+                  </label>
+                  {lengthInput('labelWidth', 'Label width')}
+                  {lengthInput('labelHeight', 'Label height')}
+                  {lengthInput('marginTop', 'Top margin')}
+                  {lengthInput('marginLeft', 'Left margin')}
+                  {lengthInput('gapX', 'Column gap')}
+                  {lengthInput('gapY', 'Row gap')}
+                </div>
+                {errors.length > 0 && (
+                  <ul className="text-xs text-red-600 dark:text-red-400 space-y-1">
+                    {errors.map(error => <li key={error}>{error}</li>)}
+                  </ul>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Start at Label</label>
+                  <input type="number" min="1" max={perSheet || 1} value={startAt} onChange={(e) => setStartAt(parseInt(e.target.value, 10) || 1)} className={inputClass} />
+                  <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">Skip labels already used on the first sheet, counting across each row.</p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Print on Each Label</label>
+                  <div className="flex flex-wrap gap-x-3 gap-y-1">
+                    {LABEL_FIELDS.map(field => (
+                      <label key={field.id} className="flex items-center gap-1 text-sm text-slate-700 dark:text-slate-300 cursor-pointer">
+                        <input type="checkbox" checked={fields.includes(field.id)} onChange={() => toggleField(field.id)} />
+                        {field.label}
+                      </label>
+                    ))}
                   </div>
                 </div>
-              ))}
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Copies, in Print Order</label>
+                  <div className="space-y-1">
+                    {entries.map(({ item, copies }, i) => (
+                      <div key={item.sku} className="flex items-center gap-2 text-sm">
+                        <div className="flex flex-col text-xs leading-none">
+                          <button onClick={() => onUpdate(moveInBatch, batch.id, item.sku, -1)} disabled={i === 0} className="text-slate-400 hover:text-slate-700 dark:hover:text-slate-200 disabled:opacity-30 cursor-pointer" title="Move up">▲</button>
+                          <button onClick={() => onUpdate(moveInBatch, batch.id, item.sku, 1)} disabled={i === entries.length - 1} className="text-slate-400 hover:text-slate-700 dark:hover:text-slate-200 disabled:opacity-30 cursor-pointer" title="Move down">▼</button>
+                        </div>
+                        <span className="flex-1 truncate text-slate-700 dark:text-slate-300" title={`${item.name} (${item.sku})`}>{item.name}</span>
+                        <input
+                          type="number"
+                          min="1"
+                          max={MAX_COPIES}
+                          value={copies}
+                          onChange={(e) => onUpdate(setCopies, batch.id, item.sku, parseInt(e.target.value, 10))}
+                          className="w-16 px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm"
+                        />
+                        <button onClick={() => onUpdate(removeFromBatch, batch.id, item.sku)} className="text-slate-400 hover:text-red-500 cursor-pointer" title="Remove from print queue">✕</button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+              <div className="flex-1 min-w-0 flex flex-col bg-slate-100 dark:bg-slate-900">
+                <div className="flex items-center justify-between gap-3 px-4 py-2 text-sm text-slate-600 dark:text-slate-300 border-b border-slate-200 dark:border-slate-700">
+                  <span>{labelCount} label{labelCount === 1 ? '' : 's'} on {sheets.length} sheet{sheets.length === 1 ? '' : 's'}</span>
+                  <label className="flex items-center gap-2">
+                    Zoom
+                    <select value={zoom} onChange={(e) => setZoom(Number(e.target.value))} className="px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm">
+                      <option value={0.5}>50%</option>
+                      <option value={0.75}>75%</option>
+                      <option value={1}>Actual size</option>
+                    </select>
+                  </label>
+                </div>
+                <div className="flex-1 overflow-auto p-4 space-y-4">
+                  {sheets.map((sheet, i) => (
+                    <div key={i} className="mx-auto shadow-lg" style={{ width: `${geometry.width * zoom}mm`, height: `${geometry.height * zoom}mm` }}>
+                      <div style={{ transform: `scale(${zoom})`, transformOrigin: 'top left' }}>
+                        <LabelSheet geometry={geometry} labels={sheet} fields={fields} showSlots />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
             </div>
           )}
-        </div>
-        <div className="flex justify-end gap-3 p-4 border-t border-slate-200 dark:border-slate-700 print:hidden">
-          <button
-            onClick={onClose}
-            className="px-4 py-2 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 transition cursor-pointer"
-          >
-            Close
-          </button>
-          <button
-            onClick={handlePrint}
-            disabled={items.length === 0}
-            className="px-6 py-2 bg-green-600 hover:bg-green-700 disabled:bg-slate-400 text-white rounded-lg transition cursor-pointer flex items-center gap-2"
-          >
-            🖨️ Print Barcodes
-          </button>
+          <div className="flex justify-end gap-3 p-4 border-t border-slate-200 dark:border-slate-700">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 transition cursor-pointer"
+            >
+              Close
+            </button>
+            <button
+              onClick={onBooklet}
+              disabled={entries.length === 0}
+              className="px-4 py-2 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 disabled:opacity-50 transition cursor-pointer"
+            >
+              📘 Booklet
+            </button>
+            <button
+              onClick={onThermal}
+              disabled={entries.length === 0}
+              className="px-4 py-2 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 disabled:opacity-50 transition cursor-pointer"
+            >
+              🏷️ Thermal
+            </button>
+            <button
+              onClick={() => setPrinting(true)}
+              disabled={labelCount === 0}
+              className="px-6 py-2 bg-green-600 hover:bg-green-700 disabled:bg-slate-400 text-white rounded-lg transition cursor-pointer flex items-center gap-2"
+            >
+              🖨️ Print {sheets.length} Sheet{sheets.length === 1 ? '' : 's'}
+            </button>
+          </div>
         </div>
       </div>
-    </div>
+      {printing && createPortal(
+        <div className="label-print">
+          <style>{`@page { size: ${geometry.width}mm ${geometry.height}mm; margin: 0; }`}</style>
+          {sheets.map((sheet, i) => <LabelSheet key={i} geometry={geometry} labels={sheet} fields={fields} />)}
+        </div>,
+        document.body
+      )}
+    </>
   );
 };
 
-// Import Modal Component
-const ImportModal = ({ isOpen, onClose, onImport, existingItems = [] }) => {
-  const [importData, setImportData] = useState('');
-  const [importType, setImportType] = useState('csv');
-  const [error, setError] = useState('');
-  const [preview, setPreview] = useState([]);
-  const [duplicates, setDuplicates] = useState([]);
+// Thermal Print Modal Component
+// A print batch as a ZPL II or ESC/POS job for Zebra / Epson label printers
+// (see lib/thermal), downloaded or POSTed to a local print server
+const ThermalModal = ({ isOpen, onClose, batch }) => {
+  const [settings, setSettings] = useState(() => {
+    const saved = localStorage.getItem('elera_thermalSettings');
+    return saved ? { ...DEFAULT_THERMAL_SETTINGS, ...JSON.parse(saved) } : DEFAULT_THERMAL_SETTINGS;
+  });
+  const [sending, setSending] = useState(null);
 
-  // Check if SKU exists in catalog or custom items
-  const checkExistingDuplicate = (sku) => {
-    return existingItems.find(item => item.sku.toLowerCase() === sku.toLowerCase());
+  // The printer and its stock are per device, like the sheet settings
+  useEffect(() => {
+    localStorage.setItem('elera_thermalSettings', JSON.stringify(settings));
+  }, [settings]);
+
+  useEffect(() => {
+    if (!isOpen) setSending(null);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const { language, fields } = settings;
+  const printer = THERMAL_LANGUAGES[language];
+  const mapping = settings.mappings[language] || {};
+  const sizeValid = settings.width > 0 && settings.height > 0;
+  const entries = batch.entries.map(({ item, copies }) => ({ item: withGs1Strings(item), copies }));
+  const job = sizeValid ? buildThermalJob(settings, entries, formatPrice) : null;
+  const symbologies = [...new Set(entries.map(({ item }) => itemSymbology(item)))];
+
+  const update = (changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+    setSending(null);
   };
+  const setLanguage = (id) => update({ language: id, dpi: THERMAL_LANGUAGES[id].dpis.includes(settings.dpi) ? settings.dpi : THERMAL_LANGUAGES[id].dpis[0] });
+  const setMapping = (symbology, target) => update({ mappings: { ...settings.mappings, [language]: { ...mapping, [symbology]: target } } });
+  const toggleField = (id) => update({
+    fields: fields.includes(id) ? fields.filter(f => f !== id) : LABEL_FIELDS.map(f => f.id).filter(f => f === id || fields.includes(f))
+  });
 
-  const parseCSV = (text) => {
+  const download = () => downloadFile(job.data, `${batch.name.replace(/[^a-z0-9]+/gi, '_')}.${printer.extension}`, printer.type);
+  const send = async () => {
+    setSending({ status: 'sending' });
+    try {
+      await sendThermalJob(settings.printerUrl.trim(), language, job.data);
+      setSending({ status: 'sent', message: `Sent ${job.labels} label${job.labels === 1 ? '' : 's'} to the print server` });
+    } catch (err) {
+      setSending({ status: 'error', message: err.message });
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-5xl max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-slate-700">
+          <h2 className="text-lg font-bold text-slate-800 dark:text-white flex items-center gap-2">🏷️ Thermal Labels - {batch.name} ({entries.length} items)</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-200 cursor-pointer text-xl">×</button>
+        </div>
+        <div className="flex flex-col lg:flex-row min-h-0 flex-1 overflow-hidden">
+          <div className="lg:w-80 flex-shrink-0 p-4 space-y-4 overflow-y-auto border-b lg:border-b-0 lg:border-r border-slate-200 dark:border-slate-700">
+            <div className="grid grid-cols-2 gap-2">
+              <label className="block text-xs text-slate-500 dark:text-slate-400 col-span-2">
+                Printer language
+                <select value={language} onChange={(e) => setLanguage(e.target.value)} className={inputClass}>
+                  {Object.entries(THERMAL_LANGUAGES).map(([id, l]) => <option key={id} value={id}>{l.name}</option>)}
+                </select>
+              </label>
+              <label className="block text-xs text-slate-500 dark:text-slate-400 col-span-2">
+                Resolution
+                <select value={settings.dpi} onChange={(e) => update({ dpi: Number(e.target.value) })} className={inputClass}>
+                  {printer.dpis.map(dpi => <option key={dpi} value={dpi}>{dpi} dpi</option>)}
+                </select>
+              </label>
+              <label className="block text-xs text-slate-500 dark:text-slate-400">
+                Label width (mm)
+                <input type="number" min="0" step="0.1" value={Number.isNaN(settings.width) ? '' : settings.width} onChange={(e) => update({ width: parseFloat(e.target.value) })} className={inputClass} />
+              </label>
+              <label className="block text-xs text-slate-500 dark:text-slate-400">
+                Label height (mm)
+                <input type="number" min="0" step="0.1" value={Number.isNaN(settings.height) ? '' : settings.height} onChange={(e) => update({ height: parseFloat(e.target.value) })} className={inputClass} />
+              </label>
+            </div>
+            {!sizeValid && <p className="text-xs text-red-600 dark:text-red-400">Labels need a width and height</p>}
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Label Fields</label>
+              <div className="flex flex-wrap gap-x-3 gap-y-1">
+                {LABEL_FIELDS.map(field => (
+                  <label key={field.id} className="flex items-center gap-1 text-sm text-slate-600 dark:text-slate-300">
+                    <input type="checkbox" checked={fields.includes(field.id)} onChange={() => toggleField(field.id)} />
+                    {field.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Symbologies</label>
+              <div className="space-y-1">
+                {symbologies.map(symbology => (
+                  <label key={symbology} className="grid grid-cols-2 items-center gap-2 text-xs text-slate-500 dark:text-slate-400">
+                    {symbology} →
+                    <select value={mappedSymbology(language, mapping, symbology)} onChange={(e) => setMapping(symbology, e.target.value)} className={inputClass}>
+                      {printer.symbologies.map(target => <option key={target} value={target}>{target}</option>)}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </div>
+            {language === 'escpos' && (
+              <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+                <input type="checkbox" checked={settings.cut} onChange={(e) => update({ cut: e.target.checked })} />
+                Cut after each label
+              </label>
+            )}
+            <label className="block text-xs text-slate-500 dark:text-slate-400">
+              Print server URL
+              <input type="url" value={settings.printerUrl} onChange={(e) => update({ printerUrl: e.target.value })} placeholder="http://localhost:9110/" className={inputClass} />
+            </label>
+          </div>
+          <div className="flex-1 min-w-0 flex flex-col bg-slate-100 dark:bg-slate-900">
+            <div className="px-4 py-2 text-sm text-slate-600 dark:text-slate-300 border-b border-slate-200 dark:border-slate-700">
+              {job ? `${job.labels} label${job.labels === 1 ? '' : 's'}, ${job.data.length} ${language === 'zpl' ? 'characters' : 'bytes'}` : 'No job'}
+            </div>
+            {job?.skipped.length > 0 && (
+              <ul className="mx-4 mt-3 p-3 text-xs bg-amber-50 dark:bg-amber-900/30 text-amber-800 dark:text-amber-200 border border-amber-200 dark:border-amber-800 rounded-lg space-y-1">
+                {job.skipped.map(({ item, error }) => <li key={item.sku}>Left out {item.name}: {error}</li>)}
+              </ul>
+            )}
+            <pre className="flex-1 overflow-auto p-4 text-xs font-mono text-slate-700 dark:text-slate-300 whitespace-pre-wrap break-all">{job ? describeJob(job.data) : ''}</pre>
+          </div>
+        </div>
+        <div className="flex flex-wrap justify-between items-center gap-3 p-4 border-t border-slate-200 dark:border-slate-700">
+          <p className={`text-sm ${sending?.status === 'error' ? 'text-red-600 dark:text-red-400' : 'text-slate-500 dark:text-slate-400'}`}>
+            {sending?.status === 'sending' ? 'Sending...' : sending?.message}
+          </p>
+          <div className="flex gap-3">
+            <button
+              onClick={download}
+              disabled={!job?.labels}
+              className="px-4 py-2 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 disabled:opacity-50 transition cursor-pointer"
+            >
+              Download .{printer.extension}
+            </button>
+            <button
+              onClick={send}
+              disabled={!job?.labels || !settings.printerUrl.trim() || sending?.status === 'sending'}
+              className="px-6 py-2 bg-green-600 hover:bg-green-700 disabled:bg-slate-400 text-white rounded-lg transition cursor-pointer"
+            >
+              Send to Printer
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Booklet Modal Component
+// Downloads a vector PDF or SVG booklet of the given sections (departments of
+// the print queue or a collection, or a scanbook's scenarios) with a cover,
+// contents and page numbers; see lib/booklet. The preview is the SVG itself.
+const BookletModal = ({ isOpen, onClose, defaultTitle, source, sections }) => {
+  const { profile } = useProfile();
+  const [title, setTitle] = useState(defaultTitle);
+  const [settings, setSettings] = useState(() => {
+    const saved = localStorage.getItem('elera_bookletSettings');
+    return saved ? JSON.parse(saved) : { page: 'letter', xDimension: DEFAULT_X_DIMENSION };
+  });
+  const [bwip, setBwip] = useState(() => getBwip());
+  const [engineError, setEngineError] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    localStorage.setItem('elera_bookletSettings', JSON.stringify(settings));
+  }, [settings]);
+
+  useEffect(() => {
+    if (isOpen) setTitle(defaultTitle);
+  }, [isOpen, defaultTitle]);
+
+  // 2D and Code 128 symbols need the bwip-js engine
+  useEffect(() => {
+    if (!isOpen || bwip) return;
+    loadBwip().then(setBwip).catch(() => setEngineError(true));
+  }, [isOpen, bwip]);
+
+  const build = () => buildBooklet({
+    title: title.trim() || defaultTitle,
+    subtitle: [profile?.name, source].filter(Boolean).join(' · '),
+    sections: sections.map(section => ({ ...section, items: section.items.map(withGs1Strings) })),
+    page: settings.page,
+    xDimension: settings.xDimension,
+    bwip,
+    formatPrice
+  });
+
+  useEffect(() => {
+    if (!isOpen || !bwip) return undefined;
+    const booklet = build();
+    const url = URL.createObjectURL(new Blob([bookletToSvg(booklet)], { type: 'image/svg+xml' }));
+    setPreview({ url, pages: booklet.pages.length });
+    return () => URL.revokeObjectURL(url);
+  }, [isOpen, bwip, title, settings, sections]);
+
+  if (!isOpen) return null;
+
+  const fileName = `${(title.trim() || defaultTitle).replace(/[^a-z0-9]+/gi, '_')}_booklet`;
+  const downloadPdf = () => downloadFile(bookletToPdf(build(), title.trim() || defaultTitle), `${fileName}.pdf`, 'application/pdf');
+  const downloadSvg = () => downloadFile(bookletToSvg(build()), `${fileName}.svg`, 'image/svg+xml');
+  const itemCount = sections.reduce((sum, section) => sum + section.items.length, 0);
+  const inputClass = 'w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-slate-700">
+          <h2 className="text-lg font-bold text-slate-800 dark:text-white flex items-center gap-2">📘 Barcode Booklet</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-200 cursor-pointer text-xl">×</button>
+        </div>
+        <div className="p-4 grid grid-cols-1 sm:grid-cols-3 gap-3 border-b border-slate-200 dark:border-slate-700">
+          <label className="block text-sm text-slate-700 dark:text-slate-300 sm:col-span-3">
+            Title
+            <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} className={inputClass} />
+          </label>
+          <label className="block text-sm text-slate-700 dark:text-slate-300">
+            Page
+            <select value={settings.page} onChange={(e) => setSettings(prev => ({ ...prev, page: e.target.value }))} className={inputClass}>
+              {Object.entries(PAGE_SIZES).map(([id, page]) => <option key={id} value={id}>{page.name}</option>)}
+            </select>
+          </label>
+          <label className="block text-sm text-slate-700 dark:text-slate-300">
+            X-dimension (module width)
+            <select value={settings.xDimension} onChange={(e) => setSettings(prev => ({ ...prev, xDimension: Number(e.target.value) }))} className={inputClass}>
+              {X_DIMENSIONS.map(x => <option key={x.value} value={x.value}>{x.label}</option>)}
+            </select>
+          </label>
+          <div className="text-sm text-slate-500 dark:text-slate-400 self-end">
+            {itemCount} barcode{itemCount === 1 ? '' : 's'} in {sections.length} section{sections.length === 1 ? '' : 's'}{preview ? `, ${preview.pages} pages` : ''}
+          </div>
+        </div>
+        <div className="flex-1 overflow-y-auto p-4 bg-slate-100 dark:bg-slate-900">
+          {engineError ? (
+            <p className="text-center text-red-600 dark:text-red-400 py-8">The barcode engine could not be loaded. Check your connection and reopen the booklet.</p>
+          ) : preview ? (
+            <img src={preview.url} alt="Booklet preview" className="w-full max-w-2xl mx-auto shadow-lg" />
+          ) : (
+            <p className="text-center text-slate-500 dark:text-slate-400 py-8">Preparing the booklet...</p>
+          )}
+        </div>
+        <div className="flex flex-wrap justify-between items-center gap-3 p-4 border-t border-slate-200 dark:border-slate-700">
+          <p className="text-xs text-slate-500 dark:text-slate-400">Print at 100% / actual size to keep the X-dimension.</p>
+          <div className="flex gap-3">
+            <button onClick={downloadSvg} disabled={!bwip} className="px-4 py-2 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 disabled:opacity-50 transition cursor-pointer">SVG</button>
+            <button onClick={downloadPdf} disabled={!bwip} className="px-6 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-400 text-white rounded-lg transition cursor-pointer">Download PDF</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Items grouped into booklet sections by catalog department, in catalog order
+const departmentSections = (items, groups) => {
+  const skus = new Set(items.map(item => item.sku));
+  const sections = groups
+    .map(group => ({ title: group.name, items: group.items.filter(item => skus.has(item.sku)) }))
+    .filter(section => section.items.length > 0);
+  const placed = new Set(sections.flatMap(section => section.items.map(item => item.sku)));
+  const other = items.filter(item => !placed.has(item.sku));
+  return other.length > 0 ? [...sections, { title: 'Other Items', items: other }] : sections;
+};
+
+// Import Modal Component
+const ImportModal = ({ isOpen, onClose, onImport, existingItems = [] }) => {
+  const { can } = useAuth();
+  const [importData, setImportData] = useState('');
+  const [importType, setImportType] = useState('csv');
+  const [error, setError] = useState('');
+  const [preview, setPreview] = useState([]);
+  const [duplicates, setDuplicates] = useState([]);
+
+  // Check if SKU exists in catalog or custom items
+  const checkExistingDuplicate = (sku) => {
+    return existingItems.find(item => item.sku.toLowerCase() === sku.toLowerCase());
+  };
+
+  const parseCSV = (text) => {
     const lines = text.trim().split('\n');
     if (lines.length < 2) throw new Error('CSV must have header row and at least one data row');
     
@@ -1983,7 +1758,8 @@ const ImportModal = ({ isOpen, onClose, onImport, existingItems = [] }) => {
     }
   };
 
-  if (!isOpen) return null;
+  // Importing adds catalog items, so the modal needs items.import
+  if (!isOpen || !can('items.import')) return null;
 
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
@@ -2227,7 +2003,10 @@ const AddToCollectionModal = ({ isOpen, onClose, item, collections, onAddToColle
 };
 
 // Manage Collections Modal Component
+// Renaming and deleting need collections.manage; export / import share
+// collections with other devices and need collections.share
 const ManageCollectionsModal = ({ isOpen, onClose, collections, onRename, onDelete, onExport, onImportCollection }) => {
+  const { can } = useAuth();
   const [editingId, setEditingId] = useState(null);
   const [editName, setEditName] = useState('');
   const [showImport, setShowImport] = useState(false);
@@ -2308,29 +2087,35 @@ const ManageCollectionsModal = ({ isOpen, onClose, collections, onRename, onDele
                         <p className="text-xs text-slate-500 dark:text-slate-400">{col.items.length} items - Created {col.created}</p>
                       </div>
                       <div className="flex gap-1">
-                        <button
-                          onClick={() => onExport(col.id)}
-                          className="px-2 py-1 text-xs bg-blue-100 hover:bg-blue-200 text-blue-700 dark:bg-blue-900 dark:hover:bg-blue-800 dark:text-blue-300 rounded cursor-pointer"
-                          title="Export collection"
-                        >
-                          Export
-                        </button>
-                        <button
-                          onClick={() => handleStartEdit(col)}
-                          className="px-2 py-1 text-xs bg-slate-200 hover:bg-slate-300 text-slate-700 dark:bg-slate-600 dark:hover:bg-slate-500 dark:text-slate-300 rounded cursor-pointer"
-                        >
-                          Rename
-                        </button>
-                        <button
-                          onClick={() => {
-                            if (confirm(`Delete "${col.name}"? This cannot be undone.`)) {
-                              onDelete(col.id);
-                            }
-                          }}
-                          className="px-2 py-1 text-xs bg-red-100 hover:bg-red-200 text-red-700 dark:bg-red-900 dark:hover:bg-red-800 dark:text-red-300 rounded cursor-pointer"
-                        >
-                          Delete
-                        </button>
+                        {can('collections.share') && (
+                          <button
+                            onClick={() => onExport(col.id)}
+                            className="px-2 py-1 text-xs bg-blue-100 hover:bg-blue-200 text-blue-700 dark:bg-blue-900 dark:hover:bg-blue-800 dark:text-blue-300 rounded cursor-pointer"
+                            title="Export collection"
+                          >
+                            Export
+                          </button>
+                        )}
+                        {can('collections.manage') && (
+                          <>
+                            <button
+                              onClick={() => handleStartEdit(col)}
+                              className="px-2 py-1 text-xs bg-slate-200 hover:bg-slate-300 text-slate-700 dark:bg-slate-600 dark:hover:bg-slate-500 dark:text-slate-300 rounded cursor-pointer"
+                            >
+                              Rename
+                            </button>
+                            <button
+                              onClick={() => {
+                                if (confirm(`Delete "${col.name}"? This cannot be undone.`)) {
+                                  onDelete(col.id);
+                                }
+                              }}
+                              className="px-2 py-1 text-xs bg-red-100 hover:bg-red-200 text-red-700 dark:bg-red-900 dark:hover:bg-red-800 dark:text-red-300 rounded cursor-pointer"
+                            >
+                              Delete
+                            </button>
+                          </>
+                        )}
                       </div>
                     </div>
                   )}
@@ -2340,48 +2125,50 @@ const ManageCollectionsModal = ({ isOpen, onClose, collections, onRename, onDele
           )}
 
           {/* Import Section */}
-          <div className="mt-4 pt-4 border-t border-slate-200 dark:border-slate-700">
-            {showImport ? (
-              <div className="space-y-3">
-                <p className="text-sm font-medium text-slate-700 dark:text-slate-300">Import Collection</p>
-                <input
-                  type="file"
-                  accept=".json"
-                  onChange={handleFileUpload}
-                  className="w-full text-sm text-slate-500 dark:text-slate-400"
-                />
-                <textarea
-                  value={importData}
-                  onChange={(e) => setImportData(e.target.value)}
-                  placeholder="Or paste collection JSON here..."
-                  className="w-full h-24 px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm font-mono"
-                />
-                {importError && <p className="text-red-600 dark:text-red-400 text-sm">{importError}</p>}
-                <div className="flex gap-2">
-                  <button
-                    onClick={() => { setShowImport(false); setImportData(''); setImportError(''); }}
-                    className="flex-1 px-3 py-2 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 cursor-pointer"
-                  >
-                    Cancel
-                  </button>
-                  <button
-                    onClick={handleImport}
-                    disabled={!importData.trim()}
-                    className="flex-1 px-3 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-400 text-white rounded-lg cursor-pointer"
-                  >
-                    Import
-                  </button>
+          {can('collections.share') && (
+            <div className="mt-4 pt-4 border-t border-slate-200 dark:border-slate-700">
+              {showImport ? (
+                <div className="space-y-3">
+                  <p className="text-sm font-medium text-slate-700 dark:text-slate-300">Import Collection</p>
+                  <input
+                    type="file"
+                    accept=".json"
+                    onChange={handleFileUpload}
+                    className="w-full text-sm text-slate-500 dark:text-slate-400"
+                  />
+                  <textarea
+                    value={importData}
+                    onChange={(e) => setImportData(e.target.value)}
+                    placeholder="Or paste collection JSON here..."
+                    className="w-full h-24 px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm font-mono"
+                  />
+                  {importError && <p className="text-red-600 dark:text-red-400 text-sm">{importError}</p>}
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => { setShowImport(false); setImportData(''); setImportError(''); }}
+                      className="flex-1 px-3 py-2 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 cursor-pointer"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={handleImport}
+                      disabled={!importData.trim()}
+                      className="flex-1 px-3 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-400 text-white rounded-lg cursor-pointer"
+                    >
+                      Import
+                    </button>
+                  </div>
                 </div>
-              </div>
-            ) : (
-              <button
-                onClick={() => setShowImport(true)}
-                className="w-full px-3 py-2 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 cursor-pointer"
-              >
-                Import Collection from File
-              </button>
-            )}
-          </div>
+              ) : (
+                <button
+                  onClick={() => setShowImport(true)}
+                  className="w-full px-3 py-2 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 cursor-pointer"
+                >
+                  Import Collection from File
+                </button>
+              )}
+            </div>
+          )}
         </div>
         <div className="flex justify-end p-4 border-t border-slate-200 dark:border-slate-700">
           <button
@@ -2396,26 +2183,132 @@ const ManageCollectionsModal = ({ isOpen, onClose, collections, onRename, onDele
   );
 };
 
+// Sync Conflicts Modal Component
+// Catalog changes the catalog service refused: edits of a record someone else
+// changed first (shown side by side with the stored version) and changes it
+// rejected outright. Each one is settled by keeping the user's change or the
+// stored record.
+const SYNC_META_FIELDS = ['id', 'version', 'updatedAt', 'updatedBy', 'isCustom', 'isEdited'];
+
+const describeSyncOperation = (op) => {
+  switch (op.type) {
+    case 'items.save': return `Edit of ${op.item.name} (${op.item.sku})`;
+    case 'items.delete': return `Deletion of ${op.item.name} (${op.item.sku})`;
+    case 'collections.save': return `Changes to collection "${op.collection.name}"`;
+    case 'collections.delete': return 'Deletion of a collection';
+    case 'items.import': return `Import of ${op.items.length} items`;
+    case 'deletions.add': return `Deletion of ${op.sku}`;
+    default: return op.type;
+  }
+};
+
+const formatSyncValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  return Array.isArray(value) ? value.join(', ') : String(value);
+};
+
+const SyncConflictsModal = ({ isOpen, onClose, conflicts, onResolve }) => {
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-2xl overflow-hidden">
+        <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-slate-700">
+          <h2 className="text-lg font-bold text-slate-800 dark:text-white">Sync Conflicts</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-200 cursor-pointer text-xl">x</button>
+        </div>
+        <div className="p-4 max-h-[70vh] overflow-y-auto space-y-4">
+          {conflicts.length === 0 ? (
+            <p className="text-center text-slate-500 dark:text-slate-400 py-8">All changes are in sync.</p>
+          ) : conflicts.map(({ op, theirs, error }) => {
+            const mine = op.item || op.collection || null;
+            const fields = [...new Set([...Object.keys(mine || {}), ...Object.keys(theirs || {})])].filter(field => !SYNC_META_FIELDS.includes(field));
+            const deleting = /\.delete$/.test(op.type);
+            return (
+              <div key={op.queueId} className="border border-slate-200 dark:border-slate-700 rounded-lg overflow-hidden">
+                <div className="px-4 py-3 bg-slate-50 dark:bg-slate-700">
+                  <p className="font-medium text-slate-800 dark:text-white">{describeSyncOperation(op)}</p>
+                  <p className="text-xs text-slate-500 dark:text-slate-400">
+                    {error
+                      ? error
+                      : theirs
+                        ? `Changed by ${theirs.updatedBy || 'someone else'} on ${new Date(theirs.updatedAt).toLocaleString()} before your change reached the catalog service`
+                        : 'Deleted by someone else before your change reached the catalog service'}
+                  </p>
+                </div>
+                {theirs !== undefined && fields.length > 0 && (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-slate-500 dark:text-slate-400">
+                        <th className="px-4 py-2 font-medium">Field</th>
+                        <th className="px-4 py-2 font-medium">Yours</th>
+                        <th className="px-4 py-2 font-medium">Theirs</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {fields.map(field => {
+                        const yours = deleting ? undefined : mine?.[field];
+                        const stored = theirs?.[field];
+                        const differs = formatSyncValue(yours) !== formatSyncValue(stored);
+                        return (
+                          <tr key={field} className={`border-t border-slate-100 dark:border-slate-700 ${differs ? 'bg-amber-50 dark:bg-amber-900/20' : ''}`}>
+                            <td className="px-4 py-2 text-slate-500 dark:text-slate-400">{field}</td>
+                            <td className="px-4 py-2 text-slate-800 dark:text-white break-all">{deleting ? <em>deleted</em> : formatSyncValue(yours)}</td>
+                            <td className="px-4 py-2 text-slate-800 dark:text-white break-all">{theirs ? formatSyncValue(stored) : <em>deleted</em>}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                )}
+                <div className="flex justify-end gap-2 px-4 py-3 border-t border-slate-200 dark:border-slate-700">
+                  {theirs === undefined ? (
+                    <button onClick={() => onResolve(op.queueId, 'theirs')} className="px-3 py-1.5 text-sm bg-slate-200 dark:bg-slate-600 text-slate-700 dark:text-slate-200 rounded-lg hover:bg-slate-300 dark:hover:bg-slate-500 cursor-pointer">Discard My Change</button>
+                  ) : (
+                    <>
+                      <button onClick={() => onResolve(op.queueId, 'theirs')} className="px-3 py-1.5 text-sm bg-slate-200 dark:bg-slate-600 text-slate-700 dark:text-slate-200 rounded-lg hover:bg-slate-300 dark:hover:bg-slate-500 cursor-pointer">Use Theirs</button>
+                      <button onClick={() => onResolve(op.queueId, 'mine')} className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 cursor-pointer">Keep Mine</button>
+                    </>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // Login Component
-const Login = ({ onLogin }) => {
+// A username / password form for the local provider and a button for each
+// single sign-on provider the portal service offers
+const Login = ({ providers, notice, onSignIn }) => {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const local = providers.find(provider => provider.type === 'local');
+  const redirects = providers.filter(provider => provider.type !== 'local');
+
+  const signIn = (provider, credentials = {}) => {
+    setError('');
+    setBusy(true);
+    onSignIn(provider, credentials)
+      .catch(err => setError(err.message))
+      .finally(() => setBusy(false));
+  };
 
   const handleLogin = () => {
-    if (username === 'admin' && password === 'elera2025') {
-      onLogin(username);
-    } else if (username === 'demo' && password === 'demo') {
-      onLogin(username);
-    } else if (username === 'guest' && password === 'guest') {
-      onLogin(username);
-    } else {
-      setError('Invalid credentials. Please try again.');
+    if (!username.trim() || !password) {
+      setError('Enter your username and password.');
+      return;
     }
+    signIn(local, { username, password });
   };
 
   const handleKeyDown = (e) => {
-    if (e.key === 'Enter') handleLogin();
+    if (e.key === 'Enter' && !busy) handleLogin();
   };
 
   return (
@@ -2427,17 +2320,33 @@ const Login = ({ onLogin }) => {
           <div className="mt-4 h-1 w-20 bg-red-600 mx-auto rounded"></div>
           <h2 className="mt-4 text-xl font-semibold text-slate-700 dark:text-slate-200">ELERA Scanbook Portal</h2>
         </div>
+        {notice && <p className="text-amber-800 dark:text-amber-200 text-sm bg-amber-50 dark:bg-amber-900/30 p-3 rounded-lg mb-4">{notice}</p>}
         <div className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Username</label>
-            <input type="text" value={username} onChange={(e) => setUsername(e.target.value)} onKeyDown={handleKeyDown} className="w-full px-4 py-3 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition bg-white dark:bg-slate-700 text-slate-900 dark:text-white" placeholder="Enter username" />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Password</label>
-            <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} onKeyDown={handleKeyDown} className="w-full px-4 py-3 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition bg-white dark:bg-slate-700 text-slate-900 dark:text-white" placeholder="Enter password" />
-          </div>
+          {local && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Username</label>
+                <input type="text" autoComplete="username" value={username} onChange={(e) => setUsername(e.target.value)} onKeyDown={handleKeyDown} className="w-full px-4 py-3 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition bg-white dark:bg-slate-700 text-slate-900 dark:text-white" placeholder="Enter username" />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Password</label>
+                <input type="password" autoComplete="current-password" value={password} onChange={(e) => setPassword(e.target.value)} onKeyDown={handleKeyDown} className="w-full px-4 py-3 border border-slate-300 dark:border-slate-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition bg-white dark:bg-slate-700 text-slate-900 dark:text-white" placeholder="Enter password" />
+              </div>
+            </>
+          )}
+          {local && !local.hasAccounts && (
+            <p className="text-slate-600 dark:text-slate-300 text-sm bg-slate-50 dark:bg-slate-700/50 p-3 rounded-lg">No accounts have been set up yet. The portal administrator adds them to <code>server/auth.json</code> with <code>npm run hash-password</code>.</p>
+          )}
           {error && <p className="text-red-600 text-sm bg-red-50 dark:bg-red-900/30 p-3 rounded-lg">{error}</p>}
-          <button type="button" onClick={handleLogin} className="w-full bg-red-600 hover:bg-red-700 text-white font-semibold py-3 rounded-lg transition duration-200 cursor-pointer">Sign In</button>
+          {local && (
+            <button type="button" onClick={handleLogin} disabled={busy} className="w-full bg-red-600 hover:bg-red-700 disabled:opacity-60 text-white font-semibold py-3 rounded-lg transition duration-200 cursor-pointer">{busy ? 'Signing in...' : local.name}</button>
+          )}
+          {local && redirects.length > 0 && (
+            <div className="flex items-center gap-3 text-xs text-slate-400"><div className="flex-1 h-px bg-slate-200 dark:bg-slate-700"></div>or<div className="flex-1 h-px bg-slate-200 dark:bg-slate-700"></div></div>
+          )}
+          {redirects.map(provider => (
+            <button key={provider.id} type="button" onClick={() => signIn(provider)} disabled={busy} className="w-full border-2 border-slate-300 dark:border-slate-600 hover:border-red-500 disabled:opacity-60 text-slate-700 dark:text-slate-200 font-semibold py-3 rounded-lg transition duration-200 cursor-pointer">{provider.name}</button>
+          ))}
         </div>
         <p className="mt-6 text-center text-xs text-slate-400">Version 2.1 • United States Edition 2026</p>
       </div>
@@ -2461,18 +2370,19 @@ const CategoryCard = ({ title, icon, description, itemCount, onClick, available
 );
 
 // Dashboard Component
-const Dashboard = ({ user, onSelectCategory, onLogout }) => {
+const Dashboard = ({ onSelectCategory, onSearch, onLogout }) => {
   const [searchTerm, setSearchTerm] = useState('');
-  const [customItems] = useState(() => {
-    const saved = localStorage.getItem('elera_customItems');
-    return saved ? JSON.parse(saved) : [];
-  });
-  const totalItems = itemsData.groups.reduce((sum, g) => sum + g.items.length, 0) + customItems.length;
-  const pharmacyItems = pharmacyData.categories.reduce((sum, c) => sum + c.items.length, 0);
+  const { profile, profiles, switchProfile } = useProfile();
+  const { session, role } = useAuth();
+  const [cards] = useState(() => listVerticals(role).map(vertical => ({ ...vertical, itemCount: countVerticalItems(vertical) })));
+  const lapsedScanbooks = cards
+    .filter(vertical => vertical.view === 'scanbook')
+    .map(vertical => ({ id: vertical.id, title: vertical.title, tests: expiredTests(vertical.data) }))
+    .filter(scanbook => scanbook.tests.length > 0);
 
   const handleSearch = (e) => {
     if (e.key === 'Enter' && searchTerm.trim()) {
-      onSelectCategory('items', searchTerm.trim());
+      onSearch(searchTerm.trim());
     }
   };
   
@@ -2490,7 +2400,7 @@ const Dashboard = ({ user, onSelectCategory, onLogout }) => {
             <div className="relative">
               <input 
                 type="text" 
-                placeholder="Search items..." 
+                placeholder="Search all catalogs..." 
                 value={searchTerm} 
                 onChange={(e) => setSearchTerm(e.target.value)} 
                 onKeyDown={handleSearch}
@@ -2500,8 +2410,18 @@ const Dashboard = ({ user, onSelectCategory, onLogout }) => {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
               </svg>
             </div>
+            {profiles.length > 1 && (
+              <select
+                value={profile.id}
+                onChange={(e) => switchProfile(e.target.value)}
+                className="px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg text-sm bg-white dark:bg-slate-700 text-slate-900 dark:text-white"
+                title="Retailer profile"
+              >
+                {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </select>
+            )}
             <DarkModeToggle />
-            <span className="text-sm text-slate-600 dark:text-slate-300">Welcome, <strong>{user}</strong></span>
+            <span className="text-sm text-slate-600 dark:text-slate-300">Welcome, <strong>{session.name}</strong> <span className="text-xs bg-slate-100 dark:bg-slate-700 text-slate-600 dark:text-slate-300 px-2 py-0.5 rounded-full ml-1">{roleName(role)}</span></span>
             <button onClick={onLogout} className="text-sm text-red-600 hover:text-red-700 dark:text-red-400 font-medium cursor-pointer">Sign Out</button>
           </div>
         </div>
@@ -2511,87 +2431,734 @@ const Dashboard = ({ user, onSelectCategory, onLogout }) => {
           <h2 className="text-3xl font-bold text-slate-800 dark:text-white mb-2">Choose a Retail Experience</h2>
           <p className="text-slate-600 dark:text-slate-400">Choose a category to access POS test scenarios and scannable barcodes</p>
         </div>
+        {lapsedScanbooks.length > 0 && (
+          <div className="mb-8 bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-800 rounded-lg p-4 text-sm text-amber-800 dark:text-amber-300">
+            <p className="font-semibold mb-1">⚠️ Some scanbook promotions have lapsed and will not fire at the POS</p>
+            {lapsedScanbooks.map(scanbook => (
+              <p key={scanbook.id}>
+                <button onClick={() => onSelectCategory(scanbook.id)} className="font-semibold underline cursor-pointer">{scanbook.title}</button>
+                {': '}
+                {scanbook.tests.map(test => `${test.name} (ended ${formatPromoDate(parseValidity(test.valid).end)})`).join(', ')}
+              </p>
+            ))}
+          </div>
+        )}
         <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
-          <CategoryCard title="Grocery and General Merchandise" icon="🛒" description="Full-service grocery POS testing with produce, promotions, and loyalty programs." itemCount={8} onClick={() => onSelectCategory('grocery')} available={true} />
-          <CategoryCard title="Convenience and Fuel" icon="⛽" description="C-store and fuel station POS scenarios including bundles, clearance, and loyalty segments." itemCount={8} onClick={() => onSelectCategory('convenience')} available={true} />
-          <CategoryCard title="Items" icon="📦" description="Browse the complete item catalog with SKUs, barcodes, and department groupings." itemCount={totalItems} onClick={() => onSelectCategory('items')} available={true} />
-          <CategoryCard title="Pharmacy" icon="💊" description="Pharmacy and beauty items with OTC medications, skincare, and personal care products." itemCount={pharmacyItems} onClick={() => onSelectCategory('pharmacy')} available={true} />
-          <CategoryCard title="GS1-2D Barcodes" icon="📊" description="GS1 2D DataMatrix barcodes with embedded Application Identifiers for compliance validation." itemCount={7} onClick={() => onSelectCategory('gs1')} available={true} />
+          {cards.map(vertical => (
+            <CategoryCard key={vertical.id} title={vertical.title} icon={vertical.icon} description={vertical.description} itemCount={vertical.itemCount} onClick={() => onSelectCategory(vertical.id)} available={true} />
+          ))}
         </div>
+        {getDatasets().version && (
+          <p className="text-center text-xs text-slate-400 dark:text-slate-500 mt-12">{profile.name} • Catalog data version {getDatasets().version}</p>
+        )}
       </main>
     </div>
   );
 };
 
-// Test Card Component
-const TestCard = ({ test, onSelect, isSelected }) => (
-  <div onClick={() => onSelect(test.id)} className={`p-4 rounded-lg cursor-pointer transition ${isSelected ? 'bg-red-50 dark:bg-red-900/30 border-2 border-red-500' : 'bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 hover:border-red-300 dark:hover:border-red-600'}`}>
-    <div className="flex items-start justify-between mb-2">
-      <span className="text-xs font-bold text-slate-400 dark:text-slate-500">SCENARIO {test.id}</span>
-      <span className={`text-xs px-2 py-1 rounded-full ${typeColors[test.type] || 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-400'}`}>{test.type}</span>
-    </div>
-    <h4 className="font-semibold text-slate-800 dark:text-white">{test.name}</h4>
-    <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">{test.items.length} items</p>
-  </div>
-);
+// Search Results Component
+// Ranked matches from every catalog the role can open, grouped by vertical,
+// the vertical with the best match first.
+// Opening a result shows it in its own view, searched by SKU or on its scenario.
+const SEARCH_RESULTS_PER_SOURCE = 50;
+
+const SearchView = ({ initialQuery = '', onBack, onOpen }) => {
+  const { role } = useAuth();
+  const [query, setQuery] = useState(initialQuery);
+  const [sources] = useState(() => listVerticals(role));
+  const [index] = useState(() => createSearchIndex(searchDocuments(role)));
+
+  const results = searchIndex(index, query);
+  const groups = sources
+    .map(vertical => ({ vertical, matches: results.filter(result => result.doc.source === vertical.id) }))
+    .filter(group => group.matches.length > 0)
+    .sort((a, b) => b.matches[0].score - a.matches[0].score);
+
+  // Keep the query in history, so Back from a result returns to it
+  useEffect(() => {
+    window.history.replaceState({ ...window.history.state, search: query }, '');
+  }, [query]);
 
-// Scanbook View Component
-const ScanBookView = ({ category, onBack }) => {
-  const [selectedTest, setSelectedTest] = useState(1);
-  const [showAccounts, setShowAccounts] = useState(false);
-  const data = category === 'convenience' ? convenienceData : groceryData;
-  const currentTest = data.tests.find(t => t.id === selectedTest);
-  const headerGradient = category === 'convenience' ? 'from-amber-600 to-orange-700' : 'from-red-600 to-red-700';
+  const openResult = ({ source, item, testId }) => {
+    if (testId === undefined) onOpen(source, item.sku);
+    else onOpen(source, '', testId);
+  };
 
   return (
     <div className="min-h-screen bg-slate-100 dark:bg-slate-900 transition-colors">
       <header className="bg-white dark:bg-slate-800 shadow-sm sticky top-0 z-10">
-        <div className="max-w-7xl mx-auto px-4 py-4 flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3">
           <div className="flex items-center gap-4">
             <button onClick={onBack} className="text-slate-600 dark:text-slate-300 hover:text-slate-800 dark:hover:text-white cursor-pointer">← Back</button>
             <div className="h-6 w-px bg-slate-300 dark:bg-slate-600 hidden sm:block"></div>
             <div>
-              <h1 className="text-lg font-bold text-slate-800 dark:text-white">{data.title}</h1>
-              <p className="text-xs text-slate-500 dark:text-slate-400">United States Edition 2026 • Version 2.1</p>
+              <h1 className="text-lg font-bold text-slate-800 dark:text-white">Search</h1>
+              <p className="text-xs text-slate-500 dark:text-slate-400">{results.length} items {query.trim() && `matching "${query.trim()}"`} in {groups.length} catalogs</p>
             </div>
           </div>
-          <div className="flex items-center gap-3">
-            <DarkModeToggle />
-            <button onClick={() => setShowAccounts(!showAccounts)} className="text-sm bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 text-slate-700 dark:text-slate-200 px-4 py-2 rounded-lg transition cursor-pointer">{showAccounts ? 'Hide' : 'Show'} Test Accounts</button>
+          <div className="relative w-full sm:w-72">
+            <input
+              type="text"
+              autoFocus
+              placeholder="Name, SKU or barcode..."
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className="px-4 py-2 pl-9 border border-slate-300 dark:border-slate-600 rounded-lg text-sm focus:ring-2 focus:ring-red-500 focus:border-transparent w-full bg-white dark:bg-slate-700 text-slate-900 dark:text-white"
+            />
+            <svg className="absolute left-3 top-2.5 h-4 w-4 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+            </svg>
           </div>
         </div>
       </header>
-      {showAccounts && (
-        <div className="bg-blue-50 dark:bg-blue-900/30 border-b border-blue-200 dark:border-blue-800">
-          <div className="max-w-7xl mx-auto px-4 py-4">
-            <h3 className="font-semibold text-blue-800 dark:text-blue-200 mb-3">Test Loyalty Accounts</h3>
-            <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-3">
-              {data.loyaltyAccounts.map((account, i) => (
-                <div key={i} className="bg-white dark:bg-slate-800 rounded-lg p-3 text-sm">
-                  <p className="font-semibold text-slate-800 dark:text-white">{account.name}</p>
-                  <p className="text-slate-600 dark:text-slate-400 text-xs">{account.email}</p>
-                  <p className="text-slate-500 dark:text-slate-500 text-xs">{account.phone}</p>
+      <main className="max-w-5xl mx-auto px-4 py-6 space-y-6">
+        {groups.map(({ vertical, matches }) => (
+          <section key={vertical.id} className="bg-white dark:bg-slate-800 rounded-xl shadow-lg overflow-hidden">
+            <div className="px-6 py-4 border-b border-slate-200 dark:border-slate-700 flex items-center justify-between">
+              <h2 className="font-bold text-slate-800 dark:text-white"><span className="mr-2">{vertical.icon}</span>{vertical.title}</h2>
+              <span className="text-xs text-slate-500 dark:text-slate-400">{matches.length > SEARCH_RESULTS_PER_SOURCE ? `Top ${SEARCH_RESULTS_PER_SOURCE} of ${matches.length}` : `${matches.length} items`}</span>
+            </div>
+            <div className="divide-y divide-slate-100 dark:divide-slate-700">
+              {matches.slice(0, SEARCH_RESULTS_PER_SOURCE).map(({ doc }, i) => (
+                <div key={i} onClick={() => openResult(doc)} className="px-6 py-3 flex flex-col sm:flex-row sm:items-center gap-3 cursor-pointer hover:bg-slate-50 dark:hover:bg-slate-700/50 transition">
+                  <div className="flex-1 min-w-0">
+                    <h4 className="font-semibold text-slate-800 dark:text-white">{doc.item.name}</h4>
+                    <div className="flex flex-wrap items-center gap-2 mt-1 text-sm text-slate-500 dark:text-slate-400">
+                      <span>SKU: <span className="font-mono text-slate-700 dark:text-slate-300">{doc.item.sku}</span></span>
+                      <span className="text-xs bg-slate-100 dark:bg-slate-600 text-slate-600 dark:text-slate-300 px-2 py-0.5 rounded">{doc.context}</span>
+                    </div>
+                  </div>
+                  <div className="bg-white dark:bg-slate-600 border border-slate-200 dark:border-slate-500 rounded-lg p-2 self-start">
+                    <ItemBarcode item={doc.item} height={40} size={60} />
+                  </div>
                 </div>
               ))}
             </div>
-          </div>
-        </div>
+          </section>
+        ))}
+        {query.trim() && groups.length === 0 && (
+          <div className="text-center py-12 text-slate-500 dark:text-slate-400">No items found matching "{query.trim()}"</div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+// Test Card Component
+const TestCard = ({ test, onSelect, isSelected, outcome }) => (
+  <div onClick={() => onSelect(test.id)} className={`p-4 rounded-lg cursor-pointer transition ${isSelected ? 'bg-red-50 dark:bg-red-900/30 border-2 border-red-500' : 'bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 hover:border-red-300 dark:hover:border-red-600'}`}>
+    <div className="flex items-start justify-between mb-2">
+      <span className="text-xs font-bold text-slate-400 dark:text-slate-500">SCENARIO {test.id}</span>
+      <span className={`text-xs px-2 py-1 rounded-full ${typeColors[test.type] || 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-400'}`}>{test.type}</span>
+    </div>
+    <h4 className="font-semibold text-slate-800 dark:text-white">{test.name}</h4>
+    <div className="flex items-center justify-between mt-1">
+      <p className="text-xs text-slate-500 dark:text-slate-400">
+        {test.items.length} items
+        {outcome && <span className={`ml-2 font-semibold ${runStatusStyles[outcome].text}`}>{runStatusStyles[outcome].icon} {runStatusStyles[outcome].label}</span>}
+      </p>
+      <ValidityBadge valid={test.valid} />
+    </div>
+  </div>
+);
+
+// Whether a test's promotion can fire right now: inside its validity dates and on an eligible day and hour
+const promotionFiresNow = (test) => {
+  const status = validityStatus(test.valid);
+  return evaluateEligibility(test.eligibility).firesNow && (!status || status === 'active');
+};
+
+// Eligibility Panel Component
+// Whether the scenario's promotion should fire right now, and which test
+// loyalty accounts can trigger a segment-restricted promotion
+const EligibilityPanel = ({ test, accounts }) => {
+  const status = validityStatus(test.valid);
+  const { checks } = evaluateEligibility(test.eligibility);
+  const allChecks = status ? [{ label: `Valid: ${test.valid}`, ok: status === 'active', detail: validityBadges[status].label }, ...checks] : checks;
+  const fires = promotionFiresNow(test);
+  const segments = test.eligibility?.segments || [];
+  const members = matchingAccounts(test.eligibility, accounts);
+
+  return (
+    <div className={`mb-6 rounded-lg p-4 border ${fires ? 'bg-green-50 border-green-200 dark:bg-green-900/30 dark:border-green-800' : 'bg-red-50 border-red-200 dark:bg-red-900/30 dark:border-red-800'}`}>
+      <p className={`font-semibold mb-2 ${fires ? 'text-green-800 dark:text-green-300' : 'text-red-800 dark:text-red-300'}`}>
+        {fires ? '✅ Promotion should fire right now' : '⛔ Promotion should NOT fire right now'}
+      </p>
+      <ul className="space-y-1 text-sm">
+        {allChecks.map((check, i) => (
+          <li key={i} className="flex items-start gap-2">
+            <span className="w-4 text-center">{check.ok === true ? '✓' : check.ok === false ? '✗' : '•'}</span>
+            <span className="text-slate-700 dark:text-slate-300">
+              <span className="font-medium">{check.label}</span>
+              <span className="text-slate-500 dark:text-slate-400"> — {check.detail}</span>
+            </span>
+          </li>
+        ))}
+      </ul>
+      {segments.length > 0 && (
+        <p className="mt-2 text-sm text-slate-700 dark:text-slate-300">
+          {members.length > 0
+            ? <>Use loyalty account: <strong>{members.map(account => account.name).join(', ')}</strong></>
+            : <span className="text-red-700 dark:text-red-400">No test loyalty account is in {segments.join(' or ')}</span>}
+        </p>
       )}
-      <main className="max-w-7xl mx-auto px-4 py-6">
-        <div className="flex flex-col lg:flex-row gap-6">
-          <div className="w-full lg:w-72 flex-shrink-0">
-            <h3 className="font-semibold text-slate-700 dark:text-slate-200 mb-3">Test Scenarios</h3>
-            <div className="grid grid-cols-2 lg:grid-cols-1 gap-2">
-              {data.tests.map(test => (<TestCard key={test.id} test={test} onSelect={setSelectedTest} isSelected={selectedTest === test.id} />))}
+    </div>
+  );
+};
+
+// Expected Receipt Component
+// Prices the tester's quantities with the scenario's pricing rules (lib/promotions)
+const ExpectedReceipt = ({ test, quantities, priorPurchases, onPriorPurchasesChange }) => {
+  if (!test.items.some(item => item.price !== undefined)) return null;
+  const active = promotionFiresNow(test);
+  const hasContinuity = (test.pricing || []).some(rule => rule.type === 'CONTINUITY');
+  const receipt = computeReceipt(test.items, test.items.map((item, i) => quantities[i]), test.pricing, {
+    promotion: test.promotion,
+    priorPurchases: Number(priorPurchases) || 0,
+    promotionActive: active,
+    money: getDatasets().money
+  });
+
+  return (
+    <div>
+      <h3 className="font-semibold text-slate-700 dark:text-slate-200 mb-3">Expected Receipt</h3>
+      <div className="bg-white dark:bg-slate-900 border border-dashed border-slate-300 dark:border-slate-600 rounded-lg p-4 font-mono text-sm text-slate-700 dark:text-slate-300">
+        {hasContinuity && (
+          <label className="flex items-center justify-between gap-2 mb-3 font-sans text-xs text-slate-500 dark:text-slate-400">
+            Purchases already on the loyalty card
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={priorPurchases}
+              onChange={(e) => onPriorPurchasesChange(e.target.value)}
+              className="w-16 px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm"
+              placeholder="0"
+            />
+          </label>
+        )}
+        {receipt.lines.length === 0 ? (
+          <p className="font-sans text-slate-500 dark:text-slate-400 text-center py-4">Enter quantities to see the expected receipt</p>
+        ) : (
+          <>
+            {receipt.lines.map((line, i) => (
+              <div key={i} className="mb-1">
+                <div className="flex justify-between gap-2">
+                  <span className="truncate">{line.name}</span>
+                  <span>{formatPrice(line.amount)}</span>
+                </div>
+                <div className="text-xs text-slate-500 dark:text-slate-400 pl-2">{line.qty}{line.unit ? ` ${line.unit}` : ''} @ {formatPrice(line.unitPrice)}{line.unit ? `/${line.unit}` : ''}</div>
+              </div>
+            ))}
+            <div className="flex justify-between border-t border-slate-200 dark:border-slate-700 mt-2 pt-2">
+              <span>Subtotal</span>
+              <span>{formatPrice(receipt.subtotal)}</span>
             </div>
-          </div>
-          <div className="flex-1">
+            {receipt.discounts.map((discount, i) => (
+              <div key={i} className="flex justify-between gap-2 text-green-700 dark:text-green-400">
+                <span className="truncate">{discount.label}</span>
+                <span>-{formatPrice(discount.amount)}</span>
+              </div>
+            ))}
+            <div className="flex justify-between border-t border-slate-200 dark:border-slate-700 mt-2 pt-2 font-bold text-slate-900 dark:text-white">
+              <span>Total</span>
+              <span>{formatPrice(receipt.total)}</span>
+            </div>
+            {receipt.points > 0 && (
+              <div className="flex justify-between text-amber-700 dark:text-amber-400 mt-1">
+                <span>Loyalty points</span>
+                <span>+{receipt.points}</span>
+              </div>
+            )}
+          </>
+        )}
+        {!active && (
+          <p className="font-sans text-xs text-red-600 dark:text-red-400 mt-3">Promotion is not active right now, so no discount is expected.</p>
+        )}
+        {active && (test.eligibility?.segments?.length > 0 || test.eligibility?.loyaltyRequired) && (
+          <p className="font-sans text-xs text-slate-500 dark:text-slate-400 mt-3">Assumes a qualifying loyalty card is scanned.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Test run result styles, shared by the run checklist, test cards and history
+const runStatusStyles = {
+  pass: { label: 'Pass', icon: '✓', active: 'bg-green-600 text-white border-green-600', text: 'text-green-700 dark:text-green-400' },
+  fail: { label: 'Fail', icon: '✗', active: 'bg-red-600 text-white border-red-600', text: 'text-red-700 dark:text-red-400' },
+  blocked: { label: 'Blocked', icon: '⏸', active: 'bg-amber-500 text-white border-amber-500', text: 'text-amber-700 dark:text-amber-400' },
+  'in-progress': { label: 'In progress', icon: '◐', text: 'text-blue-700 dark:text-blue-400' },
+  pending: { label: 'Not run', icon: '○', text: 'text-slate-400 dark:text-slate-500' }
+};
+
+const formatTimestamp = (iso) => new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+// Pass / Fail / Blocked toggle; clicking the selected status clears it
+const RunStatusButtons = ({ value, onChange }) => (
+  <div className="flex gap-1 flex-shrink-0">
+    {RESULT_STATUSES.map(status => (
+      <button
+        key={status}
+        type="button"
+        onClick={() => onChange(value === status ? null : status)}
+        className={`text-xs px-2 py-1 rounded border transition cursor-pointer ${value === status ? runStatusStyles[status].active : 'border-slate-300 dark:border-slate-600 text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700'}`}
+      >
+        {runStatusStyles[status].label}
+      </button>
+    ))}
+  </div>
+);
+
+// Run Checklist Component
+// Per-step and per-item marks for the current scenario of an active run
+const RunChecklist = ({ run, test, onChange, onNext }) => {
+  const result = run.results[test.id] || {};
+  const checks = scenarioChecks(run, test);
+  const outcome = runStatusStyles[scenarioOutcome(run, test)];
+
+  return (
+    <div className="mb-6 border-2 border-blue-300 dark:border-blue-700 rounded-lg p-4 bg-blue-50/50 dark:bg-blue-900/20">
+      <div className="flex items-center justify-between mb-3 gap-2 flex-wrap">
+        <h3 className="font-semibold text-slate-700 dark:text-slate-200">Run Results</h3>
+        <span className={`text-sm font-semibold ${outcome.text}`}>{outcome.icon} {outcome.label}</span>
+      </div>
+      <div className="space-y-2">
+        {checks.map(check => (
+          <div key={`${check.kind}-${check.index}`} className="bg-white dark:bg-slate-800 rounded-lg p-3">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+              <span className="text-sm text-slate-700 dark:text-slate-300">
+                <span className="text-xs font-semibold text-slate-400 dark:text-slate-500 mr-2">{check.kind === 'steps' ? `STEP ${check.index + 1}` : 'ITEM'}</span>
+                {check.label}
+              </span>
+              <RunStatusButtons value={check.mark?.status || null} onChange={(status) => onChange(updateCheck(run, test.id, check.kind, check.index, { status }))} />
+            </div>
+            <input
+              type="text"
+              value={check.mark?.note || ''}
+              onChange={(e) => onChange(updateCheck(run, test.id, check.kind, check.index, { note: e.target.value }))}
+              placeholder="Notes"
+              className="mt-2 w-full px-2 py-1 border border-slate-200 dark:border-slate-600 rounded text-sm bg-white dark:bg-slate-700 text-slate-900 dark:text-white"
+            />
+          </div>
+        ))}
+      </div>
+      <div className="grid sm:grid-cols-3 gap-3 mt-3">
+        <label className="text-sm text-slate-600 dark:text-slate-400">
+          Observed total
+          <input
+            type="text"
+            value={result.observedTotal || ''}
+            onChange={(e) => onChange(updateScenario(run, test.id, { observedTotal: e.target.value }))}
+            placeholder="$0.00"
+            className="mt-1 w-full px-2 py-1 border border-slate-300 dark:border-slate-600 rounded text-sm font-mono bg-white dark:bg-slate-700 text-slate-900 dark:text-white"
+          />
+        </label>
+        <label className="text-sm text-slate-600 dark:text-slate-400 sm:col-span-2">
+          Scenario notes
+          <input
+            type="text"
+            value={result.notes || ''}
+            onChange={(e) => onChange(updateScenario(run, test.id, { notes: e.target.value }))}
+            placeholder="Receipt details, defect IDs…"
+            className="mt-1 w-full px-2 py-1 border border-slate-300 dark:border-slate-600 rounded text-sm bg-white dark:bg-slate-700 text-slate-900 dark:text-white"
+          />
+        </label>
+      </div>
+      {onNext && (
+        <div className="text-right mt-3">
+          <button onClick={onNext} className="text-sm bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition cursor-pointer">Next scenario →</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Run summary line: check counts by status
+const RunSummary = ({ run, tests }) => {
+  const summary = summarizeRun(run, tests);
+  return (
+    <span className="text-sm">
+      <span className={runStatusStyles.pass.text}>{summary.pass} pass</span>
+      {' • '}<span className={runStatusStyles.fail.text}>{summary.fail} fail</span>
+      {' • '}<span className={runStatusStyles.blocked.text}>{summary.blocked} blocked</span>
+      {' • '}<span className="text-slate-500 dark:text-slate-400">{summary.pending} not run</span>
+    </span>
+  );
+};
+
+// Save generated text as a download
+const downloadFile = (content, fileName, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// Self-contained copy of a rendered element: the app's stylesheets are inlined
+// and canvas barcodes become images, so the file opens offline in any browser
+const standaloneHtml = (node, title) => {
+  const copy = node.cloneNode(true);
+  const canvases = node.querySelectorAll('canvas');
+  copy.querySelectorAll('canvas').forEach((canvas, i) => {
+    const img = document.createElement('img');
+    img.src = canvases[i].toDataURL('image/png');
+    img.className = canvas.className;
+    img.style.maxWidth = '100%';
+    canvas.replaceWith(img);
+  });
+  const css = Array.from(document.styleSheets).map(sheet => {
+    try {
+      return Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+    } catch {
+      return '';
+    }
+  }).join('\n');
+  const safeTitle = title.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  return `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8">\n<title>${safeTitle}</title>\n<style>\n${css}\n</style>\n</head>\n<body class="bg-white">\n${copy.outerHTML}\n</body>\n</html>\n`;
+};
+
+// Run Report Modal Component
+// The report sheet is the .print-area, so Print (or Save as PDF in the print
+// dialog) outputs just the report; the same sheet is saved as the HTML export
+const RunReportModal = ({ run, tests, onClose }) => {
+  const reportRef = useRef(null);
+  const summary = reportSummary(run, tests);
+  const title = `${run.title} — Test Run Report`;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 print:static print:block print:p-0 print:bg-transparent">
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-5xl max-h-[90vh] overflow-hidden flex flex-col print:max-h-none print:overflow-visible print:shadow-none">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 border-b border-slate-200 dark:border-slate-700 print:hidden">
+          <h2 className="text-lg font-bold text-slate-800 dark:text-white flex items-center gap-2">📄 Run Report</h2>
+          <div className="flex flex-wrap items-center gap-2">
+            <button onClick={() => window.print()} className="text-sm px-3 py-1.5 bg-green-600 hover:bg-green-700 text-white rounded-lg transition cursor-pointer">🖨️ Print / PDF</button>
+            <button onClick={() => downloadFile(standaloneHtml(reportRef.current, title), reportFileName(run, 'html'), 'text/html')} className="text-sm px-3 py-1.5 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 transition cursor-pointer">HTML</button>
+            <button onClick={() => downloadFile(runToCsv(run, tests), reportFileName(run, 'csv'), 'text/csv')} className="text-sm px-3 py-1.5 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 transition cursor-pointer">CSV</button>
+            <button onClick={() => downloadFile(runToJUnit(run, tests), reportFileName(run, 'xml'), 'application/xml')} className="text-sm px-3 py-1.5 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 transition cursor-pointer">JUnit XML</button>
+            <button onClick={onClose} className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-200 cursor-pointer text-xl ml-2">×</button>
+          </div>
+        </div>
+        <div className="overflow-y-auto p-4 bg-slate-100 dark:bg-slate-900 print:overflow-visible print:p-0 print:bg-white">
+          <div ref={reportRef} className="print-area bg-white text-slate-800 rounded-lg p-6 max-w-4xl mx-auto">
+            <div className="border-b-2 border-slate-800 pb-3 mb-4">
+              <h1 className="text-2xl font-bold">{run.title}</h1>
+              <p className="text-sm text-slate-500">Test Run Report{run.status === 'in-progress' ? ' — run still in progress' : ''}</p>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-x-6 gap-y-2 text-sm mb-4">
+              <div><span className="text-slate-500">Tester:</span> <span className="font-semibold">{run.user || 'unknown'}</span></div>
+              <div><span className="text-slate-500">Lane:</span> <span className="font-semibold">{run.lane || '—'}</span></div>
+              <div><span className="text-slate-500">Build:</span> <span className="font-semibold">{run.build || '—'}</span></div>
+              <div><span className="text-slate-500">Started:</span> <span className="font-semibold">{formatTimestamp(run.startedAt)}</span></div>
+              <div><span className="text-slate-500">Finished:</span> <span className="font-semibold">{run.finishedAt ? formatTimestamp(run.finishedAt) : '—'}</span>{run.signedOffBy && <span> by <span className="font-semibold">{run.signedOffBy}</span></span>}</div>
+              <div><span className="text-slate-500">Run:</span> <span className="font-mono text-xs">{run.id}</span></div>
+            </div>
+            <div className="flex flex-wrap items-center gap-4 bg-slate-50 border border-slate-200 rounded-lg p-3 mb-6 text-sm">
+              <span className="font-semibold">{summary.scenariosPassed} of {summary.scenarios} scenarios passed</span>
+              {summary.scenariosFailed > 0 && <span className={`font-semibold ${runStatusStyles.fail.text}`}>{summary.scenariosFailed} failed</span>}
+              <RunSummary run={run} tests={tests} />
+            </div>
+            <div className="space-y-6">
+              {tests.map(test => {
+                const result = run.results[test.id] || {};
+                const outcome = runStatusStyles[scenarioOutcome(run, test)];
+                return (
+                  <section key={test.id} className="border border-slate-200 rounded-lg p-4 print:break-inside-avoid">
+                    <div className="flex items-start justify-between gap-3 mb-2">
+                      <div>
+                        <p className="text-xs font-bold text-slate-400">SCENARIO {test.id} • {test.type}</p>
+                        <h2 className="text-lg font-bold">{test.name}</h2>
+                        <p className="text-sm text-slate-600">{test.promotion} • {test.valid}</p>
+                      </div>
+                      <span className={`text-sm font-semibold whitespace-nowrap ${outcome.text}`}>{outcome.icon} {outcome.label}</span>
+                    </div>
+                    <table className="w-full text-sm mb-3">
+                      <thead>
+                        <tr className="text-left text-xs text-slate-500 border-b border-slate-200">
+                          <th className="py-1 pr-2">Check</th>
+                          <th className="py-1 pr-2 w-20">Result</th>
+                          <th className="py-1">Note</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {scenarioChecks(run, test).map(check => {
+                          const style = runStatusStyles[check.mark?.status || 'pending'];
+                          return (
+                            <tr key={`${check.kind}-${check.index}`} className="border-b border-slate-100 align-top">
+                              <td className="py-1 pr-2">
+                                <span className="text-xs font-semibold text-slate-400 mr-2">{check.kind === 'steps' ? `STEP ${check.index + 1}` : 'ITEM'}</span>
+                                {check.label}
+                              </td>
+                              <td className={`py-1 pr-2 font-semibold whitespace-nowrap ${style.text}`}>{style.icon} {style.label}</td>
+                              <td className="py-1 text-slate-600">{check.mark?.note}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                    {(result.observedTotal || result.notes) && (
+                      <div className="text-sm mb-3 space-y-1">
+                        {result.observedTotal && <p><span className="text-slate-500">Observed total:</span> <span className="font-mono font-semibold">{result.observedTotal}</span></p>}
+                        {result.notes && <p><span className="text-slate-500">Notes:</span> {result.notes}</p>}
+                      </div>
+                    )}
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                      {test.items.map((item, i) => (
+                        <div key={i} className="border border-slate-200 rounded p-2 text-center">
+                          <p className="text-xs font-semibold truncate">{item.name}</p>
+                          <div className="flex justify-center mt-1">
+                            <Barcode value={item.barcode} height={40} />
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </section>
+                );
+              })}
+            </div>
+            <p className="text-xs text-slate-400 mt-6">Generated {formatTimestamp(new Date().toISOString())}</p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Scanbook View Component
+const ScanBookView = ({ vertical, onBack, initialTest = null, user = '' }) => {
+  const { can } = useAuth();
+  const [selectedTest, setSelectedTest] = useState(initialTest || 1);
+  const [showAccounts, setShowAccounts] = useState(false);
+  const [expiredMode, setExpiredMode] = useState(() => localStorage.getItem(profileKey('expiredScenarios')) || 'bottom');
+  const category = vertical.id;
+  const data = vertical.data;
+  const expiredCount = expiredTests(data).length;
+  const isExpired = (test) => validityStatus(test.valid) === 'expired';
+  const visibleTests = expiredMode === 'hide' ? data.tests.filter(test => !isExpired(test))
+    : expiredMode === 'bottom' ? [...data.tests.filter(test => !isExpired(test)), ...data.tests.filter(isExpired)]
+    : data.tests;
+  const currentTest = visibleTests.find(t => t.id === selectedTest) || visibleTests[0];
+  // Receipt quantities per test, keyed by item index
+  const [quantities, setQuantities] = useState({});
+  const [priorPurchases, setPriorPurchases] = useState('');
+  const testQuantities = (currentTest && quantities[currentTest.id]) || {};
+
+  const handleQuantityChange = (index, value) => {
+    setQuantities({ ...quantities, [currentTest.id]: { ...testQuantities, [index]: value } });
+  };
+
+  const handleExpiredModeChange = (mode) => {
+    setExpiredMode(mode);
+    localStorage.setItem(profileKey('expiredScenarios'), mode);
+  };
+
+  // Test runs from localStorage; at most one run per scanbook is in progress
+  const [runs, setRuns] = useState(() => {
+    const saved = localStorage.getItem(profileKey('testRuns'));
+    return saved ? JSON.parse(saved) : [];
+  });
+  const [runSetup, setRunSetup] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [reportRunId, setReportRunId] = useState(null);
+  const [bookletSections, setBookletSections] = useState(null);
+  const printQueue = usePrintQueue();
+  const [queuedTest, setQueuedTest] = useState(null);
+  const activeRun = runs.find(run => run.scanbook === category && run.status === 'in-progress');
+  const pastRuns = runs.filter(run => run.scanbook === category && run.status === 'completed');
+  const reportRun = runs.find(run => run.id === reportRunId);
+
+  useEffect(() => {
+    localStorage.setItem(profileKey('testRuns'), JSON.stringify(runs));
+  }, [runs]);
+
+  const saveRun = (updated) => setRuns(prev => prev.map(run => (run.id === updated.id ? updated : run)));
+
+  const handleStartRun = () => {
+    const run = createRun({ scanbook: category, title: data.title, user, lane: runSetup.lane, build: runSetup.build });
+    setRuns(prev => [...prev, run]);
+    setRunSetup(null);
+    setSelectedTest(visibleTests[0]?.id);
+  };
+
+  const handleFinishRun = () => {
+    saveRun(finishRun(activeRun, user));
+    setShowHistory(true);
+  };
+
+  const handleDiscardRun = (run) => {
+    if (!window.confirm(`Delete the run started ${formatTimestamp(run.startedAt)}? Its results will be lost.`)) return;
+    setRuns(prev => prev.filter(r => r.id !== run.id));
+  };
+
+  const nextTest = currentTest && visibleTests[visibleTests.findIndex(t => t.id === currentTest.id) + 1];
+
+  return (
+    <div className="min-h-screen bg-slate-100 dark:bg-slate-900 transition-colors">
+      <header className="bg-white dark:bg-slate-800 shadow-sm sticky top-0 z-10">
+        <div className="max-w-7xl mx-auto px-4 py-4 flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3">
+          <div className="flex items-center gap-4">
+            <button onClick={onBack} className="text-slate-600 dark:text-slate-300 hover:text-slate-800 dark:hover:text-white cursor-pointer">← Back</button>
+            <div className="h-6 w-px bg-slate-300 dark:bg-slate-600 hidden sm:block"></div>
+            <div>
+              <h1 className="text-lg font-bold text-slate-800 dark:text-white">{data.title}</h1>
+              <p className="text-xs text-slate-500 dark:text-slate-400">{vertical.subtitle}</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-3">
+            <DarkModeToggle />
+            {pastRuns.length > 0 && (
+              <button onClick={() => setShowHistory(!showHistory)} className="text-sm bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 text-slate-700 dark:text-slate-200 px-4 py-2 rounded-lg transition cursor-pointer">Run History ({pastRuns.length})</button>
+            )}
+            {!activeRun && data.tests.length > 0 && can('runs.execute') && (
+              <button onClick={() => setRunSetup({ lane: '', build: '' })} className="text-sm bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition cursor-pointer">▶ Start Run</button>
+            )}
+            {data.tests.some(test => test.items?.length) && (
+              <button
+                onClick={() => setBookletSections(data.tests.filter(test => test.items?.length).map(test => ({
+                  title: `${test.id}. ${test.name}`,
+                  description: [test.promotion, test.discount].filter(Boolean).join(' - '),
+                  items: test.items
+                })))}
+                className="text-sm bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 text-slate-700 dark:text-slate-200 px-4 py-2 rounded-lg transition cursor-pointer"
+              >
+                📘 Booklet
+              </button>
+            )}
+            <button onClick={() => setShowAccounts(!showAccounts)} className="text-sm bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 text-slate-700 dark:text-slate-200 px-4 py-2 rounded-lg transition cursor-pointer">{showAccounts ? 'Hide' : 'Show'} Test Accounts</button>
+          </div>
+        </div>
+      </header>
+      {runSetup && !activeRun && (
+        <div className="bg-blue-50 dark:bg-blue-900/30 border-b border-blue-200 dark:border-blue-800">
+          <div className="max-w-7xl mx-auto px-4 py-4 flex flex-col sm:flex-row sm:items-end gap-3">
+            <div className="flex-1">
+              <h3 className="font-semibold text-blue-800 dark:text-blue-200">Start a test run</h3>
+              <p className="text-xs text-blue-700 dark:text-blue-300">Results are saved on this device as {user || 'the current user'}.</p>
+            </div>
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              Lane
+              <input type="text" value={runSetup.lane} onChange={(e) => setRunSetup({ ...runSetup, lane: e.target.value })} placeholder="Lane 3" className="mt-1 block w-32 px-2 py-1 border border-slate-300 dark:border-slate-600 rounded text-sm bg-white dark:bg-slate-700 text-slate-900 dark:text-white" />
+            </label>
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              Build
+              <input type="text" value={runSetup.build} onChange={(e) => setRunSetup({ ...runSetup, build: e.target.value })} placeholder="ELERA 4.2.1" className="mt-1 block w-40 px-2 py-1 border border-slate-300 dark:border-slate-600 rounded text-sm bg-white dark:bg-slate-700 text-slate-900 dark:text-white" />
+            </label>
+            <div className="flex gap-2">
+              <button onClick={() => setRunSetup(null)} className="text-sm px-4 py-2 rounded-lg bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-200 border border-slate-300 dark:border-slate-600 cursor-pointer">Cancel</button>
+              <button onClick={handleStartRun} className="text-sm px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white cursor-pointer">Begin</button>
+            </div>
+          </div>
+        </div>
+      )}
+      {activeRun && (
+        <div className="bg-blue-600 text-white">
+          <div className="max-w-7xl mx-auto px-4 py-3 flex flex-col lg:flex-row lg:items-center gap-3">
+            <div className="flex-1 text-sm">
+              <span className="font-semibold">● Run in progress</span>
+              <span className="text-blue-100"> — started {formatTimestamp(activeRun.startedAt)} by {activeRun.user || 'unknown'}</span>
+            </div>
+            <label className="text-sm flex items-center gap-1">
+              Lane
+              <input type="text" value={activeRun.lane} readOnly={!can('runs.execute')} onChange={(e) => saveRun({ ...activeRun, lane: e.target.value, updatedAt: new Date().toISOString() })} className="w-24 px-2 py-1 rounded text-sm text-slate-900" />
+            </label>
+            <label className="text-sm flex items-center gap-1">
+              Build
+              <input type="text" value={activeRun.build} readOnly={!can('runs.execute')} onChange={(e) => saveRun({ ...activeRun, build: e.target.value, updatedAt: new Date().toISOString() })} className="w-32 px-2 py-1 rounded text-sm text-slate-900" />
+            </label>
+            <div className="bg-white rounded px-2 py-1"><RunSummary run={activeRun} tests={data.tests} /></div>
+            <div className="flex gap-2">
+              <button onClick={() => setReportRunId(activeRun.id)} className="text-sm px-3 py-1.5 rounded-lg bg-blue-700 hover:bg-blue-800 cursor-pointer">📄 Report</button>
+              {can('runs.execute') && (
+                <button onClick={() => handleDiscardRun(activeRun)} className="text-sm px-3 py-1.5 rounded-lg bg-blue-700 hover:bg-blue-800 cursor-pointer">Discard</button>
+              )}
+              {can('runs.signoff') ? (
+                <button onClick={handleFinishRun} className="text-sm px-3 py-1.5 rounded-lg bg-white text-blue-700 font-semibold hover:bg-blue-50 cursor-pointer">Sign Off Run</button>
+              ) : (
+                <span className="text-sm px-3 py-1.5 text-blue-100" title="Completed runs are signed off by an admin">Awaiting sign-off</span>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+      {showHistory && pastRuns.length > 0 && (
+        <div className="bg-white dark:bg-slate-800 border-b border-slate-200 dark:border-slate-700">
+          <div className="max-w-7xl mx-auto px-4 py-4">
+            <h3 className="font-semibold text-slate-800 dark:text-white mb-3">Run History</h3>
+            <div className="space-y-2">
+              {[...pastRuns].reverse().map(run => (
+                <div key={run.id} className="flex flex-col md:flex-row md:items-center justify-between gap-2 bg-slate-50 dark:bg-slate-700/50 rounded-lg p-3 text-sm">
+                  <div>
+                    <span className="font-semibold text-slate-800 dark:text-white">{formatTimestamp(run.finishedAt)}</span>
+                    <span className="text-slate-500 dark:text-slate-400"> • {run.user || 'unknown'}{run.lane ? ` • ${run.lane}` : ''}{run.build ? ` • ${run.build}` : ''}</span>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <RunSummary run={run} tests={data.tests} />
+                    <button onClick={() => setReportRunId(run.id)} className="text-xs text-blue-600 dark:text-blue-400 hover:underline cursor-pointer">Report</button>
+                    {can('runs.signoff') && (
+                      <button onClick={() => handleDiscardRun(run)} className="text-xs text-red-600 dark:text-red-400 hover:underline cursor-pointer">Delete</button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+      {showAccounts && (
+        <div className="bg-blue-50 dark:bg-blue-900/30 border-b border-blue-200 dark:border-blue-800">
+          <div className="max-w-7xl mx-auto px-4 py-4">
+            <h3 className="font-semibold text-blue-800 dark:text-blue-200 mb-3">Test Loyalty Accounts</h3>
+            <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-3">
+              {data.loyaltyAccounts.map((account, i) => (
+                <div key={i} className="bg-white dark:bg-slate-800 rounded-lg p-3 text-sm">
+                  <p className="font-semibold text-slate-800 dark:text-white">{account.name}</p>
+                  <p className="text-slate-600 dark:text-slate-400 text-xs">{account.email}</p>
+                  <p className="text-slate-500 dark:text-slate-500 text-xs">{account.phone}</p>
+                  {account.segments?.length > 0 && (
+                    <p className="text-blue-700 dark:text-blue-300 text-xs mt-1">Segments: {account.segments.join(', ')}</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+      <main className="max-w-7xl mx-auto px-4 py-6">
+        <div className="flex flex-col lg:flex-row gap-6">
+          <div className="w-full lg:w-72 flex-shrink-0">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="font-semibold text-slate-700 dark:text-slate-200">Test Scenarios</h3>
+              {expiredCount > 0 && (
+                <select
+                  value={expiredMode}
+                  onChange={(e) => handleExpiredModeChange(e.target.value)}
+                  className="text-xs px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-200"
+                  title={`${expiredCount} expired promotion${expiredCount === 1 ? '' : 's'}`}
+                >
+                  <option value="bottom">Expired last</option>
+                  <option value="hide">Hide expired ({expiredCount})</option>
+                  <option value="order">Scenario order</option>
+                </select>
+              )}
+            </div>
+            <div className="grid grid-cols-2 lg:grid-cols-1 gap-2">
+              {visibleTests.map(test => (<TestCard key={test.id} test={test} onSelect={setSelectedTest} isSelected={currentTest?.id === test.id} outcome={activeRun && scenarioOutcome(activeRun, test)} />))}
+            </div>
+          </div>
+          <div className="flex-1">
+            {!currentTest && (
+              <p className="text-center text-slate-500 dark:text-slate-400 py-12">{data.tests.length === 0 ? 'This scanbook has no scenarios yet.' : 'All scenarios are hidden.'}</p>
+            )}
             {currentTest && (
               <div className="bg-white dark:bg-slate-800 rounded-xl shadow-lg overflow-hidden">
-                <div className={`bg-gradient-to-r ${headerGradient} text-white p-6`}>
+                <div className={`bg-gradient-to-r ${vertical.gradient} text-white p-6`}>
                   <div className="flex items-center gap-3 mb-2 flex-wrap">
                     <span className="bg-white/20 px-3 py-1 rounded-full text-sm font-medium">SCENARIO {currentTest.id}</span>
                     <span className="bg-white/20 px-3 py-1 rounded-full text-sm">{currentTest.type}</span>
+                    <ValidityBadge valid={currentTest.valid} className="text-sm px-3 py-1" />
                   </div>
                   <h2 className="text-2xl font-bold">{currentTest.name}</h2>
                 </div>
@@ -2599,10 +3166,23 @@ const ScanBookView = ({ category, onBack }) => {
                   <div className="bg-slate-50 dark:bg-slate-700/50 rounded-lg p-4 mb-6">
                     <div className="grid sm:grid-cols-2 gap-4 text-sm">
                       <div><span className="text-slate-500 dark:text-slate-400">Promotion:</span><p className="font-semibold text-slate-800 dark:text-white">{currentTest.promotion}</p></div>
-                      <div><span className="text-slate-500 dark:text-slate-400">Valid:</span><p className="font-semibold text-slate-800 dark:text-white">{currentTest.valid}</p></div>
+                      <div>
+                        <span className="text-slate-500 dark:text-slate-400">Valid:</span>
+                        <p className="font-semibold text-slate-800 dark:text-white">{currentTest.valid}</p>
+                        {validityStatus(currentTest.valid) === 'expired' && (
+                          <p className="text-xs text-red-600 dark:text-red-400 mt-1">⚠️ Ended {formatPromoDate(parseValidity(currentTest.valid).end)} — the POS will not apply this promotion</p>
+                        )}
+                        {validityStatus(currentTest.valid) === 'upcoming' && (
+                          <p className="text-xs text-blue-600 dark:text-blue-400 mt-1">Starts {formatPromoDate(parseValidity(currentTest.valid).start)}</p>
+                        )}
+                      </div>
                       <div className="sm:col-span-2"><span className="text-slate-500 dark:text-slate-400">Discount:</span><p className="font-semibold text-green-700 dark:text-green-400">{currentTest.discount}</p></div>
                     </div>
                   </div>
+                  <EligibilityPanel test={currentTest} accounts={data.loyaltyAccounts} />
+                  {activeRun && can('runs.execute') && (
+                    <RunChecklist run={activeRun} test={currentTest} onChange={saveRun} onNext={nextTest && (() => setSelectedTest(nextTest.id))} />
+                  )}
                   <div className="mb-6">
                     <h3 className="font-semibold text-slate-700 dark:text-slate-200 mb-2">Scenario Steps</h3>
                     <p className="text-slate-600 dark:text-slate-300 bg-yellow-50 dark:bg-yellow-900/30 border border-yellow-200 dark:border-yellow-800 rounded-lg p-3">{currentTest.steps}</p>
@@ -2615,24 +3195,375 @@ const ScanBookView = ({ category, onBack }) => {
                       </div>
                     </div>
                   )}
-                  <h3 className="font-semibold text-slate-700 dark:text-slate-200 mb-3">Scenario Items</h3>
-                  <div className="space-y-3">
-                    {currentTest.items.map((item, i) => (
-                      <div key={i} className="flex flex-col sm:flex-row sm:items-center justify-between bg-slate-50 dark:bg-slate-700/50 rounded-lg p-4 gap-4">
-                        <div className="flex-1">
-                          <h4 className="font-semibold text-slate-800 dark:text-white">{item.name}</h4>
-                          <div className="flex flex-wrap gap-3 mt-1">
-                            <span className="text-sm text-slate-500 dark:text-slate-400">SKU: <span className="font-mono text-slate-700 dark:text-slate-300">{item.sku}</span></span>
-                            <CopyButton text={item.sku} label="Copy SKU" />
+                  <div className="grid xl:grid-cols-3 gap-6">
+                    <div className="xl:col-span-2">
+                      <div className="flex items-center justify-between gap-3 mb-3">
+                        <h3 className="font-semibold text-slate-700 dark:text-slate-200">Scenario Items</h3>
+                        {can('print.queue') && currentTest.items.length > 0 && (
+                          <button
+                            onClick={() => {
+                              printQueue.update(addToBatch, printQueue.batch.id, currentTest.items);
+                              setQueuedTest(currentTest.id);
+                            }}
+                            className="text-xs px-2 py-1 rounded bg-green-100 hover:bg-green-200 text-green-700 dark:bg-green-900 dark:hover:bg-green-800 dark:text-green-300 transition cursor-pointer"
+                            title={`Add the scenario's items to the print batch "${printQueue.batch.name}"`}
+                          >
+                            {queuedTest === currentTest.id ? `✓ Added to ${printQueue.batch.name}` : `Print All (${printQueue.batch.name})`}
+                          </button>
+                        )}
+                      </div>
+                      <div className="space-y-3">
+                        {currentTest.items.map((item, i) => (
+                          <div key={i} className="flex flex-col sm:flex-row sm:items-center justify-between bg-slate-50 dark:bg-slate-700/50 rounded-lg p-4 gap-4">
+                            <div className="flex-1">
+                              <h4 className="font-semibold text-slate-800 dark:text-white">{item.name}</h4>
+                              <div className="flex flex-wrap gap-3 mt-1">
+                                <span className="text-sm text-slate-500 dark:text-slate-400">SKU: <span className="font-mono text-slate-700 dark:text-slate-300">{item.sku}</span></span>
+                                <CopyButton text={item.sku} label="Copy SKU" />
+                              </div>
+                              {item.price !== undefined && (
+                                <div className="flex items-center gap-3 mt-2">
+                                  <span className="text-sm text-slate-500 dark:text-slate-400">Price: <span className="font-semibold text-slate-700 dark:text-slate-300">{formatPrice(item.price)}{item.unit ? `/${item.unit}` : ''}</span></span>
+                                  <label className="text-sm text-slate-500 dark:text-slate-400 flex items-center gap-1">
+                                    {item.unit ? 'Weight' : 'Qty'}
+                                    <input
+                                      type="number"
+                                      min="0"
+                                      step={item.unit ? '0.01' : '1'}
+                                      value={testQuantities[i] ?? ''}
+                                      onChange={(e) => handleQuantityChange(i, e.target.value)}
+                                      className="w-20 px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm"
+                                      placeholder="0"
+                                    />
+                                  </label>
+                                </div>
+                              )}
+                            </div>
+                            <div className="bg-white dark:bg-slate-600 rounded-lg p-2">
+                              <Barcode value={item.barcode} height={50} />
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                    <ExpectedReceipt
+                      test={currentTest}
+                      quantities={testQuantities}
+                      priorPurchases={priorPurchases}
+                      onPriorPurchasesChange={setPriorPurchases}
+                    />
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+      {reportRun && <RunReportModal run={reportRun} tests={data.tests} onClose={() => setReportRunId(null)} />}
+      <BookletModal
+        isOpen={Boolean(bookletSections)}
+        onClose={() => setBookletSections(null)}
+        defaultTitle={data.title}
+        source="Scanbook"
+        sections={bookletSections || []}
+      />
+    </div>
+  );
+};
+
+// Scanbook Editor Component
+// Authoring of custom scanbooks (the scanbooks.author permission), saved in
+// localStorage and shared as JSON files. ScanBookView renders them next to the
+// built-in scanbooks.
+const ScanbookEditor = ({ onBack, onOpen, user = '' }) => {
+  const { role } = useAuth();
+  const [scanbooks, setScanbooks] = useState(loadScanbooks);
+  const [selectedId, setSelectedId] = useState(() => scanbooks[0]?.id || null);
+  const [selectedTestId, setSelectedTestId] = useState(null);
+  const [itemSearch, setItemSearch] = useState('');
+  const [importError, setImportError] = useState('');
+  const [catalog] = useState(() => {
+    const { customItems, deletedItems } = readLocalState();
+    return mergeCatalog(customItems, deletedItems).flatMap(group => group.items);
+  });
+  const catalogIndex = useMemo(() => itemSearchIndex(catalog), [catalog]);
+  const fileInputRef = useRef(null);
+
+  const scanbook = scanbooks.find(s => s.id === selectedId);
+  const test = scanbook && (scanbook.tests.find(t => t.id === selectedTestId) || scanbook.tests[0]);
+  const searchTerm = itemSearch.trim().toLowerCase();
+  const itemMatches = useMemo(() => (searchTerm.length < 2 ? [] : rankItems(catalogIndex, catalog, searchTerm).slice(0, 10)), [catalogIndex, catalog, searchTerm]);
+
+  useEffect(() => {
+    localStorage.setItem(profileKey('scanbooks'), JSON.stringify(scanbooks));
+  }, [scanbooks]);
+
+  const saveScanbook = (updated) => setScanbooks(prev => prev.map(s => (s.id === updated.id ? updated : s)));
+  const saveTest = (patch) => saveScanbook(updateTest(scanbook, test.id, patch));
+
+  const handleCreate = (from = null) => {
+    const created = createScanbook({ user, from });
+    setScanbooks(prev => [...prev, created]);
+    setSelectedId(created.id);
+    setSelectedTestId(null);
+  };
+
+  const handleDeleteScanbook = () => {
+    if (!window.confirm(`Delete "${scanbook.title}"? Its scenarios will be lost.`)) return;
+    setScanbooks(prev => prev.filter(s => s.id !== scanbook.id));
+    setSelectedId(scanbooks.find(s => s.id !== scanbook.id)?.id || null);
+  };
+
+  const handleAddTest = () => {
+    const updated = addTest(scanbook);
+    saveScanbook(updated);
+    setSelectedTestId(updated.tests[updated.tests.length - 1].id);
+  };
+
+  const handleCloneTest = (testId) => {
+    const updated = cloneTest(scanbook, testId);
+    saveScanbook(updated);
+    setSelectedTestId(updated.tests[updated.tests.findIndex(t => t.id === testId) + 1].id);
+  };
+
+  const handleDeleteTest = (target) => {
+    if (!window.confirm(`Delete scenario "${target.name}"?`)) return;
+    saveScanbook(deleteTest(scanbook, target.id));
+  };
+
+  const handleAddItem = (item) => {
+    saveTest({ items: [...test.items, scenarioItem(item)] });
+    setItemSearch('');
+  };
+
+  const handleItemPrice = (index, value) => {
+    saveTest({
+      items: test.items.map((item, i) => {
+        if (i !== index) return item;
+        const { price, ...rest } = item;
+        return value === '' ? rest : { ...rest, price: Number(value) };
+      })
+    });
+  };
+
+  const handleExport = () => {
+    downloadFile(exportScanbook(scanbook), `${scanbook.title.replace(/[^a-z0-9]/gi, '_')}_scanbook.json`, 'application/json');
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const imported = parseScanbookJson(event.target.result);
+        const existing = scanbooks.find(s => s.id === imported.id);
+        if (existing && !window.confirm(`Replace "${existing.title}" with the imported copy?`)) return;
+        setScanbooks(prev => (existing ? prev.map(s => (s.id === imported.id ? imported : s)) : [...prev, imported]));
+        setSelectedId(imported.id);
+        setSelectedTestId(null);
+        setImportError('');
+      } catch (err) {
+        setImportError(`Could not import ${file.name}: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const inputClass = 'mt-1 w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg text-sm bg-white dark:bg-slate-700 text-slate-900 dark:text-white';
+  const labelClass = 'block text-sm font-medium text-slate-700 dark:text-slate-300';
+
+  return (
+    <div className="min-h-screen bg-slate-100 dark:bg-slate-900 transition-colors">
+      <header className="bg-white dark:bg-slate-800 shadow-sm sticky top-0 z-10">
+        <div className="max-w-7xl mx-auto px-4 py-4 flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3">
+          <div className="flex items-center gap-4">
+            <button onClick={onBack} className="text-slate-600 dark:text-slate-300 hover:text-slate-800 dark:hover:text-white cursor-pointer">← Back</button>
+            <div className="h-6 w-px bg-slate-300 dark:bg-slate-600 hidden sm:block"></div>
+            <div>
+              <h1 className="text-lg font-bold text-slate-800 dark:text-white">Scanbook Editor</h1>
+              <p className="text-xs text-slate-500 dark:text-slate-400">Changes are saved on this device as you type</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-3">
+            <DarkModeToggle />
+            <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+            <button onClick={() => fileInputRef.current.click()} className="text-sm bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 text-slate-700 dark:text-slate-200 px-4 py-2 rounded-lg transition cursor-pointer">Import JSON</button>
+          </div>
+        </div>
+      </header>
+      {importError && (
+        <div className="bg-red-50 dark:bg-red-900/30 border-b border-red-200 dark:border-red-800">
+          <div className="max-w-7xl mx-auto px-4 py-3 flex items-center justify-between gap-3 text-sm text-red-700 dark:text-red-300">
+            <span>{importError}</span>
+            <button onClick={() => setImportError('')} className="cursor-pointer">✕</button>
+          </div>
+        </div>
+      )}
+      <main className="max-w-7xl mx-auto px-4 py-6">
+        <div className="flex flex-col lg:flex-row gap-6">
+          <div className="w-full lg:w-72 flex-shrink-0 space-y-4">
+            <div>
+              <h3 className="font-semibold text-slate-700 dark:text-slate-200 mb-3">Custom Scanbooks</h3>
+              <div className="space-y-2">
+                {scanbooks.map(s => (
+                  <button
+                    key={s.id}
+                    onClick={() => { setSelectedId(s.id); setSelectedTestId(null); }}
+                    className={`w-full text-left p-3 rounded-lg transition cursor-pointer ${s.id === selectedId ? 'bg-red-50 dark:bg-red-900/30 border-2 border-red-500' : 'bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 hover:border-red-300 dark:hover:border-red-600'}`}
+                  >
+                    <p className="font-semibold text-slate-800 dark:text-white truncate">{s.title}</p>
+                    <p className="text-xs text-slate-500 dark:text-slate-400">{s.tests.length} scenarios • {formatTimestamp(s.updatedAt)}</p>
+                  </button>
+                ))}
+                {scanbooks.length === 0 && (
+                  <p className="text-sm text-slate-500 dark:text-slate-400">No custom scanbooks yet.</p>
+                )}
+              </div>
+            </div>
+            <div className="bg-white dark:bg-slate-800 rounded-lg p-3 space-y-2">
+              <button onClick={() => handleCreate()} className="w-full text-sm bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg transition cursor-pointer">+ New Scanbook</button>
+              {listVerticals(role).filter(vertical => vertical.view === 'scanbook' && !vertical.custom).map(vertical => (
+                <button key={vertical.id} onClick={() => handleCreate(vertical.data)} className="w-full text-left text-sm text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 px-3 py-2 rounded-lg transition cursor-pointer">
+                  ⧉ Copy of {vertical.title}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="flex-1 space-y-6">
+            {!scanbook && (
+              <p className="text-center text-slate-500 dark:text-slate-400 py-12">Create a scanbook, copy a built-in one or import a JSON file to get started.</p>
+            )}
+            {scanbook && (
+              <div className="bg-white dark:bg-slate-800 rounded-xl shadow-lg p-6">
+                <div className="grid md:grid-cols-2 gap-4">
+                  <label className={labelClass}>
+                    Title
+                    <input type="text" value={scanbook.title} onChange={(e) => saveScanbook(updateScanbook(scanbook, { title: e.target.value }))} className={inputClass} />
+                  </label>
+                  <label className={labelClass}>
+                    Description
+                    <input type="text" value={scanbook.description} onChange={(e) => saveScanbook(updateScanbook(scanbook, { description: e.target.value }))} placeholder="Shown on the dashboard card" className={inputClass} />
+                  </label>
+                </div>
+                <div className="flex flex-wrap gap-2 mt-4">
+                  <button onClick={() => onOpen(scanbook.id)} className="text-sm bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg transition cursor-pointer">Open Scanbook →</button>
+                  <button onClick={handleExport} className="text-sm bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 text-slate-700 dark:text-slate-200 px-4 py-2 rounded-lg transition cursor-pointer">Export JSON</button>
+                  <button onClick={handleDeleteScanbook} className="text-sm text-red-600 dark:text-red-400 hover:underline px-2 cursor-pointer">Delete Scanbook</button>
+                </div>
+              </div>
+            )}
+            {scanbook && (
+              <div className="flex flex-col xl:flex-row gap-6">
+                <div className="w-full xl:w-72 flex-shrink-0">
+                  <div className="flex items-center justify-between mb-3">
+                    <h3 className="font-semibold text-slate-700 dark:text-slate-200">Scenarios</h3>
+                    <button onClick={handleAddTest} className="text-sm text-red-600 dark:text-red-400 font-medium cursor-pointer">+ Add</button>
+                  </div>
+                  <div className="space-y-2">
+                    {scanbook.tests.map((t, i) => (
+                      <div key={t.id} onClick={() => setSelectedTestId(t.id)} className={`p-3 rounded-lg cursor-pointer transition ${t.id === test?.id ? 'bg-red-50 dark:bg-red-900/30 border-2 border-red-500' : 'bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 hover:border-red-300 dark:hover:border-red-600'}`}>
+                        <div className="flex items-start justify-between gap-2">
+                          <div className="min-w-0">
+                            <p className="text-xs font-bold text-slate-400 dark:text-slate-500">SCENARIO {t.id}</p>
+                            <p className="font-semibold text-slate-800 dark:text-white text-sm truncate">{t.name}</p>
+                          </div>
+                          <div className="flex gap-1 text-slate-400 flex-shrink-0" onClick={(e) => e.stopPropagation()}>
+                            <button onClick={() => saveScanbook(moveTest(scanbook, t.id, -1))} disabled={i === 0} className="hover:text-slate-700 dark:hover:text-white disabled:opacity-30 cursor-pointer" title="Move up">↑</button>
+                            <button onClick={() => saveScanbook(moveTest(scanbook, t.id, 1))} disabled={i === scanbook.tests.length - 1} className="hover:text-slate-700 dark:hover:text-white disabled:opacity-30 cursor-pointer" title="Move down">↓</button>
+                            <button onClick={() => handleCloneTest(t.id)} className="hover:text-slate-700 dark:hover:text-white cursor-pointer" title="Clone">⧉</button>
+                            <button onClick={() => handleDeleteTest(t)} className="hover:text-red-500 cursor-pointer" title="Delete">✕</button>
                           </div>
-                        </div>
-                        <div className="bg-white dark:bg-slate-600 rounded-lg p-2">
-                          <Barcode value={item.barcode} height={50} />
                         </div>
                       </div>
                     ))}
                   </div>
                 </div>
+                <div className="flex-1">
+                  {!test && (
+                    <p className="text-center text-slate-500 dark:text-slate-400 py-12">Add a scenario to start writing steps.</p>
+                  )}
+                  {test && (
+                    <div className="bg-white dark:bg-slate-800 rounded-xl shadow-lg p-6 space-y-4">
+                      <div className="grid md:grid-cols-2 gap-4">
+                        <label className={labelClass}>
+                          Scenario name
+                          <input type="text" value={test.name} onChange={(e) => saveTest({ name: e.target.value })} className={inputClass} />
+                        </label>
+                        <label className={labelClass}>
+                          Type
+                          <input type="text" list="scanbook-editor-types" value={test.type} onChange={(e) => saveTest({ type: e.target.value })} className={inputClass} />
+                          <datalist id="scanbook-editor-types">
+                            {Object.keys(typeColors).map(type => <option key={type} value={type} />)}
+                          </datalist>
+                        </label>
+                        <label className={labelClass}>
+                          Promotion
+                          <input type="text" value={test.promotion} onChange={(e) => saveTest({ promotion: e.target.value })} className={inputClass} />
+                        </label>
+                        <label className={labelClass}>
+                          <span className="flex items-center gap-2">Valid <ValidityBadge valid={test.valid} /></span>
+                          <input type="text" value={test.valid} onChange={(e) => saveTest({ valid: e.target.value })} placeholder="Oct 22, 2025 - Oct 24, 2025" className={inputClass} />
+                          {test.valid && !parseValidity(test.valid) && (
+                            <span className="block text-xs text-amber-600 dark:text-amber-400 mt-1">Dates not recognised; use the form “Oct 22, 2025 - Oct 24, 2025”</span>
+                          )}
+                        </label>
+                      </div>
+                      <label className={labelClass}>
+                        Discount
+                        <input type="text" value={test.discount} onChange={(e) => saveTest({ discount: e.target.value })} className={inputClass} />
+                      </label>
+                      <label className={labelClass}>
+                        Steps
+                        <textarea value={test.steps} onChange={(e) => saveTest({ steps: e.target.value })} rows={3} placeholder="One sentence per step. Each is checked off separately during a run." className={inputClass} />
+                      </label>
+                      <label className={labelClass}>
+                        Notes
+                        <input type="text" value={test.notes || ''} onChange={(e) => saveTest({ notes: e.target.value || null })} placeholder="Shown as a warning above the items" className={inputClass} />
+                      </label>
+                      <div>
+                        <h4 className={`${labelClass} mb-2`}>Items</h4>
+                        <div className="space-y-2">
+                          {test.items.map((item, i) => (
+                            <div key={i} className="flex items-center justify-between gap-3 bg-slate-50 dark:bg-slate-700/50 rounded-lg p-3 text-sm">
+                              <div className="min-w-0">
+                                <p className="font-semibold text-slate-800 dark:text-white truncate">{item.name}</p>
+                                <p className="text-xs font-mono text-slate-500 dark:text-slate-400">{item.sku}</p>
+                              </div>
+                              <div className="flex items-center gap-3 flex-shrink-0">
+                                <label className="text-xs text-slate-500 dark:text-slate-400 flex items-center gap-1">
+                                  Price $
+                                  <input type="number" min="0" step="0.01" value={item.price ?? ''} onChange={(e) => handleItemPrice(i, e.target.value)} className="w-20 px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm" />
+                                </label>
+                                <button onClick={() => saveTest({ items: test.items.filter((_, j) => j !== i) })} className="text-slate-400 hover:text-red-500 cursor-pointer" title="Remove item">✕</button>
+                              </div>
+                            </div>
+                          ))}
+                          {test.items.length === 0 && (
+                            <p className="text-sm text-slate-500 dark:text-slate-400">No items attached yet.</p>
+                          )}
+                        </div>
+                        <div className="relative mt-3">
+                          <input type="text" value={itemSearch} onChange={(e) => setItemSearch(e.target.value)} placeholder="Search the item catalog by name or SKU to attach..." className={inputClass} />
+                          {itemMatches.length > 0 && (
+                            <div className="absolute left-0 right-0 mt-1 bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-xl z-20 max-h-64 overflow-y-auto">
+                              {itemMatches.map(item => (
+                                <button key={`${item.sku}-${item.id || ''}`} onClick={() => handleAddItem(item)} className="w-full text-left px-3 py-2 text-sm hover:bg-slate-100 dark:hover:bg-slate-700 flex items-center justify-between gap-3 cursor-pointer">
+                                  <span className="text-slate-800 dark:text-white truncate">{item.name}</span>
+                                  <span className="font-mono text-xs text-slate-500 dark:text-slate-400 flex-shrink-0">{item.sku}</span>
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                          {searchTerm.length >= 2 && itemMatches.length === 0 && (
+                            <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">No catalog items match “{itemSearch.trim()}”.</p>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  )}
+                </div>
               </div>
             )}
           </div>
@@ -2642,8 +3573,264 @@ const ScanBookView = ({ category, onBack }) => {
   );
 };
 
-// Items View Component with enhanced search and Add Items feature
-const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
+// User Roles Component
+// Admin screen for assigning roles (see lib/roles). Lists every account in
+// auth.json and everyone who has signed in, as the portal service keeps them
+// for the whole deployment; an assignment overrides the configured role.
+// Admins cannot change their own role or demote the last admin, so the portal
+// always keeps someone who can assign roles. The service enforces both.
+const RolesView = ({ onBack }) => {
+  const { user } = useAuth();
+  const [search, setSearch] = useState('');
+  const [directory, setDirectory] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    listUsers()
+      .then(setDirectory)
+      .catch(err => setError(err.message));
+  }, []);
+
+  // Assign a role, or clear the assignment with null
+  const assignRole = (username, role) => {
+    setError('');
+    assignUserRole(username, role)
+      .then(entry => setDirectory(prev => ({ ...prev, users: prev.users.map(u => (u.username === username ? entry : u)) })))
+      .catch(err => setError(err.message));
+  };
+
+  const defaultRole = directory?.defaultRole;
+  const users = (directory?.users || []).slice().sort((a, b) => a.username.localeCompare(b.username));
+  const adminCount = users.filter(u => u.effective === 'admin').length;
+  const query = search.trim().toLowerCase();
+  const shown = users.filter(u => !query || u.username.toLowerCase().includes(query) || (u.name || '').toLowerCase().includes(query));
+
+  const lockReason = (u) => {
+    if (u.username === user) return 'You cannot change your own role';
+    if (u.effective === 'admin' && adminCount === 1) return 'The portal needs at least one admin';
+    return '';
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-100 dark:bg-slate-900 transition-colors">
+      <header className="bg-white dark:bg-slate-800 shadow-sm sticky top-0 z-10">
+        <div className="max-w-7xl mx-auto px-4 py-4 flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3">
+          <div className="flex items-center gap-4">
+            <button onClick={onBack} className="text-slate-600 dark:text-slate-300 hover:text-slate-800 dark:hover:text-white cursor-pointer">← Back</button>
+            <div className="h-6 w-px bg-slate-300 dark:bg-slate-600 hidden sm:block"></div>
+            <div>
+              <h1 className="text-lg font-bold text-slate-800 dark:text-white">User Roles</h1>
+              <p className="text-xs text-slate-500 dark:text-slate-400">Assignments are saved for everyone and apply from the user's next sign-in or page load</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-3">
+            <DarkModeToggle />
+            <input type="text" value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search users..." className="px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg text-sm bg-white dark:bg-slate-700 text-slate-900 dark:text-white" />
+          </div>
+        </div>
+      </header>
+      <main className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+        {error && <p className="text-red-600 text-sm bg-red-50 dark:bg-red-900/30 p-3 rounded-lg">{error}</p>}
+        <div className="bg-white dark:bg-slate-800 rounded-xl shadow-lg overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-50 dark:bg-slate-700 text-left text-slate-600 dark:text-slate-300">
+              <tr>
+                <th className="px-4 py-3 font-semibold">User</th>
+                <th className="px-4 py-3 font-semibold">Signs in with</th>
+                <th className="px-4 py-3 font-semibold">Last sign-in</th>
+                <th className="px-4 py-3 font-semibold">Role</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100 dark:divide-slate-700">
+              {shown.map(u => (
+                <tr key={u.username}>
+                  <td className="px-4 py-3">
+                    <p className="font-medium text-slate-800 dark:text-white">{u.name || u.username}{u.username === user && <span className="text-xs text-slate-400"> (you)</span>}</p>
+                    <p className="text-xs font-mono text-slate-500 dark:text-slate-400">{u.username}</p>
+                  </td>
+                  <td className="px-4 py-3 text-slate-600 dark:text-slate-300">{u.provider || '—'}</td>
+                  <td className="px-4 py-3 text-slate-600 dark:text-slate-300">{u.lastSignIn ? formatTimestamp(u.lastSignIn) : 'Never'}</td>
+                  <td className="px-4 py-3">
+                    <select
+                      value={u.role || ''}
+                      onChange={(e) => assignRole(u.username, e.target.value || null)}
+                      disabled={!!lockReason(u)}
+                      title={lockReason(u)}
+                      className="px-2 py-1 border border-slate-300 dark:border-slate-600 rounded text-sm bg-white dark:bg-slate-700 text-slate-900 dark:text-white disabled:opacity-60"
+                    >
+                      <option value="">Configured ({roleName(resolveRole(u.configRole, defaultRole))})</option>
+                      {ROLES.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+              {!directory && !error && (
+                <tr><td colSpan={4} className="px-4 py-8 text-center text-slate-500 dark:text-slate-400 animate-pulse">Loading users...</td></tr>
+              )}
+              {directory && shown.length === 0 && (
+                <tr><td colSpan={4} className="px-4 py-8 text-center text-slate-500 dark:text-slate-400">No users match "{search}"</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        <div className="bg-white dark:bg-slate-800 rounded-xl shadow-lg overflow-x-auto">
+          <h2 className="px-4 pt-4 font-semibold text-slate-800 dark:text-white">What each role can do</h2>
+          <table className="w-full text-sm mt-2">
+            <thead className="text-slate-600 dark:text-slate-300">
+              <tr>
+                <th className="px-4 py-2 text-left font-semibold">Permission</th>
+                {ROLES.map(r => <th key={r.id} className="px-4 py-2 font-semibold" title={r.description}>{r.name}</th>)}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100 dark:divide-slate-700">
+              {Object.entries(PERMISSIONS).map(([id, permission]) => (
+                <tr key={id}>
+                  <td className="px-4 py-2 text-slate-700 dark:text-slate-300">{permission.label}</td>
+                  {ROLES.map(r => (
+                    <td key={r.id} className="px-4 py-2 text-center text-green-600 dark:text-green-400">{permission.roles.includes(r.id) ? '✓' : ''}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+// Catalog departments with locally added / edited items merged in and deleted
+// catalog items left out (the list ItemsView browses)
+const mergeCatalog = (customItems, deletedItems) => {
+  const allGroups = (getDatasets().items?.groups || []).map(group => ({
+    ...group,
+    items: group.items.filter(item => !deletedItems.includes(item.sku))
+  }));
+
+  // Group custom items by department
+  const customItemsByDept = customItems.reduce((acc, item) => {
+    const dept = item.department || 'Custom_Items';
+    if (!acc[dept]) acc[dept] = [];
+    acc[dept].push(item);
+    return acc;
+  }, {});
+
+  // Add custom items group if there are any custom items with "Custom_Items" department
+  if (customItemsByDept['Custom_Items']?.length > 0) {
+    allGroups.unshift({
+      id: 'Custom_Items',
+      name: '⭐ Custom Items',
+      items: customItemsByDept['Custom_Items'],
+      isCustom: true
+    });
+  }
+
+  // Merge custom items into existing departments
+  return allGroups.map(group => {
+    if (group.id !== 'Custom_Items' && customItemsByDept[group.id]) {
+      return {
+        ...group,
+        items: [...group.items, ...customItemsByDept[group.id].map(i => ({ ...i, isCustom: true }))]
+      };
+    }
+    return group;
+  });
+};
+
+// Catalog state (custom items, deletions, collections, favorites) from the
+// active storage adapter. Changes apply locally right away and are then sent
+// to the catalog service, if one is configured; status is 'local' without a
+// service, otherwise 'loading', 'online' or 'offline' (with the error), and
+// pending / conflicts report the adapter's operation log.
+// current() is the state including changes applied since the last render.
+const useCatalogStore = () => {
+  const { user } = useAuth();
+  const [state, setState] = useState(readLocalState);
+  const latest = useRef(state);
+  const [status, setStatus] = useState(() => (getStorage().mode === 'api' ? 'loading' : 'local'));
+  const [error, setError] = useState('');
+  const readSync = () => (getStorage().mode === 'api' ? { pending: getStorage().pending(), conflicts: getStorage().conflicts() } : { pending: 0, conflicts: [] });
+  const [sync, setSync] = useState(readSync);
+
+  const refresh = (next) => {
+    latest.current = next;
+    setState(next);
+    setSync(readSync());
+  };
+
+  const fail = (err) => {
+    setStatus('offline');
+    setError(err.message);
+    setSync(readSync());
+  };
+
+  const reload = () => {
+    if (getStorage().mode !== 'api') return;
+    setStatus('loading');
+    getStorage().load(user).then((loaded) => {
+      refresh(loaded);
+      setStatus('online');
+      setError('');
+    }).catch(fail);
+  };
+
+  useEffect(reload, [user]);
+
+  // Send the changes made offline as soon as the browser is back online
+  useEffect(() => {
+    window.addEventListener('online', reload);
+    return () => window.removeEventListener('online', reload);
+  }, [user]);
+
+  const apply = (op) => {
+    const next = { ...op, user };
+    latest.current = applyOperation(latest.current, next);
+    setState(latest.current);
+    const sent = getStorage().apply(next);
+    setSync(readSync());
+    sent.then(() => {
+      setStatus(prev => (prev === 'offline' ? 'online' : prev));
+      setError('');
+      setSync(readSync());
+    }).catch(fail);
+  };
+
+  // Settle a sync conflict with 'mine' or 'theirs' (see lib/storage)
+  const resolve = (queueId, choice) => {
+    getStorage().resolve(queueId, choice)
+      .then(() => {
+        refresh(readLocalState());
+        reload();
+      })
+      .catch((err) => {
+        refresh(readLocalState());
+        fail(err);
+      });
+  };
+
+  return { ...state, ...sync, status, error, apply, reload, resolve, current: () => latest.current };
+};
+
+// The profile's print batches, kept in localStorage (see lib/printBatches).
+// update() takes one of the lib's queue changes and the arguments after the queue.
+const usePrintQueue = () => {
+  const [queue, setQueue] = useState(() => {
+    const saved = localStorage.getItem(profileKey('printQueue'));
+    return saved ? JSON.parse(saved) : createPrintQueue();
+  });
+
+  useEffect(() => {
+    localStorage.setItem(profileKey('printQueue'), JSON.stringify(queue));
+  }, [queue]);
+
+  const update = (change, ...args) => setQueue(prev => change(prev, ...args));
+
+  return { queue, batch: activeBatch(queue), update };
+};
+
+const ItemsView = ({ vertical, onBack, initialSearch = '' }) => {
+  const { can } = useAuth();
+  const catalog = vertical.data;
   const [searchTerm, setSearchTerm] = useState(initialSearch);
   const [selectedGroup, setSelectedGroup] = useState(null);
   const [showAddModal, setShowAddModal] = useState(false);
@@ -2652,67 +3839,32 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
   const [showFavoritesOnly, setShowFavoritesOnly] = useState(false);
   const [showPrintModal, setShowPrintModal] = useState(false);
   const [showImportModal, setShowImportModal] = useState(false);
-  const [printItems, setPrintItems] = useState([]);
   const [showCollectionModal, setShowCollectionModal] = useState(false);
   const [showManageCollections, setShowManageCollections] = useState(false);
   const [addToCollectionItem, setAddToCollectionItem] = useState(null);
+  const [showConflicts, setShowConflicts] = useState(false);
+  const [booklet, setBooklet] = useState(null);
+  const [showThermal, setShowThermal] = useState(false);
   
-  // Custom items from localStorage (includes new items AND edited catalog items)
-  const [customItems, setCustomItems] = useState(() => {
-    const saved = localStorage.getItem('elera_customItems');
-    return saved ? JSON.parse(saved) : [];
-  });
-
-  // Deleted catalog items from localStorage
-  const [deletedItems, setDeletedItems] = useState(() => {
-    const saved = localStorage.getItem('elera_deletedItems');
-    return saved ? JSON.parse(saved) : [];
-  });
-
-  // Favorite items from localStorage
-  const [favorites, setFavorites] = useState(() => {
-    const saved = localStorage.getItem('elera_favorites');
-    return saved ? JSON.parse(saved) : [];
-  });
-
-  // Collections from localStorage
-  const [collections, setCollections] = useState(() => {
-    const saved = localStorage.getItem('elera_collections');
-    return saved ? JSON.parse(saved) : [];
-  });
+  // Custom items (new items AND edited catalog items), deleted catalog items,
+  // favorites and collections, shared through the catalog service if configured
+  const store = useCatalogStore();
+  const { customItems, deletedItems, favorites, collections, apply } = store;
+  const printQueue = usePrintQueue();
+  const printBatch = printQueue.batch;
 
   // Active collection filter
   const [activeCollection, setActiveCollection] = useState(() => {
-    const saved = localStorage.getItem('elera_activeCollection');
+    const saved = localStorage.getItem(profileKey('activeCollection'));
     return saved || null;
   });
 
-  // Save custom items to localStorage whenever they change
-  useEffect(() => {
-    localStorage.setItem('elera_customItems', JSON.stringify(customItems));
-  }, [customItems]);
-
-  // Save deleted items to localStorage whenever they change
-  useEffect(() => {
-    localStorage.setItem('elera_deletedItems', JSON.stringify(deletedItems));
-  }, [deletedItems]);
-
-  // Save favorites to localStorage whenever they change
-  useEffect(() => {
-    localStorage.setItem('elera_favorites', JSON.stringify(favorites));
-  }, [favorites]);
-
-  // Save collections to localStorage
-  useEffect(() => {
-    localStorage.setItem('elera_collections', JSON.stringify(collections));
-  }, [collections]);
-
   // Save active collection to localStorage
   useEffect(() => {
     if (activeCollection) {
-      localStorage.setItem('elera_activeCollection', activeCollection);
+      localStorage.setItem(profileKey('activeCollection'), activeCollection);
     } else {
-      localStorage.removeItem('elera_activeCollection');
+      localStorage.removeItem(profileKey('activeCollection'));
     }
   }, [activeCollection]);
 
@@ -2724,39 +3876,33 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
       created: new Date().toISOString().split('T')[0],
       items: []
     };
-    setCollections(prev => [...prev, newCollection]);
+    apply({ type: 'collections.save', collection: newCollection });
     return newCollection.id;
   };
 
   const deleteCollection = (collectionId) => {
-    setCollections(prev => prev.filter(c => c.id !== collectionId));
+    apply({ type: 'collections.delete', id: collectionId });
     if (activeCollection === collectionId) {
       setActiveCollection(null);
     }
   };
 
+  // Replace one collection with its updated copy
+  const updateCollection = (collectionId, update) => {
+    const collection = store.current().collections.find(c => c.id === collectionId);
+    if (collection) apply({ type: 'collections.save', collection: update(collection) });
+  };
+
   const renameCollection = (collectionId, newName) => {
-    setCollections(prev => prev.map(c => 
-      c.id === collectionId ? { ...c, name: newName } : c
-    ));
+    updateCollection(collectionId, c => ({ ...c, name: newName }));
   };
 
   const addToCollection = (collectionId, sku) => {
-    setCollections(prev => prev.map(c => {
-      if (c.id === collectionId && !c.items.includes(sku)) {
-        return { ...c, items: [...c.items, sku] };
-      }
-      return c;
-    }));
+    updateCollection(collectionId, c => (c.items.includes(sku) ? c : { ...c, items: [...c.items, sku] }));
   };
 
   const removeFromCollection = (collectionId, sku) => {
-    setCollections(prev => prev.map(c => {
-      if (c.id === collectionId) {
-        return { ...c, items: c.items.filter(s => s !== sku) };
-      }
-      return c;
-    }));
+    updateCollection(collectionId, c => ({ ...c, items: c.items.filter(s => s !== sku) }));
   };
 
   const exportCollection = (collectionId) => {
@@ -2810,84 +3956,52 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
         id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
         isCustom: true
       }));
-      setCustomItems(prev => [...prev, ...newItems]);
+      apply({ type: 'items.import', items: newItems });
       newCollection.items = newItems.map(i => i.sku);
     } else if (data.items) {
       // Just SKU list
       newCollection.items = data.items;
     }
     
-    setCollections(prev => [...prev, newCollection]);
+    apply({ type: 'collections.save', collection: newCollection });
   };
 
   // Toggle favorite
   const toggleFavorite = (sku) => {
-    setFavorites(prev => 
-      prev.includes(sku) ? prev.filter(s => s !== sku) : [...prev, sku]
-    );
-  };
-
-  // Add to print queue
-  const addToPrint = (item) => {
-    setPrintItems(prev => {
-      if (prev.find(i => i.sku === item.sku)) return prev;
-      return [...prev, item];
-    });
+    apply({ type: 'favorites.set', sku, favorite: !favorites.includes(sku) });
   };
 
-  // Remove from print queue
-  const removeFromPrint = (sku) => {
-    setPrintItems(prev => prev.filter(i => i.sku !== sku));
+  // Add items to the active print batch; queuing an item again adds a copy
+  const addToPrint = (...items) => {
+    printQueue.update(addToBatch, printBatch.id, items);
   };
 
-  // Build groups including custom items, excluding deleted items
-  const allGroups = itemsData.groups.map(group => ({
-    ...group,
-    items: group.items.filter(item => !deletedItems.includes(item.sku))
-  }));
-  
-  // Group custom items by department
-  const customItemsByDept = customItems.reduce((acc, item) => {
-    const dept = item.department || 'Custom_Items';
-    if (!acc[dept]) acc[dept] = [];
-    acc[dept].push(item);
-    return acc;
-  }, {});
-
-  // Add custom items group if there are any custom items with "Custom_Items" department
-  if (customItemsByDept['Custom_Items']?.length > 0) {
-    allGroups.unshift({
-      id: 'Custom_Items',
-      name: '⭐ Custom Items',
-      items: customItemsByDept['Custom_Items'],
-      isCustom: true
-    });
-  }
-
-  // Merge custom items into existing departments
-  const mergedGroups = allGroups.map(group => {
-    if (group.id !== 'Custom_Items' && customItemsByDept[group.id]) {
-      return {
-        ...group,
-        items: [...group.items, ...customItemsByDept[group.id].map(i => ({ ...i, isCustom: true }))]
-      };
-    }
-    return group;
-  });
+  const mergedGroups = useMemo(() => mergeCatalog(customItems, deletedItems), [customItems, deletedItems]);
 
   // Get active collection items for filtering
   const activeCollectionItems = getActiveCollectionItems();
 
+  // Search rank of each matching item; departments with the best matches come first
+  const catalogSearch = useMemo(() => {
+    const groupNames = new Map(mergedGroups.flatMap(group => group.items.map(item => [item, group.name])));
+    const items = [...groupNames.keys()];
+    return { items, index: itemSearchIndex(items, item => [groupNames.get(item)]) };
+  }, [mergedGroups]);
+  const searchRank = useMemo(
+    () => new Map(rankItems(catalogSearch.index, catalogSearch.items, searchTerm).map((item, rank) => [item, rank])),
+    [catalogSearch, searchTerm]
+  );
+
   const filteredGroups = mergedGroups.map(group => ({
     ...group,
     items: group.items.filter(item => {
-      const matchesSearch = item.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        item.sku.toLowerCase().includes(searchTerm.toLowerCase());
+      const matchesSearch = searchRank.has(item);
       const matchesFavorites = !showFavoritesOnly || favorites.includes(item.sku);
       const matchesCollection = !activeCollectionItems || activeCollectionItems.includes(item.sku);
       return matchesSearch && matchesFavorites && matchesCollection;
-    })
-  })).filter(group => group.items.length > 0);
+    }).sort((a, b) => searchRank.get(a) - searchRank.get(b))
+  })).filter(group => group.items.length > 0)
+    .sort((a, b) => searchRank.get(a.items[0]) - searchRank.get(b.items[0]));
 
   const totalFiltered = filteredGroups.reduce((sum, g) => sum + g.items.length, 0);
   const totalFavorites = favorites.length;
@@ -2895,42 +4009,66 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
 
   // Flatten all items for duplicate checking
   const allExistingItems = mergedGroups.flatMap(group => group.items);
+  const collectionItems = activeCollectionData ? allExistingItems.filter(item => activeCollectionData.items.includes(item.sku)) : [];
+
+  // Booklet of the print queue or the active collection, by department
+  const openBooklet = (title, source, items) => {
+    setBooklet({ title, source, sections: departmentSections(items, mergedGroups) });
+  };
+
+  // Store an edited item: custom items are replaced, catalog items get an override
+  const saveEditedItem = (original, item) => {
+    // Check if this is an existing custom item
+    const existingCustom = customItems.find(i => i.id === item.id);
+    if (existingCustom) {
+      apply({ type: 'items.save', item: { ...item, isCustom: existingCustom.isCustom, isEdited: existingCustom.isEdited } });
+    } else {
+      // This is an edited catalog item - add to custom items as an override
+      // keyed by its catalog SKU (see AddItemModal)
+      apply({ type: 'items.save', item: { ...item, id: original.id || original.sku, isEdited: true } });
+      // Add original SKU to deleted list so we don't show duplicate
+      if (original.sku && !original.isCustom && !original.isEdited) {
+        apply({ type: 'deletions.add', sku: original.sku });
+      }
+    }
+  };
 
   const handleSaveItem = (item) => {
+    if (!can(editItem ? 'items.edit' : 'items.create')) return;
     if (editItem) {
-      // Check if this is an existing custom item
-      const existingCustom = customItems.find(i => i.id === item.id);
-      if (existingCustom) {
-        setCustomItems(prev => prev.map(i => i.id === item.id ? item : i));
-      } else {
-        // This is an edited catalog item - add to custom items as override
-        const newItem = { ...item, id: item.id || item.sku, isEdited: true };
-        setCustomItems(prev => [...prev, newItem]);
-        // Add original SKU to deleted list so we don't show duplicate
-        if (editItem.sku && !editItem.isCustom && !editItem.isEdited) {
-          setDeletedItems(prev => [...prev, editItem.sku]);
-        }
-      }
+      saveEditedItem(editItem, item);
     } else {
       // New item
-      setCustomItems(prev => [...prev, { ...item, isCustom: true }]);
+      apply({ type: 'items.save', item: { ...item, isCustom: true } });
     }
     setEditItem(null);
   };
 
+  // Store the repaired GTIN barcode alongside the original SKU, keeping the item in its department
+  const handleNormalizeItem = (item, departmentId) => {
+    const fix = normalizeGtin(item.sku);
+    if (!fix || !can('items.edit')) return;
+    saveEditedItem(item, {
+      ...item,
+      ...fix,
+      id: item.id || item.sku,
+      department: item.department || departmentId
+    });
+  };
+
   const handleEditItem = (item) => {
     setEditItem(item);
     setShowAddModal(true);
   };
 
   const handleDeleteItem = () => {
-    if (deleteItem) {
+    if (deleteItem && can('items.delete')) {
       if (deleteItem.isCustom || deleteItem.isEdited) {
         // Remove from custom items
-        setCustomItems(prev => prev.filter(i => i.id !== deleteItem.id));
+        apply({ type: 'items.delete', item: deleteItem });
       } else {
         // Add catalog item SKU to deleted list
-        setDeletedItems(prev => [...prev, deleteItem.sku]);
+        apply({ type: 'deletions.add', sku: deleteItem.sku });
       }
       setDeleteItem(null);
     }
@@ -2944,7 +4082,7 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
             <button onClick={onBack} className="text-slate-600 dark:text-slate-300 hover:text-slate-800 dark:hover:text-white cursor-pointer">← Back</button>
             <div className="h-6 w-px bg-slate-300 dark:bg-slate-600 hidden sm:block"></div>
             <div>
-              <h1 className="text-lg font-bold text-slate-800 dark:text-white">{itemsData.title}</h1>
+              <h1 className="text-lg font-bold text-slate-800 dark:text-white">{catalog.title}</h1>
               <p className="text-xs text-slate-500 dark:text-slate-400">{totalFiltered} items {searchTerm && `matching "${searchTerm}"`}</p>
             </div>
           </div>
@@ -2968,9 +4106,35 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
           </div>
         </div>
       </header>
+
+      {/* Catalog Service Status */}
+      {store.status === 'offline' && (
+        <div className="bg-amber-50 dark:bg-amber-900/30 border-b border-amber-200 dark:border-amber-800">
+          <div className="max-w-7xl mx-auto px-4 py-2 flex items-center justify-between gap-3 text-sm text-amber-800 dark:text-amber-300">
+            <span>
+              ⚠️ Working offline from this browser's copy of the catalog. {store.error}.
+              {store.pending > 0 && ` ${store.pending} change${store.pending === 1 ? '' : 's'} will sync when the connection returns.`}
+            </span>
+            <button onClick={store.reload} className="px-3 py-1 bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition cursor-pointer flex-shrink-0">Retry</button>
+          </div>
+        </div>
+      )}
+      {store.conflicts.length > 0 && (
+        <div className="bg-red-50 dark:bg-red-900/30 border-b border-red-200 dark:border-red-800">
+          <div className="max-w-7xl mx-auto px-4 py-2 flex items-center justify-between gap-3 text-sm text-red-800 dark:text-red-300">
+            <span>⚠️ {store.conflicts.length} of your change{store.conflicts.length === 1 ? '' : 's'} could not be synced to the shared catalog and need{store.conflicts.length === 1 ? 's' : ''} your decision.</span>
+            <button onClick={() => setShowConflicts(true)} className="px-3 py-1 bg-red-600 text-white rounded-lg hover:bg-red-700 transition cursor-pointer flex-shrink-0">Review</button>
+          </div>
+        </div>
+      )}
+      {store.status === 'loading' && (
+        <div className="bg-slate-50 dark:bg-slate-800 border-b border-slate-200 dark:border-slate-700">
+          <div className="max-w-7xl mx-auto px-4 py-2 text-sm text-slate-500 dark:text-slate-400">Loading the shared catalog...</div>
+        </div>
+      )}
       
       {/* Action Bar */}
-      <div className="bg-gradient-to-r from-red-600 to-red-700 shadow-md">
+      <div className={`bg-gradient-to-r ${vertical.gradient} shadow-md`}>
         <div className="max-w-7xl mx-auto px-4 py-3 flex flex-wrap items-center justify-between gap-3">
           <div className="text-white flex items-center gap-3 flex-wrap">
             {/* Collections Dropdown */}
@@ -2985,19 +4149,21 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
               </button>
               {showCollectionModal && (
                 <div className="absolute top-full left-0 mt-1 w-64 bg-white dark:bg-slate-800 rounded-lg shadow-xl z-50 border border-slate-200 dark:border-slate-700 overflow-hidden">
-                  <div className="p-2 border-b border-slate-200 dark:border-slate-700">
-                    <button
-                      onClick={() => {
-                        const name = prompt('Enter collection name:');
-                        if (name?.trim()) {
-                          createCollection(name.trim());
-                        }
-                      }}
-                      className="w-full px-3 py-2 text-left text-sm text-purple-600 dark:text-purple-400 hover:bg-purple-50 dark:hover:bg-purple-900/30 rounded flex items-center gap-2 cursor-pointer"
-                    >
-                      <span>+</span> Create New Collection
-                    </button>
-                  </div>
+                  {can('collections.manage') && (
+                    <div className="p-2 border-b border-slate-200 dark:border-slate-700">
+                      <button
+                        onClick={() => {
+                          const name = prompt('Enter collection name:');
+                          if (name?.trim()) {
+                            createCollection(name.trim());
+                          }
+                        }}
+                        className="w-full px-3 py-2 text-left text-sm text-purple-600 dark:text-purple-400 hover:bg-purple-50 dark:hover:bg-purple-900/30 rounded flex items-center gap-2 cursor-pointer"
+                      >
+                        <span>+</span> Create New Collection
+                      </button>
+                    </div>
+                  )}
                   <div className="max-h-48 overflow-y-auto">
                     <button
                       onClick={() => { setActiveCollection(null); setShowCollectionModal(false); }}
@@ -3017,7 +4183,7 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
                       </button>
                     ))}
                   </div>
-                  {collections.length > 0 && (
+                  {collections.length > 0 && (can('collections.manage') || can('collections.share')) && (
                     <div className="p-2 border-t border-slate-200 dark:border-slate-700">
                       <button
                         onClick={() => { setShowManageCollections(true); setShowCollectionModal(false); }}
@@ -3037,31 +4203,55 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
             >
               Favorites {totalFavorites > 0 && `(${totalFavorites})`}
             </button>
-            {printItems.length > 0 && (
+            {(printBatch.entries.length > 0 || can('print.queue')) && (
               <button
                 onClick={() => setShowPrintModal(true)}
                 className="px-3 py-1.5 rounded-lg text-sm font-medium bg-green-500 text-white hover:bg-green-600 transition cursor-pointer flex items-center gap-1"
+                title={`${batchLabelCount(printBatch)} labels queued`}
+              >
+                {printBatch.name} ({printBatch.entries.length})
+              </button>
+            )}
+            {activeCollectionData && can('print.queue') && (
+              <button
+                onClick={() => addToPrint(...collectionItems)}
+                disabled={collectionItems.length === 0}
+                className="px-3 py-1.5 rounded-lg text-sm font-medium bg-white/20 text-white hover:bg-white/30 disabled:opacity-50 transition cursor-pointer flex items-center gap-1"
+                title={`Add every item in ${activeCollectionData.name} to ${printBatch.name}`}
+              >
+                Queue Collection
+              </button>
+            )}
+            {activeCollectionData && (
+              <button
+                onClick={() => openBooklet(activeCollectionData.name, 'Collection', collectionItems)}
+                disabled={collectionItems.length === 0}
+                className="px-3 py-1.5 rounded-lg text-sm font-medium bg-white/20 text-white hover:bg-white/30 disabled:opacity-50 transition cursor-pointer flex items-center gap-1"
               >
-                Print Queue ({printItems.length})
+                📘 Booklet
               </button>
             )}
           </div>
           <div className="flex items-center gap-2">
-            <button
-              onClick={() => setShowImportModal(true)}
-              className="px-4 py-2.5 bg-white/20 hover:bg-white/30 text-white font-medium rounded-lg transition cursor-pointer flex items-center gap-2"
-            >
-              Import
-            </button>
-            <button
-              onClick={() => { setEditItem(null); setShowAddModal(true); }}
-              className="px-5 py-2.5 bg-white hover:bg-slate-100 text-red-600 font-semibold rounded-lg transition cursor-pointer flex items-center gap-2 shadow-sm"
-            >
-              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-              </svg>
-              Add New Item
-            </button>
+            {can('items.import') && (
+              <button
+                onClick={() => setShowImportModal(true)}
+                className="px-4 py-2.5 bg-white/20 hover:bg-white/30 text-white font-medium rounded-lg transition cursor-pointer flex items-center gap-2"
+              >
+                Import
+              </button>
+            )}
+            {can('items.create') && (
+              <button
+                onClick={() => { setEditItem(null); setShowAddModal(true); }}
+                className="px-5 py-2.5 bg-white hover:bg-slate-100 text-red-600 font-semibold rounded-lg transition cursor-pointer flex items-center gap-2 shadow-sm"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                </svg>
+                Add New Item
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -3088,7 +4278,18 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
               {(selectedGroup ? filteredGroups.filter(g => g.id === selectedGroup) : filteredGroups).map(group => (
                 <div key={group.id} className="bg-white dark:bg-slate-800 rounded-xl shadow-lg overflow-hidden">
                   <div className={`px-4 py-3 border-b border-slate-200 dark:border-slate-600 ${group.isCustom ? 'bg-amber-50 dark:bg-amber-900/30' : 'bg-slate-50 dark:bg-slate-700'}`}>
-                    <h3 className="font-semibold text-slate-800 dark:text-white">{group.name}</h3>
+                    <div className="flex items-center justify-between gap-3">
+                      <h3 className="font-semibold text-slate-800 dark:text-white">{group.name}</h3>
+                      {can('print.queue') && (
+                        <button
+                          onClick={() => addToPrint(...group.items)}
+                          className="text-xs px-2 py-1 rounded bg-green-100 hover:bg-green-200 text-green-700 dark:bg-green-900 dark:hover:bg-green-800 dark:text-green-300 transition cursor-pointer"
+                          title={`Add the ${group.items.length} items shown to ${printBatch.name}`}
+                        >
+                          Print All
+                        </button>
+                      )}
+                    </div>
                   </div>
                   <div className="divide-y divide-slate-100 dark:divide-slate-700">
                     {group.items.map((item, i) => (
@@ -3114,49 +4315,53 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
                           <div className="flex flex-wrap items-center gap-2 mt-1">
                             <span className="text-sm text-slate-500 dark:text-slate-400">SKU: <span className="font-mono text-slate-700 dark:text-slate-300">{item.sku}</span></span>
                             <span className="text-xs bg-slate-100 dark:bg-slate-600 text-slate-600 dark:text-slate-300 px-2 py-0.5 rounded">{item.uom}</span>
+                            {item.barcode && item.barcode !== item.sku ? (
+                              <span className="text-sm text-slate-500 dark:text-slate-400">Barcode: <span className="font-mono text-green-700 dark:text-green-400">{item.barcode}</span></span>
+                            ) : (
+                              <GtinStatusBadge sku={item.sku} />
+                            )}
                             <CopyButton text={item.sku} label="Copy" />
-                            <button
-                              onClick={() => setAddToCollectionItem(item)}
-                              className="text-xs px-2 py-1 rounded bg-purple-100 hover:bg-purple-200 text-purple-700 dark:bg-purple-900 dark:hover:bg-purple-800 dark:text-purple-300 transition cursor-pointer"
-                              title="Add to collection"
-                            >
-                              📁 Collection
-                            </button>
-                            <button
-                              onClick={() => addToPrint(item)}
-                              className="text-xs px-2 py-1 rounded bg-green-100 hover:bg-green-200 text-green-700 dark:bg-green-900 dark:hover:bg-green-800 dark:text-green-300 transition cursor-pointer"
-                              title="Add to print queue"
-                            >
-                              Print
-                            </button>
-                            {user === 'admin' && (
-                              <>
-                                <button
-                                  onClick={() => handleEditItem(item)}
-                                  className="text-xs px-2 py-1 rounded bg-blue-100 hover:bg-blue-200 text-blue-700 dark:bg-blue-900 dark:hover:bg-blue-800 dark:text-blue-300 transition cursor-pointer"
-                                >
-                                  Edit
-                                </button>
-                                <button
-                                  onClick={() => setDeleteItem(item)}
-                                  className="text-xs px-2 py-1 rounded bg-red-100 hover:bg-red-200 text-red-700 dark:bg-red-900 dark:hover:bg-red-800 dark:text-red-300 transition cursor-pointer"
-                                >
-                                  Delete
-                                </button>
-                              </>
+                            {can('items.edit') && !item.barcode && (
+                              <GtinRepairButton sku={item.sku} onRepair={() => handleNormalizeItem(item, group.id)} />
+                            )}
+                            {can('collections.manage') && (
+                              <button
+                                onClick={() => setAddToCollectionItem(item)}
+                                className="text-xs px-2 py-1 rounded bg-purple-100 hover:bg-purple-200 text-purple-700 dark:bg-purple-900 dark:hover:bg-purple-800 dark:text-purple-300 transition cursor-pointer"
+                                title="Add to collection"
+                              >
+                                📁 Collection
+                              </button>
+                            )}
+                            {can('print.queue') && (
+                              <button
+                                onClick={() => addToPrint(item)}
+                                className="text-xs px-2 py-1 rounded bg-green-100 hover:bg-green-200 text-green-700 dark:bg-green-900 dark:hover:bg-green-800 dark:text-green-300 transition cursor-pointer"
+                                title={`Add to ${printBatch.name}`}
+                              >
+                                Print
+                              </button>
+                            )}
+                            {can('items.edit') && (
+                              <button
+                                onClick={() => handleEditItem(item)}
+                                className="text-xs px-2 py-1 rounded bg-blue-100 hover:bg-blue-200 text-blue-700 dark:bg-blue-900 dark:hover:bg-blue-800 dark:text-blue-300 transition cursor-pointer"
+                              >
+                                Edit
+                              </button>
+                            )}
+                            {can('items.delete') && (
+                              <button
+                                onClick={() => setDeleteItem(item)}
+                                className="text-xs px-2 py-1 rounded bg-red-100 hover:bg-red-200 text-red-700 dark:bg-red-900 dark:hover:bg-red-800 dark:text-red-300 transition cursor-pointer"
+                              >
+                                Delete
+                              </button>
                             )}
                           </div>
                         </div>
                         <div className="bg-white dark:bg-slate-600 border border-slate-200 dark:border-slate-500 rounded-lg p-2 flex-shrink-0">
-                          {item.barcodeType === 'GS1 2D' || item.barcodeType === 'GS1 QR' ? (
-                            <DataMatrixBarcode value={item.gs1String || item.sku} size={80} gs1Data={item.gs1String} />
-                          ) : item.barcodeType === 'Code 128' || item.barcodeType === 'GS1-128' ? (
-                            <Code128Barcode value={item.gs1String || item.sku} height={40} />
-                          ) : item.barcodeType === 'QR' ? (
-                            <DataMatrixBarcode value={item.sku} size={80} />
-                          ) : (
-                            <Barcode value={item.sku} height={40} />
-                          )}
+                          <ItemBarcode item={item} height={40} size={80} />
                         </div>
                       </div>
                     ))}
@@ -3180,7 +4385,7 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
         onClose={() => { setShowAddModal(false); setEditItem(null); }}
         onSave={handleSaveItem}
         editItem={editItem}
-        departments={itemsData.groups}
+        departments={catalog.groups}
         existingItems={allExistingItems}
       />
 
@@ -3196,9 +4401,32 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
       <PrintModal
         isOpen={showPrintModal}
         onClose={() => setShowPrintModal(false)}
-        items={printItems}
-        onRemove={removeFromPrint}
-        onClearAll={() => setPrintItems([])}
+        queue={printQueue.queue}
+        onUpdate={printQueue.update}
+        onBooklet={() => {
+          setShowPrintModal(false);
+          openBooklet(printBatch.name, 'Print batch', printBatch.entries.map(entry => entry.item));
+        }}
+        onThermal={() => {
+          setShowPrintModal(false);
+          setShowThermal(true);
+        }}
+      />
+
+      {/* Thermal Print Modal */}
+      <ThermalModal
+        isOpen={showThermal}
+        onClose={() => setShowThermal(false)}
+        batch={printBatch}
+      />
+
+      {/* Booklet Modal */}
+      <BookletModal
+        isOpen={Boolean(booklet)}
+        onClose={() => setBooklet(null)}
+        defaultTitle={booklet?.title || ''}
+        source={booklet?.source}
+        sections={booklet?.sections || []}
       />
 
       {/* Import Modal */}
@@ -3207,10 +4435,18 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
         onClose={() => setShowImportModal(false)}
         existingItems={allExistingItems}
         onImport={(items) => {
-          setCustomItems(prev => [...prev, ...items.map(item => ({ ...item, isCustom: true }))]);
+          apply({ type: 'items.import', items: items.map(item => ({ ...item, isCustom: true })) });
         }}
       />
 
+      {/* Sync Conflicts Modal */}
+      <SyncConflictsModal
+        isOpen={showConflicts}
+        onClose={() => setShowConflicts(false)}
+        conflicts={store.conflicts}
+        onResolve={store.resolve}
+      />
+
       {/* Add to Collection Modal */}
       <AddToCollectionModal
         isOpen={!!addToCollectionItem}
@@ -3233,29 +4469,34 @@ const ItemsView = ({ onBack, initialSearch = '', user = '' }) => {
       />
 
       {/* Floating Action Button for Mobile */}
-      <button
-        onClick={() => { setEditItem(null); setShowAddModal(true); }}
-        className="fixed bottom-6 right-6 w-14 h-14 bg-red-600 hover:bg-red-700 text-white rounded-full shadow-lg hover:shadow-xl transition cursor-pointer flex items-center justify-center z-20 lg:hidden"
-        title="Add New Item"
-      >
-        <svg className="w-7 h-7" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M12 4v16m8-8H4" />
-        </svg>
-      </button>
+      {can('items.create') && (
+        <button
+          onClick={() => { setEditItem(null); setShowAddModal(true); }}
+          className="fixed bottom-6 right-6 w-14 h-14 bg-red-600 hover:bg-red-700 text-white rounded-full shadow-lg hover:shadow-xl transition cursor-pointer flex items-center justify-center z-20 lg:hidden"
+          title="Add New Item"
+        >
+          <svg className="w-7 h-7" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M12 4v16m8-8H4" />
+          </svg>
+        </button>
+      )}
     </div>
   );
 };
 
 // Pharmacy View Component
-const PharmacyView = ({ onBack }) => {
-  const [selectedCategory, setSelectedCategory] = useState(pharmacyData.categories[0]?.id || '');
-  const [searchTerm, setSearchTerm] = useState('');
-  const currentCategory = pharmacyData.categories.find(c => c.id === selectedCategory);
+const PharmacyView = ({ vertical, onBack, initialSearch = '' }) => {
+  const data = vertical.data;
+  const searchIndexes = useMemo(() => new Map(data.categories.map(c => [c.id, itemSearchIndex(c.items)])), [data]);
+  // Opened from search: start on the first category with a match
+  const [selectedCategory, setSelectedCategory] = useState(() => (data.categories.find(c => rankItems(searchIndexes.get(c.id), c.items, initialSearch).length > 0) || data.categories[0])?.id || '');
+  const [searchTerm, setSearchTerm] = useState(initialSearch);
+  const currentCategory = data.categories.find(c => c.id === selectedCategory);
   
-  const filteredItems = currentCategory?.items.filter(item =>
-    item.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    item.sku.toLowerCase().includes(searchTerm.toLowerCase())
-  ) || [];
+  const filteredItems = useMemo(
+    () => (currentCategory ? rankItems(searchIndexes.get(currentCategory.id), currentCategory.items, searchTerm) : []),
+    [searchIndexes, currentCategory, searchTerm]
+  );
 
   return (
     <div className="min-h-screen bg-slate-100 dark:bg-slate-900 transition-colors">
@@ -3265,7 +4506,7 @@ const PharmacyView = ({ onBack }) => {
             <button onClick={onBack} className="text-slate-600 dark:text-slate-300 hover:text-slate-800 dark:hover:text-white cursor-pointer">← Back</button>
             <div className="h-6 w-px bg-slate-300 dark:bg-slate-600 hidden sm:block"></div>
             <div>
-              <h1 className="text-lg font-bold text-slate-800 dark:text-white">{pharmacyData.title}</h1>
+              <h1 className="text-lg font-bold text-slate-800 dark:text-white">{data.title}</h1>
               <p className="text-xs text-slate-500 dark:text-slate-400">{filteredItems.length} items</p>
             </div>
           </div>
@@ -3291,7 +4532,7 @@ const PharmacyView = ({ onBack }) => {
           <div className="w-full lg:w-72 flex-shrink-0">
             <h3 className="font-semibold text-slate-700 dark:text-slate-200 mb-3">Categories</h3>
             <div className="grid grid-cols-2 lg:grid-cols-1 gap-2">
-              {pharmacyData.categories.map(category => (
+              {data.categories.map(category => (
                 <div key={category.id} onClick={() => setSelectedCategory(category.id)} className={`p-4 rounded-lg cursor-pointer transition ${selectedCategory === category.id ? 'bg-blue-50 dark:bg-blue-900/30 border-2 border-blue-500' : 'bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 hover:border-blue-300'}`}>
                   <div className="flex items-center gap-3">
                     <span className="text-2xl">{category.icon}</span>
@@ -3307,7 +4548,7 @@ const PharmacyView = ({ onBack }) => {
           <div className="flex-1">
             {currentCategory && (
               <div className="bg-white dark:bg-slate-800 rounded-xl shadow-lg overflow-hidden">
-                <div className="bg-gradient-to-r from-blue-600 to-blue-700 text-white p-6">
+                <div className={`bg-gradient-to-r ${vertical.gradient} text-white p-6`}>
                   <div className="flex items-center gap-3 mb-2">
                     <span className="text-3xl">{currentCategory.icon}</span>
                   </div>
@@ -3346,18 +4587,190 @@ const PharmacyView = ({ onBack }) => {
   );
 };
 
+// GS1 Inspect Panel Component
+// Parses a pasted raw scan into its AIs and compares it with the catalog
+// entries that carry the same GTIN.
+const findCatalogMatches = (gtin14) => [
+  ...(getDatasets().gs1?.categories || []).flatMap(category => category.items.map(item => ({ item, source: category.name }))),
+  ...(getDatasets().items?.groups || []).flatMap(group => group.items.map(item => ({ item, source: group.name })))
+].filter(({ item }) => {
+  const catalogGtin = item.gtin ? item.gtin.padStart(14, '0') : analyzeGtin(item.barcode || item.sku).gtin14;
+  return catalogGtin === gtin14;
+});
+
+const daysFromToday = (isoDate) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const days = Math.round((new Date(`${isoDate}T00:00:00`) - today) / 86400000);
+  if (days === 0) return 'today';
+  return days < 0 ? `${-days} day${days === -1 ? '' : 's'} ago` : `in ${days} day${days === 1 ? '' : 's'}`;
+};
+
+const diffAgainstScan = (expectedElements, scannedElements) => {
+  const scanned = Object.fromEntries(scannedElements.map(el => [el.ai, el.value]));
+  const rows = expectedElements.map(el => ({
+    ai: el.ai,
+    expected: el.value,
+    scanned: scanned[el.ai],
+    result: scanned[el.ai] === undefined ? 'missing' : scanned[el.ai] === el.value ? 'match' : 'differs'
+  }));
+  scannedElements
+    .filter(el => !expectedElements.some(expected => expected.ai === el.ai))
+    .forEach(el => rows.push({ ai: el.ai, expected: undefined, scanned: el.value, result: 'extra' }));
+  return rows;
+};
+
+const Gs1InspectPanel = () => {
+  const [rawScan, setRawScan] = useState('');
+  const sampleItem = getDatasets().gs1?.categories[0]?.items[0];
+  const sample = sampleItem && withGs1Strings(sampleItem);
+
+  const result = rawScan.trim() ? parseElementString(rawScan) : null;
+  const gtinElement = result?.elements.find(el => el.ai === '01');
+  const matches = gtinElement && /^\d{14}$/.test(gtinElement.value) ? findCatalogMatches(gtinElement.value) : [];
+
+  const diffStyles = {
+    match: 'text-green-700 dark:text-green-400',
+    differs: 'text-red-700 dark:text-red-400',
+    missing: 'text-amber-700 dark:text-amber-400',
+    extra: 'text-slate-500 dark:text-slate-400'
+  };
+
+  return (
+    <div className="bg-white dark:bg-slate-800 rounded-xl shadow-lg overflow-hidden">
+      <div className="bg-gradient-to-r from-purple-600 to-purple-700 text-white p-6">
+        <div className="flex items-center gap-3 mb-2">
+          <span className="text-3xl">🔍</span>
+        </div>
+        <h2 className="text-2xl font-bold">Inspect Scan</h2>
+        <p className="mt-2 text-purple-100 text-sm">Paste a raw scanner dump (with ]d2 / ]C1 / ]Q3 prefixes and GS separators written as \x1D, &lt;GS&gt; or ^]) or an HRI string to see what the POS received.</p>
+      </div>
+      <div className="p-6 space-y-4">
+        <div>
+          <div className="flex items-center justify-between mb-1">
+            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">Raw scan</label>
+            {sample?.gs1String && (
+              <button onClick={() => setRawScan(`]d2${sample.gs1String}`)} className="text-xs text-purple-600 dark:text-purple-400 hover:underline cursor-pointer">Load sample ({sample.name})</button>
+            )}
+          </div>
+          <textarea
+            value={rawScan}
+            onChange={(e) => setRawScan(e.target.value)}
+            placeholder={']d20100049000000443162512153102000125\\x1D10LOT42'}
+            className="w-full h-20 px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-white font-mono text-sm"
+          />
+        </div>
+
+        {result && (
+          <>
+            <div className="flex gap-4 text-sm flex-wrap">
+              <span className="text-slate-500 dark:text-slate-400">Symbology: <span className="font-semibold text-slate-700 dark:text-slate-300">{result.symbology ? `${result.symbology} (${result.symbologyId})` : 'No identifier'}</span></span>
+              <span className={result.errors.length > 0 ? 'text-red-600 dark:text-red-400 font-semibold' : 'text-green-600 dark:text-green-400 font-semibold'}>
+                {result.errors.length > 0 ? `⚠️ ${result.errors.length} problem${result.errors.length === 1 ? '' : 's'}` : '✓ Well-formed'}
+              </span>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                    <th className="py-2 pr-3">AI</th>
+                    <th className="py-2 pr-3">Field</th>
+                    <th className="py-2 pr-3">Value</th>
+                    <th className="py-2">Meaning</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.elements.map((el, i) => (
+                    <tr key={i} className="border-b border-slate-100 dark:border-slate-700 align-top">
+                      <td className="py-2 pr-3 font-mono text-purple-700 dark:text-purple-400">({el.ai})</td>
+                      <td className="py-2 pr-3">
+                        <div className="font-semibold text-slate-800 dark:text-white">{el.title}</div>
+                        <div className="text-xs text-slate-500 dark:text-slate-400">{el.label}</div>
+                      </td>
+                      <td className="py-2 pr-3 font-mono text-slate-700 dark:text-slate-300 break-all">{el.value}</td>
+                      <td className="py-2">
+                        {el.decoded && (
+                          <div className="text-slate-700 dark:text-slate-300">
+                            {el.decoded}
+                            {getAi(el.ai)?.date && <span className="text-xs text-slate-500 dark:text-slate-400"> ({daysFromToday(el.decoded)})</span>}
+                          </div>
+                        )}
+                        {el.checkDigit === 'valid' && <div className="text-xs text-green-600 dark:text-green-400">✓ Check digit OK</div>}
+                        {el.error && <div className="text-xs text-red-600 dark:text-red-400">⚠️ {el.error}</div>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {result.remainder && (
+              <p className="text-xs text-red-600 dark:text-red-400">⚠️ {result.errors[0]}</p>
+            )}
+
+            <div>
+              <h3 className="font-semibold text-slate-700 dark:text-slate-200 mb-2">Catalog match</h3>
+              {!gtinElement && <p className="text-sm text-slate-500 dark:text-slate-400">No GTIN (AI 01) in the scan.</p>}
+              {gtinElement && matches.length === 0 && (
+                <p className="text-sm text-amber-700 dark:text-amber-400">No catalog item has GTIN {gtinElement.value}.</p>
+              )}
+              <div className="space-y-3">
+                {matches.map(({ item, source }, i) => (
+                  <div key={i} className="border border-slate-200 dark:border-slate-700 rounded-lg p-3">
+                    <div className="flex items-center gap-2 flex-wrap mb-2">
+                      <span className="font-semibold text-slate-800 dark:text-white">{item.name}</span>
+                      <span className="text-xs px-2 py-0.5 rounded-full bg-slate-100 text-slate-700 dark:bg-slate-700 dark:text-slate-300">{source}</span>
+                      <span className="text-xs text-slate-500 dark:text-slate-400 font-mono">SKU {item.sku}</span>
+                    </div>
+                    {item.gs1Elements ? (
+                      <table className="w-full text-xs">
+                        <thead>
+                          <tr className="text-left text-slate-500 dark:text-slate-400">
+                            <th className="py-1 pr-3">AI</th>
+                            <th className="py-1 pr-3">Catalog</th>
+                            <th className="py-1 pr-3">Scanned</th>
+                            <th className="py-1"></th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {diffAgainstScan(resolveElements(item.gs1Elements), result.elements).map(row => (
+                            <tr key={row.ai}>
+                              <td className="py-1 pr-3 font-mono text-purple-700 dark:text-purple-400">({row.ai})</td>
+                              <td className="py-1 pr-3 font-mono text-slate-600 dark:text-slate-300">{row.expected ?? '—'}</td>
+                              <td className="py-1 pr-3 font-mono text-slate-600 dark:text-slate-300">{row.scanned ?? '—'}</td>
+                              <td className={`py-1 font-semibold ${diffStyles[row.result]}`}>{row.result}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    ) : (
+                      <p className="text-xs text-slate-500 dark:text-slate-400">GTIN matches; this item has no other AIs to compare.</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
 // GS1-2D View Component
-const GS1View = ({ onBack }) => {
-  const [selectedCategory, setSelectedCategory] = useState(gs1DataItems.categories[0]?.id || '');
-  const [searchTerm, setSearchTerm] = useState('');
-  const currentCategory = gs1DataItems.categories.find(c => c.id === selectedCategory);
-  const totalItems = gs1DataItems.categories.reduce((sum, c) => sum + c.items.length, 0);
+const GS1View = ({ vertical, onBack, initialSearch = '' }) => {
+  const data = vertical.data;
+  // Indexed with the element strings as of opening the view; results come
+  // from the freshly built items below, so the dates shown stay current
+  const searchIndexes = useMemo(() => new Map(data.categories.map(c => [c.id, itemSearchIndex(c.items.map(withGs1Strings))])), [data]);
+  // Opened from search: start on the first category with a match
+  const [selectedCategory, setSelectedCategory] = useState(() => (data.categories.find(c => rankItems(searchIndexes.get(c.id), c.items, initialSearch).length > 0) || data.categories[0])?.id || '');
+  const [searchTerm, setSearchTerm] = useState(initialSearch);
+  const category = data.categories.find(c => c.id === selectedCategory);
+  const currentCategory = category && { ...category, items: category.items.map(withGs1Strings) };
+  const totalItems = data.categories.reduce((sum, c) => sum + c.items.length, 0);
 
-  const filteredItems = currentCategory?.items.filter(item =>
-    item.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    item.sku.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    (item.gs1Display && item.gs1Display.toLowerCase().includes(searchTerm.toLowerCase()))
-  ) || [];
+  const filteredItems = currentCategory ? rankItems(searchIndexes.get(currentCategory.id), currentCategory.items, searchTerm) : [];
 
   const getStatusBadge = (status) => {
     switch(status) {
@@ -3368,6 +4781,8 @@ const GS1View = ({ onBack }) => {
     }
   };
 
+  const statusLabels = { expired: 'EXPIRED', valid: 'IN DATE', 'age-verify': 'AGE 21+' };
+
   const getBarcodeTypeBadge = (type) => {
     switch(type) {
       case 'GS1 2D': return 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300';
@@ -3385,8 +4800,8 @@ const GS1View = ({ onBack }) => {
             <button onClick={onBack} className="text-slate-600 dark:text-slate-300 hover:text-slate-800 dark:hover:text-white cursor-pointer">← Back</button>
             <div className="h-6 w-px bg-slate-300 dark:bg-slate-600 hidden sm:block"></div>
             <div>
-              <h1 className="text-lg font-bold text-slate-800 dark:text-white">{gs1DataItems.title}</h1>
-              <p className="text-xs text-slate-500 dark:text-slate-400">{totalItems} items • {gs1DataItems.subtitle}</p>
+              <h1 className="text-lg font-bold text-slate-800 dark:text-white">{data.title}</h1>
+              <p className="text-xs text-slate-500 dark:text-slate-400">{totalItems} items • {data.subtitle}</p>
             </div>
           </div>
           <div className="flex items-center gap-3 w-full sm:w-auto">
@@ -3411,7 +4826,7 @@ const GS1View = ({ onBack }) => {
           <div className="w-full lg:w-72 flex-shrink-0">
             <h3 className="font-semibold text-slate-700 dark:text-slate-200 mb-3">Categories</h3>
             <div className="grid grid-cols-2 lg:grid-cols-1 gap-2">
-              {gs1DataItems.categories.map(category => (
+              {data.categories.map(category => (
                 <div key={category.id} onClick={() => setSelectedCategory(category.id)} className={`p-4 rounded-lg cursor-pointer transition ${selectedCategory === category.id ? 'bg-purple-50 dark:bg-purple-900/30 border-2 border-purple-500' : 'bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 hover:border-purple-300'}`}>
                   <div className="flex items-center gap-3">
                     <span className="text-2xl">{category.icon}</span>
@@ -3422,12 +4837,22 @@ const GS1View = ({ onBack }) => {
                   </div>
                 </div>
               ))}
+              <div onClick={() => setSelectedCategory('inspect')} className={`p-4 rounded-lg cursor-pointer transition ${selectedCategory === 'inspect' ? 'bg-purple-50 dark:bg-purple-900/30 border-2 border-purple-500' : 'bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 hover:border-purple-300'}`}>
+                <div className="flex items-center gap-3">
+                  <span className="text-2xl">🔍</span>
+                  <div>
+                    <div className="font-semibold text-slate-800 dark:text-white text-sm">Inspect Scan</div>
+                    <div className="text-xs text-slate-500 dark:text-slate-400">Decode a raw scan</div>
+                  </div>
+                </div>
+              </div>
             </div>
           </div>
           <div className="flex-1">
+            {selectedCategory === 'inspect' && <Gs1InspectPanel />}
             {currentCategory && (
               <div className="bg-white dark:bg-slate-800 rounded-xl shadow-lg overflow-hidden">
-                <div className="bg-gradient-to-r from-purple-600 to-purple-700 text-white p-6">
+                <div className={`bg-gradient-to-r ${vertical.gradient} text-white p-6`}>
                   <div className="flex items-center gap-3 mb-2">
                     <span className="text-3xl">{currentCategory.icon}</span>
                   </div>
@@ -3442,6 +4867,9 @@ const GS1View = ({ onBack }) => {
                           <div className="flex items-center gap-2 flex-wrap mb-1">
                             <h4 className="font-semibold text-slate-800 dark:text-white">{item.name}</h4>
                             <span className={`text-xs px-2 py-0.5 rounded-full ${getBarcodeTypeBadge(item.barcodeType)}`}>{item.barcodeType}</span>
+                            {statusLabels[item.status] && (
+                              <span className={`text-xs px-2 py-0.5 rounded-full border font-semibold ${getStatusBadge(item.status)}`}>{statusLabels[item.status]}</span>
+                            )}
                           </div>
                           <div className="flex gap-4 mt-1 text-sm flex-wrap">
                             <span className="text-slate-500 dark:text-slate-400">SKU: <span className="font-mono text-slate-700 dark:text-slate-300">{item.sku}</span></span>
@@ -3453,20 +4881,15 @@ const GS1View = ({ onBack }) => {
                               <CopyButton text={item.gs1String || item.gs1Display} label="Copy GS1" />
                             </div>
                           )}
+                          {item.gs1Errors?.map(err => (
+                            <p key={err.ai} className="mt-1 text-xs text-red-600 dark:text-red-400">⚠️ {err.message}</p>
+                          ))}
                           {item.note && (
                             <p className="mt-2 text-sm text-slate-600 dark:text-slate-400 italic">{item.note}</p>
                           )}
                         </div>
                         <div className="bg-white dark:bg-slate-600 border border-slate-200 dark:border-slate-500 rounded-lg p-3">
-                          {item.barcodeType === 'GS1 2D' || item.barcodeType === 'GS1 QR' ? (
-                            <DataMatrixBarcode value={item.gtin || item.sku} gs1Data={item.gs1String} size={120} />
-                          ) : item.barcodeType === 'Code 128' || item.barcodeType === 'GS1-128' ? (
-                            <Code128Barcode value={item.gs1String || item.barcode || item.sku} height={60} />
-                          ) : item.barcodeType === 'QR' ? (
-                            <DataMatrixBarcode value={item.barcode || item.sku} size={120} />
-                          ) : (
-                            <Barcode value={item.barcode || item.sku} height={50} />
-                          )}
+                          <ItemBarcode item={item} height={50} size={120} />
                         </div>
                       </div>
                     ))}
@@ -3486,31 +4909,256 @@ const GS1View = ({ onBack }) => {
   );
 };
 
+// Auth Context
+const AuthContext = createContext();
+
+const useAuth = () => useContext(AuthContext);
+
+// Auth Gate Component
+// Asks the portal service named in storage.json for the sign-in providers,
+// finishes an OIDC redirect back from the IdP and has the service check the
+// stored session token (see lib/auth). The login screen shows until there is a
+// valid session, and again once it expires or another tab signs out. The user's role comes from the service with the
+// session, so an admin's assignment applies from their next sign-in or page load.
+const AuthGate = ({ children }) => {
+  const baseUrl = import.meta.env.BASE_URL;
+  const [config, setConfig] = useState(null);
+  const [session, setSession] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const redirectUri = () => `${window.location.origin}${baseUrl}`;
+
+  const load = () => {
+    setStatus('loading');
+    // Sessions used to be a bare username, then claims the browser signed
+    // itself, and role assignments were kept per browser; none of them count
+    // any more
+    localStorage.removeItem('elera_user');
+    localStorage.removeItem('elera_session_key');
+    localStorage.removeItem('elera_users');
+    loadStorageConfig(baseUrl)
+      .then(({ api }) => loadAuthConfig(api))
+      .then(async (loaded) => {
+        let claims = null;
+        try {
+          const redirect = await completeRedirect(loaded.providers, window.location.href);
+          if (redirect) claims = await createSession(redirect.provider, redirect.credentials);
+        } catch (err) {
+          setNotice(err.message);
+        }
+        // Drop ?code=…&state=… so a reload does not replay the redirect
+        if (new URLSearchParams(window.location.search).has('state')) window.history.replaceState(null, '', window.location.pathname);
+        if (!claims) claims = await readSession();
+        setConfig(loaded);
+        setSession(claims);
+        setStatus('ready');
+      })
+      .catch((err) => {
+        console.error('Failed to load sign-in settings:', err);
+        setError(err.message);
+        setStatus('error');
+      });
+  };
+
+  const signIn = async (provider, credentials) => {
+    const sent = await provider.signIn({ ...credentials, redirectUri: redirectUri() });
+    // Redirect providers leave the page and finish in load()
+    if (!sent) return;
+    const claims = await createSession(provider, sent);
+    setSession(claims);
+    setNotice('');
+  };
+
+  const signOut = async () => {
+    const provider = config.providers.find(p => p.id === session?.provider);
+    const url = provider?.signOutUrl ? await provider.signOutUrl(session, redirectUri()) : null;
+    endSession();
+    setSession(null);
+    setNotice('');
+    if (url) window.location.assign(url);
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // Re-check the token when it is due to expire (timers cap out near 24 days,
+  // so a long session just checks again)
+  useEffect(() => {
+    if (!session) return undefined;
+    const timer = setTimeout(() => {
+      readSession().catch(() => null).then((claims) => {
+        if (!claims) setNotice('Your session has expired. Please sign in again.');
+        setSession(claims);
+      });
+    }, Math.min(Math.max(session.exp * 1000 - Date.now(), 0), 2 ** 31 - 1));
+    return () => clearTimeout(timer);
+  }, [session]);
+
+  // Follow sign-ins and sign-outs in other tabs
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key === null || isSessionKey(e.key)) readSession().catch(() => null).then(setSession);
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  if (status === 'ready' && session) {
+    const { role } = session;
+    const can = (permission) => hasPermission(role, permission);
+    return (
+      <AuthContext.Provider value={{ session, user: session.sub, role, can, signOut }}>
+        {children}
+      </AuthContext.Provider>
+    );
+  }
+
+  if (status === 'ready') return <Login providers={config.providers} notice={notice} onSignIn={signIn} />;
+
+  return (
+    <div className="min-h-screen bg-slate-100 dark:bg-slate-900 flex items-center justify-center p-4 transition-colors">
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-lg p-8 w-full max-w-md text-center">
+        <h1 className="text-xl font-bold text-slate-800 dark:text-white">TOSHIBA</h1>
+        <p className="text-xs text-slate-500 dark:text-slate-400 tracking-wider mb-6">ELERA SCANBOOK PORTAL</p>
+        {status === 'loading' ? (
+          <p className="text-slate-500 dark:text-slate-400 animate-pulse">Signing in...</p>
+        ) : (
+          <>
+            <p className="font-semibold text-red-600 dark:text-red-400 mb-2">Sign-in is not available</p>
+            <p className="text-sm text-slate-600 dark:text-slate-300 font-mono break-words bg-slate-50 dark:bg-slate-700/50 rounded-lg p-3 mb-4">{error}</p>
+            <button onClick={load} className="px-6 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition cursor-pointer">Retry</button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Retailer Profile Context
+const ProfileContext = createContext();
+
+const useProfile = () => useContext(ProfileContext);
+
+// Dataset Gate Component
+// Loads the retailer profiles and the active profile's catalog and scanbook
+// documents from public/data, holding the app on a loading screen until they
+// validate, and points catalog storage at the profile (see lib/storage).
+// Switching profile shows the loading screen again, so the app remounts and
+// every view re-reads its profile-namespaced data.
+const DatasetGate = ({ children }) => {
+  const dataUrl = `${import.meta.env.BASE_URL}data/`;
+  const [storageConfig, setStorageConfig] = useState(null);
+  const [profiles, setProfiles] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [requestedId, setRequestedId] = useState(() => localStorage.getItem('elera_profile'));
+  const [status, setStatus] = useState('loading');
+  const [error, setError] = useState('');
+
+  const fail = (err) => {
+    console.error('Failed to load datasets:', err);
+    setError(err.message);
+    setStatus('error');
+  };
+
+  const activate = (list, id, storageSettings = storageConfig) => {
+    const next = list.profiles.find(p => p.id === id) || list.profiles.find(p => p.id === list.default);
+    setRequestedId(next.id);
+    setStatus('loading');
+    return loadDatasets(`${dataUrl}${next.manifest}`).then(() => {
+      setActiveProfile(next);
+      selectStorage(storageSettings, next.id);
+      localStorage.setItem('elera_profile', next.id);
+      setProfile(next);
+      setStatus('ready');
+    });
+  };
+
+  const load = () => {
+    setStatus('loading');
+    Promise.all([profiles || loadProfiles(dataUrl), storageConfig || loadStorageConfig(import.meta.env.BASE_URL)])
+      .then(([list, storageSettings]) => {
+        setProfiles(list);
+        setStorageConfig(storageSettings);
+        return activate(list, requestedId, storageSettings);
+      })
+      .catch(fail);
+  };
+
+  const switchProfile = (id) => activate(profiles, id).catch(fail);
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  if (status === 'ready') {
+    return (
+      <ProfileContext.Provider value={{ profile, profiles: profiles.profiles, switchProfile }}>
+        {children}
+      </ProfileContext.Provider>
+    );
+  }
+
+  const requested = profiles?.profiles.find(p => p.id === requestedId);
+
+  return (
+    <div className="min-h-screen bg-slate-100 dark:bg-slate-900 flex items-center justify-center p-4 transition-colors">
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-lg p-8 w-full max-w-md text-center">
+        <h1 className="text-xl font-bold text-slate-800 dark:text-white">TOSHIBA</h1>
+        <p className="text-xs text-slate-500 dark:text-slate-400 tracking-wider mb-6">ELERA SCANBOOK PORTAL</p>
+        {status === 'loading' ? (
+          <p className="text-slate-500 dark:text-slate-400 animate-pulse">Loading {requested ? requested.name : 'catalog and scanbooks'}...</p>
+        ) : (
+          <>
+            <p className="font-semibold text-red-600 dark:text-red-400 mb-2">{requested ? `The ${requested.name} data could not be loaded` : 'The portal data could not be loaded'}</p>
+            <p className="text-sm text-slate-600 dark:text-slate-300 font-mono break-words bg-slate-50 dark:bg-slate-700/50 rounded-lg p-3 mb-4">{error}</p>
+            <div className="flex justify-center gap-3">
+              {profile && profile.id !== requestedId && (
+                <button onClick={() => switchProfile(profile.id)} className="px-4 py-2 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 transition cursor-pointer">Back to {profile.name}</button>
+              )}
+              <button onClick={load} className="px-6 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition cursor-pointer">Retry</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Component that renders each kind of vertical (see verticals)
+const verticalViews = {
+  scanbook: ScanBookView,
+  categories: PharmacyView,
+  gs1: GS1View,
+  catalog: ItemsView,
+  editor: ScanbookEditor,
+  roles: RolesView
+};
+
 // Main App Component
 function AppContent() {
-  const [user, setUser] = useState(() => localStorage.getItem('elera_user'));
+  const { user, role, signOut } = useAuth();
   const [currentView, setCurrentView] = useState('dashboard');
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [initialSearch, setInitialSearch] = useState('');
+  const [initialTest, setInitialTest] = useState(null);
 
   // Handle browser back/forward buttons
   useEffect(() => {
     const handlePopState = (e) => {
-      // Always check localStorage to ensure we stay logged in
-      const storedUser = localStorage.getItem('elera_user');
-      if (storedUser && !user) {
-        setUser(storedUser);
-      }
-      
       if (e.state && e.state.view) {
         setCurrentView(e.state.view);
         setSelectedCategory(e.state.category || null);
         setInitialSearch(e.state.search || '');
+        setInitialTest(e.state.test || null);
       } else {
         // No valid state - stay on dashboard if logged in
         setCurrentView('dashboard');
         setSelectedCategory(null);
         setInitialSearch('');
+        setInitialTest(null);
         // Replace with valid state to prevent further back issues
         window.history.replaceState({ view: 'dashboard', category: null, search: '' }, '');
       }
@@ -3524,59 +5172,48 @@ function AppContent() {
     return () => window.removeEventListener('popstate', handlePopState);
   }, []);
 
-  // Sync user state with localStorage on mount and changes
-  useEffect(() => {
-    const storedUser = localStorage.getItem('elera_user');
-    if (storedUser && !user) {
-      setUser(storedUser);
-    }
-  }, [user]);
-
-  const handleLogin = (username) => {
-    localStorage.setItem('elera_user', username);
-    setUser(username);
-    window.history.replaceState({ view: 'dashboard', category: null, search: '' }, '');
-  };
   const handleLogout = () => {
-    localStorage.removeItem('elera_user');
-    setUser(null);
-    setCurrentView('dashboard');
-    setSelectedCategory(null);
-    setInitialSearch('');
     window.history.replaceState({ view: 'dashboard', category: null, search: '' }, '');
+    signOut();
   };
-  const handleSelectCategory = (category, search = '') => {
+  // `test` opens a scanbook on that scenario
+  const handleSelectCategory = (category, search = '', test = null) => {
     setSelectedCategory(category);
     setCurrentView('scanbook');
     setInitialSearch(search);
-    window.history.pushState({ view: 'scanbook', category, search }, '');
+    setInitialTest(test);
+    window.history.pushState({ view: 'scanbook', category, search, test }, '');
+  };
+  const handleSearch = (search) => {
+    setSelectedCategory(null);
+    setCurrentView('search');
+    setInitialSearch(search);
+    window.history.pushState({ view: 'search', category: null, search }, '');
   };
   const handleBack = () => {
     window.history.back();
   };
 
-  // Double-check localStorage before showing login
-  const storedUser = localStorage.getItem('elera_user');
-  if (!user && !storedUser) return <Login onLogin={handleLogin} />;
-  
-  // If localStorage has user but state doesn't, update state
-  if (!user && storedUser) {
-    setUser(storedUser);
-    return null; // Will re-render with correct user
+  const vertical = currentView === 'scanbook' && listVerticals(role).find(v => v.id === selectedCategory);
+  if (vertical) {
+    const View = verticalViews[vertical.view];
+    return <View key={vertical.id} vertical={vertical} onBack={handleBack} onOpen={handleSelectCategory} initialSearch={initialSearch} initialTest={initialTest} user={user} />;
   }
-
-  if (currentView === 'scanbook' && selectedCategory === 'items') return <ItemsView onBack={handleBack} initialSearch={initialSearch} user={user} />;
-  if (currentView === 'scanbook' && selectedCategory === 'pharmacy') return <PharmacyView onBack={handleBack} />;
-  if (currentView === 'scanbook' && selectedCategory === 'gs1') return <GS1View onBack={handleBack} />;
-  if (currentView === 'scanbook' && selectedCategory) return <ScanBookView category={selectedCategory} onBack={handleBack} />;
-  return <Dashboard user={user} onSelectCategory={handleSelectCategory} onLogout={handleLogout} />;
+  if (currentView === 'search') {
+    return <SearchView initialQuery={initialSearch} onBack={handleBack} onOpen={handleSelectCategory} />;
+  }
+  return <Dashboard onSelectCategory={handleSelectCategory} onSearch={handleSearch} onLogout={handleLogout} />;
 }
 
-// Wrap with DarkModeProvider
+// Wrap with DarkModeProvider, require a session and wait for the datasets
 export default function App() {
   return (
     <DarkModeProvider>
-      <AppContent />
+      <AuthGate>
+        <DatasetGate>
+          <AppContent />
+        </DatasetGate>
+      </AuthGate>
     </DarkModeProvider>
   );
 }
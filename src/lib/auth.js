@@ -0,0 +1,235 @@
+// Authentication
+// Users sign in through the portal service (server/), which holds the
+// providers and local accounts (server/auth.json) and signs sessions with a
+// key the browser never sees. The login screen lists the providers the
+// service reports; a username and password, or the ID token an OIDC provider
+// returns from the authorization-code flow with PKCE, goes to the service,
+// which answers with a session token kept as elera_session. Every call to the
+// service sends it as a bearer token, and the service checks its signature and
+// expiry and works out the user's role itself (role assignments are kept by
+// the service too), so editing the stored session signs no one in and grants
+// nothing. npm run mock-idp starts a local IdP to
+// try OIDC. Roles are described in ./roles.
+
+const SESSION_KEY = 'elera_session';
+const PENDING_KEY = 'elera_oidc_pending';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const base64url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const fromBase64url = (text) => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+
+const decodeJson = (text) => JSON.parse(decoder.decode(fromBase64url(text)));
+
+const randomString = (size) => base64url(crypto.getRandomValues(new Uint8Array(size)));
+
+// Base URL of the portal service, set by loadAuthConfig
+let serviceUrl = null;
+
+const readStored = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+// The session token to send to the service, or null when signed out
+export const sessionToken = () => readStored()?.token || null;
+
+// Call the portal service with the session token; rejects with the service's
+// error message and the HTTP status
+export const serviceRequest = async (method, path, body) => {
+  const token = sessionToken();
+  let response;
+  try {
+    response = await fetch(`${serviceUrl}${path}`, {
+      method,
+      cache: 'no-store',
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+  } catch (err) {
+    throw new Error(`The portal service cannot be reached (${err.message})`);
+  }
+  const data = response.status === 204 ? null : await response.json().catch(() => ({}));
+  if (!response.ok) throw Object.assign(new Error(data?.error || `Portal service: HTTP ${response.status}`), { status: response.status });
+  return data;
+};
+
+// Local Provider
+// A username and password, checked by the service
+const localProvider = (config) => ({
+  id: config.id,
+  type: 'local',
+  name: config.name,
+  hasAccounts: config.hasAccounts,
+  signIn: async ({ username, password }) => ({ username: String(username ?? '').trim(), password })
+});
+
+// OIDC Provider
+// Authorization code + PKCE. signIn() leaves the page for the IdP, which
+// redirects back with ?code=…&state=…; completeSignIn() then exchanges the code.
+const metadataCache = {};
+
+const discover = (issuer) => {
+  const url = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+  if (!metadataCache[url]) {
+    metadataCache[url] = fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .catch((err) => {
+        delete metadataCache[url];
+        throw new Error(`Could not reach the sign-in provider (${err.message})`);
+      });
+  }
+  return metadataCache[url];
+};
+
+const oidcProvider = (config) => ({
+  id: config.id,
+  type: 'oidc',
+  name: config.name || 'Sign in with SSO',
+  signIn: async ({ redirectUri }) => {
+    const metadata = await discover(config.issuer);
+    const verifier = randomString(48);
+    const pending = { provider: config.id, verifier, state: randomString(16), nonce: randomString(16), redirectUri };
+    sessionStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+    const challenge = base64url(await crypto.subtle.digest('SHA-256', encoder.encode(verifier)));
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: config.clientId,
+      redirect_uri: redirectUri,
+      scope: config.scope || 'openid profile email',
+      state: pending.state,
+      nonce: pending.nonce,
+      code_challenge: challenge,
+      code_challenge_method: 'S256'
+    });
+    window.location.assign(`${metadata.authorization_endpoint}?${params}`);
+    return null;
+  },
+  completeSignIn: async (params, pending) => {
+    if (params.get('error')) throw new Error(`Sign-in was refused: ${params.get('error_description') || params.get('error')}`);
+    const metadata = await discover(config.issuer);
+    const response = await fetch(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: params.get('code'),
+        redirect_uri: pending.redirectUri,
+        client_id: config.clientId,
+        code_verifier: pending.verifier
+      })
+    });
+    const tokens = await response.json().catch(() => ({}));
+    if (!response.ok || !tokens.id_token) throw new Error(`Sign-in failed: ${tokens.error_description || tokens.error || `HTTP ${response.status}`}`);
+
+    // The service checks the signature, issuer, audience and expiry; only this
+    // tab knows the nonce it sent
+    let claims = null;
+    try {
+      claims = decodeJson(tokens.id_token.split('.')[1] || '');
+    } catch {
+      // Reported below
+    }
+    if (claims?.nonce !== pending.nonce) throw new Error('Sign-in failed: ID token nonce does not match');
+    return { idToken: tokens.id_token };
+  },
+  // Where to send the browser to also end the IdP session, if it supports that
+  signOutUrl: async (session, redirectUri) => {
+    const metadata = await discover(config.issuer).catch(() => null);
+    if (!metadata?.end_session_endpoint) return null;
+    const params = new URLSearchParams({ client_id: config.clientId, post_logout_redirect_uri: redirectUri });
+    if (session.idToken) params.set('id_token_hint', session.idToken);
+    return `${metadata.end_session_endpoint}?${params}`;
+  }
+});
+
+const PROVIDERS = {
+  local: localProvider,
+  oidc: oidcProvider
+};
+
+// The sign-in providers from the portal service at api (storage.json's api
+// URL): { sessionMinutes, defaultRole, providers }
+export const loadAuthConfig = async (api) => {
+  serviceUrl = api.replace(/\/?$/, '/');
+  const data = await serviceRequest('GET', 'auth').catch((err) => {
+    throw new Error(`Sign-in settings: ${err.message}`);
+  });
+  return {
+    sessionMinutes: data.sessionMinutes,
+    defaultRole: data.defaultRole,
+    providers: data.providers.filter(provider => PROVIDERS[provider.type]).map(provider => PROVIDERS[provider.type](provider))
+  };
+};
+
+// Sign in with a provider's credentials ({ username, password }, or the
+// { idToken } of an OIDC redirect) and keep the session the service issues;
+// resolves to its claims ({ sub, name, provider, role, iat, exp, idToken? }),
+// or rejects with the reason the service gave
+export const createSession = async (provider, credentials) => {
+  const { token, session } = await serviceRequest('POST', 'session', { provider: provider.id, ...credentials });
+  const idToken = credentials.idToken;
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ token, ...(idToken ? { idToken } : {}) }));
+  return { ...session, ...(idToken ? { idToken } : {}) };
+};
+
+// The stored session as the service sees it (claims with the user's current
+// role), or null (and the session is dropped) when there is none or the
+// service no longer accepts it; rejects when the service cannot be reached
+export const readSession = async () => {
+  const stored = readStored();
+  if (!stored?.token) {
+    localStorage.removeItem(SESSION_KEY);
+    return null;
+  }
+  try {
+    const session = await serviceRequest('GET', 'session');
+    return { ...session, ...(stored.idToken ? { idToken: stored.idToken } : {}) };
+  } catch (err) {
+    if (err.status !== 401) throw err;
+    localStorage.removeItem(SESSION_KEY);
+    return null;
+  }
+};
+
+export const endSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+export const isSessionKey = (key) => key === SESSION_KEY;
+
+// Everyone the service knows of, for the User Roles screen: { defaultRole,
+// users: [{ username, name, provider, lastSignIn, role, configRole, effective }] }
+// where role is an admin's assignment or null; needs roles.assign
+export const listUsers = () => serviceRequest('GET', 'users');
+
+// Assign a role to a user, or clear the assignment with null; resolves to
+// their updated entry
+export const assignUserRole = (username, role) => serviceRequest('PUT', `users/${encodeURIComponent(username)}`, { role });
+
+// Finish an OIDC sign-in when the page is the IdP's redirect back to the
+// portal; resolves to { credentials, provider } or null when it is not one
+export const completeRedirect = async (providers, url) => {
+  const params = new URL(url).searchParams;
+  if (!params.get('state') || (!params.get('code') && !params.get('error'))) return null;
+  const pending = JSON.parse(sessionStorage.getItem(PENDING_KEY) || 'null');
+  sessionStorage.removeItem(PENDING_KEY);
+  if (!pending || pending.state !== params.get('state')) throw new Error('Sign-in failed: the response does not match a sign-in started here. Please try again.');
+  const provider = providers.find(p => p.id === pending.provider && p.completeSignIn);
+  if (!provider) throw new Error(`Sign-in failed: provider "${pending.provider}" is no longer configured`);
+  return { credentials: await provider.completeSignIn(params, pending), provider };
+};
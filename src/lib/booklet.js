@@ -0,0 +1,452 @@
+// Barcode booklets
+// A printable booklet of barcodes (cover page, contents, then the barcodes
+// section by section with page numbers) built from catalog items or scanbook
+// scenarios and written out as PDF or SVG entirely in the browser. Every
+// barcode is drawn module by module as vector rectangles at a fixed
+// X-dimension (the width of one module, in mm), so it prints sharp and at a
+// known size instead of scaling a canvas: UPC / EAN / Code 39 / ITF-14 come
+// from ./linear and the other symbologies from the bwip-js raw encoder (the
+// loaded engine is passed in, see ./bwip).
+// Pages are lists of drawing primitives in mm from the top-left corner:
+//   { type: 'rect', x, y, width, height, color }
+//   { type: 'text', x, y (baseline), text, size (pt), font, align, color }
+//   { type: 'line', x1, y1, x2, y2, width, color }
+
+import { encodeLinear } from './linear';
+import { toBwipFnc } from './gs1';
+import { resolveGtin14 } from './upcEan';
+import { PAGE_SIZES } from './labels';
+
+const PT = 25.4 / 72;
+
+const BLACK = '#000000';
+const GREY = '#64748b';
+const RULE = '#cbd5e1';
+const RED = '#b91c1c';
+
+export const X_DIMENSIONS = [
+  { value: 0.264, label: '0.264 mm (80%)' },
+  { value: 0.33, label: '0.33 mm (100%)' },
+  { value: 0.396, label: '0.396 mm (120%)' },
+  { value: 0.495, label: '0.495 mm (150%)' }
+];
+
+export const DEFAULT_X_DIMENSION = 0.33;
+
+// Advance widths (1/1000 em) of the standard PDF fonts for ASCII 32-126, so
+// text can be measured, centred and wrapped the same way in PDF and SVG
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// PDF base font and SVG font family of each font
+const FONTS = {
+  regular: { pdf: 'Helvetica', svg: 'Helvetica, Arial, sans-serif', weight: 'normal', widths: HELVETICA },
+  bold: { pdf: 'Helvetica-Bold', svg: 'Helvetica, Arial, sans-serif', weight: 'bold', widths: HELVETICA_BOLD },
+  mono: { pdf: 'Courier', svg: 'Courier, monospace', weight: 'normal', widths: null }
+};
+
+const charWidth = (char, font) => {
+  if (!FONTS[font].widths) return 600;
+  // Accented Latin letters measure as their base letter
+  const code = char.normalize('NFD').charCodeAt(0);
+  return code >= 32 && code <= 126 ? FONTS[font].widths[code - 32] : 556;
+};
+
+// Width of a string in mm
+export const textWidth = (text, size, font = 'regular') => [...text].reduce((sum, char) => sum + charWidth(char, font), 0) / 1000 * size * PT;
+
+// Break text into lines no wider than `width` mm
+export const wrapText = (text, size, width, font = 'regular') => String(text).split('\n').flatMap((paragraph) => {
+  const lines = [];
+  let line = '';
+  paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+    const next = line ? `${line} ${word}` : word;
+    if (line && textWidth(next, size, font) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  });
+  return line ? [...lines, line] : lines;
+});
+
+// Shorten a string with an ellipsis to fit `width` mm
+const fitText = (text, size, width, font = 'regular') => {
+  if (textWidth(text, size, font) <= width) return text;
+  let fitted = text;
+  while (fitted && textWidth(`${fitted}…`, size, font) > width) fitted = fitted.slice(0, -1);
+  return `${fitted}…`;
+};
+
+// Symbols, in modules: { width, height, rects: [{ x, y, width, height }], hri: [{ text, x }], hriY }
+const BAR_HEIGHT = 60;
+const GUARD_EXTRA = 5;
+const HRI_SIZE = 8;
+
+const linearSymbol = (symbol) => {
+  const [quietLeft, quietRight] = symbol.quietZone;
+  const width = quietLeft + symbol.modules.length + quietRight;
+  const isGuard = (i) => symbol.guards.some(([start, end]) => i >= start && i < end);
+  const rects = [];
+  for (let i = 0; i < symbol.modules.length; i++) {
+    if (symbol.modules[i] !== '1') continue;
+    const height = isGuard(i) ? BAR_HEIGHT + GUARD_EXTRA : BAR_HEIGHT;
+    // Merge runs of dark modules of the same height into one bar
+    const last = rects[rects.length - 1];
+    if (last && last.x + last.width === quietLeft + i && last.height === height) last.width += 1;
+    else rects.push({ x: quietLeft + i, y: 0, width: 1, height });
+  }
+  if (symbol.bearer) {
+    rects.push({ x: 0, y: 0, width, height: 2 }, { x: 0, y: BAR_HEIGHT - 2, width, height: 2 }, { x: 0, y: 0, width: 2, height: BAR_HEIGHT }, { x: width - 2, y: 0, width: 2, height: BAR_HEIGHT });
+  }
+  return {
+    width,
+    height: BAR_HEIGHT + HRI_SIZE + 2,
+    rects,
+    hri: symbol.text.map(({ text, x }) => ({ text, x: quietLeft + x })),
+    hriY: BAR_HEIGHT + HRI_SIZE + 1
+  };
+};
+
+// Space / bar widths from bwip-js (starting with a bar) as bars
+const barsSymbol = ({ sbs }, text) => {
+  const quiet = 10;
+  const rects = [];
+  let x = quiet;
+  sbs.forEach((w, i) => {
+    if (i % 2 === 0) rects.push({ x, y: 0, width: w, height: BAR_HEIGHT });
+    x += w;
+  });
+  return { width: x + quiet, height: BAR_HEIGHT + HRI_SIZE + 2, rects, hri: [{ text, x: (x + quiet) / 2 }], hriY: BAR_HEIGHT + HRI_SIZE + 1 };
+};
+
+// A bwip-js matrix (2D or stacked) as runs of dark modules
+const matrixSymbol = ({ pixs, pixx }, rowHeight, quiet) => {
+  const rows = pixs.length / pixx;
+  const rects = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < pixx; col++) {
+      if (!pixs[row * pixx + col]) continue;
+      let run = 1;
+      while (col + run < pixx && pixs[row * pixx + col + run]) run++;
+      rects.push({ x: quiet + col, y: quiet + row * rowHeight, width: run, height: rowHeight });
+      col += run - 1;
+    }
+  }
+  return { width: pixx + 2 * quiet, height: rows * rowHeight + 2 * quiet, rects, hri: [], hriY: 0 };
+};
+
+// The first bwip-js encoding that succeeds, or null
+const rawSymbol = (bwip, attempts) => {
+  for (const options of attempts) {
+    try {
+      return bwip.raw(options)[0];
+    } catch {
+      // Try the next encoding
+    }
+  }
+  return null;
+};
+
+// The symbol an item prints as, following its barcodeType like the on-screen
+// barcodes; null when it cannot be encoded (or bwip-js is needed but missing)
+export const itemSymbol = (item, bwip) => {
+  const value = item.barcode || item.sku;
+  const gtin = resolveGtin14(item.gtin || value);
+  const gs1Hri = item.gs1Display || (gtin ? `(01)${gtin}` : null);
+  const viaBwip = (attempts, draw) => {
+    if (!bwip) return null;
+    const raw = rawSymbol(bwip, attempts);
+    return raw ? draw(raw) : null;
+  };
+  switch (item.barcodeType) {
+    case 'GS1 2D': {
+      // Values that are not GTINs print as a plain DataMatrix of their digits
+      const gs1 = item.gs1String || (gtin ? `01${gtin}` : null);
+      const plain = { bcid: 'datamatrix', text: String(item.gtin || value).replace(/[^0-9]/g, '') };
+      return viaBwip([
+        ...(!gs1 ? [] : [gs1.startsWith('(') ? { bcid: 'gs1datamatrix', text: gs1 } : { bcid: 'datamatrix', text: toBwipFnc(gs1), parsefnc: true }]),
+        plain
+      ], raw => matrixSymbol(raw, 1, 2));
+    }
+    case 'GS1 QR':
+      return viaBwip([gs1Hri ? { bcid: 'gs1qrcode', text: gs1Hri } : { bcid: 'qrcode', text: value }], raw => matrixSymbol(raw, 1, 4));
+    case 'QR':
+      return viaBwip([{ bcid: 'qrcode', text: value }], raw => matrixSymbol(raw, 1, 4));
+    case 'PDF417':
+      return viaBwip([{ bcid: 'pdf417', text: value, columns: 2 }], raw => matrixSymbol(raw, raw.pixy / (raw.pixs.length / raw.pixx), 2));
+    case 'GS1-128':
+      if (!gs1Hri) return viaBwip([{ bcid: 'code128', text: value }], raw => barsSymbol(raw, value));
+      return viaBwip([{ bcid: 'gs1-128', text: gs1Hri }], raw => barsSymbol(raw, gs1Hri));
+    case 'Code 128':
+      return viaBwip([{ bcid: 'code128', text: value }], raw => barsSymbol(raw, value));
+    default: {
+      const symbol = encodeLinear(value, item.barcodeType);
+      if (symbol) return linearSymbol(symbol);
+      return viaBwip([{ bcid: 'code128', text: String(value ?? '') }], raw => barsSymbol(raw, String(value ?? '')));
+    }
+  }
+};
+
+// Booklet layout
+const MARGIN = 15;
+const FOOTER = 8;
+const ENTRY_GAP = 5;
+const TOC_LINE = 7;
+
+const text = (x, y, value, size, options = {}) => ({ type: 'text', x, y, text: value, size, font: 'regular', align: 'left', color: BLACK, ...options });
+
+// Draw a symbol with its top-left corner at (x, y)
+const drawSymbol = (symbol, x, y, xDim) => [
+  ...symbol.rects.map(r => ({ type: 'rect', x: x + r.x * xDim, y: y + r.y * xDim, width: r.width * xDim, height: r.height * xDim, color: BLACK })),
+  ...symbol.hri.map(h => text(x + h.x * xDim, y + symbol.hriY * xDim, h.text, HRI_SIZE * xDim / PT, { font: 'mono', align: 'center' }))
+];
+
+const itemDetails = (item, formatPrice) => [
+  item.uom,
+  item.department,
+  item.price !== undefined ? formatPrice(item.price) : null
+].filter(Boolean).join(' · ');
+
+// Lay out a booklet.
+//   sections: [{ title, description?, items: [item] }]
+// `bwip` is the loaded bwip-js engine (for 2D and Code 128 symbols) and
+// formatPrice formats item prices. Returns { width, height, pages }.
+export const buildBooklet = ({ title, subtitle = '', sections, page = 'letter', xDimension = DEFAULT_X_DIMENSION, bwip = null, formatPrice = String, generatedAt = new Date() }) => {
+  const { width, height } = PAGE_SIZES[page];
+  const content = width - 2 * MARGIN;
+  const bottom = height - MARGIN - FOOTER;
+  const itemCount = sections.reduce((sum, section) => sum + section.items.length, 0);
+
+  // Cover
+  const cover = [
+    ...wrapText(title, 26, content, 'bold').map((line, i) => text(width / 2, height / 3 + i * 11, line, 26, { font: 'bold', align: 'center' })),
+    ...(subtitle ? [text(width / 2, height / 3 + wrapText(title, 26, content, 'bold').length * 11 + 4, subtitle, 14, { align: 'center', color: GREY })] : []),
+    text(width / 2, height * 0.6, `${itemCount} barcode${itemCount === 1 ? '' : 's'} in ${sections.length} section${sections.length === 1 ? '' : 's'}`, 12, { align: 'center' }),
+    text(width / 2, height * 0.6 + 7, `Generated ${generatedAt.toLocaleString()}`, 10, { align: 'center', color: GREY }),
+    text(width / 2, height - MARGIN - 10, `Barcodes are drawn at an X-dimension of ${xDimension} mm. Print at 100% / actual size.`, 9, { align: 'center', color: GREY })
+  ];
+
+  // Contents pages come before the body, so their count fixes the body's page numbers
+  const tocPerPage = Math.floor((bottom - MARGIN - 16) / TOC_LINE);
+  const tocPages = Math.max(1, Math.ceil(sections.length / tocPerPage));
+
+  // Body
+  const body = [];
+  const sectionPages = [];
+  let current = null;
+  let y = 0;
+  const newPage = () => {
+    current = [];
+    body.push(current);
+    y = MARGIN;
+  };
+
+  sections.forEach((section, index) => {
+    const description = section.description ? wrapText(section.description, 9, content) : [];
+    const headingHeight = 9 + description.length * 4.2 + 3;
+    const entries = section.items.map((item) => {
+      const symbol = itemSymbol(item, bwip);
+      const symbolWidth = symbol ? symbol.width * xDimension : 0;
+      const symbolHeight = symbol ? symbol.height * xDimension : 6;
+      // The barcode sits beside the text unless that leaves too little room
+      const beside = symbolWidth <= content - 60;
+      const textWidthMm = beside ? content - symbolWidth - 6 : content;
+      const name = wrapText(item.name || item.sku, 11, textWidthMm, 'bold');
+      const details = itemDetails(item, formatPrice);
+      const textHeight = name.length * 5 + 5 + (details ? 4.5 : 0);
+      return { item, symbol, symbolWidth, symbolHeight, beside, textWidthMm, name, details, textHeight, height: beside ? Math.max(textHeight, symbolHeight) : textHeight + 2 + symbolHeight };
+    });
+
+    entries.forEach((entry, i) => {
+      const needed = entry.height + (i === 0 ? headingHeight : 0);
+      if (!current || y + needed > bottom) {
+        newPage();
+        if (i > 0) {
+          current.push(text(MARGIN, y + 4, `${section.title} (continued)`, 9, { color: GREY }));
+          y += 8;
+        }
+      }
+      if (i === 0) {
+        sectionPages[index] = body.length;
+        current.push(text(MARGIN, y + 6, fitText(section.title, 14, content, 'bold'), 14, { font: 'bold' }));
+        description.forEach((line, j) => current.push(text(MARGIN, y + 12 + j * 4.2, line, 9, { color: GREY })));
+        current.push({ type: 'line', x1: MARGIN, y1: y + headingHeight - 1, x2: width - MARGIN, y2: y + headingHeight - 1, width: 0.4, color: BLACK });
+        y += headingHeight + 2;
+      }
+
+      const { item, symbol } = entry;
+      entry.name.forEach((line, j) => current.push(text(MARGIN, y + 4 + j * 5, line, 11, { font: 'bold' })));
+      let textY = y + 4 + entry.name.length * 5;
+      current.push(text(MARGIN, textY, fitText(item.sku, 9, entry.textWidthMm, 'mono'), 9, { font: 'mono' }));
+      if (entry.details) {
+        textY += 4.5;
+        current.push(text(MARGIN, textY, fitText(entry.details, 9, entry.textWidthMm), 9, { color: GREY }));
+      }
+      const symbolX = entry.beside ? width - MARGIN - entry.symbolWidth : MARGIN;
+      const symbolY = entry.beside ? y : y + entry.textHeight + 2;
+      if (!symbol) {
+        current.push(text(entry.beside ? width - MARGIN : MARGIN, symbolY + 4, 'Barcode could not be encoded', 9, { color: RED, align: entry.beside ? 'right' : 'left' }));
+      } else if (entry.symbolWidth > content) {
+        current.push(text(MARGIN, symbolY + 4, `Barcode is wider than the page at ${xDimension} mm; choose a smaller X-dimension`, 9, { color: RED }));
+      } else {
+        current.push(...drawSymbol(symbol, symbolX, symbolY, xDimension));
+      }
+      y += entry.height + ENTRY_GAP / 2;
+      current.push({ type: 'line', x1: MARGIN, y1: y, x2: width - MARGIN, y2: y, width: 0.2, color: RULE });
+      y += ENTRY_GAP / 2;
+    });
+  });
+
+  // Contents, by section, with the page each one starts on
+  const firstBodyPage = 2 + tocPages;
+  const toc = Array.from({ length: tocPages }, (_, p) => {
+    const items = [text(MARGIN, MARGIN + 8, p === 0 ? 'Contents' : 'Contents (continued)', 18, { font: 'bold' })];
+    sections.slice(p * tocPerPage, (p + 1) * tocPerPage).forEach((section, i) => {
+      const lineY = MARGIN + 20 + i * TOC_LINE;
+      const pageNumber = String(firstBodyPage + sectionPages[p * tocPerPage + i] - 1);
+      const label = fitText(`${section.title} (${section.items.length})`, 11, content - 20);
+      const leaderStart = MARGIN + textWidth(label, 11) + 2;
+      const leaderEnd = width - MARGIN - textWidth(pageNumber, 11) - 2;
+      const dots = Math.max(0, Math.floor((leaderEnd - leaderStart) / textWidth('. ', 11)));
+      items.push(
+        text(MARGIN, lineY, label, 11),
+        text(leaderEnd, lineY, '. '.repeat(dots).trim(), 11, { align: 'right', color: GREY }),
+        text(width - MARGIN, lineY, pageNumber, 11, { align: 'right' })
+      );
+    });
+    return items;
+  });
+
+  const pages = [cover, ...toc, ...body];
+  // Footer with the booklet title and page number on every page but the cover
+  pages.forEach((items, i) => {
+    if (i === 0) return;
+    items.push(
+      { type: 'line', x1: MARGIN, y1: height - MARGIN - 4, x2: width - MARGIN, y2: height - MARGIN - 4, width: 0.2, color: RULE },
+      text(MARGIN, height - MARGIN, fitText(title, 8, content - 30), 8, { color: GREY }),
+      text(width - MARGIN, height - MARGIN, `Page ${i + 1} of ${pages.length}`, 8, { align: 'right', color: GREY })
+    );
+  });
+  return { width, height, pages };
+};
+
+// SVG: every page stacked top to bottom in one document, in mm
+const PAGE_GAP = 10;
+
+const escapeXml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const svgItem = (item) => {
+  switch (item.type) {
+    case 'rect':
+      return `<rect x="${round(item.x)}" y="${round(item.y)}" width="${round(item.width)}" height="${round(item.height)}" fill="${item.color}"/>`;
+    case 'line':
+      return `<line x1="${round(item.x1)}" y1="${round(item.y1)}" x2="${round(item.x2)}" y2="${round(item.y2)}" stroke="${item.color}" stroke-width="${item.width}"/>`;
+    default: {
+      const anchor = { left: 'start', center: 'middle', right: 'end' }[item.align];
+      const font = FONTS[item.font];
+      return `<text x="${round(item.x)}" y="${round(item.y)}" font-family="${font.svg}" font-weight="${font.weight}" font-size="${round(item.size * PT)}" text-anchor="${anchor}" fill="${item.color}" xml:space="preserve">${escapeXml(item.text)}</text>`;
+    }
+  }
+};
+
+export const bookletToSvg = ({ width, height, pages }) => {
+  const total = pages.length * height + (pages.length - 1) * PAGE_GAP;
+  const body = pages.map((items, i) => [
+    `<g transform="translate(0 ${i * (height + PAGE_GAP)})">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff" stroke="${RULE}" stroke-width="0.2"/>`,
+    ...items.map(svgItem),
+    '</g>'
+  ].join('\n')).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${total}mm" viewBox="0 0 ${width} ${total}">\n${body}\n</svg>\n`;
+};
+
+// PDF: the standard Helvetica / Courier fonts in WinAnsiEncoding, so text
+// needs no embedded font; characters outside it print as '?'
+const WIN_ANSI = { '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99 };
+
+const pdfString = (value) => `(${[...String(value)].map((char) => {
+  const code = char.charCodeAt(0);
+  const byte = WIN_ANSI[char] || (code >= 32 && code <= 255 && char.length === 1 && !(code >= 127 && code < 160) ? code : 63);
+  if (byte === 40 || byte === 41 || byte === 92) return `\\${String.fromCharCode(byte)}`;
+  return String.fromCharCode(byte);
+}).join('')})`;
+
+// Document information strings are UTF-16 with a byte order mark
+const pdfTextString = (value) => `<FEFF${[...String(value)].map(char => char.charCodeAt(0).toString(16).padStart(4, '0')).join('')}>`;
+
+const pdfColor = (hex) => [1, 3, 5].map(i => round(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+
+const FONT_IDS = { regular: 'F1', bold: 'F2', mono: 'F3' };
+
+const pdfPage = (items, height) => {
+  const k = 72 / 25.4;
+  const ops = [];
+  // Rectangles of one colour are filled together
+  const byColor = {};
+  items.filter(item => item.type === 'rect').forEach((r) => {
+    (byColor[r.color] = byColor[r.color] || []).push(`${round(r.x * k)} ${round((height - r.y - r.height) * k)} ${round(r.width * k)} ${round(r.height * k)} re`);
+  });
+  Object.entries(byColor).forEach(([color, rects]) => ops.push(`${pdfColor(color)} rg`, ...rects, 'f'));
+  items.filter(item => item.type === 'line').forEach((l) => {
+    ops.push(`${pdfColor(l.color)} RG ${round(l.width * k)} w ${round(l.x1 * k)} ${round((height - l.y1) * k)} m ${round(l.x2 * k)} ${round((height - l.y2) * k)} l S`);
+  });
+  items.filter(item => item.type === 'text').forEach((t) => {
+    const w = textWidth(t.text, t.size, t.font);
+    const x = t.align === 'center' ? t.x - w / 2 : t.align === 'right' ? t.x - w : t.x;
+    ops.push(`BT /${FONT_IDS[t.font]} ${round(t.size)} Tf ${pdfColor(t.color)} rg ${round(x * k)} ${round((height - t.y) * k)} Td ${pdfString(t.text)} Tj ET`);
+  });
+  return ops.join('\n');
+};
+
+// The booklet as PDF file bytes
+export const bookletToPdf = ({ width, height, pages }, title = '') => {
+  const k = 72 / 25.4;
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const catalog = add('');
+  const pageTree = add('');
+  const fonts = Object.entries(FONT_IDS).map(([font, id]) => [id, add(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[font].pdf} /Encoding /WinAnsiEncoding >>`)]);
+  const resources = `<< /Font << ${fonts.map(([id, ref]) => `/${id} ${ref} 0 R`).join(' ')} >> >>`;
+  const kids = pages.map((items) => {
+    const stream = pdfPage(items, height);
+    const contents = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${round(width * k)} ${round(height * k)}] /Resources ${resources} /Contents ${contents} 0 R >>`);
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+  objects[pageTree - 1] = `<< /Type /Pages /Kids [${kids.map(ref => `${ref} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+  const info = add(`<< /Title ${pdfTextString(title)} /Producer (ELERA Scanbook Portal) >>`);
+
+  let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  // Every character above is a single byte (see pdfString)
+  return Uint8Array.from(pdf, char => char.charCodeAt(0));
+};
@@ -0,0 +1,27 @@
+// bwip-js barcode engine loader
+// The engine is an npm dependency bundled by Vite and code-split into its own
+// chunk, so it is served from our own origin (and works offline from the nginx
+// container). It is fetched the first time a 2D or Code 128 symbol is drawn and
+// the loaded module is shared by every barcode component.
+
+let engine = null;
+let pending = null;
+
+// The engine if it has already loaded, otherwise null
+export const getBwip = () => engine;
+
+export const loadBwip = () => {
+  if (!pending) {
+    pending = import('bwip-js/browser')
+      .then((module) => {
+        engine = module.default || module;
+        return engine;
+      })
+      .catch((err) => {
+        // Let the next caller retry (e.g. after a deploy replaced the chunk)
+        pending = null;
+        throw err;
+      });
+  }
+  return pending;
+};
@@ -0,0 +1,108 @@
+// Runtime datasets
+// The item catalog and the built-in scanbooks are JSON documents under
+// public/data, so a field team can swap in a retailer's catalog by replacing
+// files in the nginx container instead of rebuilding. Each retailer profile
+// (see ./profiles) has a manifest naming every dataset with its file, relative
+// to the manifest, and kind:
+//   { version, currency?, locale?, datasets: { [name]: { file, kind: 'scanbook' | 'categories' | 'catalog', version? } } }
+// currency (ISO 4217) and locale price the profile's items and receipts; they
+// default to USD and en-US.
+// The manifest is always fetched fresh; dataset URLs carry the dataset (or
+// manifest) version so browsers re-download them only after a version bump.
+// Everything is validated before the app renders, and the loaded datasets are
+// shared module-wide like the bwip-js engine (see ./bwip).
+
+import { DEFAULT_MONEY, formatMoney } from './promotions';
+import { validateScanbook } from './scanbooks';
+
+let datasets = null;
+const pending = {};
+
+// The active profile's datasets ({ version, money, [name]: data }), or null before loading
+export const getDatasets = () => datasets;
+
+const MAX_ERRORS = 5;
+
+const itemErrors = (items, label) => {
+  if (!Array.isArray(items)) return [`${label}: missing items list`];
+  const bad = items.findIndex(item => !item || typeof item.name !== 'string' || typeof item.sku !== 'string');
+  return bad === -1 ? [] : [`${label}: item ${bad + 1} needs a name and SKU`];
+};
+
+// Items grouped into categories (Pharmacy, GS1) or departments (the catalog)
+const groupedErrors = (data, listKey) => {
+  if (!data || typeof data.title !== 'string') return ['Missing title'];
+  if (!Array.isArray(data[listKey])) return [`Missing ${listKey} list`];
+  return data[listKey].flatMap((group, i) => {
+    const label = group?.name || `${listKey} ${i + 1}`;
+    if (!group?.id || !group.name) return [`${label}: missing id or name`];
+    return itemErrors(group.items, label);
+  });
+};
+
+const SCHEMAS = {
+  scanbook: validateScanbook,
+  categories: (data) => groupedErrors(data, 'categories'),
+  catalog: (data) => groupedErrors(data, 'groups')
+};
+
+// Problems with one dataset document, as readable messages
+export const validateDataset = (kind, data) => {
+  const schema = SCHEMAS[kind];
+  if (!schema) return [`Unknown dataset kind "${kind}"`];
+  return schema(data).slice(0, MAX_ERRORS);
+};
+
+const fetchJson = async (url, label, options) => {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (err) {
+    throw new Error(`${label}: ${err.message}`);
+  }
+  if (!response.ok) throw new Error(`${label}: HTTP ${response.status}`);
+  try {
+    return await response.json();
+  } catch {
+    throw new Error(`${label}: not valid JSON`);
+  }
+};
+
+const fetchDatasets = async (manifestUrl) => {
+  const manifestName = manifestUrl.slice(manifestUrl.lastIndexOf('/') + 1);
+  const baseUrl = manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1);
+  const manifest = await fetchJson(manifestUrl, manifestName, { cache: 'no-cache' });
+  if (!manifest?.datasets || typeof manifest.datasets !== 'object') throw new Error(`${manifestName}: missing datasets`);
+  const money = { currency: manifest.currency || DEFAULT_MONEY.currency, locale: manifest.locale || DEFAULT_MONEY.locale };
+  try {
+    formatMoney(0, money);
+  } catch {
+    throw new Error(`${manifestName}: unknown currency "${money.currency}" or locale "${money.locale}"`);
+  }
+
+  const entries = await Promise.all(Object.entries(manifest.datasets).map(async ([name, entry]) => {
+    const version = entry.version || manifest.version;
+    const url = `${baseUrl}${entry.file}${version ? `?v=${encodeURIComponent(version)}` : ''}`;
+    const data = await fetchJson(url, entry.file);
+    const errors = validateDataset(entry.kind, data);
+    if (errors.length > 0) throw new Error(`${entry.file}: ${errors.join('; ')}`);
+    return [name, data];
+  }));
+  return { version: manifest.version || null, money, ...Object.fromEntries(entries) };
+};
+
+// Fetch and validate every dataset of a manifest (once per manifest) and make
+// them the active datasets; rejects with the first problem found
+export const loadDatasets = (manifestUrl) => {
+  if (!pending[manifestUrl]) {
+    pending[manifestUrl] = fetchDatasets(manifestUrl).catch((err) => {
+      // Let a retry fetch again (e.g. after the files were fixed)
+      delete pending[manifestUrl];
+      throw err;
+    });
+  }
+  return pending[manifestUrl].then((loaded) => {
+    datasets = loaded;
+    return loaded;
+  });
+};
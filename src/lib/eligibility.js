@@ -0,0 +1,66 @@
+// Promotion eligibility rules
+// Scanbook tests may carry an `eligibility` object:
+//   days            - day-of-week abbreviations the promotion runs on ('Tue', 'Wed')
+//   timeWindows     - [{ start: 'HH:MM', end: 'HH:MM' }]; a window may cross midnight
+//   segments        - loyalty segments, any one of which qualifies the customer
+//   loyaltyRequired - a loyalty card must be scanned (implied by segments)
+//   minSpend        - basket amount, in dollars, that must be reached first
+//   minAge          - the POS asks for ID and blocks under-age sales
+// Days and time windows decide whether the promotion can fire right now; the
+// rest are conditions on the customer or basket that the tester has to meet.
+
+export const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const inWindow = ({ start, end }, minutes) => {
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+  return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+};
+
+// Loyalty accounts that belong to at least one of the required segments
+export const matchingAccounts = (eligibility, accounts) => {
+  const segments = eligibility?.segments || [];
+  if (segments.length === 0) return accounts;
+  return accounts.filter(account => (account.segments || []).some(segment => segments.includes(segment)));
+};
+
+// Evaluate a test's eligibility at a moment in time. Returns
+//   { firesNow, checks: [{ label, ok, detail }] }
+// where ok is true/false for timing checks and null for conditions the tester
+// satisfies at the lane (segment, spend, age).
+export const evaluateEligibility = (eligibility, now = new Date()) => {
+  const checks = [];
+  if (!eligibility) return { firesNow: true, checks };
+
+  if (eligibility.days?.length) {
+    const today = DAYS[now.getDay()];
+    checks.push({ label: `Days: ${eligibility.days.join(', ')}`, ok: eligibility.days.includes(today), detail: `Today is ${today}` });
+  }
+  if (eligibility.timeWindows?.length) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const time = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    checks.push({
+      label: `Hours: ${eligibility.timeWindows.map(w => `${w.start}–${w.end}`).join(', ')}`,
+      ok: eligibility.timeWindows.some(w => inWindow(w, minutes)),
+      detail: `It is ${time}`
+    });
+  }
+  if (eligibility.segments?.length) {
+    checks.push({ label: `Segment: ${eligibility.segments.join(' or ')}`, ok: null, detail: 'Scan a loyalty card from this segment' });
+  } else if (eligibility.loyaltyRequired) {
+    checks.push({ label: 'Loyalty card required', ok: null, detail: 'Scan any loyalty card' });
+  }
+  if (eligibility.minSpend) {
+    checks.push({ label: `Minimum spend: $${eligibility.minSpend.toFixed(2)}`, ok: null, detail: 'Basket must reach this amount first' });
+  }
+  if (eligibility.minAge) {
+    checks.push({ label: `Age: ${eligibility.minAge}+`, ok: null, detail: 'POS prompts for an ID check' });
+  }
+
+  return { firesNow: checks.every(check => check.ok !== false), checks };
+};
@@ -0,0 +1,272 @@
+// GS1 element strings
+// Application Identifier (AI) dictionary, validation and the element-string
+// builder. Every build produces two forms:
+//   raw - the data a scanner transmits: AIs and values run together, with a GS
+//         (FNC1, \x1D) after each variable-length value that is not last
+//   hri - the human-readable interpretation: "(01)00049000000443(16)251215"
+
+import { hasValidCheckDigit, mod10CheckDigit } from './gtin';
+
+export const GS = '\x1D';
+
+// AI dictionary. Fixed-length AIs have `length`, variable-length ones `maxLength`.
+// Format 'N' is numeric, 'X' the GS1 82-character set. `decimals` marks the
+// 4-digit AIs whose last digit is the implied decimal position (310n, 320n, 392n).
+export const GS1_AIS = {
+  '00': { title: 'SSCC', label: 'Serial Shipping Container Code', format: 'N', length: 18, checkDigit: true },
+  '01': { title: 'GTIN', label: 'Global Trade Item Number', format: 'N', length: 14, checkDigit: true },
+  '02': { title: 'CONTENT', label: 'GTIN of contained trade items', format: 'N', length: 14, checkDigit: true },
+  '10': { title: 'BATCH/LOT', label: 'Batch or lot number', format: 'X', maxLength: 20 },
+  '11': { title: 'PROD DATE', label: 'Production date', format: 'N', length: 6, date: true },
+  '13': { title: 'PACK DATE', label: 'Packaging date', format: 'N', length: 6, date: true },
+  '15': { title: 'BEST BEFORE', label: 'Best before date', format: 'N', length: 6, date: true },
+  '16': { title: 'SELL BY', label: 'Sell by date', format: 'N', length: 6, date: true },
+  '17': { title: 'USE BY', label: 'Expiration date', format: 'N', length: 6, date: true },
+  '21': { title: 'SERIAL', label: 'Serial number', format: 'X', maxLength: 20 },
+  '30': { title: 'VAR. COUNT', label: 'Variable count of items', format: 'N', maxLength: 8 },
+  '37': { title: 'COUNT', label: 'Count of trade items', format: 'N', maxLength: 8 },
+  '240': { title: 'ADDITIONAL ID', label: 'Additional product identification', format: 'X', maxLength: 30 },
+  '400': { title: 'ORDER NUMBER', label: "Customer's purchase order number", format: 'X', maxLength: 30 },
+  '410': { title: 'SHIP TO LOC', label: 'Ship to / deliver to GLN', format: 'N', length: 13, checkDigit: true },
+  '414': { title: 'LOC No.', label: 'GLN of a physical location', format: 'N', length: 13, checkDigit: true },
+  '422': { title: 'ORIGIN', label: 'Country of origin (ISO 3166)', format: 'N', length: 3 },
+  '310n': { title: 'NET WEIGHT (kg)', label: 'Net weight, kilograms', format: 'N', length: 6, decimals: 5, unit: 'kg' },
+  '320n': { title: 'NET WEIGHT (lb)', label: 'Net weight, pounds', format: 'N', length: 6, decimals: 5, unit: 'lb' },
+  '392n': { title: 'PRICE', label: 'Amount payable, single monetary area', format: 'N', maxLength: 15, decimals: 9 },
+  '8200': { title: 'PRODUCT URL', label: 'Extended packaging URL', format: 'X', maxLength: 70 }
+};
+
+// Two-digit AI prefixes whose total length is predefined by the GS1 General
+// Specifications. Only these may be followed by another AI without a separator.
+const PREDEFINED_LENGTH_PREFIXES = ['00', '01', '02', '03', '04', '11', '12', '13', '14', '15', '16', '17', '18', '19', '20', '31', '32', '33', '34', '35', '36', '41'];
+
+const X_CHARSET = /^[!"%-?A-Z_a-z]*$/;
+
+// Dictionary entry for an AI, resolving decimal-position AIs such as 3103 to 310n
+export const getAi = (ai) => {
+  if (GS1_AIS[ai]) return { ai, ...GS1_AIS[ai] };
+  const decimalKey = `${ai.slice(0, 3)}n`;
+  const entry = GS1_AIS[decimalKey];
+  if (ai.length === 4 && entry && Number(ai[3]) <= entry.decimals) {
+    return { ai, ...entry, decimalPosition: Number(ai[3]) };
+  }
+  return null;
+};
+
+export const isPredefinedLength = (ai) => PREDEFINED_LENGTH_PREFIXES.includes(ai.slice(0, 2));
+
+// YYMMDD date check. DD may be 00, meaning the last day of the month.
+export const isValidGs1Date = (value) => {
+  if (!/^\d{6}$/.test(value)) return false;
+  const month = Number(value.slice(2, 4));
+  const day = Number(value.slice(4, 6));
+  if (month < 1 || month > 12) return false;
+  const daysInMonth = new Date(2000 + Number(value.slice(0, 2)), month, 0).getDate();
+  return day <= daysInMonth;
+};
+
+// Convert an ISO date input value (YYYY-MM-DD) to a GS1 YYMMDD date
+export const toGs1Date = (isoDate) => isoDate.replace(/-/g, '').substring(2);
+
+// GS1 YYMMDD date offsetDays from today (negative for the past)
+export const relativeGs1Date = (offsetDays, today = new Date()) => {
+  const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offsetDays);
+  return `${String(date.getFullYear() % 100).padStart(2, '0')}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Date elements may be declared as { ai, offsetDays } instead of a fixed value
+// so test items never go stale; resolve them against today's date.
+export const resolveElements = (elements, today = new Date()) => elements.map(el => (
+  el && el.offsetDays !== undefined && el.offsetDays !== null
+    ? { ai: el.ai, value: relativeGs1Date(el.offsetDays, today) }
+    : el
+));
+
+// Error message for one element, or null when it is valid
+export const validateElement = ({ ai, value }) => {
+  const entry = getAi(ai);
+  if (!entry) return `Unknown AI (${ai})`;
+  if (value === undefined || value === null || value === '') return `AI (${ai}) ${entry.title} has no value`;
+  if (entry.format === 'N' && !/^\d+$/.test(value)) return `AI (${ai}) ${entry.title} must be numeric`;
+  if (entry.format === 'X' && !X_CHARSET.test(value)) return `AI (${ai}) ${entry.title} contains characters outside the GS1 set`;
+  if (entry.length && value.length !== entry.length) return `AI (${ai}) ${entry.title} must be ${entry.length} digits`;
+  if (entry.maxLength && value.length > entry.maxLength) return `AI (${ai}) ${entry.title} is limited to ${entry.maxLength} characters`;
+  if (entry.checkDigit && !hasValidCheckDigit(value)) return `AI (${ai}) ${entry.title} has an invalid check digit (expected ${mod10CheckDigit(value.slice(0, -1))})`;
+  if (entry.date && !isValidGs1Date(value)) return `AI (${ai}) ${entry.title} is not a valid YYMMDD date`;
+  return null;
+};
+
+// Weight element with the decimal position chosen from the entered value:
+// 1.25 kg -> (3102)000125, 12 lb -> (3200)000012
+export const weightElement = (weight, unit = 'kg') => {
+  const text = String(weight).trim();
+  const amount = Number(text);
+  if (!text || !Number.isFinite(amount) || amount < 0) return null;
+  let decimals = Math.min((text.split('.')[1] || '').length, 5);
+  while (decimals > 0 && Math.round(amount * 10 ** decimals) > 999999) decimals--;
+  const scaled = Math.round(amount * 10 ** decimals);
+  if (scaled > 999999) return null;
+  return { ai: `${unit === 'lb' ? '320' : '310'}${decimals}`, value: String(scaled).padStart(6, '0') };
+};
+
+// Build raw and HRI element strings. Predefined-length elements go first, so
+// a separator is only needed between variable-length elements; the last
+// element never gets one.
+export const buildElementString = (elements) => {
+  const present = elements.filter(el => el && el.value !== undefined && el.value !== null && el.value !== '');
+  const errors = present
+    .map(el => ({ ai: el.ai, message: validateElement(el) }))
+    .filter(err => err.message);
+
+  const ordered = [
+    ...present.filter(el => isPredefinedLength(el.ai)),
+    ...present.filter(el => !isPredefinedLength(el.ai))
+  ];
+
+  const raw = ordered.map((el, i) => {
+    const needsSeparator = !isPredefinedLength(el.ai) && i < ordered.length - 1;
+    return `${el.ai}${el.value}${needsSeparator ? GS : ''}`;
+  }).join('');
+  const hri = ordered.map(el => `(${el.ai})${el.value}`).join('');
+
+  return { elements: ordered, raw, hri, errors };
+};
+
+// Raw element string in bwip-js parsefnc form: leading FNC1, GS as FNC1
+export const toBwipFnc = (raw) => `^FNC1${raw.split(GS).join('^FNC1')}`;
+
+// AIM symbology identifiers a scanner may prefix to GS1 data
+export const SYMBOLOGY_IDS = {
+  ']d2': 'GS1 DataMatrix',
+  ']C1': 'GS1-128',
+  ']Q3': 'GS1 QR Code',
+  ']e0': 'GS1 DataBar',
+  ']J1': 'GS1 DotCode'
+};
+
+// Ways a GS separator shows up once a scan has been pasted as text
+const GS_SPELLINGS = [/\\x1D/gi, /\\u001D/gi, /<GS>/gi, /\{GS\}/gi, /\^\]/g, /\u241D/g];
+
+// Date for a YYMMDD value, or null. The century follows the GS1 sliding
+// window around the current year; DD 00 is the last day of the month.
+export const decodeGs1Date = (value, today = new Date()) => {
+  if (!isValidGs1Date(value)) return null;
+  const yy = Number(value.slice(0, 2));
+  const currentYy = today.getFullYear() % 100;
+  const century = Math.floor(today.getFullYear() / 100) * 100;
+  let year = century + yy;
+  if (yy - currentYy >= 51) year -= 100;
+  else if (yy - currentYy <= -50) year += 100;
+  const month = Number(value.slice(2, 4));
+  const day = Number(value.slice(4, 6));
+  return day === 0 ? new Date(year, month, 0) : new Date(year, month - 1, day);
+};
+
+// Longest dictionary AI at the start of the data (4, 3 then 2 digits)
+const matchAi = (data) => {
+  for (const length of [4, 3, 2]) {
+    const entry = getAi(data.slice(0, length));
+    if (entry) return entry;
+  }
+  return null;
+};
+
+// Human-readable value for a parsed element (date, weight, price), or null
+const decodeValue = (entry, value) => {
+  if (entry.date) {
+    const date = decodeGs1Date(value);
+    if (!date) return null;
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+  if (entry.decimals !== undefined && /^\d+$/.test(value)) {
+    const amount = (Number(value) / 10 ** entry.decimalPosition).toFixed(entry.decimalPosition);
+    return entry.unit ? `${amount} ${entry.unit}` : amount;
+  }
+  return null;
+};
+
+// Parse a scanned GS1 element string. Accepts the raw transmission (with an
+// optional ]d2 / ]C1 / ]Q3 symbology identifier and GS separators, including
+// their usual text spellings) or the parenthesized HRI form. Returns
+//   { symbologyId, symbology, elements, errors, remainder }
+// where each element is { ai, value, title, label, decoded, checkDigit, error }
+// and checkDigit is 'valid' / 'invalid' for AIs that carry one.
+export const parseElementString = (input) => {
+  let data = String(input ?? '').trim();
+  GS_SPELLINGS.forEach(pattern => { data = data.replace(pattern, GS); });
+
+  let symbologyId = null;
+  const idMatch = data.match(/^\][A-Za-z]\d/);
+  if (idMatch) {
+    symbologyId = idMatch[0];
+    data = data.slice(symbologyId.length);
+  }
+  // A leading FNC1 transmitted as GS carries no data
+  if (data.startsWith(GS)) data = data.slice(1);
+
+  const elements = [];
+  const errors = [];
+  let remainder = '';
+
+  if (data.startsWith('(')) {
+    const pattern = /\((\d{2,4})\)([^(]*)/g;
+    let match;
+    let consumed = 0;
+    while ((match = pattern.exec(data)) && match.index === consumed) {
+      elements.push({ ai: match[1], value: match[2].replace(new RegExp(GS, 'g'), '') });
+      consumed += match[0].length;
+    }
+    remainder = data.slice(consumed);
+  } else {
+    let pos = 0;
+    while (pos < data.length) {
+      const entry = matchAi(data.slice(pos));
+      if (!entry) {
+        remainder = data.slice(pos);
+        break;
+      }
+      pos += entry.ai.length;
+      // A separator cuts short a truncated fixed-length value too
+      const separator = data.indexOf(GS, pos);
+      let end = separator === -1 ? data.length : separator;
+      if (entry.length) end = Math.min(end, pos + entry.length);
+      elements.push({ ai: entry.ai, value: data.slice(pos, end) });
+      pos = end;
+      if (data[pos] === GS) pos++;
+    }
+  }
+
+  if (remainder) errors.push(`Could not parse "${remainder.split(GS).join('<GS>')}"`);
+
+  const parsed = elements.map(({ ai, value }) => {
+    const entry = getAi(ai);
+    const error = validateElement({ ai, value });
+    if (error) errors.push(error);
+    return {
+      ai,
+      value,
+      title: entry ? entry.title : 'UNKNOWN',
+      label: entry ? entry.label : 'Not in the AI dictionary',
+      decoded: entry ? decodeValue(entry, value) : null,
+      checkDigit: entry?.checkDigit && /^\d+$/.test(value) && value.length === entry.length ? (hasValidCheckDigit(value) ? 'valid' : 'invalid') : null,
+      error
+    };
+  });
+
+  return { symbologyId, symbology: symbologyId ? SYMBOLOGY_IDS[symbologyId] || 'Unknown symbology' : null, elements: parsed, errors, remainder };
+};
+
+// AIs a POS compliance check blocks on once the date has passed
+const COMPLIANCE_DATE_AIS = ['15', '16', '17'];
+
+// 'expired' when a best-before, sell-by or use-by date is before today,
+// 'valid' when all of them are today or later, null when there are none
+export const complianceStatus = (elements, today = new Date()) => {
+  const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const dates = elements
+    .filter(el => el && COMPLIANCE_DATE_AIS.includes(el.ai))
+    .map(el => decodeGs1Date(el.value, today))
+    .filter(Boolean);
+  if (dates.length === 0) return null;
+  return dates.some(date => date < startOfToday) ? 'expired' : 'valid';
+};
@@ -0,0 +1,133 @@
+// GTIN check digits, validation and repair
+// Covers GTIN-8, GTIN-12 (UPC-A), GTIN-13 (EAN-13) and GTIN-14, plus the
+// zero-suppressed UPC-E form and the truncated SKUs found in the catalog
+// (UPC-A without its check digit, and without the leading number system 0).
+
+export const GTIN_LENGTHS = [8, 12, 13, 14];
+
+// GS1 Mod-10 check digit for a body of digits (check digit excluded)
+export const mod10CheckDigit = (body) => {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const digit = Number(body[body.length - 1 - i]);
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+// True when the last digit is the correct Mod-10 check digit for the rest
+export const hasValidCheckDigit = (digits) => /^\d{2,}$/.test(digits) && mod10CheckDigit(digits.slice(0, -1)) === digits.slice(-1);
+
+export const isValidGtin = (value) => {
+  const digits = String(value ?? '').trim();
+  return GTIN_LENGTHS.includes(digits.length) && hasValidCheckDigit(digits);
+};
+
+// Expand the 6 UPC-E data digits (plus number system) into the 11-digit UPC-A body
+export const expandUpcE = (numberSystem, data) => {
+  const [d1, d2, d3, d4, d5, d6] = data;
+  switch (d6) {
+    case '0':
+    case '1':
+    case '2':
+      return `${numberSystem}${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+    case '3':
+      return `${numberSystem}${d1}${d2}${d3}00000${d4}${d5}`;
+    case '4':
+      return `${numberSystem}${d1}${d2}${d3}${d4}00000${d5}`;
+    default:
+      return `${numberSystem}${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+  }
+};
+
+// Compress a 12-digit UPC-A into its 8-digit UPC-E form, or null if it has no zero-suppressed form
+export const compressUpcA = (upcA) => {
+  const numberSystem = upcA[0];
+  if (numberSystem !== '0' && numberSystem !== '1') return null;
+  const manufacturer = upcA.slice(1, 6);
+  const product = upcA.slice(6, 11);
+  const check = upcA[11];
+  let data = null;
+  if (/^\d\d[012]00$/.test(manufacturer) && product.startsWith('00')) {
+    data = `${manufacturer.slice(0, 2)}${product.slice(2)}${manufacturer[2]}`;
+  } else if (manufacturer.endsWith('00') && product.startsWith('000')) {
+    data = `${manufacturer.slice(0, 3)}${product.slice(3)}3`;
+  } else if (manufacturer.endsWith('0') && product.startsWith('0000')) {
+    data = `${manufacturer.slice(0, 4)}${product[4]}4`;
+  } else if (product.startsWith('0000') && Number(product[4]) >= 5) {
+    data = `${manufacturer}${product[4]}`;
+  }
+  if (!data || expandUpcE(numberSystem, data) !== upcA.slice(0, 11)) return null;
+  return `${numberSystem}${data}${check}`;
+};
+
+// Expand a complete 8-digit UPC-E into UPC-A, or null if it is not a valid UPC-E
+export const upcEToUpcA = (upcE) => {
+  if (!/^[01]\d{7}$/.test(upcE)) return null;
+  const upcA = expandUpcE(upcE[0], upcE.slice(1, 7)) + upcE[7];
+  return hasValidCheckDigit(upcA) ? upcA : null;
+};
+
+export const toGtin14 = (gtin) => gtin.padStart(14, '0');
+
+// UPC-A form of a GTIN, or null when it does not fit in 12 digits
+export const toUpcA = (gtin) => {
+  const gtin14 = toGtin14(gtin);
+  return gtin14.startsWith('00') ? gtin14.slice(2) : null;
+};
+
+const describe = (status, original, gtin, message) => ({
+  status,
+  original,
+  gtin,
+  gtin14: gtin ? toGtin14(gtin) : null,
+  upcA: gtin && gtin.length !== 8 ? toUpcA(gtin) : null,
+  message
+});
+
+// Classify a SKU and work out the corrected GTIN where one can be inferred.
+// Status is one of:
+//   'valid'         - a complete GTIN (or UPC-E) with a correct check digit
+//   'missing-check' - a truncated GTIN; the check digit (and leading 0) are added
+//   'bad-check'     - a full-length GTIN whose check digit is wrong; it is recomputed
+//   'not-gtin'      - PLUs, internal codes and alphanumeric SKUs; nothing to repair
+export const analyzeGtin = (sku) => {
+  const original = String(sku ?? '').trim();
+  if (!/^\d+$/.test(original)) return describe('not-gtin', original, null, 'Not a numeric GTIN');
+
+  switch (original.length) {
+    case 7:
+      return describe('missing-check', original, original + mod10CheckDigit(original), 'GTIN-8 missing its check digit');
+    case 10: {
+      const body = `0${original}`;
+      return describe('missing-check', original, body + mod10CheckDigit(body), 'UPC-A missing its number system and check digit');
+    }
+    case 11:
+      return describe('missing-check', original, original + mod10CheckDigit(original), 'UPC-A missing its check digit');
+    case 8: {
+      const upcA = upcEToUpcA(original);
+      if (upcA) return describe('valid', original, upcA, 'Valid UPC-E');
+    }
+    // falls through
+    case 12:
+    case 13:
+    case 14: {
+      if (hasValidCheckDigit(original)) return describe('valid', original, original, `Valid GTIN-${original.length}`);
+      const body = original.slice(0, -1);
+      const expected = mod10CheckDigit(body);
+      return describe('bad-check', original, body + expected, `Check digit should be ${expected}, not ${original.slice(-1)}`);
+    }
+    default:
+      return describe('not-gtin', original, null, 'Not a GTIN length');
+  }
+};
+
+// Corrected barcode to store alongside the original SKU: the GTIN-8 itself,
+// UPC-A when the GTIN fits in 12 digits, otherwise the full GTIN-14.
+// Null when nothing needs repair.
+export const normalizeGtin = (sku) => {
+  const result = analyzeGtin(sku);
+  if (result.status !== 'missing-check' && result.status !== 'bad-check') return null;
+  const barcode = result.gtin.length === 8 ? result.gtin : result.upcA || result.gtin14;
+  return { barcode, gtin: result.gtin14 };
+};
@@ -0,0 +1,112 @@
+// Label sheets
+// Lays the print queue out on sheets of label stock. A layout describes one
+// sheet: its page size, the grid of labels (columns x rows), the label size,
+// the top / left margins to the first label and the gaps between labels, all
+// in the layout's unit (mm or in):
+//   { template, page, unit, columns, rows, labelWidth, labelHeight, marginTop, marginLeft, gapX, gapY }
+// Positions come back in mm so the preview and the printed page can be drawn
+// with CSS mm at true size. Labels fill each sheet row by row; a start offset
+// skips the labels already peeled off a partly used first sheet.
+
+export const UNITS = {
+  mm: { name: 'mm', perMm: 1, step: 0.1 },
+  in: { name: 'in', perMm: 1 / 25.4, step: 0.01 }
+};
+
+export const PAGE_SIZES = {
+  letter: { name: 'US Letter', width: 215.9, height: 279.4 },
+  a4: { name: 'A4', width: 210, height: 297 }
+};
+
+// Layouts of common Avery sheets, in the unit of their published templates
+export const LABEL_TEMPLATES = [
+  { id: 'avery-5160', name: 'Avery 5160 / 8160 - 1" x 2⅝", 30 per sheet', page: 'letter', unit: 'in', columns: 3, rows: 10, labelWidth: 2.625, labelHeight: 1, marginTop: 0.5, marginLeft: 0.1875, gapX: 0.125, gapY: 0 },
+  { id: 'avery-5163', name: 'Avery 5163 / 8163 - 2" x 4", 10 per sheet', page: 'letter', unit: 'in', columns: 2, rows: 5, labelWidth: 4, labelHeight: 2, marginTop: 0.5, marginLeft: 0.15625, gapX: 0.1875, gapY: 0 },
+  { id: 'avery-22805', name: 'Avery 22805 - 1½" square, 24 per sheet', page: 'letter', unit: 'in', columns: 4, rows: 6, labelWidth: 1.5, labelHeight: 1.5, marginTop: 0.5, marginLeft: 0.5, gapX: 0.5, gapY: 0.2 },
+  { id: 'avery-l7160', name: 'Avery L7160 - 63.5 x 38.1 mm, 21 per A4 sheet', page: 'a4', unit: 'mm', columns: 3, rows: 7, labelWidth: 63.5, labelHeight: 38.1, marginTop: 15.15, marginLeft: 7.25, gapX: 2.5, gapY: 0 },
+  { id: 'avery-l7163', name: 'Avery L7163 - 99.1 x 38.1 mm, 14 per A4 sheet', page: 'a4', unit: 'mm', columns: 2, rows: 7, labelWidth: 99.1, labelHeight: 38.1, marginTop: 15.15, marginLeft: 4.65, gapX: 2.5, gapY: 0 }
+];
+
+// Item details that can be printed on a label, besides the barcode
+export const LABEL_FIELDS = [
+  { id: 'name', label: 'Name' },
+  { id: 'sku', label: 'SKU' },
+  { id: 'uom', label: 'UOM' },
+  { id: 'department', label: 'Department' },
+  { id: 'price', label: 'Price' }
+];
+
+const LENGTHS = ['labelWidth', 'labelHeight', 'marginTop', 'marginLeft', 'gapX', 'gapY'];
+
+export const templateLayout = (id) => {
+  const { id: template, name, ...layout } = LABEL_TEMPLATES.find(t => t.id === id) || LABEL_TEMPLATES[0];
+  return { template, ...layout };
+};
+
+export const DEFAULT_LAYOUT = templateLayout('avery-5160');
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// The same layout with its lengths in another unit
+export const convertLayout = (layout, unit) => ({
+  ...layout,
+  ...Object.fromEntries(LENGTHS.map(key => [key, round(layout[key] / UNITS[layout.unit].perMm * UNITS[unit].perMm)])),
+  unit
+});
+
+const toMm = (layout, key) => layout[key] / UNITS[layout.unit].perMm;
+
+// Problems with a layout, as readable messages
+export const validateLayout = (layout) => {
+  const errors = [];
+  const page = PAGE_SIZES[layout.page];
+  if (!page) errors.push(`Unknown page size "${layout.page}"`);
+  if (!UNITS[layout.unit]) return [...errors, `Unknown unit "${layout.unit}"`];
+  if (!Number.isInteger(layout.columns) || layout.columns < 1) errors.push('Columns must be a whole number of at least 1');
+  if (!Number.isInteger(layout.rows) || layout.rows < 1) errors.push('Rows must be a whole number of at least 1');
+  if (!(layout.labelWidth > 0) || !(layout.labelHeight > 0)) errors.push('Labels need a width and height');
+  if (['marginTop', 'marginLeft', 'gapX', 'gapY'].some(key => !(layout[key] >= 0))) errors.push('Margins and gaps cannot be negative');
+  if (errors.length > 0 || !page) return errors;
+  const width = toMm(layout, 'marginLeft') + layout.columns * toMm(layout, 'labelWidth') + (layout.columns - 1) * toMm(layout, 'gapX');
+  const height = toMm(layout, 'marginTop') + layout.rows * toMm(layout, 'labelHeight') + (layout.rows - 1) * toMm(layout, 'gapY');
+  // Allow for rounding in published templates
+  if (width > page.width + 0.5) errors.push(`The labels are ${round(width - page.width)} mm wider than a ${page.name} page`);
+  if (height > page.height + 0.5) errors.push(`The labels are ${round(height - page.height)} mm taller than a ${page.name} page`);
+  return errors;
+};
+
+// Page size and the position of every label on a sheet, in mm
+export const sheetGeometry = (layout) => {
+  const width = toMm(layout, 'labelWidth');
+  const height = toMm(layout, 'labelHeight');
+  const slots = [];
+  for (let row = 0; row < layout.rows; row++) {
+    for (let column = 0; column < layout.columns; column++) {
+      slots.push({
+        x: toMm(layout, 'marginLeft') + column * (width + toMm(layout, 'gapX')),
+        y: toMm(layout, 'marginTop') + row * (height + toMm(layout, 'gapY')),
+        width,
+        height
+      });
+    }
+  }
+  return { width: PAGE_SIZES[layout.page].width, height: PAGE_SIZES[layout.page].height, slots };
+};
+
+// Place `copies` labels of each queued item, starting `startAt` labels into
+// the first sheet. Returns the sheets as lists of { item, slot, x, y, width, height }.
+export const layoutSheets = (layout, entries, startAt = 0) => {
+  const { slots } = sheetGeometry(layout);
+  const labels = entries.flatMap(({ item, copies }) => Array.from({ length: Math.max(0, copies) }, () => item));
+  const sheets = [];
+  let slot = Math.min(Math.max(0, startAt), slots.length - 1);
+  labels.forEach((item) => {
+    if (sheets.length === 0 || slot === slots.length) {
+      if (sheets.length > 0) slot = 0;
+      sheets.push([]);
+    }
+    sheets[sheets.length - 1].push({ item, slot, ...slots[slot] });
+    slot++;
+  });
+  return sheets;
+};
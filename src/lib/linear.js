@@ -0,0 +1,87 @@
+// Linear (1D) symbology dispatcher
+// Adds Code 39 and ITF-14 to the UPC/EAN engine and picks the encoder from the
+// item's barcodeType. Every encoder returns the same symbol shape:
+//   { symbology, digits, modules, guards, quietZone, text, bearer? }
+// with wide elements expanded to WIDE_RATIO modules so renderers only draw modules.
+
+import { encodeUpcEan } from './upcEan';
+import { hasValidCheckDigit, mod10CheckDigit } from './gtin';
+
+const WIDE_RATIO = 3;
+
+// Code 39 element widths: 5 bars and 4 spaces per character, '1' = wide
+const CODE39_PATTERNS = {
+  '0': '000110100', '1': '100100001', '2': '001100001', '3': '101100000', '4': '000110001',
+  '5': '100110000', '6': '001110000', '7': '000100101', '8': '100100100', '9': '001100100',
+  'A': '100001001', 'B': '001001001', 'C': '101001000', 'D': '000011001', 'E': '100011000',
+  'F': '001011000', 'G': '000001101', 'H': '100001100', 'I': '001001100', 'J': '000011100',
+  'K': '100000011', 'L': '001000011', 'M': '101000010', 'N': '000010011', 'O': '100010010',
+  'P': '001010010', 'Q': '000000111', 'R': '100000110', 'S': '001000110', 'T': '000010110',
+  'U': '110000001', 'V': '011000001', 'W': '111000000', 'X': '010010001', 'Y': '110010000',
+  'Z': '011010000', '-': '010000101', '.': '110000100', ' ': '011000100', '$': '010101000',
+  '/': '010100010', '+': '010001010', '%': '000101010', '*': '010010100'
+};
+
+// Interleaved 2 of 5 digit widths, '1' = wide
+const ITF_PATTERNS = ['00110', '10001', '01001', '11000', '00101', '10100', '01100', '00011', '10010', '01010'];
+
+// Expand alternating bar/space element widths into modules, starting with a bar
+const elementsToModules = (widths) => widths.split('').map((wide, i) => {
+  const bit = i % 2 === 0 ? '1' : '0';
+  return bit.repeat(wide === '1' ? WIDE_RATIO : 1);
+}).join('');
+
+const textSymbol = (symbology, data, modules, quietZone, label = data) => ({
+  symbology,
+  digits: data,
+  modules,
+  guards: [],
+  quietZone,
+  text: [{ text: label, x: modules.length / 2 }]
+});
+
+// Code 39 (uppercase alphanumerics and - . space $ / + %), framed by * start/stop
+export const encodeCode39 = (value) => {
+  const data = String(value ?? '').trim().toUpperCase();
+  if (!data || data.split('').some(char => char === '*' || !CODE39_PATTERNS[char])) return null;
+  const modules = `*${data}*`.split('').map(char => elementsToModules(CODE39_PATTERNS[char])).join('0');
+  return textSymbol('Code 39', data, modules, [10, 10], `*${data}*`);
+};
+
+// ITF-14: a GTIN-14 in Interleaved 2 of 5 with bearer bars. Shorter GTINs are
+// zero-padded and a 13-digit body gets its check digit.
+export const encodeItf14 = (value) => {
+  let digits = String(value ?? '').trim();
+  if (!/^\d+$/.test(digits) || digits.length > 14) return null;
+  if (digits.length === 13) digits += mod10CheckDigit(digits);
+  digits = digits.padStart(14, '0');
+  if (!hasValidCheckDigit(digits)) return null;
+
+  let modules = '1010';
+  for (let i = 0; i < digits.length; i += 2) {
+    const bars = ITF_PATTERNS[digits[i]];
+    const spaces = ITF_PATTERNS[digits[i + 1]];
+    modules += elementsToModules(bars.split('').map((bar, j) => bar + spaces[j]).join(''));
+  }
+  modules += elementsToModules('100');
+
+  const label = `${digits[0]} ${digits.slice(1, 3)} ${digits.slice(3, 8)} ${digits.slice(8, 13)} ${digits[13]}`;
+  return { ...textSymbol('ITF-14', digits, modules, [10, 10], label), bearer: true };
+};
+
+// Encode a value with the linear symbology named by barcodeType. UPC/EAN types
+// and the generic '1D' default go through the UPC/EAN engine; a 14-digit GTIN
+// with a non-zero indicator falls back to ITF-14. Returns null when nothing fits.
+export const encodeLinear = (value, barcodeType) => {
+  switch (barcodeType) {
+    case 'Code 39':
+      return encodeCode39(value);
+    case 'ITF-14':
+      return encodeItf14(value);
+    default: {
+      const symbol = encodeUpcEan(value, barcodeType);
+      if (symbol) return symbol;
+      return /^\d{14}$/.test(String(value ?? '').trim()) ? encodeItf14(value) : null;
+    }
+  }
+};
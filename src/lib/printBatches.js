@@ -0,0 +1,82 @@
+// Print batches
+// The print queue is kept per profile and split into named batches ("Aisle 5
+// reset", "Promo week 42"), one of them active: the catalog and scanbooks add
+// to the active batch and the print, booklet and thermal outputs print it.
+//   { activeId, batches: [{ id, name, createdAt, entries: [{ item, copies }] }] }
+// Entries keep a copy of the item, so scanbook items that are not in the
+// catalog can be queued too, and are in print order. An item is queued once
+// per batch; adding it again adds to its copies.
+
+export const MAX_COPIES = 999;
+export const DEFAULT_BATCH_NAME = 'Print Queue';
+
+const clampCopies = (copies) => Math.min(MAX_COPIES, Math.max(1, Math.round(copies) || 1));
+
+export const createBatch = (name = DEFAULT_BATCH_NAME) => ({
+  id: `batch-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  name: name.trim() || DEFAULT_BATCH_NAME,
+  createdAt: new Date().toISOString(),
+  entries: []
+});
+
+export const createPrintQueue = () => {
+  const batch = createBatch();
+  return { activeId: batch.id, batches: [batch] };
+};
+
+export const activeBatch = (queue) => queue.batches.find(batch => batch.id === queue.activeId) || queue.batches[0];
+
+export const batchLabelCount = (batch) => batch.entries.reduce((sum, entry) => sum + entry.copies, 0);
+
+const updateBatch = (queue, batchId, change) => ({
+  ...queue,
+  batches: queue.batches.map(batch => (batch.id === batchId ? { ...batch, entries: change(batch.entries) } : batch))
+});
+
+// Start a new batch and make it the active one
+export const addBatch = (queue, name) => {
+  const batch = createBatch(name);
+  return { activeId: batch.id, batches: [...queue.batches, batch] };
+};
+
+export const selectBatch = (queue, batchId) => (queue.batches.some(batch => batch.id === batchId) ? { ...queue, activeId: batchId } : queue);
+
+export const renameBatch = (queue, batchId, name) => ({
+  ...queue,
+  batches: queue.batches.map(batch => (batch.id === batchId ? { ...batch, name: name.trim() || batch.name } : batch))
+});
+
+// Remove a batch; the queue always keeps at least one
+export const deleteBatch = (queue, batchId) => {
+  const batches = queue.batches.filter(batch => batch.id !== batchId);
+  if (batches.length === 0) return createPrintQueue();
+  return { activeId: batches.some(batch => batch.id === queue.activeId) ? queue.activeId : batches[0].id, batches };
+};
+
+// Queue items (a department, collection or scenario at once), adding
+// `copies` to items that are already in the batch
+export const addToBatch = (queue, batchId, items, copies = 1) => updateBatch(queue, batchId, (entries) => {
+  const next = [...entries];
+  items.forEach((item) => {
+    const index = next.findIndex(entry => entry.item.sku === item.sku);
+    if (index === -1) next.push({ item, copies: clampCopies(copies) });
+    else next[index] = { item, copies: clampCopies(next[index].copies + copies) };
+  });
+  return next;
+});
+
+export const setCopies = (queue, batchId, sku, copies) => updateBatch(queue, batchId, entries => entries.map(entry => (entry.item.sku === sku ? { ...entry, copies: clampCopies(copies) } : entry)));
+
+export const removeFromBatch = (queue, batchId, sku) => updateBatch(queue, batchId, entries => entries.filter(entry => entry.item.sku !== sku));
+
+export const clearBatch = (queue, batchId) => updateBatch(queue, batchId, () => []);
+
+// Move an entry up (-1) or down (+1) in the print order
+export const moveInBatch = (queue, batchId, sku, offset) => updateBatch(queue, batchId, (entries) => {
+  const index = entries.findIndex(entry => entry.item.sku === sku);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= entries.length) return entries;
+  const next = [...entries];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+});
@@ -0,0 +1,60 @@
+// Retailer profiles
+// Each retailer demo is a profile with its own dataset manifest (see
+// ./datasets), listed in public/data/profiles.json:
+//   { default: 'default', profiles: [{ id, name, description, manifest }] }
+// `manifest` is relative to the data folder.
+// Everything the portal saves for a profile (custom items, favorites,
+// collections, scanbooks, runs...) lives under keys namespaced with its id,
+// so one retailer's edits never show up in another's demo. The signed-in user
+// and dark mode are device-wide.
+
+export const DEFAULT_PROFILE = { id: 'default', name: 'Default', description: '', manifest: 'manifest.json' };
+
+let active = DEFAULT_PROFILE;
+
+export const getActiveProfile = () => active;
+
+export const setActiveProfile = (profile) => {
+  active = profile;
+};
+
+// localStorage key for a per-profile setting. The default profile keeps the
+// original un-namespaced keys so data saved before profiles existed stays put.
+export const profileKey = (name) => (active.id === DEFAULT_PROFILE.id ? `elera_${name}` : `elera_${active.id}_${name}`);
+
+// Problems with a profiles.json document, as readable messages
+export const validateProfiles = (data) => {
+  if (!data || !Array.isArray(data.profiles) || data.profiles.length === 0) return ['profiles.json: missing profiles list'];
+  const errors = [];
+  const ids = new Set();
+  data.profiles.forEach((profile, i) => {
+    const label = profile?.name || `Profile ${i + 1}`;
+    if (!profile?.id || !/^[a-z0-9-]+$/.test(profile.id)) errors.push(`${label}: id must be lowercase letters, digits and dashes`);
+    else if (ids.has(profile.id)) errors.push(`${label}: duplicate id ${profile.id}`);
+    ids.add(profile?.id);
+    if (!profile?.name) errors.push(`${label}: missing name`);
+    if (!profile?.manifest) errors.push(`${label}: missing manifest`);
+  });
+  if (data.default && !ids.has(data.default)) errors.push(`profiles.json: default profile "${data.default}" is not listed`);
+  return errors;
+};
+
+// Fetch and validate the profile list
+export const loadProfiles = async (baseUrl) => {
+  let response;
+  try {
+    response = await fetch(`${baseUrl}profiles.json`, { cache: 'no-cache' });
+  } catch (err) {
+    throw new Error(`profiles.json: ${err.message}`);
+  }
+  if (!response.ok) throw new Error(`profiles.json: HTTP ${response.status}`);
+  let data;
+  try {
+    data = await response.json();
+  } catch {
+    throw new Error('profiles.json: not valid JSON');
+  }
+  const errors = validateProfiles(data);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  return { default: data.default || data.profiles[0].id, profiles: data.profiles };
+};
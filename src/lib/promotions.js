@@ -0,0 +1,145 @@
+// Promotion pricing engine
+// Works out the expected receipt for a scanbook scenario from the quantities a
+// tester enters. Scenario items carry a `price` (per `unit` for weighed items)
+// and each test a `pricing` array of rules, one per promotion it models:
+//
+//   { type: 'AMOUNT_OFF', amount, per: 'unit' | 'set' | 'transaction', tiers?, minQty?, requireAll? }
+//   { type: 'PERCENT_OFF', percent, minQty? }
+//   { type: 'FINAL_PRICE', finalPrice }
+//   { type: 'BUNDLE_PRICE', bundlePrice, skus }        one of each sku is a bundle
+//   { type: 'BOGO', getPercent }                       every second unit, cheapest first
+//   { type: 'CONTINUITY', every }                      every Nth unit across visits is free
+//   { type: 'POINTS', points, per: 'unit' | 'transaction' }
+//
+// Every rule may also set:
+//   label             - receipt text (defaults to the test's promotion name)
+//   skus              - the items it discounts (default: every scenario item)
+//   trigger           - { skus, minQty?, minSpend? } other items that must be bought first
+//   targetsPerTrigger - how many discounted units each trigger set unlocks
+//   requireAll        - (AMOUNT_OFF per set) a set is one of each of `skus`
+// QTY_REQUIRED scenarios have no rules; the receipt is just the item lines.
+//
+// Amounts are in the profile's currency (see ./datasets), rounded to its minor
+// unit: cents for USD, whole pesos for CLP.
+
+export const DEFAULT_MONEY = { currency: 'USD', locale: 'en-US' };
+
+// One Intl formatter per locale and currency; throws a RangeError for unknown ones
+const formatters = new Map();
+const moneyFormat = ({ currency = DEFAULT_MONEY.currency, locale = DEFAULT_MONEY.locale } = {}) => {
+  const key = `${locale}|${currency}`;
+  if (!formatters.has(key)) formatters.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+  return formatters.get(key);
+};
+
+const minorUnits = (money) => 10 ** moneyFormat(money).resolvedOptions().maximumFractionDigits;
+
+// Quantity-weighted units for the rule's skus, most expensive first
+const unitsFor = (lines, skus) => lines
+  .filter(line => !skus || skus.includes(line.sku))
+  .flatMap(line => {
+    const whole = Math.floor(line.qty);
+    const units = Array.from({ length: whole }, () => ({ sku: line.sku, price: line.unitPrice, qty: 1 }));
+    // Weighed items keep their fractional remainder as a partial unit
+    if (line.qty > whole) units.push({ sku: line.sku, price: line.unitPrice, qty: line.qty - whole });
+    return units;
+  })
+  .sort((a, b) => b.price - a.price);
+
+const sumQty = (units) => units.reduce((sum, unit) => sum + unit.qty, 0);
+const sumAmount = (units) => units.reduce((sum, unit) => sum + unit.price * unit.qty, 0);
+
+// Number of complete sets containing one of each sku
+const completeSets = (lines, skus) => Math.min(...skus.map(sku => Math.floor(
+  lines.filter(line => line.sku === sku).reduce((sum, line) => sum + line.qty, 0)
+)));
+
+const tierAmount = (rule, qty) => {
+  const tier = [...rule.tiers].reverse().find(t => qty >= t.minQty);
+  return tier ? tier.amount : 0;
+};
+
+// Discount amount (or points) produced by one rule
+const applyRule = (rule, lines, context) => {
+  let units = unitsFor(lines, rule.skus);
+  if (units.length === 0) return 0;
+
+  if (rule.trigger) {
+    const triggerUnits = unitsFor(lines, rule.trigger.skus);
+    const triggerQty = sumQty(triggerUnits);
+    if (rule.trigger.minQty && triggerQty < rule.trigger.minQty) return 0;
+    if (rule.trigger.minSpend && sumAmount(triggerUnits) < rule.trigger.minSpend) return 0;
+    if (rule.targetsPerTrigger) {
+      const triggerSets = rule.trigger.minQty ? Math.floor(triggerQty / rule.trigger.minQty) : 1;
+      units = units.slice(0, triggerSets * rule.targetsPerTrigger);
+    }
+  }
+
+  const qty = sumQty(units);
+  if (rule.minQty && qty < rule.minQty) return 0;
+
+  switch (rule.type) {
+    case 'AMOUNT_OFF': {
+      const amount = rule.tiers ? tierAmount(rule, qty) : rule.amount;
+      if (rule.per === 'unit') return amount * qty;
+      if (rule.per === 'set') {
+        const sets = rule.requireAll ? completeSets(lines, rule.skus) : Math.floor(qty / (rule.minQty || 1));
+        return amount * sets;
+      }
+      return Math.min(amount, sumAmount(units));
+    }
+    case 'PERCENT_OFF':
+      return sumAmount(units) * rule.percent / 100;
+    case 'FINAL_PRICE':
+      return units.reduce((sum, unit) => sum + Math.max(0, unit.price - rule.finalPrice) * unit.qty, 0);
+    case 'BUNDLE_PRICE': {
+      const sets = completeSets(lines, rule.skus);
+      if (sets === 0) return 0;
+      const bundleValue = rule.skus.reduce((sum, sku) => sum + lines.find(line => line.sku === sku).unitPrice, 0);
+      return sets * Math.max(0, bundleValue - rule.bundlePrice);
+    }
+    case 'BOGO':
+      return units.filter((unit, i) => i % 2 === 1).reduce((sum, unit) => sum + unit.price * unit.qty, 0) * rule.getPercent / 100;
+    case 'CONTINUITY': {
+      const prior = context.priorPurchases || 0;
+      const free = Math.floor((prior + qty) / rule.every) - Math.floor(prior / rule.every);
+      const cheapest = [...units].reverse().slice(0, free);
+      return sumAmount(cheapest);
+    }
+    case 'POINTS':
+      return rule.per === 'unit' ? rule.points * Math.floor(qty) : rule.points;
+    default:
+      return 0;
+  }
+};
+
+// Expected receipt for the scenario items and quantities (parallel arrays).
+// Returns { lines, subtotal, discounts: [{ label, amount }], total, points }.
+// With `promotionActive` false (outside its dates, days or hours) only the
+// item lines are priced; `money` is the profile's { currency, locale }.
+export const computeReceipt = (items, quantities, rules = [], context = {}) => {
+  const factor = minorUnits(context.money);
+  const roundMinor = (amount) => Math.round(amount * factor) / factor;
+  const lines = items
+    .map((item, i) => ({ name: item.name, sku: item.sku, unit: item.unit, unitPrice: item.price || 0, qty: Number(quantities[i]) || 0 }))
+    .filter(line => line.qty > 0)
+    .map(line => ({ ...line, amount: roundMinor(line.unitPrice * line.qty) }));
+  const subtotal = roundMinor(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  const discounts = [];
+  let points = 0;
+  if (context.promotionActive !== false) {
+    rules.forEach(rule => {
+      const value = applyRule(rule, lines, context);
+      if (!value) return;
+      if (rule.type === 'POINTS') points += value;
+      else discounts.push({ label: rule.label || context.promotion || rule.type, amount: roundMinor(value) });
+    });
+  }
+
+  const total = roundMinor(Math.max(0, subtotal - discounts.reduce((sum, d) => sum + d.amount, 0)));
+  return { lines, subtotal, discounts, total, points };
+};
+
+// Amount in the profile's currency and locale, e.g. $4.99 or $4.990 (CLP)
+export const formatMoney = (amount, money) => moneyFormat(money).format(amount);
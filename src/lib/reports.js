@@ -0,0 +1,142 @@
+// Test-run reports
+// Turns a run (see ./runs) and the scanbook tests it covers into files that
+// leave the portal: a CSV with one row per step / item check, and a JUnit XML
+// file so CI dashboards can ingest manual POS certification like automated
+// tests. In the JUnit file each scenario is a <testsuite> and each check a
+// <testcase>: Fail becomes <failure>, Blocked becomes <error> (the check could
+// not be executed) and unmarked checks are <skipped>. The printable report is
+// rendered by the app itself.
+
+import { scenarioChecks, scenarioOutcome, summarizeRun } from './runs';
+
+const STATUS_LABELS = { pass: 'Pass', fail: 'Fail', blocked: 'Blocked' };
+
+const statusLabel = (status) => STATUS_LABELS[status] || 'Not run';
+
+// Check label as it appears in reports: "Step 2: Scan the item." or "Item: Milk (0123)"
+const checkName = (check) => (check.kind === 'steps' ? `Step ${check.index + 1}: ${check.label}` : `Item: ${check.label}`);
+
+// One row per check of every test, in scanbook order
+export const reportRows = (run, tests) => tests.flatMap(test => {
+  const result = run.results[test.id] || {};
+  return scenarioChecks(run, test).map(check => ({
+    scenarioId: test.id,
+    scenario: test.name,
+    outcome: scenarioOutcome(run, test),
+    check: checkName(check),
+    kind: check.kind === 'steps' ? 'step' : 'item',
+    number: check.index + 1,
+    status: check.mark?.status || null,
+    note: check.mark?.note || '',
+    at: check.mark?.at || '',
+    observedTotal: result.observedTotal || '',
+    scenarioNotes: result.notes || ''
+  }));
+});
+
+// Download name for an export of a run: "grocery-run-2026-10-19.csv"
+export const reportFileName = (run, extension) => `${run.scanbook}-run-${run.startedAt.slice(0, 10)}.${extension}`;
+
+// RFC 4180 cell: quote when the value holds a comma, quote or line break
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ['Scanbook', (row, run) => run.title],
+  ['Run', (row, run) => run.id],
+  ['Tester', (row, run) => run.user],
+  ['Lane', (row, run) => run.lane],
+  ['Build', (row, run) => run.build],
+  ['Scenario', row => row.scenarioId],
+  ['Scenario Name', row => row.scenario],
+  ['Scenario Outcome', row => row.outcome],
+  ['Type', row => row.kind],
+  ['Number', row => row.number],
+  ['Check', row => row.check.replace(/^(Step \d+|Item): /, '')],
+  ['Status', row => row.status || 'not run'],
+  ['Note', row => row.note],
+  ['Marked At', row => row.at],
+  ['Observed Total', row => row.observedTotal],
+  ['Scenario Notes', row => row.scenarioNotes]
+];
+
+export const runToCsv = (run, tests) => [
+  CSV_COLUMNS.map(([header]) => header),
+  ...reportRows(run, tests).map(row => CSV_COLUMNS.map(([, value]) => value(row, run)))
+].map(cells => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const attributes = (attrs) => Object.entries(attrs)
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+  .join('');
+
+const counts = (rows) => ({
+  tests: rows.length,
+  failures: rows.filter(row => row.status === 'fail').length,
+  errors: rows.filter(row => row.status === 'blocked').length,
+  skipped: rows.filter(row => !row.status).length
+});
+
+const testcaseXml = (row, classname) => {
+  const open = `    <testcase${attributes({ classname, name: row.check, time: 0 })}`;
+  const message = row.note || statusLabel(row.status);
+  if (row.status === 'fail') return `${open}>\n      <failure${attributes({ message, type: 'fail' })}/>\n    </testcase>`;
+  if (row.status === 'blocked') return `${open}>\n      <error${attributes({ message, type: 'blocked' })}/>\n    </testcase>`;
+  if (!row.status) return `${open}>\n      <skipped${attributes({ message })}/>\n    </testcase>`;
+  if (row.note) return `${open}>\n      <system-out>${escapeXml(row.note)}</system-out>\n    </testcase>`;
+  return `${open}/>`;
+};
+
+export const runToJUnit = (run, tests) => {
+  const rows = reportRows(run, tests);
+  const timestamp = run.startedAt.replace(/\.\d+Z$/, 'Z');
+  const properties = [['tester', run.user], ['lane', run.lane], ['build', run.build], ['run', run.id], ['status', run.status], ['signedOffBy', run.signedOffBy]]
+    .filter(([, value]) => value)
+    .map(([name, value]) => `      <property${attributes({ name, value })}/>`);
+
+  const suites = tests.map(test => {
+    const suiteRows = rows.filter(row => row.scenarioId === test.id);
+    const result = run.results[test.id] || {};
+    const classname = `${run.scanbook}.scenario${test.id}`;
+    const output = [
+      result.observedTotal && `Observed total: ${result.observedTotal}`,
+      result.notes && `Notes: ${result.notes}`
+    ].filter(Boolean).join('\n');
+    return [
+      `  <testsuite${attributes({ name: `Scenario ${test.id}: ${test.name}`, ...counts(suiteRows), time: 0, timestamp, hostname: run.lane })}>`,
+      ...(properties.length ? ['    <properties>', ...properties, '    </properties>'] : []),
+      ...suiteRows.map(row => testcaseXml(row, classname)),
+      ...(output ? [`    <system-out>${escapeXml(output)}</system-out>`] : []),
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites${attributes({ name: run.title, ...counts(rows), time: 0, timestamp })}>`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+};
+
+// Headline numbers for the report header
+export const reportSummary = (run, tests) => {
+  const summary = summarizeRun(run, tests);
+  const outcomes = tests.map(test => scenarioOutcome(run, test));
+  return {
+    ...summary,
+    scenarios: tests.length,
+    scenariosPassed: outcomes.filter(outcome => outcome === 'pass').length,
+    scenariosFailed: outcomes.filter(outcome => outcome === 'fail').length
+  };
+};
@@ -0,0 +1,45 @@
+// Roles and permissions
+// Every signed-in user has one role, and every guarded action in the portal
+// asks for a permission rather than a role, so widening or narrowing what a
+// role may do is a change to PERMISSIONS alone. A user's role is, in order:
+// the one an admin assigned on the User Roles screen (kept by the portal
+// service for the whole deployment), the `role` of their account in
+// server/auth.json, or the config's `defaultRole` (viewer).
+
+export const ROLES = [
+  { id: 'viewer', name: 'Viewer', description: 'Browses scanbooks, the catalog and reports' },
+  { id: 'tester', name: 'Tester', description: 'Runs scanbooks, keeps collections and prints barcodes' },
+  { id: 'catalog-editor', name: 'Catalog Editor', description: 'Adds, edits, deletes and imports items and shares collections' },
+  { id: 'admin', name: 'Admin', description: 'Authors scanbooks, signs off runs and assigns roles' }
+];
+
+export const DEFAULT_ROLE = 'viewer';
+
+const TESTERS = ['tester', 'catalog-editor', 'admin'];
+const EDITORS = ['catalog-editor', 'admin'];
+const ADMINS = ['admin'];
+
+// Permission -> what it allows and the roles holding it
+export const PERMISSIONS = {
+  'items.create': { label: 'Add catalog items', roles: EDITORS },
+  'items.edit': { label: 'Edit catalog items and repair GTINs', roles: EDITORS },
+  'items.delete': { label: 'Delete catalog items', roles: EDITORS },
+  'items.import': { label: 'Import items from CSV / JSON', roles: EDITORS },
+  'collections.manage': { label: 'Create, rename and fill collections', roles: TESTERS },
+  'collections.share': { label: 'Export and import collections', roles: EDITORS },
+  'print.queue': { label: 'Add barcodes to the print queue', roles: TESTERS },
+  'runs.execute': { label: 'Start, record and discard test runs', roles: TESTERS },
+  'runs.signoff': { label: 'Sign off and delete completed runs', roles: ADMINS },
+  'scanbooks.author': { label: 'Author scanbooks in the editor', roles: ADMINS },
+  'roles.assign': { label: 'Assign user roles', roles: ADMINS }
+};
+
+export const isRole = (id) => ROLES.some(role => role.id === id);
+
+export const roleName = (id) => ROLES.find(role => role.id === id)?.name || id;
+
+export const hasPermission = (role, permission) => Boolean(PERMISSIONS[permission]?.roles.includes(role));
+
+// Effective role of a user from the admin's assignment, their configured role
+// and the default, skipping anything that is not a known role
+export const resolveRole = (...candidates) => candidates.find(isRole) || DEFAULT_ROLE;
@@ -0,0 +1,91 @@
+// Scanbook test runs
+// A run records a certification pass through one scanbook: who ran it, on
+// which lane and build, and a Pass / Fail / Blocked mark (with notes) for every
+// step and item of every scenario. Runs are plain JSON so they can be kept in
+// localStorage. Shape:
+//   { id, scanbook, title, user, lane, build, status: 'in-progress' | 'completed',
+//     startedAt, updatedAt, finishedAt, signedOffBy,
+//     results: { [testId]: { steps: { [i]: mark }, items: { [i]: mark }, observedTotal, notes } } }
+// where a mark is { status: 'pass' | 'fail' | 'blocked' | null, note, at }.
+
+export const RESULT_STATUSES = ['pass', 'fail', 'blocked'];
+
+// Scenario steps are free text; each sentence is checked off separately
+export const splitSteps = (steps) => String(steps ?? '')
+  .split(/(?<=[.!?])\s+/)
+  .map(step => step.trim())
+  .filter(Boolean);
+
+export const createRun = ({ scanbook, title, user, lane = '', build = '' }) => {
+  const now = new Date().toISOString();
+  return {
+    id: `run-${Date.now()}`,
+    scanbook,
+    title,
+    user,
+    lane,
+    build,
+    status: 'in-progress',
+    startedAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    results: {}
+  };
+};
+
+const scenarioResult = (run, testId) => run.results[testId] || { steps: {}, items: {}, observedTotal: '', notes: '' };
+
+// Merge scenario-level fields (observedTotal, notes) or the marks of one kind
+export const updateScenario = (run, testId, patch) => ({
+  ...run,
+  updatedAt: new Date().toISOString(),
+  results: { ...run.results, [testId]: { ...scenarioResult(run, testId), ...patch } }
+});
+
+// Merge { status } and/or { note } into the mark for one step or item of a
+// scenario. Changing the status stamps the time; status null clears it.
+export const updateCheck = (run, testId, kind, index, patch) => {
+  const result = scenarioResult(run, testId);
+  const previous = result[kind][index] || { status: null, note: '', at: null };
+  const mark = { ...previous, ...patch };
+  if (patch.status !== undefined && patch.status !== previous.status) mark.at = new Date().toISOString();
+  const marks = { ...result[kind] };
+  if (!mark.status && !mark.note) delete marks[index];
+  else marks[index] = mark;
+  return updateScenario(run, testId, { [kind]: marks });
+};
+
+// Complete a run, recording who signed it off
+export const finishRun = (run, signedOffBy = '') => {
+  const now = new Date().toISOString();
+  return { ...run, status: 'completed', updatedAt: now, finishedAt: now, signedOffBy };
+};
+
+// Every check of a scenario with its mark: steps first, then items
+export const scenarioChecks = (run, test) => {
+  const result = scenarioResult(run, test.id);
+  return [
+    ...splitSteps(test.steps).map((label, i) => ({ kind: 'steps', index: i, label, mark: result.steps[i] || null })),
+    ...test.items.map((item, i) => ({ kind: 'items', index: i, label: `${item.name} (${item.sku})`, mark: result.items[i] || null }))
+  ];
+};
+
+// 'fail' or 'blocked' when any check is, 'pass' when every check passed,
+// 'in-progress' when some are marked and 'pending' when none are
+export const scenarioOutcome = (run, test) => {
+  const statuses = scenarioChecks(run, test).map(check => check.mark?.status);
+  if (statuses.includes('fail')) return 'fail';
+  if (statuses.includes('blocked')) return 'blocked';
+  if (statuses.every(status => status === 'pass')) return 'pass';
+  return statuses.some(Boolean) ? 'in-progress' : 'pending';
+};
+
+// Check counts across the run: { pass, fail, blocked, pending, total }
+export const summarizeRun = (run, tests) => {
+  const summary = { pass: 0, fail: 0, blocked: 0, pending: 0, total: 0 };
+  tests.forEach(test => scenarioChecks(run, test).forEach(check => {
+    summary[check.mark?.status || 'pending']++;
+    summary.total++;
+  }));
+  return summary;
+};
@@ -0,0 +1,127 @@
+// User-authored scanbooks
+// Admins build scanbooks in the editor instead of editing the data literals in
+// App.jsx. A scanbook has the same shape as the built-in ones plus bookkeeping:
+//   { id: 'custom-…', title, description, loyaltyAccounts, tests, createdBy, createdAt, updatedAt }
+// Test ids are stable (runs key their results by them), so reordering moves
+// tests within the array and new tests take the next unused id.
+// Exports are wrapped as { format: 'elera-scanbook', version: 1, scanbook }.
+
+export const SCANBOOK_FORMAT = 'elera-scanbook';
+export const SCANBOOK_VERSION = 1;
+
+export const isCustomScanbook = (id) => String(id ?? '').startsWith('custom-');
+
+const nextTestId = (tests) => tests.reduce((max, test) => Math.max(max, Number(test.id) || 0), 0) + 1;
+
+const touch = (scanbook) => ({ ...scanbook, updatedAt: new Date().toISOString() });
+
+export const blankTest = (id) => ({
+  id,
+  name: 'New Scenario',
+  type: 'AMOUNT_OFF',
+  promotion: '',
+  valid: '',
+  discount: '',
+  steps: '',
+  notes: null,
+  items: []
+});
+
+// A new scanbook, optionally seeded with a copy of another one's tests and accounts
+export const createScanbook = ({ title, user = '', from = null }) => {
+  const now = new Date().toISOString();
+  return {
+    id: `custom-${Date.now()}`,
+    title: title || (from ? `${from.title} (copy)` : 'Untitled Scanbook'),
+    description: from?.description || '',
+    loyaltyAccounts: from ? from.loyaltyAccounts.map(account => ({ ...account })) : [],
+    tests: from ? from.tests.map(test => ({ ...test, items: test.items.map(item => ({ ...item })) })) : [blankTest(1)],
+    createdBy: user,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+export const updateScanbook = (scanbook, patch) => touch({ ...scanbook, ...patch });
+
+export const addTest = (scanbook) => touch({ ...scanbook, tests: [...scanbook.tests, blankTest(nextTestId(scanbook.tests))] });
+
+export const updateTest = (scanbook, testId, patch) => touch({
+  ...scanbook,
+  tests: scanbook.tests.map(test => (test.id === testId ? { ...test, ...patch } : test))
+});
+
+// Copy of a test inserted right after it
+export const cloneTest = (scanbook, testId) => {
+  const index = scanbook.tests.findIndex(test => test.id === testId);
+  if (index === -1) return scanbook;
+  const source = scanbook.tests[index];
+  const copy = { ...source, id: nextTestId(scanbook.tests), name: `${source.name} (copy)`, items: source.items.map(item => ({ ...item })) };
+  const tests = [...scanbook.tests];
+  tests.splice(index + 1, 0, copy);
+  return touch({ ...scanbook, tests });
+};
+
+// Move a test up (-1) or down (+1) in the running order
+export const moveTest = (scanbook, testId, offset) => {
+  const index = scanbook.tests.findIndex(test => test.id === testId);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= scanbook.tests.length) return scanbook;
+  const tests = [...scanbook.tests];
+  [tests[index], tests[target]] = [tests[target], tests[index]];
+  return touch({ ...scanbook, tests });
+};
+
+export const deleteTest = (scanbook, testId) => touch({ ...scanbook, tests: scanbook.tests.filter(test => test.id !== testId) });
+
+// Scenario item from a catalog item; the barcode falls back to the SKU
+export const scenarioItem = (item) => ({ name: item.name, sku: item.sku, barcode: item.barcode || item.sku });
+
+// Problems that stop a scanbook from rendering, as readable messages
+export const validateScanbook = (scanbook) => {
+  const errors = [];
+  if (!scanbook || typeof scanbook !== 'object') return ['Not a scanbook object'];
+  if (!scanbook.title || typeof scanbook.title !== 'string') errors.push('Missing title');
+  if (!Array.isArray(scanbook.tests)) return [...errors, 'Missing tests list'];
+  const ids = new Set();
+  scanbook.tests.forEach((test, i) => {
+    const label = `Test ${i + 1}`;
+    if (test.id === undefined || test.id === null) errors.push(`${label}: missing id`);
+    else if (ids.has(test.id)) errors.push(`${label}: duplicate id ${test.id}`);
+    ids.add(test.id);
+    if (!test.name) errors.push(`${label}: missing name`);
+    if (!Array.isArray(test.items)) errors.push(`${label}: missing items list`);
+    else if (test.items.some(item => !item.name || !item.sku)) errors.push(`${label}: every item needs a name and SKU`);
+  });
+  if (scanbook.loyaltyAccounts !== undefined && !Array.isArray(scanbook.loyaltyAccounts)) errors.push('loyaltyAccounts must be a list');
+  return errors;
+};
+
+export const exportScanbook = (scanbook) => JSON.stringify({ format: SCANBOOK_FORMAT, version: SCANBOOK_VERSION, scanbook }, null, 2);
+
+// Read an exported file (or a bare scanbook object). Throws an Error listing
+// the problems when it is not a usable scanbook; ids that are not custom are
+// replaced so an import can never shadow a built-in scanbook.
+export const parseScanbookJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Not valid JSON: ${e.message}`);
+  }
+  if (data?.format === SCANBOOK_FORMAT && data.version > SCANBOOK_VERSION) {
+    throw new Error(`Scanbook file version ${data.version} is newer than this portal supports`);
+  }
+  const scanbook = data?.format === SCANBOOK_FORMAT ? data.scanbook : data;
+  const errors = validateScanbook(scanbook);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  const now = new Date().toISOString();
+  return {
+    description: '',
+    loyaltyAccounts: [],
+    createdAt: now,
+    ...scanbook,
+    id: isCustomScanbook(scanbook.id) ? scanbook.id : `custom-${Date.now()}`,
+    updatedAt: now
+  };
+};
@@ -0,0 +1,110 @@
+// Item search
+// One fuzzy search behind every item lookup: the catalog, Pharmacy and GS1
+// views, the scanbook editor's item picker and the search results page.
+// Documents are { name, codes, text, ...anything }: the item name, its codes
+// (SKU, barcode, GTIN, GS1 element string) and other words to match, such as
+// the department or scenario. Text is folded (case and accents, so "cafe"
+// finds "Café" and "limon" finds "Limón") and split into words. Each query
+// word must match the document somewhere, scored by how:
+//   name word    exact > prefix ("choc" -> "chocolate") > typo ("chocolte",
+//                one edit for 4+ letters, two for 8+)
+//   code         exact > prefix > contains (4+ characters)
+//   other text   as name words, weighted lower
+// Documents are ranked by their total, with a bonus when the name starts with
+// (or contains) the whole query.
+
+// Lower case without accents or other combining marks
+export const foldText = (value) => String(value ?? '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+const words = (value) => foldText(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+const NAME_WEIGHT = 3;
+const CODE_WEIGHT = 3;
+const TEXT_WEIGHT = 1;
+
+// Edits allowed for a typo in a query word of this length
+const maxEdits = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+// Optimal string alignment distance (a swap of neighbours is one edit),
+// giving up once it must exceed `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) current[j] = Math.min(current[j], before[j - 2] + 1);
+      best = Math.min(best, current[j]);
+    }
+    if (best > max) return max + 1;
+    before = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// How well a query word matches a document word, 0 to 1
+const wordScore = (query, word) => {
+  if (word === query) return 1;
+  if (word.startsWith(query)) return 0.8;
+  const max = maxEdits(query.length);
+  if (max === 0) return 0;
+  const whole = editDistance(query, word, max);
+  if (whole <= max) return 0.6 - 0.2 * whole;
+  // A typo in a prefix: "chocol" mistyped as "chcol"
+  const prefix = word.length > query.length ? editDistance(query, word.slice(0, query.length), max) : max + 1;
+  return prefix <= max ? 0.5 - 0.2 * prefix : 0;
+};
+
+const codeScore = (query, code) => {
+  if (code === query) return 1.2;
+  if (code.startsWith(query)) return 1;
+  return query.length >= 4 && code.includes(query) ? 0.5 : 0;
+};
+
+// Fold every document once; searches reuse the result
+export const createSearchIndex = (documents) => documents.map(doc => ({
+  doc,
+  nameWords: words(doc.name),
+  codes: (doc.codes || []).filter(Boolean).map(code => foldText(code).replace(/\s+/g, '')),
+  textWords: (doc.text || []).flatMap(words)
+}));
+
+// Documents matching every word of the query, best first: [{ doc, score }]
+export const searchIndex = (index, query, limit = Infinity) => {
+  const terms = words(query);
+  if (terms.length === 0) return [];
+  const phrase = terms.join(' ');
+  // Word scores repeat across documents, so work each one out once
+  const cache = terms.map(() => new Map());
+  const scoreWord = (t, word) => {
+    if (!cache[t].has(word)) cache[t].set(word, wordScore(terms[t], word));
+    return cache[t].get(word);
+  };
+  const best = (values) => values.reduce((max, value) => Math.max(max, value), 0);
+
+  const results = [];
+  index.forEach((entry) => {
+    let score = 0;
+    for (let t = 0; t < terms.length; t++) {
+      const term = Math.max(
+        NAME_WEIGHT * best(entry.nameWords.map(word => scoreWord(t, word))),
+        CODE_WEIGHT * best(entry.codes.map(code => codeScore(terms[t], code))),
+        TEXT_WEIGHT * best(entry.textWords.map(word => scoreWord(t, word)))
+      );
+      if (term === 0) return;
+      score += term;
+    }
+    const name = entry.nameWords.join(' ');
+    if (name.startsWith(phrase)) score += 2;
+    else if (name.includes(phrase)) score += 1;
+    results.push({ doc: entry.doc, score });
+  });
+  return results
+    .sort((a, b) => b.score - a.score || a.doc.name.localeCompare(b.doc.name))
+    .slice(0, limit);
+};
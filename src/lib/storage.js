@@ -0,0 +1,275 @@
+// Catalog storage
+// Custom items, catalog overrides, deletions, collections and favorites change
+// through operations ({ type, user, ... }, see applyOperation) handed to a
+// storage adapter. The local adapter keeps them in this browser's
+// localStorage. The API adapter sends each operation to the portal service in
+// server/ so a team shares one catalog, and mirrors everything into
+// localStorage so the portal keeps working from that copy when the service
+// cannot be reached. public/storage.json names the service (which also signs
+// users in, see ./auth) and picks the adapter:
+//   { "api": "/api/", "catalog": "shared" | "browser" }   (default shared)
+// State shape: { customItems, deletedItems, collections, favorites }, where
+// customItems holds new items (isCustom) and edited catalog items (isEdited,
+// with the catalog SKU as id); the service keeps those apart as items and
+// overrides.
+// With the service, every operation is applied locally and queued in an
+// operation log that is replayed in order whenever the service is reachable,
+// so edits made offline are not lost. Item, override and collection writes
+// name the record version they were based on; when someone else changed the
+// record in between, the operation becomes a conflict for the user to settle
+// (keep their own change or take the stored one) rather than overwriting.
+
+import { sessionToken } from './auth';
+import { profileKey } from './profiles';
+
+const STATE_FIELDS = ['customItems', 'deletedItems', 'collections', 'favorites'];
+
+const readList = (name) => JSON.parse(localStorage.getItem(profileKey(name)) || '[]');
+
+const writeList = (name, list) => localStorage.setItem(profileKey(name), JSON.stringify(list));
+
+// The copy of the catalog state saved in this browser for the active profile
+export const readLocalState = () => Object.fromEntries(STATE_FIELDS.map(field => [field, readList(field)]));
+
+const writeLocalState = (state) => STATE_FIELDS.forEach(field => writeList(field, state[field]));
+
+const upsert = (list, record) => (list.some(r => r.id === record.id) ? list.map(r => (r.id === record.id ? record : r)) : [...list, record]);
+
+// Catalog state after one operation
+export const applyOperation = (state, op) => {
+  switch (op.type) {
+    case 'items.save':
+      return { ...state, customItems: upsert(state.customItems, op.item) };
+    case 'items.delete':
+      return { ...state, customItems: state.customItems.filter(item => item.id !== op.item.id) };
+    case 'items.import':
+      return { ...state, customItems: [...state.customItems, ...op.items] };
+    case 'deletions.add':
+      return state.deletedItems.includes(op.sku) ? state : { ...state, deletedItems: [...state.deletedItems, op.sku] };
+    case 'collections.save':
+      return { ...state, collections: upsert(state.collections, op.collection) };
+    case 'collections.delete':
+      return { ...state, collections: state.collections.filter(collection => collection.id !== op.id) };
+    case 'favorites.set': {
+      const favorites = state.favorites.filter(sku => sku !== op.sku);
+      return { ...state, favorites: op.favorite ? [...favorites, op.sku] : favorites };
+    }
+    default:
+      throw new Error(`Unknown storage operation "${op.type}"`);
+  }
+};
+
+const itemRecords = (item) => (item.isEdited ? 'overrides' : 'items');
+
+// The versioned service record an operation writes, as 'resource/id'
+const RECORD_KEYS = {
+  'items.save': op => `${itemRecords(op.item)}/${op.item.id}`,
+  'items.delete': op => `${itemRecords(op.item)}/${op.item.id}`,
+  'collections.save': op => `collections/${op.collection.id}`,
+  'collections.delete': op => `collections/${op.id}`
+};
+
+const recordKey = (op) => RECORD_KEYS[op.type]?.(op) || null;
+
+// Put a service record (or its removal, for null) into the local state
+const putRecord = (state, key, record) => {
+  const resource = key.slice(0, key.indexOf('/'));
+  const id = key.slice(key.indexOf('/') + 1);
+  if (resource === 'collections') {
+    return { ...state, collections: record ? upsert(state.collections, record) : state.collections.filter(c => c.id !== id) };
+  }
+  const customItems = state.customItems.filter(item => item.id !== id);
+  if (!record) return { ...state, customItems };
+  return { ...state, customItems: upsert(state.customItems, resource === 'overrides' ? { ...record, isEdited: true } : { ...record, isCustom: true }) };
+};
+
+// REST call for each operation: [method, path, body]
+const REQUESTS = {
+  'items.save': op => ['PUT', `${itemRecords(op.item)}/${encodeURIComponent(op.item.id)}`, op.item],
+  'items.delete': op => ['DELETE', `${itemRecords(op.item)}/${encodeURIComponent(op.item.id)}`],
+  'items.import': op => ['POST', 'items', op.items],
+  'deletions.add': op => ['PUT', `deletions/${encodeURIComponent(op.sku)}`],
+  'collections.save': op => ['PUT', `collections/${encodeURIComponent(op.collection.id)}`, op.collection],
+  'collections.delete': op => ['DELETE', `collections/${encodeURIComponent(op.id)}`],
+  'favorites.set': op => [op.favorite ? 'PUT' : 'DELETE', `favorites/${encodeURIComponent(op.user)}/${encodeURIComponent(op.sku)}`]
+};
+
+export const createLocalStorage = () => ({
+  mode: 'local',
+  load: async () => readLocalState(),
+  apply: async (op) => writeLocalState(applyOperation(readLocalState(), op))
+});
+
+export const createApiStorage = (apiUrl, profileId) => {
+  const base = `${apiUrl.replace(/\/?$/, '/')}${encodeURIComponent(profileId)}/`;
+  let syncing = null;
+
+  // Sent as the signed-in user, whose session the service checks
+  const request = async (method, path, body, baseVersion) => {
+    const token = sessionToken();
+    let response;
+    try {
+      response = await fetch(`${base}${path}`, {
+        method,
+        headers: {
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...(baseVersion !== undefined ? { 'X-Base-Version': String(baseVersion) } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+    } catch (err) {
+      throw new Error(`Catalog service unreachable (${err.message})`);
+    }
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw Object.assign(new Error(`Catalog service: ${data.error || `HTTP ${response.status}`}`), { status: response.status, data });
+    }
+    return response.status === 204 ? null : response.json();
+  };
+
+  // Record versions last seen from the service, by 'resource/id'
+  const readVersions = () => JSON.parse(localStorage.getItem(profileKey('syncVersions')) || '{}');
+  const setVersion = (key, version) => {
+    const versions = readVersions();
+    if (version) versions[key] = version;
+    else delete versions[key];
+    localStorage.setItem(profileKey('syncVersions'), JSON.stringify(versions));
+  };
+
+  const queue = (op) => {
+    const key = recordKey(op);
+    writeList('syncQueue', [...readList('syncQueue'), {
+      ...op,
+      queueId: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      ...(key ? { baseVersion: readVersions()[key] || 0 } : {})
+    }]);
+  };
+
+  // Note a written record's new version, and move later queued writes of the
+  // same record onto it (they were based on the version this one replaced)
+  const acknowledge = (op, result) => {
+    const written = op.type === 'items.import'
+      ? result.map(record => [`items/${record.id}`, record.version])
+      : [[recordKey(op), result?.version || 0]].filter(([key]) => key);
+    written.forEach(([key, version]) => {
+      setVersion(key, version);
+      writeList('syncQueue', readList('syncQueue').map(queued => (recordKey(queued) === key && queued.baseVersion === (op.baseVersion || 0) ? { ...queued, baseVersion: version } : queued)));
+    });
+  };
+
+  // Send queued operations in order until the queue is empty; stops (and
+  // rejects) when the service cannot be reached, leaving the rest queued
+  const flush = async () => {
+    for (let op = readList('syncQueue')[0]; op; op = readList('syncQueue')[0]) {
+      const [method, path, body] = REQUESTS[op.type](op);
+      try {
+        acknowledge(op, await request(method, path, body, op.baseVersion));
+      } catch (err) {
+        // Unreachable, failing or signed out: keep the queue for the next try
+        if (!err.status || err.status >= 500 || err.status === 401) throw err;
+        // A record someone else removed is already gone; anything else the
+        // service refuses is handed to the user instead of retried forever
+        if (err.status === 404 && method === 'DELETE') acknowledge(op, null);
+        else {
+          writeList('syncConflicts', [...readList('syncConflicts'), {
+            op,
+            theirs: err.status === 409 ? err.data.current : undefined,
+            error: err.status === 409 ? null : err.message
+          }]);
+        }
+      }
+      writeList('syncQueue', readList('syncQueue').filter(queued => queued.queueId !== op.queueId));
+    }
+  };
+
+  const sync = () => {
+    if (!syncing) syncing = flush().finally(() => { syncing = null; });
+    return syncing;
+  };
+
+  const adapter = {
+    mode: 'api',
+    sync,
+    pending: () => readList('syncQueue').length,
+    conflicts: () => readList('syncConflicts'),
+    // Send what is queued, then replace the local copy with the service's
+    load: async (user) => {
+      await sync();
+      const [items, overrides, deletedItems, collections, favorites] = await Promise.all([
+        request('GET', 'items'),
+        request('GET', 'overrides'),
+        request('GET', 'deletions'),
+        request('GET', 'collections'),
+        user ? request('GET', `favorites/${encodeURIComponent(user)}`) : []
+      ]);
+      // Changes still in conflict stay visible until the user settles them
+      const state = readList('syncConflicts').reduce((next, conflict) => applyOperation(next, conflict.op), {
+        customItems: [...items.map(item => ({ ...item, isCustom: true })), ...overrides.map(item => ({ ...item, isEdited: true }))],
+        deletedItems,
+        collections,
+        favorites
+      });
+      writeLocalState(state);
+      localStorage.setItem(profileKey('syncVersions'), JSON.stringify(Object.fromEntries([
+        ...items.map(record => [`items/${record.id}`, record.version]),
+        ...overrides.map(record => [`overrides/${record.id}`, record.version]),
+        ...collections.map(record => [`collections/${record.id}`, record.version])
+      ].filter(([, version]) => version))));
+      return state;
+    },
+    apply: async (op) => {
+      writeLocalState(applyOperation(readLocalState(), op));
+      queue(op);
+      await sync();
+    },
+    // Settle a conflict by sending the user's change again on top of the
+    // stored record ('mine') or taking the stored record ('theirs')
+    resolve: async (queueId, choice) => {
+      const conflict = readList('syncConflicts').find(c => c.op.queueId === queueId);
+      if (!conflict) return;
+      writeList('syncConflicts', readList('syncConflicts').filter(c => c.op.queueId !== queueId));
+      const key = recordKey(conflict.op);
+      if (conflict.theirs !== undefined) setVersion(key, conflict.theirs?.version || 0);
+      if (choice === 'mine') {
+        const op = { ...conflict.op };
+        delete op.queueId;
+        delete op.baseVersion;
+        await adapter.apply(op);
+      } else if (key && conflict.theirs !== undefined) {
+        writeLocalState(putRecord(readLocalState(), key, conflict.theirs));
+      }
+    }
+  };
+  return adapter;
+};
+
+let storage = createLocalStorage();
+
+// The active profile's storage adapter
+export const getStorage = () => storage;
+
+// Fetch public/storage.json: { api, catalog }
+export const loadStorageConfig = async (baseUrl) => {
+  let response;
+  try {
+    response = await fetch(`${baseUrl}storage.json`, { cache: 'no-cache' });
+  } catch (err) {
+    throw new Error(`storage.json: ${err.message}`);
+  }
+  if (!response.ok) throw new Error(`storage.json: HTTP ${response.status}`);
+  let data;
+  try {
+    data = await response.json();
+  } catch {
+    throw new Error('storage.json: not valid JSON');
+  }
+  if (typeof data?.api !== 'string' || !data.api) throw new Error('storage.json: api must be the URL of the portal service, which signs users in');
+  if (data.catalog !== undefined && data.catalog !== 'shared' && data.catalog !== 'browser') throw new Error('storage.json: catalog must be "shared" or "browser"');
+  return { api: data.api, catalog: data.catalog || 'shared' };
+};
+
+// Use the service (or this browser) for a profile's catalog state
+export const selectStorage = (config, profileId) => {
+  storage = config.catalog === 'shared' ? createApiStorage(config.api, profileId) : createLocalStorage();
+};
@@ -0,0 +1,382 @@
+// Thermal label printers
+// Turns the print queue into a ZPL II job (Zebra) or an ESC/POS byte stream
+// (Epson and compatibles), one label per copy, sized in printer dots from the
+// label size in mm and the printer's resolution. Each item's barcodeType is
+// mapped to a symbology the printer draws natively; the mapping can be changed
+// per printer language, e.g. GS1 DataMatrix, which ESC/POS cannot print, goes
+// to GS1-128 by default. Items whose data does not fit the chosen symbology
+// are left out and reported. The job can be downloaded or POSTed as-is to a
+// print server (see scripts/print-relay.mjs for a stand-in that forwards to a
+// printer's raw port 9100).
+
+import { encodeCode39, encodeItf14, encodeLinear } from './linear';
+import { encodeUpcEan, resolveGtin14, resolveUpcEan } from './upcEan';
+import { expandUpcE } from './gtin';
+import { GS, buildElementString, parseElementString } from './gs1';
+
+// Symbologies an item can ask for, named as in the catalog
+export const ITEM_SYMBOLOGIES = ['UPC-A', 'UPC-E', 'EAN-13', 'EAN-8', 'Code 39', 'ITF-14', 'Code 128', 'GS1-128', 'QR', 'GS1 QR', 'GS1 DataMatrix', 'PDF417'];
+
+const LINEAR = ['UPC-A', 'UPC-E', 'EAN-13', 'EAN-8', 'Code 39', 'ITF-14', 'Code 128', 'GS1-128'];
+
+export const THERMAL_LANGUAGES = {
+  zpl: {
+    name: 'ZPL II (Zebra)',
+    extension: 'zpl',
+    type: 'text/plain',
+    dpis: [203, 300, 600],
+    symbologies: [...LINEAR, 'QR', 'GS1 DataMatrix', 'PDF417'],
+    // ^BQ has no GS1 mode
+    defaults: { 'GS1 QR': 'GS1 DataMatrix' }
+  },
+  escpos: {
+    name: 'ESC/POS (Epson)',
+    extension: 'bin',
+    type: 'application/octet-stream',
+    dpis: [180, 203],
+    symbologies: [...LINEAR, 'QR', 'PDF417'],
+    // No Data Matrix, and GS ( k QR has no FNC1 mode
+    defaults: { 'GS1 QR': 'GS1-128', 'GS1 DataMatrix': 'GS1-128' }
+  }
+};
+
+export const DEFAULT_THERMAL_SETTINGS = {
+  language: 'zpl',
+  dpi: 203,
+  width: 50.8,
+  height: 25.4,
+  fields: ['name', 'sku', 'price'],
+  mappings: { zpl: {}, escpos: {} },
+  cut: false,
+  printerUrl: ''
+};
+
+// Target X-dimension; narrowed to whole dots and to what fits the label
+const X_DIMENSION_MM = 0.33;
+const MARGIN_MM = 1.5;
+
+// The symbology an item is shown with on screen (see ItemBarcode)
+export const itemSymbology = (item) => {
+  switch (item.barcodeType) {
+    case 'GS1 2D':
+      return 'GS1 DataMatrix';
+    case 'GS1 QR':
+    case 'GS1-128':
+    case 'Code 128':
+    case 'QR':
+    case 'PDF417':
+      return item.barcodeType;
+    default:
+      return encodeLinear(item.barcode || item.sku, item.barcodeType)?.symbology || 'Code 128';
+  }
+};
+
+// Printer symbology for an item symbology: the user's choice, the language's
+// default, or the same symbology
+export const mappedSymbology = (language, mapping, symbology) => {
+  const target = mapping?.[symbology] || THERMAL_LANGUAGES[language].defaults[symbology] || symbology;
+  return THERMAL_LANGUAGES[language].symbologies.includes(target) ? target : 'Code 128';
+};
+
+const GS1_SYMBOLOGIES = ['GS1-128', 'GS1 QR', 'GS1 DataMatrix'];
+
+// Code 128 width in modules: start, check and stop plus 11 per character,
+// with runs of four or more digits packed two to a character (subset C)
+const code128Modules = (data) => {
+  const characters = String(data).split(/(\d{4,})/).reduce((sum, run, i) => sum + (i % 2 ? Math.ceil(run.length / 2) + 1 : run.length), 0);
+  return 11 * (characters + 2) + 13;
+};
+
+// Smallest QR (level M, byte mode) and Data Matrix (ECC 200) sizes holding the
+// data; good enough to centre the symbol and pick a module size
+const QR_CAPACITY = [14, 26, 42, 62, 84, 106, 122, 152, 180, 213, 251, 287, 331, 362, 412];
+const DATAMATRIX_SIZES = [[10, 3], [12, 5], [14, 8], [16, 12], [18, 18], [20, 22], [22, 30], [24, 36], [26, 44], [32, 62], [36, 86], [40, 114], [44, 144], [48, 174], [52, 204]];
+
+const qrModules = (data) => {
+  const version = QR_CAPACITY.findIndex(capacity => capacity >= new TextEncoder().encode(data).length) + 1 || QR_CAPACITY.length + 1;
+  return 17 + 4 * version;
+};
+
+const dataMatrixModules = (data) => {
+  const codewords = String(data).split(/(\d{2,})/).reduce((sum, run, i) => sum + (i % 2 ? Math.ceil(run.length / 2) : run.length), 0);
+  return (DATAMATRIX_SIZES.find(([, capacity]) => capacity >= codewords) || DATAMATRIX_SIZES[DATAMATRIX_SIZES.length - 1])[0];
+};
+
+// What to encode for an item in a printer symbology:
+//   { symbology, data, modules } (modules across, for sizing), or { error }
+export const thermalSymbol = (item, target) => {
+  const source = itemSymbology(item);
+  const value = String(item.barcode || item.sku || '');
+  const fromGs1 = GS1_SYMBOLOGIES.includes(source);
+  const number = fromGs1 ? String(item.gtin || value) : value;
+  const gtin = resolveGtin14(number);
+  const text = fromGs1 ? item.gs1Display || (gtin ? `(01)${gtin}` : number) : value;
+  const fail = `${value} cannot be printed as ${target}`;
+
+  switch (target) {
+    case 'UPC-A':
+    case 'UPC-E':
+    case 'EAN-13':
+    case 'EAN-8': {
+      const resolved = resolveUpcEan(number, target);
+      if (resolved?.symbology !== target) return { error: fail };
+      return { symbology: target, data: resolved.digits, modules: encodeUpcEan(resolved.digits, target).modules.length };
+    }
+    case 'Code 39': {
+      const symbol = encodeCode39(text);
+      return symbol ? { symbology: target, data: symbol.digits, modules: symbol.modules.length } : { error: fail };
+    }
+    case 'ITF-14': {
+      const symbol = encodeItf14(number);
+      return symbol ? { symbology: target, data: symbol.digits, modules: symbol.modules.length } : { error: fail };
+    }
+    case 'Code 128':
+      return { symbology: target, data: text, modules: code128Modules(text) };
+    case 'GS1-128':
+    case 'GS1 DataMatrix': {
+      // Element strings separate variable-length fields with GS (FNC1)
+      let raw = fromGs1 ? item.gs1String : null;
+      if (raw?.startsWith('(')) raw = buildElementString(parseElementString(raw).elements).raw;
+      if (!raw) {
+        if (!gtin) return { error: `${value} is not a GTIN, so it cannot be printed as ${target}` };
+        raw = `01${gtin}`;
+      }
+      const hri = fromGs1 ? text : `(01)${raw.slice(2)}`;
+      return target === 'GS1-128'
+        ? { symbology: target, data: raw, hri, modules: code128Modules(raw) + 11 }
+        : { symbology: target, data: raw, hri, modules: dataMatrixModules(raw) };
+    }
+    case 'QR':
+      return { symbology: target, data: text, modules: qrModules(text) };
+    case 'PDF417':
+      return { symbology: target, data: text, modules: 0 };
+    default:
+      return { error: `${target} is not a thermal printer symbology` };
+  }
+};
+
+// Printed text under the name, as on sheet labels
+const detailsLine = (item, fields, formatPrice) => fields
+  .filter(field => field !== 'name')
+  .map(field => (field === 'price' ? (item.price !== undefined ? formatPrice(item.price) : '') : item[field]))
+  .filter(Boolean)
+  .join(' · ');
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Label geometry in dots
+const labelDots = ({ dpi, width, height }) => {
+  const perMm = dpi / 25.4;
+  return {
+    perMm,
+    width: Math.round(width * perMm),
+    height: Math.round(height * perMm),
+    margin: Math.round(MARGIN_MM * perMm),
+    module: Math.max(1, Math.round(X_DIMENSION_MM * perMm))
+  };
+};
+
+// Module size in dots: the target X-dimension, or less if the symbol would
+// not fit across (or, for square symbols, down) the space left for it
+const fitModule = (target, modules, across, down = Infinity, max = 10, min = 1) => {
+  if (!modules) return clamp(target, min, max);
+  return clamp(Math.min(target, Math.floor(across / modules), Math.floor(down / modules)), min, max);
+};
+
+// ZPL II
+
+// ^FH\ hex escapes for the characters ZPL reads as commands
+const zplText = (value) => `^FH\\^FD${String(value).replace(/[\\^~]/g, char => `\\${char.charCodeAt(0).toString(16).toUpperCase()}`)}^FS`;
+
+const zplBarcode = (symbol, dots, top, space) => {
+  const across = dots.width - 2 * dots.margin;
+  const square = ['QR', 'GS1 DataMatrix'].includes(symbol.symbology);
+  const module = fitModule(dots.module, symbol.modules, across, square ? space : Infinity);
+  const x = symbol.modules ? Math.max(dots.margin, Math.round((dots.width - symbol.modules * module) / 2)) : dots.margin;
+  // Room under linear bars for the interpretation line
+  const height = Math.max(module * 10, space - module * 10);
+  const at = `^FO${x},${top}`;
+  switch (symbol.symbology) {
+    case 'UPC-A':
+      return `${at}^BY${module}^BUN,${height},Y,N,Y${zplText(symbol.data.slice(0, 11))}`;
+    case 'UPC-E':
+      // ^B9 takes the UPC-A manufacturer and product digits (number system 0)
+      return `${at}^BY${module}^B9N,${height},Y,N,Y${zplText(expandUpcE(symbol.data[0], symbol.data.slice(1, 7)).slice(1))}`;
+    case 'EAN-13':
+      return `${at}^BY${module}^BEN,${height},Y,N${zplText(symbol.data.slice(0, 12))}`;
+    case 'EAN-8':
+      return `${at}^BY${module}^B8N,${height},Y,N${zplText(symbol.data.slice(0, 7))}`;
+    case 'Code 39':
+      return `${at}^BY${module},3^B3N,N,${height},Y,N${zplText(symbol.data)}`;
+    case 'ITF-14':
+      return `${at}^BY${module},3^B2N,${height},Y,N,N${zplText(symbol.data)}`;
+    case 'Code 128':
+      return `${at}^BY${module}^BCN,${height},Y,N,N,A${zplText(symbol.data)}`;
+    case 'GS1-128':
+      // UCC/EAN mode: the printer adds FNC1 and drops the parentheses
+      return `${at}^BY${module}^BCN,${height},Y,N,N,D${zplText(symbol.hri)}`;
+    case 'QR':
+      return `${at}^BQN,2,${module}${zplText(`MA,${symbol.data}`)}`;
+    case 'GS1 DataMatrix':
+      // _1 is FNC1 with _ as the escape character
+      return `${at}^BXN,${module},200,,,6,_${zplText(`_1${symbol.data.split(GS).join('_1')}`)}`;
+    case 'PDF417': {
+      const columns = clamp(Math.floor((across / module - 69) / 17), 1, 30);
+      return `${at}^BY${module}^B7N,${module * 3},2,${columns},,N${zplText(symbol.data)}`;
+    }
+    default:
+      return '';
+  }
+};
+
+const zplLabel = (item, symbol, copies, { fields, formatPrice }, dots) => {
+  const name = fields.includes('name') ? item.name : '';
+  const details = detailsLine(item, fields, formatPrice);
+  const nameHeight = Math.round(2.8 * dots.perMm);
+  const detailsHeight = Math.round(2.3 * dots.perMm);
+  const top = dots.margin + (name ? nameHeight + dots.margin : 0);
+  const bottom = dots.height - dots.margin - (details ? detailsHeight + dots.margin : 0);
+  const block = `^FB${dots.width - 2 * dots.margin},1,0,C`;
+  return [
+    '^XA',
+    '^CI28',
+    `^PW${dots.width}`,
+    `^LL${dots.height}`,
+    '^LH0,0',
+    name && `^FO${dots.margin},${dots.margin}^A0N,${nameHeight},${nameHeight}${block}${zplText(name)}`,
+    zplBarcode(symbol, dots, top, bottom - top),
+    details && `^FO${dots.margin},${dots.height - dots.margin - detailsHeight}^A0N,${detailsHeight},${detailsHeight}${block}${zplText(details)}`,
+    `^PQ${copies}`,
+    '^XZ'
+  ].filter(Boolean).join('\n');
+};
+
+// ESC/POS
+
+const ESC = 0x1b;
+const GS_BYTE = 0x1d;
+
+// Windows-1252 (code page 16); anything else prints as '?'
+const CP1252 = { '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99 };
+
+const escposText = (value) => [...String(value)].map((char) => {
+  const code = char.charCodeAt(0);
+  return CP1252[char] || (code >= 32 && code <= 255 && char.length === 1 && !(code >= 127 && code < 160) ? code : 63);
+});
+
+const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+
+// GS ( k: 2D symbol function, with its parameter length
+const symbolFunction = (cn, fn, ...params) => [GS_BYTE, 0x28, 0x6b, ...word(params.length + 2), cn, fn, ...params];
+
+const ESCPOS_LINEAR = { 'UPC-A': 65, 'UPC-E': 66, 'EAN-13': 67, 'EAN-8': 68, 'Code 39': 69, 'ITF-14': 70, 'Code 128': 73, 'GS1-128': 73 };
+
+// Font A is 24 dots high, font B (used for the HRI) 17
+const LINE_DOTS = 24;
+const HRI_DOTS = 20;
+
+const escposBarcode = (symbol, dots, space) => {
+  const across = dots.width - 2 * dots.margin;
+  if (ESCPOS_LINEAR[symbol.symbology]) {
+    // GS w takes 2 to 6 dots
+    const module = fitModule(dots.module, symbol.modules, across, Infinity, 6, 2);
+    // Code 128 names its starting code set; {1 is FNC1 and { itself is {{
+    let data = symbol.data;
+    if (symbol.symbology === 'Code 128') data = `{B${data.replace(/\{/g, '{{')}`;
+    if (symbol.symbology === 'GS1-128') data = `{B{1${data.split(GS).join('{1')}`;
+    const bytes = escposText(data);
+    return [
+      GS_BYTE, 0x48, 2,
+      GS_BYTE, 0x66, 1,
+      GS_BYTE, 0x68, clamp(space - HRI_DOTS, 16, 255),
+      GS_BYTE, 0x77, module,
+      GS_BYTE, 0x6b, ESCPOS_LINEAR[symbol.symbology], bytes.length, ...bytes
+    ];
+  }
+  const bytes = [...new TextEncoder().encode(symbol.data)];
+  if (symbol.symbology === 'QR') {
+    const module = fitModule(dots.module * 2, symbol.modules, across, space, 16);
+    return [
+      ...symbolFunction(49, 65, 50, 0),
+      ...symbolFunction(49, 67, module),
+      ...symbolFunction(49, 69, 49),
+      ...symbolFunction(49, 80, 48, ...bytes),
+      ...symbolFunction(49, 81, 48)
+    ];
+  }
+  const module = clamp(dots.module, 2, 8);
+  return [
+    ...symbolFunction(48, 65, clamp(Math.floor((across / module - 69) / 17), 1, 30)),
+    ...symbolFunction(48, 67, module),
+    ...symbolFunction(48, 68, 3),
+    ...symbolFunction(48, 69, 48, 2),
+    ...symbolFunction(48, 80, 48, ...bytes),
+    ...symbolFunction(48, 81, 48)
+  ];
+};
+
+// One label in page mode, so the printed area is exactly the label size
+const escposLabel = (item, symbol, { fields, formatPrice, cut }, dots) => {
+  const name = fields.includes('name') ? item.name : '';
+  const details = detailsLine(item, fields, formatPrice);
+  const space = dots.height - 2 * dots.margin - (name ? LINE_DOTS : 0) - (details ? LINE_DOTS : 0);
+  return [
+    ESC, 0x4c,
+    ESC, 0x57, 0, 0, 0, 0, ...word(dots.width), ...word(dots.height),
+    ESC, 0x54, 0,
+    ESC, 0x61, 1,
+    ESC, 0x4a, dots.margin,
+    ...(name ? [ESC, 0x45, 1, ...escposText(name), 0x0a, ESC, 0x45, 0] : []),
+    ...escposBarcode(symbol, dots, space),
+    ...(details ? [0x0a, ESC, 0x21, 1, ...escposText(details), 0x0a, ESC, 0x21, 0] : []),
+    0x0c,
+    ...(cut ? [GS_BYTE, 0x56, 66, 0] : [])
+  ];
+};
+
+// Build the job for the queue: entries are [{ item, copies }] with GS1 strings
+// already attached. Returns { data (string for ZPL, bytes for ESC/POS),
+// labels, skipped: [{ item, error }] }.
+export const buildThermalJob = (settings, entries, formatPrice = String) => {
+  const { language } = settings;
+  const dots = labelDots(settings);
+  const options = { ...settings, formatPrice };
+  const skipped = [];
+  const labels = [];
+  entries.forEach(({ item, copies }) => {
+    const symbol = thermalSymbol(item, mappedSymbology(language, settings.mappings?.[language], itemSymbology(item)));
+    if (symbol.error) skipped.push({ item, error: symbol.error });
+    else if (language === 'zpl' && symbol.symbology === 'UPC-E' && symbol.data[0] !== '0') skipped.push({ item, error: `${symbol.data} is UPC-E number system 1, which ZPL cannot print` });
+    else if (copies > 0) labels.push({ item, symbol, copies });
+  });
+  const count = labels.reduce((sum, label) => sum + label.copies, 0);
+  if (language === 'zpl') {
+    return { data: labels.map(({ item, symbol, copies }) => zplLabel(item, symbol, copies, options, dots)).join('\n'), labels: count, skipped };
+  }
+  const bytes = [ESC, 0x40, ESC, 0x74, 16];
+  labels.forEach(({ item, symbol, copies }) => {
+    const label = escposLabel(item, symbol, options, dots);
+    for (let i = 0; i < copies; i++) bytes.push(...label);
+  });
+  return { data: Uint8Array.from(bytes), labels: count, skipped };
+};
+
+// Readable preview of a job: ESC/POS control bytes as <1B> and the like
+export const describeJob = (data) => (typeof data === 'string' ? data : Array.from(data, (byte) => {
+  if (byte === 0x0a) return '<0A>\n';
+  return byte >= 32 && byte < 127 ? String.fromCharCode(byte) : `<${byte.toString(16).toUpperCase().padStart(2, '0')}>`;
+}).join(''));
+
+// POST the raw job to a print server
+export const sendThermalJob = async (url, language, data) => {
+  let response;
+  try {
+    response = await fetch(url, { method: 'POST', headers: { 'Content-Type': THERMAL_LANGUAGES[language].type }, body: data });
+  } catch (err) {
+    throw new Error(`Print server unreachable (${err.message})`);
+  }
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`Print server: ${text.trim() || `HTTP ${response.status}`}`);
+  }
+};
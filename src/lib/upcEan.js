@@ -0,0 +1,207 @@
+// UPC / EAN symbology engine
+// Encodes UPC-A, EAN-13, EAN-8 and UPC-E into a module string ('1' = bar,
+// '0' = space) plus the guard-bar ranges, quiet zones and human-readable text
+// positions a renderer needs. All positions are in modules, relative to the
+// first module of the start guard.
+
+import { compressUpcA, expandUpcE, hasValidCheckDigit, mod10CheckDigit, toGtin14, upcEToUpcA } from './gtin';
+
+// Left-hand odd parity (L) set; G and R sets are derived from it
+const L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const R_CODES = L_CODES.map(code => code.replace(/[01]/g, bit => (bit === '1' ? '0' : '1')));
+const G_CODES = R_CODES.map(code => code.split('').reverse().join(''));
+
+// EAN-13 parity of the left half, selected by the leading (13th) digit
+const EAN13_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// UPC-E parity for number system 0, selected by the check digit (number system 1 is inverted)
+const UPCE_PARITY = ['GGGLLL', 'GGLGLL', 'GGLLGL', 'GGLLLG', 'GLGGLL', 'GLLGGL', 'GLLLGG', 'GLGLGL', 'GLGLLG', 'GLLGLG'];
+
+const START_GUARD = '101';
+const CENTER_GUARD = '01010';
+const END_GUARD = '101';
+const UPCE_END_GUARD = '010101';
+
+// barcodeType values that force a symbology. The generic '1D' default (used by
+// imports and new items) is detected from the digit count instead.
+export const UPC_EAN_TYPES = ['UPC-A', 'UPC-E', 'EAN-13', 'EAN-8'];
+
+const encodeDigits = (digits, parity) => digits.split('').map((digit, i) => {
+  const set = parity[i];
+  if (set === 'G') return G_CODES[digit];
+  if (set === 'R') return R_CODES[digit];
+  return L_CODES[digit];
+}).join('');
+
+// Normalise a value to complete digits (with check digit) for the given symbology, or null
+const completeDigits = (digits, symbology) => {
+  switch (symbology) {
+    case 'UPC-A':
+      if (digits.length === 14 && digits.startsWith('00')) digits = digits.slice(2);
+      if (digits.length === 13 && digits.startsWith('0')) digits = digits.slice(1);
+      if (digits.length === 10) digits = `0${digits}`;
+      if (digits.length === 11) return digits + mod10CheckDigit(digits);
+      if (digits.length === 8 && /^[01]/.test(digits)) {
+        const upcA = expandUpcE(digits[0], digits.slice(1, 7));
+        return hasValidCheckDigit(upcA + digits[7]) ? upcA + digits[7] : null;
+      }
+      return digits.length === 12 && hasValidCheckDigit(digits) ? digits : null;
+    case 'EAN-13':
+      if (digits.length === 14 && digits.startsWith('0')) digits = digits.slice(1);
+      if (digits.length === 11 || digits.length === 10) digits = completeDigits(digits, 'UPC-A');
+      if (digits && digits.length === 12) digits = hasValidCheckDigit(digits) ? `0${digits}` : digits + mod10CheckDigit(digits);
+      return digits && digits.length === 13 && hasValidCheckDigit(digits) ? digits : null;
+    case 'EAN-8':
+      if (digits.length === 7) return digits + mod10CheckDigit(digits);
+      return digits.length === 8 && hasValidCheckDigit(digits) ? digits : null;
+    case 'UPC-E': {
+      if (digits.length === 7 && /^[01]/.test(digits)) {
+        return digits + mod10CheckDigit(expandUpcE(digits[0], digits.slice(1)));
+      }
+      if (digits.length === 8) {
+        if (!/^[01]/.test(digits)) return null;
+        return hasValidCheckDigit(expandUpcE(digits[0], digits.slice(1, 7)) + digits[7]) ? digits : null;
+      }
+      const upcA = completeDigits(digits, 'UPC-A');
+      return upcA ? compressUpcA(upcA) : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Pick a symbology from the digit count when the item does not name one
+const detectSymbology = (digits) => {
+  switch (digits.length) {
+    case 14:
+      if (!digits.startsWith('0')) return null;
+      return digits.startsWith('00') ? 'UPC-A' : 'EAN-13';
+    case 13:
+      return digits.startsWith('0') ? 'UPC-A' : 'EAN-13';
+    case 12:
+    case 11:
+    case 10:
+      return 'UPC-A';
+    case 8:
+      return completeDigits(digits, 'UPC-E') ? 'UPC-E' : 'EAN-8';
+    case 7:
+      return 'EAN-8';
+    default:
+      return null;
+  }
+};
+
+// Resolve a value (and optional barcodeType) to a symbology and its full digit string.
+// Returns null when the value cannot be printed as a UPC/EAN symbol.
+export const resolveUpcEan = (value, barcodeType) => {
+  const digits = String(value ?? '').trim();
+  if (!/^\d+$/.test(digits)) return null;
+
+  if (UPC_EAN_TYPES.includes(barcodeType)) {
+    const complete = completeDigits(digits, barcodeType);
+    if (complete) return { symbology: barcodeType, digits: complete };
+  }
+
+  const detected = detectSymbology(digits);
+  if (!detected) return null;
+  const complete = completeDigits(digits, detected);
+  return complete ? { symbology: detected, digits: complete } : null;
+};
+
+// The GTIN-14 a value carries in AI (01), with UPC-E expanded to its UPC-A
+// first; null when the value is not a GTIN (PLUs, internal codes, text)
+export const resolveGtin14 = (value) => {
+  const digits = String(value ?? '').trim();
+  if (/^\d{14}$/.test(digits)) return hasValidCheckDigit(digits) ? digits : null;
+  const resolved = resolveUpcEan(digits);
+  if (!resolved) return null;
+  return toGtin14(resolved.symbology === 'UPC-E' ? upcEToUpcA(resolved.digits) : resolved.digits);
+};
+
+// Encode a value into modules, guard ranges, quiet zones and text placement
+export const encodeUpcEan = (value, barcodeType) => {
+  const resolved = resolveUpcEan(value, barcodeType);
+  if (!resolved) return null;
+  const { symbology, digits } = resolved;
+
+  switch (symbology) {
+    case 'UPC-A': {
+      const modules = START_GUARD
+        + encodeDigits(digits.slice(0, 6), 'LLLLLL')
+        + CENTER_GUARD
+        + encodeDigits(digits.slice(6), 'RRRRRR')
+        + END_GUARD;
+      return {
+        symbology,
+        digits,
+        modules,
+        // The number system and check digit characters extend with the guards
+        guards: [[0, 10], [45, 50], [85, 95]],
+        quietZone: [9, 9],
+        text: [
+          { text: digits[0], x: -5, outside: true },
+          { text: digits.slice(1, 6), x: 27.5 },
+          { text: digits.slice(6, 11), x: 67.5 },
+          { text: digits[11], x: 100, outside: true }
+        ]
+      };
+    }
+    case 'EAN-13': {
+      const modules = START_GUARD
+        + encodeDigits(digits.slice(1, 7), EAN13_PARITY[digits[0]])
+        + CENTER_GUARD
+        + encodeDigits(digits.slice(7), 'RRRRRR')
+        + END_GUARD;
+      return {
+        symbology,
+        digits,
+        modules,
+        guards: [[0, 3], [45, 50], [92, 95]],
+        quietZone: [11, 7],
+        text: [
+          { text: digits[0], x: -6, outside: true },
+          { text: digits.slice(1, 7), x: 24 },
+          { text: digits.slice(7), x: 71 }
+        ]
+      };
+    }
+    case 'EAN-8': {
+      const modules = START_GUARD
+        + encodeDigits(digits.slice(0, 4), 'LLLL')
+        + CENTER_GUARD
+        + encodeDigits(digits.slice(4), 'RRRR')
+        + END_GUARD;
+      return {
+        symbology,
+        digits,
+        modules,
+        guards: [[0, 3], [31, 36], [64, 67]],
+        quietZone: [7, 7],
+        text: [
+          { text: digits.slice(0, 4), x: 17 },
+          { text: digits.slice(4), x: 50 }
+        ]
+      };
+    }
+    case 'UPC-E': {
+      const parity = UPCE_PARITY[digits[7]];
+      const modules = START_GUARD
+        + encodeDigits(digits.slice(1, 7), digits[0] === '1' ? parity.replace(/[LG]/g, set => (set === 'L' ? 'G' : 'L')) : parity)
+        + UPCE_END_GUARD;
+      return {
+        symbology,
+        digits,
+        modules,
+        guards: [[0, 3], [45, 51]],
+        quietZone: [9, 7],
+        text: [
+          { text: digits[0], x: -5, outside: true },
+          { text: digits.slice(1, 7), x: 24 },
+          { text: digits[7], x: 56, outside: true }
+        ]
+      };
+    }
+    default:
+      return null;
+  }
+};
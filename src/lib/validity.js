@@ -0,0 +1,38 @@
+// Promotion validity windows
+// Scanbook tests carry a free-text `valid` range such as
+// "Oct 22, 2025 - Oct 24, 2025". Both ends are whole days and the end date
+// is inclusive: a promotion ending Oct 24 is still active all of Oct 24.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Parse "Oct 22, 2025" (full month names work too) into a local Date, or null
+export const parsePromoDate = (text) => {
+  const match = String(text ?? '').trim().match(/^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+  if (!match) return null;
+  const month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase());
+  if (month === -1) return null;
+  const date = new Date(Number(match[3]), month, Number(match[2]));
+  return date.getMonth() === month ? date : null;
+};
+
+// { start, end } dates for a validity string, or null when it cannot be read
+export const parseValidity = (valid) => {
+  const [startText, endText] = String(valid ?? '').split(/\s+[-–]\s+/);
+  const start = parsePromoDate(startText);
+  const end = parsePromoDate(endText);
+  return start && end ? { start, end } : null;
+};
+
+// 'upcoming', 'active' or 'expired' relative to today, or null when unparseable
+export const validityStatus = (valid, today = new Date()) => {
+  const range = parseValidity(valid);
+  if (!range) return null;
+  const day = startOfDay(today);
+  if (day < range.start) return 'upcoming';
+  if (day > range.end) return 'expired';
+  return 'active';
+};
+
+export const formatPromoDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
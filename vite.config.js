@@ -3,7 +3,17 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  // The portal service (npm run server) signs users in; storage.json points
+  // the portal at /api/ on its own origin
+  server: {
+    proxy: { '/api': 'http://localhost:8787' }
+  },
+  preview: {
+    proxy: { '/api': 'http://localhost:8787' }
+  },
   build: {
-    outDir: 'dist'
+    outDir: 'dist',
+    // bwip-js is lazy-loaded as its own ~1 MB chunk (see src/lib/bwip.js)
+    chunkSizeWarningLimit: 1024
   }
 })